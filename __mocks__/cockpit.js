@@ -34,13 +34,16 @@ const cockpit = {
     gettext: (text) => text,
     noop: (args) => args,
     spawn: (args) => {
-        return new Promise((resolve, reject) => {
+        const promise = new Promise((resolve, reject) => {
             process.nextTick(() => {
                 const cmd = args.join(' ');
                 const response = spawnResponses[cmd];
                 resolve(response);
             });
         });
+        promise.stream = () => promise;
+        promise.close = () => {};
+        return promise;
     },
     file: () => ({}),
     dbus: () => ({ subscribe: () => ({}) }),
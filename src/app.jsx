@@ -22,6 +22,7 @@
 import React, { useState, useEffect } from 'react';
 import cockpit from 'cockpit';
 import {
+    Alert,
     Page,
     PageSection,
     PageSectionVariants,
@@ -29,18 +30,24 @@ import {
     TabTitleText,
     Tabs,
 } from '@patternfly/react-core';
-import { NetworkProvider, serviceIsActive } from './context/network';
+import { NetworkProvider, serviceIsActive, configurationIsReadable } from './context/network';
 import StatusBar from './components/StatusBar';
 import InactiveServicePage from './components/InactiveServicePage';
 import InterfacesTab from './components/InterfacesTab';
 import RoutingTab from './components/RoutingTab';
 import DnsTab from './components/DnsTab';
+import GlobalSettingsTab from './components/GlobalSettingsTab';
+import SnapshotsTab from './components/SnapshotsTab';
+import ConflictDialog from './components/ConflictDialog';
+import RollbackDialog from './components/RollbackDialog';
+import PendingChanges from './components/PendingChanges';
 
 const _ = cockpit.gettext;
 
 export const Application = () => {
     const [checkingService, setCheckingService] = useState(true);
     const [serviceReady, setServiceReady] = useState(false);
+    const [readOnly, setReadOnly] = useState(false);
     const [activeTabKey, setActiveTabKey] = useState(0);
 
     const handleTabClick = (event, tabIndex) => {
@@ -59,32 +66,51 @@ export const Application = () => {
                 <Tab eventKey={2} title={<TabTitleText>{_("DNS")}</TabTitleText>}>
                     <DnsTab />
                 </Tab>
+                <Tab eventKey={3} title={<TabTitleText>{_("Global settings")}</TabTitleText>}>
+                    <GlobalSettingsTab />
+                </Tab>
+                <Tab eventKey={4} title={<TabTitleText>{_("Snapshots")}</TabTitleText>}>
+                    <SnapshotsTab />
+                </Tab>
             </Tabs>
         );
     };
 
     const renderContent = () => {
         if (checkingService) return null;
-        if (serviceReady) return renderTabs();
+        if (serviceReady) return <PendingChanges>{renderTabs()}</PendingChanges>;
         return <InactiveServicePage />;
     };
 
     useEffect(() => {
         serviceIsActive()
-                .then(result => {
+                .then(async result => {
+                    // show the configuration, although it cannot be changed
+                    const readable = !result && await configurationIsReadable();
                     setCheckingService(false);
-                    setServiceReady(result);
+                    setServiceReady(result || readable);
+                    setReadOnly(readable);
                 });
     }, []);
 
     return (
-        <NetworkProvider>
+        <NetworkProvider readOnly={readOnly}>
             <Page>
                 { checkingService && <StatusBar showSpinner>{_("Checking if service is active...")}</StatusBar> }
 
+                { readOnly &&
+                    <Alert
+                      variant="info"
+                      isInline
+                      title={_("The network service is not running, so the configuration cannot be changed")}
+                    /> }
+
                 <PageSection padding={{ default: 'noPadding' }} variant={PageSectionVariants.light}>
                     { renderContent() }
                 </PageSection>
+
+                { serviceReady && <ConflictDialog /> }
+                { serviceReady && <RollbackDialog /> }
             </Page>
         </NetworkProvider>
     );
@@ -22,8 +22,14 @@
 import React, { useState } from 'react';
 import { Dropdown, DropdownItem, DropdownToggle } from '@patternfly/react-core';
 import BridgeForm from './BridgeForm';
+import OvsBridgeForm from './OvsBridgeForm';
 import BondForm from './BondForm';
+import TeamForm from './TeamForm';
 import VlanForm from './VlanForm';
+import MacvlanForm from './MacvlanForm';
+import TunnelForm from './TunnelForm';
+import DummyForm from './DummyForm';
+import TuntapForm from './TuntapForm';
 
 import cockpit from 'cockpit';
 
@@ -31,8 +37,14 @@ const _ = cockpit.gettext;
 
 const formComponents = {
     BondForm: BondForm,
+    TeamForm: TeamForm,
     BridgeForm: BridgeForm,
-    VlanForm: VlanForm
+    OvsBridgeForm: OvsBridgeForm,
+    VlanForm: VlanForm,
+    MacvlanForm: MacvlanForm,
+    TunnelForm: TunnelForm,
+    DummyForm: DummyForm,
+    TuntapForm: TuntapForm
 };
 
 const AddConnectionMenu = () => {
@@ -52,12 +64,30 @@ const AddConnectionMenu = () => {
         <DropdownItem key="bond" component="button" onClick={() => setFormComponent('BondForm')}>
             {_("Bond")}
         </DropdownItem>,
+        <DropdownItem key="team" component="button" onClick={() => setFormComponent('TeamForm')}>
+            {_("Team")}
+        </DropdownItem>,
         <DropdownItem key="bridge" component="button" onClick={() => setFormComponent('BridgeForm')}>
             {_("Bridge")}
         </DropdownItem>,
+        <DropdownItem key="ovs-bridge" component="button" onClick={() => setFormComponent('OvsBridgeForm')}>
+            {_("Open vSwitch Bridge")}
+        </DropdownItem>,
         <DropdownItem key="vlan" component="button" onClick={() => setFormComponent('VlanForm')}>
             {_("VLAN")}
         </DropdownItem>,
+        <DropdownItem key="macvlan" component="button" onClick={() => setFormComponent('MacvlanForm')}>
+            {_("MACVLAN")}
+        </DropdownItem>,
+        <DropdownItem key="tunnel" component="button" onClick={() => setFormComponent('TunnelForm')}>
+            {_("Tunnel")}
+        </DropdownItem>,
+        <DropdownItem key="dummy" component="button" onClick={() => setFormComponent('DummyForm')}>
+            {_("Dummy")}
+        </DropdownItem>,
+        <DropdownItem key="tuntap" component="button" onClick={() => setFormComponent('TuntapForm')}>
+            {_("TUN/TAP")}
+        </DropdownItem>,
     ];
 
     return (
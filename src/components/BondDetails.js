@@ -21,6 +21,7 @@
 
 import React, { useState } from 'react';
 import BondForm from './BondForm';
+import EditLink from './EditLink';
 import cockpit from 'cockpit';
 
 const _ = cockpit.gettext;
@@ -30,7 +31,7 @@ const BondDetails = ({ connection }) => {
 
     return (
         <>
-            <a href="#" onClick={() => setFormOpen(true)}>{_("Configure")}</a>
+            <EditLink onClick={() => setFormOpen(true)}>{_("Configure")}</EditLink>
             { isFormOpen && <BondForm isOpen={isFormOpen} connection={connection} onClose={() => setFormOpen(false)} /> }
         </>
     );
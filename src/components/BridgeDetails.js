@@ -21,6 +21,7 @@
 
 import React, { useState } from 'react';
 import BridgeForm from './BridgeForm';
+import EditLink from './EditLink';
 import cockpit from 'cockpit';
 
 const _ = cockpit.gettext;
@@ -31,13 +32,13 @@ const BridgeDetails = ({ connection }) => {
 
     const renderLinkDetails = () => {
         return (
-            <a href="#" onClick={() => setFormOpen(true)}>
+            <EditLink onClick={() => setFormOpen(true)}>
                 <ul>
                     <li>
                         {_("Ports:")} {bridge.ports.join(", ")}
                     </li>
                 </ul>
-            </a>
+            </EditLink>
         );
     };
 
@@ -45,7 +46,7 @@ const BridgeDetails = ({ connection }) => {
         <>
             { bridge
                 ? renderLinkDetails()
-                : <a href="#" onClick={() => setFormOpen(true)}>{_("Configure")}</a>}
+                : <EditLink onClick={() => setFormOpen(true)}>{_("Configure")}</EditLink>}
             { isFormOpen && <BridgeForm isOpen={isFormOpen} connection={connection} onClose={() => setFormOpen(false)} /> }
         </>
     );
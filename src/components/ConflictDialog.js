@@ -0,0 +1,92 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import React from 'react';
+import cockpit from 'cockpit';
+
+import {
+    ActionGroup,
+    Button,
+    Modal,
+    ModalVariant,
+    Text,
+    Title
+} from '@patternfly/react-core';
+
+import {
+    useNetworkDispatch,
+    useNetworkState,
+    conflictResolution,
+    resolveConflict
+} from '../context/network';
+
+const _ = cockpit.gettext;
+
+/**
+ * Dialog shown when a change could not be written because someone else changed the
+ * configuration in the meantime
+ *
+ * The user can reload the configuration and reapply the change (when the change supports it),
+ * overwrite the configuration or discard the change.
+ */
+const ConflictDialog = () => {
+    const { conflict } = useNetworkState();
+    const dispatch = useNetworkDispatch();
+
+    if (!conflict) return null;
+
+    const resolve = (resolution) => resolveConflict(dispatch, resolution).catch(console.error);
+
+    return (
+        <Modal
+            aria-label={_("Configuration changed")}
+            variant={ModalVariant.small}
+            isOpen
+            showClose={false}
+            header={<Title headingLevel="h1">{_("Configuration changed")}</Title>}
+            footer={
+                <ActionGroup>
+                    {conflict.canReapply &&
+                        <Button key="reapply" variant="primary" onClick={() => resolve(conflictResolution.REAPPLY)}>
+                            {_("Reload and reapply my change")}
+                        </Button>}
+
+                    <Button key="overwrite" variant="danger" onClick={() => resolve(conflictResolution.OVERWRITE)}>
+                        {_("Overwrite")}
+                    </Button>
+
+                    <Button key="cancel" variant="link" onClick={() => resolve()}>
+                        {_("Cancel")}
+                    </Button>
+                </ActionGroup>
+            }
+        >
+            <Text>
+                {cockpit.format(
+                    _("$0 was modified by someone else after it was loaded. Overwriting it discards those modifications."),
+                    conflict.path
+                )}
+            </Text>
+        </Modal>
+    );
+};
+
+export default ConflictDialog;
@@ -22,6 +22,7 @@
 import cockpit from "cockpit";
 import React, { useState } from 'react';
 import DnsSettingsForm from './DnsSettingsForm';
+import EditLink from './EditLink';
 
 const _ = cockpit.gettext;
 
@@ -31,7 +32,7 @@ const PolicyDetails = ({ onClick, dns }) => {
     return (
         <>
             <dt>{_("Policy")}</dt>
-            <dd><a href="#" onClick={onClick}>{policy || _("Disabled")}</a></dd>
+            <dd><EditLink onClick={onClick}>{policy || _("Disabled")}</EditLink></dd>
         </>
     );
 };
@@ -42,7 +43,7 @@ const SearchListDetails = ({ onClick, dns }) => {
     return (
         <>
             <dt>{_("Search list")}</dt>
-            <dd><a href="#" onClick={onClick}>{(searchList.length == 0) ? _("Empty") : searchList.join(" ")}</a></dd>
+            <dd><EditLink onClick={onClick}>{(searchList.length == 0) ? _("Empty") : searchList.join(" ")}</EditLink></dd>
         </>
     );
 };
@@ -53,7 +54,7 @@ const NameServersDetails = ({ onClick, dns }) => {
     return (
         <>
             <dt>{_("Name servers")}</dt>
-            <dd><a href="#" onClick={onClick}>{(nameServers.length == 0) ? _("Empty") : nameServers.join(" ")}</a></dd>
+            <dd><EditLink onClick={onClick}>{(nameServers.length == 0) ? _("Empty") : nameServers.join(" ")}</EditLink></dd>
         </>
     );
 };
@@ -0,0 +1,79 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import React, { useState } from 'react';
+import cockpit from 'cockpit';
+import { FormGroup, TextInput } from '@patternfly/react-core';
+import { useNetworkDispatch, useNetworkState, addConnection } from '../context/network';
+import interfaceType from '../lib/model/interfaceType';
+import { freeInterfaceName } from '../lib/utils';
+import ModalForm from './ModalForm';
+
+const _ = cockpit.gettext;
+
+/**
+ * Form to add a dummy interface
+ *
+ * Dummy interfaces have no settings apart from the IP ones, so they cannot be edited.
+ *
+ * @param {object} props - component props
+ * @param {boolean} props.isOpen - whether the form is open
+ * @param {function} props.onClose - callback to be triggered when the form is closed
+ */
+const DummyForm = ({ isOpen, onClose }) => {
+    const { interfaces } = useNetworkState();
+    const dispatch = useNetworkDispatch();
+    const [name, setName] = useState(
+        freeInterfaceName(interfaceType.DUMMY, Object.values(interfaces).map(i => i.name))
+    );
+
+    const addDummyConnection = () => {
+        addConnection(dispatch, { name, type: interfaceType.DUMMY });
+        onClose();
+    };
+
+    return (
+        <ModalForm
+            title={_("Add Dummy")}
+            isOpen={isOpen}
+            onCancel={onClose}
+            onSubmit={addDummyConnection}
+            onSubmitLabel={_("Add")}
+            onSubmitDisable={name === ""}
+        >
+            <FormGroup
+                label={_("Name")}
+                isRequired
+                fieldId="interface-name"
+                helperText={_("Please, provide the interface name (e.g., dummy0)")}
+            >
+                <TextInput
+                    isRequired
+                    id="interface-name"
+                    value={name}
+                    onChange={setName}
+                />
+            </FormGroup>
+        </ModalForm>
+    );
+};
+
+export default DummyForm;
@@ -0,0 +1,42 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import React from 'react';
+import { useNetworkState } from '../context/network';
+
+/**
+ * Link to open a form for changing some setting
+ *
+ * When the configuration is read-only, only the content is rendered.
+ *
+ * @param {object} props - component props
+ * @param {function} props.onClick - callback to be triggered when the link is clicked
+ * @param {JSX.Element} props.children - content of the link
+ */
+const EditLink = ({ onClick, children }) => {
+    const { readOnly } = useNetworkState();
+
+    if (readOnly) return <>{children}</>;
+
+    return <a href="#" onClick={onClick}>{children}</a>;
+};
+
+export default EditLink;
@@ -0,0 +1,126 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import React, { useState } from 'react';
+import cockpit from 'cockpit';
+import {
+    FormGroup,
+    FormSelect,
+    FormSelectOption,
+    TextInput,
+    ValidatedOptions
+} from '@patternfly/react-core';
+import { useNetworkDispatch, updateGlobalSettings } from '../context/network';
+import { validateGlobalSetting } from '../lib/model/globalSettings';
+import settingType from '../lib/model/settingType';
+import ModalForm from './ModalForm';
+
+const _ = cockpit.gettext;
+
+/**
+ * Returns the options to choose a value for the given setting
+ *
+ * The empty option stands for the default value.
+ *
+ * @param {GlobalSetting} setting - Setting to get the options for
+ * @return {Array<object>} Options for a FormSelect component
+ */
+const selectOptions = (setting) => {
+    const values = (setting.type.name === settingType.YESNO) ? ['yes', 'no'] : setting.type.values;
+    const defaultLabel = (setting.defaultValue === undefined)
+        ? _("Not set")
+        : cockpit.format(_("Default ($0)"), setting.defaultValue);
+
+    return [{ value: "", label: defaultLabel }, ...values.map(value => ({ value, label: value }))];
+};
+
+const GlobalSettingForm = ({ isOpen, onClose, setting }) => {
+    const dispatch = useNetworkDispatch();
+    const [value, setValue] = useState(setting.value);
+    const [errorMessage, setErrorMessage] = useState();
+    const { name: typeName, values = [] } = setting.type;
+
+    const handleSubmit = () => {
+        const error = validateGlobalSetting(setting, value);
+        setErrorMessage(error);
+        if (error) return false;
+
+        if (value !== setting.value) {
+            updateGlobalSettings(dispatch, [{ file: setting.file, key: setting.key, value }]);
+        }
+
+        onClose();
+    };
+
+    const renderInput = () => {
+        const validated = errorMessage ? ValidatedOptions.error : ValidatedOptions.default;
+
+        if ([settingType.YESNO, settingType.LIST].includes(typeName)) {
+            return (
+                <FormSelect id="global-setting-value" value={value} onChange={setValue} validated={validated}>
+                    {selectOptions(setting).map((option, index) => (
+                        <FormSelectOption key={index} {...option} />
+                    ))}
+                </FormSelect>
+            );
+        }
+
+        return (
+            <>
+                <TextInput
+                    id="global-setting-value"
+                    type={(typeName === settingType.INTEGER) ? "number" : "text"}
+                    placeholder={setting.defaultValue}
+                    value={value}
+                    onChange={setValue}
+                    validated={validated}
+                    list={(values.length > 0) ? "global-setting-values" : undefined}
+                />
+                { values.length > 0 &&
+                    <datalist id="global-setting-values">
+                        {values.map(v => <option key={v} value={v} />)}
+                    </datalist> }
+            </>
+        );
+    };
+
+    return (
+        <ModalForm
+            caption={setting.group || setting.file}
+            title={setting.key}
+            isOpen={isOpen}
+            onCancel={onClose}
+            onSubmit={handleSubmit}
+        >
+            <FormGroup
+                label={_("Value")}
+                fieldId="global-setting-value"
+                helperText={<span className="global-setting-description">{setting.description}</span>}
+                helperTextInvalid={errorMessage}
+                validated={errorMessage ? ValidatedOptions.error : ValidatedOptions.default}
+            >
+                {renderInput()}
+            </FormGroup>
+        </ModalForm>
+    );
+};
+
+export default GlobalSettingForm;
@@ -0,0 +1,117 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import cockpit from "cockpit";
+import React, { useEffect, useState } from 'react';
+import { Card, CardBody, CardTitle, Text } from '@patternfly/react-core';
+import { Table, TableHeader, TableBody, TableVariant } from '@patternfly/react-table';
+import { useNetworkDispatch, useNetworkState, fetchGlobalSettings } from '../context/network';
+import GlobalSettingForm from './GlobalSettingForm';
+
+const _ = cockpit.gettext;
+
+const columns = [
+    { title: _("Setting") },
+    { title: _("Value") },
+    ''
+];
+
+/**
+ * Groups the settings using their group or, if they have none, their file
+ *
+ * @param {Array<GlobalSetting>} settings - Settings to group
+ * @return {Object<string, Array<GlobalSetting>>} Settings indexed by group name
+ */
+const groupSettings = (settings) => {
+    return settings.reduce((groups, setting) => {
+        const name = setting.group || setting.file;
+        return { ...groups, [name]: [...(groups[name] || []), setting] };
+    }, {});
+};
+
+const valueText = (setting) => {
+    if (setting.value !== "") return setting.value;
+
+    return (setting.defaultValue === undefined)
+        ? _("Not set")
+        : cockpit.format(_("Default ($0)"), setting.defaultValue);
+};
+
+const SettingsGroup = ({ name, settings, onEdit }) => {
+    const { readOnly } = useNetworkState();
+
+    const actions = [
+        {
+            title: _("Edit"),
+            onClick: (event, rowId) => onEdit(settings[rowId])
+        }
+    ];
+
+    const rows = settings.map(setting => [setting.key, valueText(setting)]);
+
+    return (
+        <Card>
+            <CardTitle>{name}</CardTitle>
+            <CardBody>
+                <Table
+                    aria-label={name}
+                    variant={TableVariant.compact}
+                    cells={columns}
+                    rows={rows}
+                    actions={readOnly ? undefined : actions}
+                >
+                    <TableHeader />
+                    <TableBody />
+                </Table>
+            </CardBody>
+        </Card>
+    );
+};
+
+const GlobalSettingsTab = () => {
+    const dispatch = useNetworkDispatch();
+    const { globalSettings } = useNetworkState();
+    const [setting, setSetting] = useState();
+
+    useEffect(() => { fetchGlobalSettings(dispatch) }, [dispatch]);
+
+    if (!globalSettings || globalSettings.length === 0) {
+        return (
+            <Card>
+                <CardBody>
+                    <Text>{_("There are no global settings to configure")}</Text>
+                </CardBody>
+            </Card>
+        );
+    }
+
+    return (
+        <>
+            { setting &&
+                <GlobalSettingForm isOpen setting={setting} onClose={() => setSetting(undefined)} /> }
+            { Object.entries(groupSettings(globalSettings)).map(([name, settings]) => (
+                <SettingsGroup key={name} name={name} settings={settings} onEdit={setSetting} />
+            ))}
+        </>
+    );
+};
+
+export default GlobalSettingsTab;
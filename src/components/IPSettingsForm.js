@@ -21,7 +21,7 @@
 
 import React, { useState, useEffect, useCallback } from 'react';
 import cockpit from 'cockpit';
-import { Alert, FormGroup, ModalVariant } from '@patternfly/react-core';
+import { Alert, Checkbox, FormGroup, ModalVariant } from '@patternfly/react-core';
 import { useNetworkDispatch, updateConnection } from '../context/network';
 import { createAddressConfig } from '../lib/model/address';
 import { isValidIP } from '../lib/utils';
@@ -88,6 +88,7 @@ const IPSettingsForm = ({ connection, ipVersion = 'ipv4', isOpen, onClose }) =>
     const [addresses, setAddresses] = useState(settings.addresses);
     const [addressRequired, setAddressRequired] = useState(settings.bootProto === bootProtocol.STATIC);
     const [errorMessages, setErrorMessages] = useState([]);
+    const [withRollback, setWithRollback] = useState(false);
 
     /**
      * Performs an update of the internal addresses state
@@ -178,7 +179,8 @@ const IPSettingsForm = ({ connection, ipVersion = 'ipv4', isOpen, onClose }) =>
         updateConnection(
             dispatch,
             connection,
-            { [ipVersion]: { bootProto, addresses: sanitizedAddresses } }
+            { [ipVersion]: { bootProto, addresses: sanitizedAddresses } },
+            { rollback: withRollback }
         );
 
         onClose();
@@ -235,6 +237,16 @@ const IPSettingsForm = ({ connection, ipVersion = 'ipv4', isOpen, onClose }) =>
                     allowEmpty={!addressRequired}
                 />
             </FormGroup>
+
+            <FormGroup fieldId="ip-settings-rollback">
+                <Checkbox
+                    id="ip-settings-rollback"
+                    label={_("Roll back automatically unless I confirm the change")}
+                    description={_("Useful when this host is reached through this interface, as the previous settings are restored if the connection is lost")}
+                    isChecked={withRollback}
+                    onChange={setWithRollback}
+                />
+            </FormGroup>
         </ModalForm>
     );
 };
@@ -21,6 +21,7 @@
 
 import React, { useState } from 'react';
 import IPSettingsForm from './IPSettingsForm';
+import EditLink from './EditLink';
 import bootProtocol from '../lib/model/bootProtocol';
 import cockpit from 'cockpit';
 
@@ -58,7 +59,7 @@ const IPSettingsLink = ({ ipVersion = 'ipv4', connection }) => {
 
     return (
         <>
-            <a href="#" onClick={() => setFormOpen(true)}>{renderLinkText()}</a>
+            <EditLink onClick={() => setFormOpen(true)}>{renderLinkText()}</EditLink>
             {renderForm()}
         </>
     );
@@ -55,19 +55,19 @@ const ExternalLink = ({ href, children }) => {
 };
 
 /**
- * Page to be shown when wicked is not active
+ * Page to be shown when neither wicked nor NetworkManager are active
  */
 const InactiveServicePage = () => {
     return (
         <EmptyState>
             <EmptyStateIcon icon={AlertIcon} />
             <Title headingLevel="h4" size="lg">
-                {_("Wicked service is not active")}
+                {_("No network service is active")}
             </Title>
             <EmptyStateBody>
                 <p>
-                    {_(`Seems that wicked service is not active. It could be either, the service is
-                    not running or wicked is not installed.`)}
+                    {_(`Seems that neither wicked nor NetworkManager services are active. It could be
+                    either, the services are not running or they are not installed.`)}
                 </p>
                 <p>
                     {_("For more help, please check the documentation linked below.")}
@@ -84,6 +84,9 @@ const InactiveServicePage = () => {
                 <ExternalLink href="https://github.com/openSUSE/wicked">
                     Public Wicked Repository
                 </ExternalLink>
+                <ExternalLink href="https://networkmanager.dev/docs/">
+                    NetworkManager Documentation
+                </ExternalLink>
             </EmptyStateSecondaryActions>
         </EmptyState>
     );
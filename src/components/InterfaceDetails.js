@@ -23,13 +23,24 @@ import cockpit from "cockpit";
 import React from 'react';
 import StartMode from './StartMode';
 import BridgeDetails from './BridgeDetails';
+import OvsBridgeDetails from './OvsBridgeDetails';
 import BondDetails from './BondDetails';
 import VlanDetails from './VlanDetails';
+import MacvlanDetails from './MacvlanDetails';
+import TeamDetails from './TeamDetails';
+import TunnelDetails from './TunnelDetails';
+import TuntapDetails from './TuntapDetails';
 import WirelessDetails from './WirelessDetails';
 import IPSettingsLink from './IPSettingsLink';
 import DeleteConnection from './DeleteConnection';
+import InterfaceStateDetails from './InterfaceStateDetails';
+import LeaseDetails from './LeaseDetails';
 import interfaceTypeEnum from '../lib/model/interfaceType';
-import { Alert, Split, SplitItem, Switch, Toolbar, ToolbarContent, ToolbarItem } from '@patternfly/react-core';
+import bootProtocol from '../lib/model/bootProtocol';
+import { useNetworkState } from '../context/network';
+import {
+    Alert, ExpandableSection, Split, SplitItem, Switch, Toolbar, ToolbarContent, ToolbarItem
+} from '@patternfly/react-core';
 
 const _ = cockpit.gettext;
 
@@ -69,6 +80,24 @@ const bridgeDetails = (connection) => {
     );
 };
 
+const teamDetails = (iface, connection) => {
+    return (
+        <>
+            <dt>{_("Team")}</dt>
+            <dd><TeamDetails iface={iface} connection={connection} /></dd>
+        </>
+    );
+};
+
+const ovsBridgeDetails = (connection) => {
+    return (
+        <>
+            <dt>{_("Open vSwitch Bridge")}</dt>
+            <dd><OvsBridgeDetails connection={connection} /></dd>
+        </>
+    );
+};
+
 const vlanDetails = (connection) => {
     return (
         <>
@@ -78,6 +107,33 @@ const vlanDetails = (connection) => {
     );
 };
 
+const macvlanDetails = (connection) => {
+    return (
+        <>
+            <dt>{interfaceTypeEnum.label(connection.type)}</dt>
+            <dd><MacvlanDetails connection={connection} /></dd>
+        </>
+    );
+};
+
+const tunnelDetails = (connection) => {
+    return (
+        <>
+            <dt>{interfaceTypeEnum.label(connection.type)}</dt>
+            <dd><TunnelDetails connection={connection} /></dd>
+        </>
+    );
+};
+
+const tuntapDetails = (connection) => {
+    return (
+        <>
+            <dt>{interfaceTypeEnum.label(connection.type)}</dt>
+            <dd><TuntapDetails connection={connection} /></dd>
+        </>
+    );
+};
+
 const wirelessDetails = (iface, connection) => {
     return (
         <>
@@ -105,30 +161,101 @@ const ipV6Details = (connection) => {
     );
 };
 
-const renderError = (error) => {
+const stateDetails = (iface, connection) => {
+    return (
+        <>
+            <dt>{_("Status")}</dt>
+            <dd><InterfaceStateDetails iface={iface} connection={connection} /></dd>
+        </>
+    );
+};
+
+const DHCP_PROTOCOLS = [
+    bootProtocol.DHCP, bootProtocol.DHCP4, bootProtocol.DHCP6, bootProtocol.DHCP_AUTOIP
+];
+
+const usesDhcp = (connection) => {
+    return [connection.ipv4, connection.ipv6].some(ip => DHCP_PROTOCOLS.includes(ip?.bootProto));
+};
+
+const leaseDetails = (iface, connection) => {
+    return (
+        <>
+            <dt>{_("Lease")}</dt>
+            <dd><LeaseDetails iface={iface} connection={connection} /></dd>
+        </>
+    );
+};
+
+const ALERT_VARIANTS = {
+    error: 'danger',
+    warning: 'warning',
+    info: 'info'
+};
+
+const errorDetails = (details) => {
+    return (
+        <ExpandableSection toggleText={_("Error details")}>
+            <dl className="details-list">
+                <dt>{_("Reason")}</dt>
+                <dd>{details.reason}</dd>
+                { details.exitStatus !== undefined &&
+                    <>
+                        <dt>{_("Exit status")}</dt>
+                        <dd>{details.exitStatus}</dd>
+                    </> }
+                <dt>{_("Command")}</dt>
+                <dd><code>{details.command}</code></dd>
+                { details.stderr &&
+                    <>
+                        <dt>{_("Output")}</dt>
+                        <dd><pre>{details.stderr}</pre></dd>
+                    </> }
+            </dl>
+        </ExpandableSection>
+    );
+};
+
+const renderError = (error, details) => {
     if (!error) return;
 
-    return <Alert variant="warning" isInline title={error} />;
+    if (!details) return <Alert variant="warning" isInline title={error} />;
+
+    return (
+        <Alert variant={ALERT_VARIANTS[details.severity] || 'warning'} isInline title={error}>
+            <p>{details.remediation}</p>
+            {errorDetails(details)}
+        </Alert>
+    );
 };
 
 const InterfaceDetails = ({ iface, connection, changeConnectionState, deleteConnection }) => {
+    const { readOnly } = useNetworkState();
+
     const renderFullDetails = () => {
         if (connection.exists) {
             return (
                 <>
                     { iface.type === interfaceTypeEnum.BONDING && bondDetails(connection) }
+                    { iface.type === interfaceTypeEnum.TEAM && teamDetails(iface, connection) }
                     { iface.type === interfaceTypeEnum.BRIDGE && bridgeDetails(connection) }
+                    { iface.type === interfaceTypeEnum.OVS_BRIDGE && ovsBridgeDetails(connection) }
                     { iface.type === interfaceTypeEnum.VLAN && vlanDetails(connection) }
+                    { interfaceTypeEnum.isMacvlan(iface.type) && macvlanDetails(connection) }
+                    { interfaceTypeEnum.isTunnel(iface.type) && tunnelDetails(connection) }
+                    { interfaceTypeEnum.isTuntap(iface.type) && tuntapDetails(connection) }
                     { iface.type === interfaceTypeEnum.WIRELESS && wirelessDetails(iface, connection) }
                     { ipV4Details(connection) }
                     { ipV6Details(connection) }
+                    { !iface.virtual && usesDhcp(connection) && leaseDetails(iface, connection) }
+                    { !iface.virtual && stateDetails(iface, connection) }
                 </>
             );
         }
     };
 
     const renderActions = () => {
-        if (!connection.exists) return;
+        if (!connection.exists || readOnly) return;
 
         return (
             <Toolbar>
@@ -154,7 +281,7 @@ const InterfaceDetails = ({ iface, connection, changeConnectionState, deleteConn
 
     return (
         <>
-            {renderError(iface.error)}
+            {renderError(iface.error, iface.errorDetails)}
 
             <Split hasGutter>
                 <SplitItem isFilled>
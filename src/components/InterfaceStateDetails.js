@@ -0,0 +1,102 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import React, { useState } from 'react';
+import cockpit from 'cockpit';
+import { Button, Label, LabelGroup } from '@patternfly/react-core';
+import {
+    useNetworkDispatch, useNetworkState, fetchInterfaceState, reloadConnection
+} from '../context/network';
+
+const _ = cockpit.gettext;
+
+const renderLeases = (leases) => {
+    if (leases.length === 0) return _("None");
+
+    return leases.map(({ family, type, state }) => `${family} ${type}: ${state}`).join(", ");
+};
+
+const renderChecks = ({ configChanged, deviceMissing, stateReached }) => {
+    return (
+        <LabelGroup>
+            { configChanged && <Label color="orange">{_("Configuration changed")}</Label> }
+            { deviceMissing && <Label color="red">{_("Device missing")}</Label> }
+            { !stateReached && <Label color="orange">{_("Not up")}</Label> }
+            { !configChanged && !deviceMissing && stateReached && <Label color="green">{_("OK")}</Label> }
+        </LabelGroup>
+    );
+};
+
+const InterfaceStateDetails = ({ iface, connection }) => {
+    const [isLoading, setIsLoading] = useState(false);
+    const dispatch = useNetworkDispatch();
+    const { readOnly } = useNetworkState();
+    const { runtimeState } = iface;
+
+    const checkStatus = (e) => {
+        e.preventDefault();
+        setIsLoading(true);
+        fetchInterfaceState(dispatch, iface.name).finally(() => setIsLoading(false));
+    };
+
+    const reload = () => {
+        setIsLoading(true);
+        reloadConnection(dispatch, connection).finally(() => setIsLoading(false));
+    };
+
+    if (!runtimeState) {
+        if (readOnly) return _("Unknown");
+        if (isLoading) return _("Checking...");
+
+        return <a href="#" onClick={checkStatus}>{_("Check status")}</a>;
+    }
+
+    return (
+        <>
+            <dl className="details-list">
+                <dt>{_("Device")}</dt>
+                <dd>{runtimeState.deviceState}</dd>
+                { runtimeState.configOrigin &&
+                    <>
+                        <dt>{_("Origin")}</dt>
+                        <dd>{runtimeState.configOrigin}</dd>
+                    </> }
+                <dt>{_("Leases")}</dt>
+                <dd>{renderLeases(runtimeState.leases)}</dd>
+                <dt>{_("Checks")}</dt>
+                <dd>{renderChecks(runtimeState)}</dd>
+            </dl>
+            { !readOnly &&
+                <>
+                    { runtimeState.configChanged &&
+                        <Button variant="secondary" isSmall onClick={reload} isDisabled={isLoading}>
+                            {_("Reload")}
+                        </Button> }
+                    {' '}
+                    <Button variant="link" isInline onClick={checkStatus} isDisabled={isLoading}>
+                        {_("Refresh")}
+                    </Button>
+                </> }
+        </>
+    );
+};
+
+export default InterfaceStateDetails;
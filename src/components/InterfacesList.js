@@ -21,7 +21,7 @@
 
 import cockpit from "cockpit";
 import React, { useState, useEffect, useCallback } from 'react';
-import { Card, CardBody, Spinner } from '@patternfly/react-core';
+import { Button, Card, CardBody, Spinner } from '@patternfly/react-core';
 import {
     Table,
     TableBody,
@@ -35,7 +35,9 @@ import AlertIcon from '@patternfly/react-icons/dist/js/icons/exclamation-triangl
 import InterfaceDetails from "./InterfaceDetails";
 import interfaceType from '../lib/model/interfaceType';
 import interfaceStatus from '../lib/model/interfaceStatus';
-import { useNetworkDispatch, deleteConnection, changeConnectionState } from '../context/network';
+import {
+    useNetworkDispatch, deleteConnection, changeConnectionState, cancelCommand
+} from '../context/network';
 import { createConnection } from '../lib/model/connections';
 
 const _ = cockpit.gettext;
@@ -82,9 +84,21 @@ const InterfacesList = ({ interfaces = [], connections = [] }) => {
 
         if (!iface.status || iface.status === interfaceStatus.READY) {
             return linkText;
-        } else {
-            return interfaceStatus.label(iface.status);
         }
+
+        return (
+            <>
+                {interfaceStatus.label(iface.status)}
+                { iface.cancellable &&
+                    <>
+                        {' '}
+                        <Button variant="link" isInline onClick={() => cancelCommand(iface.name)}>
+                            {_("Cancel")}
+                        </Button>
+                    </> }
+                { iface.progress && <div className="interface-progress">{iface.progress}</div> }
+            </>
+        );
     };
 
     /**
@@ -118,7 +132,7 @@ const InterfacesList = ({ interfaces = [], connections = [] }) => {
                         renderStatusIcon(i),
                         i.name,
                         interfaceType.label(i.type),
-                        renderStatusText(i),
+                        { title: renderStatusText(i) },
                         interfaceAddresses(i)
                     ]
                 }
@@ -85,4 +85,34 @@ describe('InterfacesList', () => {
         expect(screen.getByText('eth0')).toBeInTheDocument();
         expect(screen.getByText('Not configured')).toBeInTheDocument();
     });
+
+    test('shows the error details', () => {
+        const failedIface = {
+            ...interfaces[0],
+            status: 'error',
+            error: 'The device does not exist',
+            errorDetails: {
+                exitStatus: 155,
+                reason: 'no-device',
+                severity: 'error',
+                remediation: 'Check that the device is present',
+                stderr: 'eth0: no such device',
+                command: '/usr/sbin/wicked ifup eth0'
+            }
+        };
+
+        customRender(
+            <InterfacesList interfaces={[failedIface]} connections={connections} />,
+            { value: { connections, interfaces } }
+        );
+
+        const expandButton = screen.getByRole('button', { name: 'Details' });
+        userEvent.click(expandButton);
+        expect(screen.getByText('The device does not exist')).toBeInTheDocument();
+        expect(screen.getByText('Check that the device is present')).toBeVisible();
+
+        userEvent.click(screen.getByRole('button', { name: 'Error details' }));
+        expect(screen.getByText('eth0: no such device')).toBeVisible();
+        expect(screen.getByText('/usr/sbin/wicked ifup eth0')).toBeVisible();
+    });
 });
@@ -29,7 +29,7 @@ import { Toolbar, ToolbarContent, ToolbarItem } from '@patternfly/react-core';
 
 const InterfacesTab = () => {
     const dispatch = useNetworkDispatch();
-    const { interfaces, connections } = useNetworkState();
+    const { interfaces, connections, readOnly } = useNetworkState();
 
     useEffect(() => {
         fetchConnections(dispatch);
@@ -42,13 +42,14 @@ const InterfacesTab = () => {
 
     return (
         <>
-            <Toolbar id="interfaces-toolbar">
-                <ToolbarContent>
-                    <ToolbarItem alignment={{ default: 'alignRight' }}>
-                        <AddConnectionMenu />
-                    </ToolbarItem>
-                </ToolbarContent>
-            </Toolbar>
+            { !readOnly &&
+                <Toolbar id="interfaces-toolbar">
+                    <ToolbarContent>
+                        <ToolbarItem alignment={{ default: 'alignRight' }}>
+                            <AddConnectionMenu />
+                        </ToolbarItem>
+                    </ToolbarContent>
+                </Toolbar> }
             <InterfacesList interfaces={interfacesList} connections={connectionsList} />
         </>
     );
@@ -43,7 +43,7 @@ describe('InterfacesTab', () => {
     const getConnectionsMock = jest.fn(() => Promise.resolve([]));
     const getInterfacesMock = jest.fn(() => Promise.resolve([eth0]));
     const addConnectionMock = jest.fn(() => Promise.resolve(createConnection({ name: 'eth0' })));
-    const reloadConnectionMock = jest.fn(() => Promise.resolve(true));
+    const reloadConnectionsMock = jest.fn(names => Promise.resolve(names.map(name => ({ name }))));
     const eth0 = createInterface({ name: 'eth0', link: false });
 
     beforeAll(() => {
@@ -53,7 +53,7 @@ describe('InterfacesTab', () => {
                 getConnections: getConnectionsMock,
                 getInterfaces: getInterfacesMock,
                 addConnection: addConnectionMock,
-                reloadConnection: reloadConnectionMock,
+                reloadConnections: reloadConnectionsMock,
                 onInterfaceChange: jest.fn()
             };
         });
@@ -80,7 +80,7 @@ describe('InterfacesTab', () => {
 
     test('handles an error when configuring an interface', async () => {
         const error = new Error('Something went wrong');
-        reloadConnectionMock.mockImplementation(() => Promise.reject(error));
+        reloadConnectionsMock.mockImplementation(() => Promise.reject(error));
 
         act(() => {
             customRender(<InterfacesTab />, { value: { interfaces: {}, connections: {} } });
@@ -99,4 +99,18 @@ describe('InterfacesTab', () => {
         // notify the user about the problem
         expect(await screen.findByText(/Something went wrong/i)).toBeInTheDocument();
     });
+
+    test('does not allow changing the configuration when it is read-only', async () => {
+        act(() => {
+            customRender(<InterfacesTab />, { providerProps: { readOnly: true } });
+        });
+
+        expect(await screen.findByText('eth0')).toBeInTheDocument();
+        expect(screen.queryByRole('button', { name: 'Add' })).not.toBeInTheDocument();
+
+        const expandButton = screen.getByRole('button', { name: 'Details' });
+        userEvent.click(expandButton);
+        expect(screen.getByText('Not configured')).toBeInTheDocument();
+        expect(screen.queryByRole('link', { name: 'Not configured' })).not.toBeInTheDocument();
+    });
 });
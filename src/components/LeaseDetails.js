@@ -0,0 +1,126 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import React, { useState } from 'react';
+import cockpit from 'cockpit';
+import { Button } from '@patternfly/react-core';
+import { useNetworkDispatch, useNetworkState, fetchLeases, renewLeases } from '../context/network';
+
+const _ = cockpit.gettext;
+
+const FAMILY_LABELS = {
+    ipv4: 'IPv4',
+    ipv6: 'IPv6'
+};
+
+const formatTime = (seconds) => {
+    if (seconds === undefined) return;
+
+    return cockpit.format(_("$0 seconds"), seconds);
+};
+
+const formatList = (values) => values.join(", ");
+
+const detail = (label, value) => {
+    if (value === undefined || value === "") return;
+
+    return (
+        <>
+            <dt>{label}</dt>
+            <dd>{value}</dd>
+        </>
+    );
+};
+
+const identityAssociation = (ia, index) => {
+    const label = (ia.type === 'pd') ? _("Prefix delegation") : _("Addresses");
+    const addresses = ia.addresses.map(a => a.local);
+
+    return (
+        <React.Fragment key={index}>
+            {detail(cockpit.format("$0 (IAID $1)", label, ia.iaid), formatList(addresses))}
+            {detail(_("Renewal (T1)"), formatTime(ia.renewalTime))}
+            {detail(_("Rebind (T2)"), formatTime(ia.rebindTime))}
+        </React.Fragment>
+    );
+};
+
+const leaseDetails = (lease, index) => {
+    const title = `${FAMILY_LABELS[lease.family] || lease.family} ${lease.type.toUpperCase()}`;
+
+    return (
+        <dl className="details-list" key={index}>
+            {detail(title, lease.state)}
+            {detail(_("Server"), lease.serverAddress)}
+            {detail(_("Address"), formatList(lease.addresses))}
+            {detail(_("Lease time"), formatTime(lease.leaseTime))}
+            {detail(_("Renewal"), formatTime(lease.renewalTime))}
+            {detail(_("Rebind"), formatTime(lease.rebindTime))}
+            {detail(_("Gateway"), formatList(lease.gateways))}
+            {detail(_("DNS"), formatList(lease.dnsServers))}
+            {detail(_("NTP"), formatList(lease.ntpServers))}
+            {detail(_("Domain"), lease.domain)}
+            {lease.identityAssociations.map(identityAssociation)}
+        </dl>
+    );
+};
+
+const LeaseDetails = ({ iface, connection }) => {
+    const [isLoading, setIsLoading] = useState(false);
+    const dispatch = useNetworkDispatch();
+    const { readOnly } = useNetworkState();
+    const { leases } = iface;
+
+    const showLeases = (e) => {
+        e.preventDefault();
+        setIsLoading(true);
+        fetchLeases(dispatch, iface.name).finally(() => setIsLoading(false));
+    };
+
+    const renew = () => {
+        setIsLoading(true);
+        renewLeases(dispatch, connection).finally(() => setIsLoading(false));
+    };
+
+    if (!leases) {
+        if (isLoading) return _("Loading...");
+
+        return <a href="#" onClick={showLeases}>{_("Show leases")}</a>;
+    }
+
+    return (
+        <>
+            { leases.length === 0 ? _("No leases") : leases.map(leaseDetails) }
+            { !readOnly &&
+                <>
+                    <Button variant="secondary" isSmall onClick={renew} isDisabled={isLoading}>
+                        {_("Renew")}
+                    </Button>
+                    {' '}
+                </> }
+            <Button variant="link" isInline onClick={showLeases} isDisabled={isLoading}>
+                {_("Refresh")}
+            </Button>
+        </>
+    );
+};
+
+export default LeaseDetails;
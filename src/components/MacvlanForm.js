@@ -0,0 +1,158 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import React, { useState, useEffect } from 'react';
+import cockpit from 'cockpit';
+import {
+    FormGroup,
+    FormSelect,
+    FormSelectOption,
+    TextInput,
+} from '@patternfly/react-core';
+import { useNetworkDispatch, useNetworkState, addConnection, updateConnection } from '../context/network';
+import interfaceType from '../lib/model/interfaceType';
+import macvlanMode from '../lib/model/macvlanMode';
+import { freeInterfaceName } from '../lib/utils';
+import ModalForm from './ModalForm';
+
+const _ = cockpit.gettext;
+
+/**
+ * Form to add or edit a MACVLAN or a MACVTAP interface
+ *
+ * @param {object} props - component props
+ * @param {boolean} props.isOpen - whether the form is open
+ * @param {function} props.onClose - callback to be triggered when the form is closed
+ * @param {Connection} [props.connection] - connection to edit
+ */
+const MacvlanForm = ({ isOpen, onClose, connection }) => {
+    const { macvlan } = connection || {};
+    const isEditing = !!connection;
+    const [type, setType] = useState(connection?.type || interfaceType.MACVLAN);
+    const [name, setName] = useState(connection?.name);
+    const [parentDevice, setParentDevice] = useState(macvlan?.parentDevice);
+    const [mode, setMode] = useState(macvlan?.mode || macvlanMode.VEPA);
+    const [candidateInterfaces, setCandidateInterfaces] = useState([]);
+    const { interfaces } = useNetworkState();
+    const dispatch = useNetworkDispatch();
+    const [suggestName, setSuggestName] = useState(!isEditing);
+
+    useEffect(() => {
+        setCandidateInterfaces(Object.values(interfaces).filter(i => !interfaceType.isMacvlan(i.type)));
+        if (!parentDevice) setParentDevice(Object.values(interfaces)[0]?.name);
+    }, [interfaces, parentDevice]);
+
+    useEffect(() => {
+        if (!suggestName) return;
+
+        setName(freeInterfaceName(type, Object.values(interfaces).map(i => i.name)));
+    }, [suggestName, type, interfaces]);
+
+    const addOrUpdateConnection = () => {
+        if (isEditing) {
+            updateConnection(dispatch, connection, { macvlan: { parentDevice, mode } });
+        } else {
+            addConnection(dispatch, { name, type, macvlan: { parentDevice, mode } });
+        }
+        onClose();
+    };
+
+    const isIncomplete = () => {
+        if (name === "") return true;
+        if (parentDevice === "") return true;
+
+        return false;
+    };
+
+    const updateName = (value) => {
+        setName(value);
+        setSuggestName(false);
+    };
+
+    if (!parentDevice) return null;
+
+    return (
+        <ModalForm
+            caption={connection?.name}
+            title={isEditing ? cockpit.format(_("Edit $0"), interfaceType.label(type)) : _("Add MACVLAN")}
+            isOpen={isOpen}
+            onCancel={onClose}
+            onSubmit={addOrUpdateConnection}
+            onSubmitLabel={isEditing ? _("Change") : _("Add")}
+            onSubmitDisable={isIncomplete()}
+        >
+            { !isEditing &&
+                <FormGroup
+                    label={_("Type")}
+                    isRequired
+                    fieldId="macvlan-type"
+                    helperText={_("A MACVTAP interface also offers a character device, which is usually used by virtual machines")}
+                >
+                    <FormSelect value={type} onChange={setType} id="macvlan-type">
+                        {interfaceType.macvlanTypes.map(value => (
+                            <FormSelectOption key={value} value={value} label={interfaceType.label(value)} />
+                        ))}
+                    </FormSelect>
+                </FormGroup> }
+
+            <FormGroup
+                label={_("Parent")}
+                isRequired
+                fieldId="parentDevice"
+            >
+                <FormSelect value={parentDevice} onChange={setParentDevice} id="parentDevice">
+                    {candidateInterfaces.map(({ name }) => (
+                        <FormSelectOption key={name} value={name} label={name} />
+                    ))}
+                </FormSelect>
+            </FormGroup>
+
+            <FormGroup
+                label={_("Mode")}
+                isRequired
+                fieldId="macvlan-mode"
+            >
+                <FormSelect value={mode} onChange={setMode} id="macvlan-mode">
+                    {macvlanMode.values.map(value => (
+                        <FormSelectOption key={value} value={value} label={macvlanMode.label(value)} />
+                    ))}
+                </FormSelect>
+            </FormGroup>
+
+            <FormGroup
+                label={_("Name")}
+                isRequired
+                fieldId="interface-name"
+                helperText={_("Please, provide the interface name (e.g., macvlan0)")}
+            >
+                <TextInput
+                    isRequired
+                    id="interface-name"
+                    value={name}
+                    onChange={updateName}
+                    isDisabled={isEditing}
+                />
+            </FormGroup>
+        </ModalForm>
+    );
+};
+
+export default MacvlanForm;
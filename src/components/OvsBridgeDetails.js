@@ -0,0 +1,59 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import React, { useState } from 'react';
+import OvsBridgeForm from './OvsBridgeForm';
+import EditLink from './EditLink';
+import cockpit from 'cockpit';
+
+const _ = cockpit.gettext;
+
+const OvsBridgeDetails = ({ connection }) => {
+    const [isFormOpen, setFormOpen] = useState(false);
+    const { ovsBridge } = connection;
+
+    const renderLinkDetails = () => {
+        return (
+            <EditLink onClick={() => setFormOpen(true)}>
+                <ul>
+                    <li>
+                        {_("Ports:")} {ovsBridge.ports.length > 0 ? ovsBridge.ports.join(", ") : _("None")}
+                    </li>
+                    { ovsBridge.vlanParent &&
+                        <li>
+                            {_("VLAN:")} {cockpit.format(_("$0 on $1"), ovsBridge.vlanTag, ovsBridge.vlanParent)}
+                        </li> }
+                </ul>
+            </EditLink>
+        );
+    };
+
+    return (
+        <>
+            { ovsBridge
+                ? renderLinkDetails()
+                : <EditLink onClick={() => setFormOpen(true)}>{_("Configure")}</EditLink>}
+            { isFormOpen && <OvsBridgeForm isOpen={isFormOpen} connection={connection} onClose={() => setFormOpen(false)} /> }
+        </>
+    );
+};
+
+export default OvsBridgeDetails;
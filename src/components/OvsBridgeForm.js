@@ -0,0 +1,245 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+    Alert,
+    Checkbox,
+    FormGroup,
+    FormSelect,
+    FormSelectOption,
+    TextInput
+} from '@patternfly/react-core';
+import cockpit from 'cockpit';
+import { useNetworkDispatch, useNetworkState, addConnection, updateConnection } from '../context/network';
+import interfaceType from '../lib/model/interfaceType';
+import ModalForm from './ModalForm';
+
+const _ = cockpit.gettext;
+
+/**
+ * Form to add or edit an Open vSwitch bridge
+ *
+ * When a VLAN parent is given, the bridge is a fake bridge which carries the traffic of that
+ * VLAN over the parent bridge.
+ *
+ * @param {object} props - component props
+ * @param {boolean} props.isOpen - whether the form is open
+ * @param {function} props.onClose - callback to be triggered when the form is closed
+ * @param {Connection} [props.connection] - connection to edit
+ */
+const OvsBridgeForm = ({ isOpen, onClose, connection }) => {
+    const { ovsBridge } = connection || {};
+    const isEditing = !!connection;
+    const [name, setName] = useState(connection?.name || "");
+    const [selectedPorts, setSelectedPorts] = useState(ovsBridge?.ports || []);
+    const [isFakeBridge, setFakeBridge] = useState(!!ovsBridge?.vlanParent);
+    const [vlanParent, setVlanParent] = useState(ovsBridge?.vlanParent);
+    const [vlanTag, setVlanTag] = useState(ovsBridge?.vlanTag?.toString() || "");
+    const [candidatePorts, setCandidatePorts] = useState([]);
+    const [errors, setErrors] = useState([]);
+    const { interfaces, connections } = useNetworkState();
+    const dispatch = useNetworkDispatch();
+
+    useEffect(() => {
+        if (isEditing) {
+            setCandidatePorts(Object.values(interfaces).filter(i => i.name !== connection.name));
+        } else {
+            setCandidatePorts(Object.values(interfaces));
+        }
+    }, [connection, isEditing, interfaces]);
+
+    // only the bridges which are not fake bridges can be used as parents
+    const candidateParents = Object.values(connections).filter(c => (
+        c.type === interfaceType.OVS_BRIDGE && !c.ovsBridge?.vlanParent && c.name !== connection?.name
+    ));
+
+    useEffect(() => {
+        if (!vlanParent && candidateParents.length > 0) setVlanParent(candidateParents[0].name);
+    }, [vlanParent, candidateParents]);
+
+    /**
+     * Performs the form validations
+     *
+     * @return {boolean} true when the bridge is valid; false otherwise
+     */
+    const validate = () => {
+        const errors = [];
+        const tag = parseInt(vlanTag, 10);
+
+        if (isFakeBridge && !(/^\d+$/.test(vlanTag) && tag >= 1 && tag <= 4094)) {
+            errors.push({
+                key: 'invalid-vlan-tag',
+                message: _("The VLAN tag must be a number between 1 and 4094.")
+            });
+        }
+
+        setErrors(errors);
+
+        return errors.length === 0;
+    };
+
+    const buildOvsBridgeData = () => {
+        return {
+            ports: selectedPorts,
+            vlanParent: isFakeBridge ? vlanParent : undefined,
+            vlanTag: isFakeBridge ? parseInt(vlanTag, 10) : undefined
+        };
+    };
+
+    const addOrUpdateConnection = () => {
+        if (!validate()) return;
+
+        if (isEditing) {
+            updateConnection(dispatch, connection, { name, ovsBridge: buildOvsBridgeData() });
+        } else {
+            addConnection(
+                dispatch, { name, type: interfaceType.OVS_BRIDGE, ovsBridge: buildOvsBridgeData() }
+            );
+        }
+        onClose();
+    };
+
+    const handleSelectedPorts = (name) => (value) => {
+        if (value) {
+            setSelectedPorts([...selectedPorts, name]);
+        } else {
+            setSelectedPorts(selectedPorts.filter(i => i !== name));
+        }
+    };
+
+    const isIncomplete = () => {
+        if (name === "") return true;
+        if (isFakeBridge && (!vlanParent || vlanTag === "")) return true;
+
+        return false;
+    };
+
+    /**
+     * Renders error messages in an Patternfly/Alert component, if any
+     */
+    const renderErrors = () => {
+        if (errors.length === 0) return null;
+
+        return (
+            <Alert
+              isInline
+              variant="danger"
+              aria-live="polite"
+              title={_("Bridge is not valid, please check it.")}
+            >
+                {errors.map(({ key, message }) => <p key={key}>{message}</p>)}
+            </Alert>
+        );
+    };
+
+    const renderVlanSettings = () => {
+        if (!isFakeBridge) return null;
+
+        return (
+            <>
+                <FormGroup
+                    label={_("VLAN Parent")}
+                    isRequired
+                    fieldId="ovs-bridge-vlan-parent"
+                >
+                    <FormSelect value={vlanParent} onChange={setVlanParent} id="ovs-bridge-vlan-parent">
+                        {candidateParents.map(({ name }) => (
+                            <FormSelectOption key={name} value={name} label={name} />
+                        ))}
+                    </FormSelect>
+                </FormGroup>
+
+                <FormGroup
+                    label={_("VLAN Tag")}
+                    isRequired
+                    fieldId="ovs-bridge-vlan-tag"
+                >
+                    <TextInput
+                        isRequired
+                        type="number"
+                        id="ovs-bridge-vlan-tag"
+                        value={vlanTag}
+                        onChange={setVlanTag}
+                    />
+                </FormGroup>
+            </>
+        );
+    };
+
+    return (
+        <ModalForm
+            caption={connection?.name}
+            title={isEditing ? _("Edit Open vSwitch Bridge") : _("Add Open vSwitch Bridge")}
+            isOpen={isOpen}
+            onCancel={onClose}
+            onSubmit={addOrUpdateConnection}
+            onSubmitLabel={isEditing ? _("Change") : _("Add")}
+            onSubmitDisable={isIncomplete()}
+        >
+            {renderErrors()}
+
+            <FormGroup
+                label={_("Name")}
+                isRequired
+                fieldId="interface-name"
+                helperText={_("Please, provide the interface name (e.g., ovsbr0)")}
+            >
+                <TextInput
+                    isRequired
+                    isDisabled={isEditing}
+                    id="interface-name"
+                    value={name}
+                    onChange={setName}
+                />
+            </FormGroup>
+
+            <FormGroup
+                label={_("Ports")}
+                helperText={_("Virtual machines can add their own ports when they are started")}
+            >
+                {candidatePorts.map(({ name }) => (
+                    <Checkbox
+                        id={`ovs-bridge-port-${name}`}
+                        label={name}
+                        key={name}
+                        isChecked={selectedPorts.includes(name)}
+                        onChange={handleSelectedPorts(name)}
+                    />
+                ))}
+            </FormGroup>
+
+            <FormGroup fieldId="ovs-bridge-fake">
+                <Checkbox
+                    id="ovs-bridge-fake"
+                    label={_("Fake bridge carrying a VLAN of another bridge")}
+                    isChecked={isFakeBridge}
+                    isDisabled={candidateParents.length === 0}
+                    onChange={setFakeBridge}
+                />
+            </FormGroup>
+
+            {renderVlanSettings()}
+        </ModalForm>
+    );
+};
+
+export default OvsBridgeForm;
@@ -0,0 +1,181 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import React, { useEffect, useState } from 'react';
+import cockpit from 'cockpit';
+
+import {
+    ActionGroup,
+    Alert,
+    Button,
+    Drawer,
+    DrawerActions,
+    DrawerCloseButton,
+    DrawerContent,
+    DrawerContentBody,
+    DrawerHead,
+    DrawerPanelBody,
+    DrawerPanelContent,
+    List,
+    ListComponent,
+    ListItem,
+    OrderType,
+    Spinner,
+    Switch,
+    Title,
+    Toolbar,
+    ToolbarContent,
+    ToolbarItem
+} from '@patternfly/react-core';
+
+import {
+    useNetworkDispatch,
+    useNetworkState,
+    setStaging,
+    fetchPendingChangesDiff,
+    applyPendingChanges,
+    discardPendingChanges
+} from '../context/network';
+
+const _ = cockpit.gettext;
+
+/**
+ * Drawer to review the staged changes and apply or discard them
+ *
+ * It also offers a switch to enable the staging. It cannot be disabled while there are pending
+ * changes.
+ *
+ * @param {object} props - component props
+ * @param {JSX.Element} props.children - content shown next to the drawer
+ */
+const PendingChanges = ({ children }) => {
+    const dispatch = useNetworkDispatch();
+    const { staging, readOnly } = useNetworkState();
+    const [isExpanded, setExpanded] = useState(false);
+    const [isApplying, setApplying] = useState(false);
+    const [diff, setDiff] = useState();
+    const [diffError, setDiffError] = useState();
+    const [error, setError] = useState();
+    const { enabled, changes } = staging;
+
+    useEffect(() => {
+        if (!isExpanded || changes.length === 0) return;
+
+        setDiff(undefined);
+        setDiffError(undefined);
+        fetchPendingChangesDiff()
+                .then(setDiff)
+                .catch(err => setDiffError(err.message));
+    }, [isExpanded, changes]);
+
+    useEffect(() => {
+        if (changes.length === 0) setExpanded(false);
+    }, [changes]);
+
+    if (readOnly) return children;
+
+    const apply = () => {
+        setApplying(true);
+        setError(undefined);
+        applyPendingChanges(dispatch)
+                .catch(err => setError(err.message))
+                .finally(() => setApplying(false));
+    };
+
+    const discard = () => {
+        setError(undefined);
+        discardPendingChanges(dispatch);
+    };
+
+    const renderDiff = () => {
+        if (diffError) {
+            return <Alert isInline variant="warning" title={_("The changes could not be previewed")}>{diffError}</Alert>;
+        }
+
+        if (diff === undefined) return <Spinner size="lg" />;
+
+        return <pre className="snapshot-diff">{diff}</pre>;
+    };
+
+    const panel = (
+        <DrawerPanelContent widths={{ default: 'width_50' }}>
+            <DrawerHead>
+                <Title headingLevel="h2">{_("Pending changes")}</Title>
+                <DrawerActions>
+                    <DrawerCloseButton onClick={() => setExpanded(false)} />
+                </DrawerActions>
+            </DrawerHead>
+            <DrawerPanelBody>
+                { error &&
+                    <Alert isInline variant="danger" title={_("The changes could not be applied")}>
+                        {error}
+                    </Alert> }
+                <List component={ListComponent.ol} type={OrderType.number}>
+                    { changes.map(change => <ListItem key={change.id}>{change.description}</ListItem>) }
+                </List>
+                { renderDiff() }
+                <ActionGroup>
+                    <Button variant="primary" onClick={apply} isDisabled={isApplying}>
+                        {_("Apply")}
+                    </Button>
+                    <Button variant="link" onClick={discard} isDisabled={isApplying}>
+                        {_("Discard")}
+                    </Button>
+                </ActionGroup>
+            </DrawerPanelBody>
+        </DrawerPanelContent>
+    );
+
+    return (
+        <>
+            <Toolbar id="staging-toolbar">
+                <ToolbarContent>
+                    <ToolbarItem>
+                        <Switch
+                          id="staging-switch"
+                          label={_("Review the changes before applying them")}
+                          isChecked={enabled}
+                          isDisabled={changes.length > 0}
+                          onChange={checked => setStaging(dispatch, checked)}
+                        />
+                    </ToolbarItem>
+                    { enabled &&
+                        <ToolbarItem alignment={{ default: 'alignRight' }}>
+                            <Button
+                              variant="secondary"
+                              onClick={() => setExpanded(!isExpanded)}
+                              isDisabled={changes.length === 0}
+                            >
+                                {cockpit.format(_("Pending changes ($0)"), changes.length)}
+                            </Button>
+                        </ToolbarItem> }
+                </ToolbarContent>
+            </Toolbar>
+            <Drawer isExpanded={isExpanded}>
+                <DrawerContent panelContent={panel}>
+                    <DrawerContentBody>{children}</DrawerContentBody>
+                </DrawerContent>
+            </Drawer>
+        </>
+    );
+};
+
+export default PendingChanges;
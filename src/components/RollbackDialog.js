@@ -0,0 +1,130 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import React, { useEffect, useState } from 'react';
+import cockpit from 'cockpit';
+
+import {
+    ActionGroup,
+    Alert,
+    Button,
+    Modal,
+    ModalVariant,
+    Text,
+    Title
+} from '@patternfly/react-core';
+
+import {
+    useNetworkDispatch,
+    useNetworkState,
+    confirmChanges,
+    rollbackChanges,
+    expireRollback
+} from '../context/network';
+
+const _ = cockpit.gettext;
+
+/**
+ * Returns the number of seconds until the given time
+ *
+ * @param {number} deadline - Time in milliseconds since the epoch
+ * @return {number}
+ */
+const secondsUntil = (deadline) => Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+
+/**
+ * Dialog shown after applying a change with rollback
+ *
+ * It counts down the seconds until the host restores the previous configuration. Keeping the
+ * changes only works if the host can still be reached.
+ */
+const RollbackDialog = () => {
+    const { rollback } = useNetworkState();
+    const dispatch = useNetworkDispatch();
+    const [remaining, setRemaining] = useState();
+    const [isConfirming, setConfirming] = useState(false);
+    const [unreachable, setUnreachable] = useState(false);
+
+    useEffect(() => {
+        if (!rollback) return;
+
+        setRemaining(secondsUntil(rollback.deadline));
+        setUnreachable(false);
+        const interval = setInterval(() => setRemaining(secondsUntil(rollback.deadline)), 1000);
+        return () => clearInterval(interval);
+    }, [rollback]);
+
+    if (!rollback) return null;
+
+    const keepChanges = () => {
+        setConfirming(true);
+        confirmChanges(dispatch, rollback)
+                .catch(() => setUnreachable(true))
+                .finally(() => setConfirming(false));
+    };
+
+    const revert = () => rollbackChanges(dispatch, rollback).catch(console.error);
+
+    const expired = remaining === 0;
+
+    const actions = expired
+        ? [
+            <Button key="close" variant="primary" onClick={() => expireRollback(dispatch)}>
+                {_("Close")}
+            </Button>
+        ]
+        : [
+            <Button key="keep" variant="primary" onClick={keepChanges} isDisabled={isConfirming}>
+                {_("Keep changes")}
+            </Button>,
+            <Button key="revert" variant="link" onClick={revert} isDisabled={isConfirming}>
+                {_("Roll back now")}
+            </Button>
+        ];
+
+    return (
+        <Modal
+            aria-label={_("Confirm the changes")}
+            variant={ModalVariant.small}
+            isOpen
+            showClose={false}
+            header={<Title headingLevel="h1">{_("Confirm the changes")}</Title>}
+            footer={<ActionGroup>{actions}</ActionGroup>}
+        >
+            { unreachable && !expired &&
+                <Alert
+                    isInline
+                    variant="danger"
+                    title={_("The host could not be reached, so the previous configuration will be restored")}
+                /> }
+            <Text>
+                { expired
+                    ? _("The changes were not confirmed, so the previous configuration has been restored.")
+                    : cockpit.format(
+                        _("The previous configuration will be restored in $0 seconds unless you keep the changes."),
+                        remaining
+                    ) }
+            </Text>
+        </Modal>
+    );
+};
+
+export default RollbackDialog;
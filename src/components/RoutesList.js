@@ -23,7 +23,7 @@ import cockpit from "cockpit";
 import React, { useState, useEffect } from 'react';
 import { Card, CardBody } from '@patternfly/react-core';
 import { Table, TableHeader, TableBody, TableVariant } from '@patternfly/react-table';
-import { useNetworkDispatch, deleteRoute } from '../context/network';
+import { useNetworkDispatch, useNetworkState, deleteRoute } from '../context/network';
 import RouteForm from './RouteForm';
 
 const _ = cockpit.gettext;
@@ -44,6 +44,7 @@ const RoutesList = ({ routes }) => {
     const [isFormOpen, setFormOpen] = useState(false);
     const [rows, setRows] = useState([]);
     const dispatch = useNetworkDispatch();
+    const { readOnly } = useNetworkState();
     const [route, setRoute] = useState();
 
     const editRoute = (event, rowId) => {
@@ -82,7 +83,7 @@ const RoutesList = ({ routes }) => {
                     variant={TableVariant.compact}
                     cells={columns}
                     rows={rows}
-                    actions={actions}
+                    actions={readOnly ? undefined : actions}
                     >
                         <TableHeader />
                         <TableBody />
@@ -27,7 +27,7 @@ import AddRoute from './AddRoute';
 
 const RoutingTab = () => {
     const dispatch = useNetworkDispatch();
-    const { routes } = useNetworkState();
+    const { routes, readOnly } = useNetworkState();
 
     useEffect(() => { fetchRoutes(dispatch) }, [dispatch]);
 
@@ -35,13 +35,14 @@ const RoutingTab = () => {
 
     return (
         <>
-            <Toolbar id="routing-toolbar">
-                <ToolbarContent>
-                    <ToolbarItem alignment={{ default: 'alignRight' }}>
-                        <AddRoute />
-                    </ToolbarItem>
-                </ToolbarContent>
-            </Toolbar>
+            { !readOnly &&
+                <Toolbar id="routing-toolbar">
+                    <ToolbarContent>
+                        <ToolbarItem alignment={{ default: 'alignRight' }}>
+                            <AddRoute />
+                        </ToolbarItem>
+                    </ToolbarContent>
+                </Toolbar> }
             <Card>
                 <CardBody>
                     <RoutesList routes={routesList} />
@@ -0,0 +1,69 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import React, { useEffect, useState } from 'react';
+import cockpit from 'cockpit';
+import { Alert, Modal, ModalVariant, Spinner, Text } from '@patternfly/react-core';
+import { fetchSnapshotDiff } from '../context/network';
+
+const _ = cockpit.gettext;
+
+/**
+ * Shows the differences between a snapshot and the current configuration
+ *
+ * @param {object} props - component props
+ * @param {Snapshot} props.snapshot - Snapshot to compare
+ * @param {function} props.onClose - callback to be triggered when the dialog is closed
+ */
+const SnapshotDiff = ({ snapshot, onClose }) => {
+    const [diff, setDiff] = useState();
+    const [error, setError] = useState();
+
+    useEffect(() => {
+        fetchSnapshotDiff(snapshot.id)
+                .then(setDiff)
+                .catch(err => setError(err.message));
+    }, [snapshot]);
+
+    const renderContent = () => {
+        if (error) {
+            return <Alert isInline variant="danger" title={_("The snapshot could not be compared")}>{error}</Alert>;
+        }
+
+        if (diff === undefined) return <Spinner size="lg" />;
+        if (diff.trim() === "") return <Text>{_("The configuration did not change since the snapshot was taken")}</Text>;
+
+        return <pre className="snapshot-diff">{diff}</pre>;
+    };
+
+    return (
+        <Modal
+            title={cockpit.format(_("Changes since $0"), snapshot.date.toLocaleString())}
+            variant={ModalVariant.large}
+            isOpen
+            onClose={onClose}
+        >
+            {renderContent()}
+        </Modal>
+    );
+};
+
+export default SnapshotDiff;
@@ -0,0 +1,70 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import React, { useState } from 'react';
+import cockpit from 'cockpit';
+import { Alert, FormGroup, TextInput } from '@patternfly/react-core';
+import { useNetworkDispatch, createSnapshot } from '../context/network';
+import ModalForm from './ModalForm';
+
+const _ = cockpit.gettext;
+
+const SnapshotForm = ({ isOpen, onClose }) => {
+    const dispatch = useNetworkDispatch();
+    const [comment, setComment] = useState("");
+    const [isSaving, setSaving] = useState(false);
+    const [error, setError] = useState();
+
+    const handleSubmit = () => {
+        setSaving(true);
+        createSnapshot(dispatch, comment.trim())
+                .then(onClose)
+                .catch(err => {
+                    setError(err.message);
+                    setSaving(false);
+                });
+    };
+
+    return (
+        <ModalForm
+            title={_("Create snapshot")}
+            isOpen={isOpen}
+            onCancel={onClose}
+            onSubmit={handleSubmit}
+            onSubmitDisable={isSaving}
+            onSubmitLabel={_("Create")}
+        >
+            { error &&
+                <Alert isInline variant="danger" title={_("The snapshot could not be created")}>
+                    {error}
+                </Alert> }
+            <FormGroup
+                label={_("Comment")}
+                fieldId="snapshot-comment"
+                helperText={_("Describe why the snapshot is taken (e.g., 'Before setting up the bond')")}
+            >
+                <TextInput id="snapshot-comment" value={comment} onChange={setComment} />
+            </FormGroup>
+        </ModalForm>
+    );
+};
+
+export default SnapshotForm;
@@ -0,0 +1,150 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import cockpit from "cockpit";
+import React, { useEffect, useState } from 'react';
+import {
+    Alert,
+    AlertActionCloseButton,
+    Button,
+    Card,
+    CardBody,
+    Toolbar,
+    ToolbarContent,
+    ToolbarItem
+} from '@patternfly/react-core';
+import { Table, TableHeader, TableBody, TableVariant } from '@patternfly/react-table';
+import {
+    useNetworkDispatch, useNetworkState, fetchSnapshots, deleteSnapshot, restoreSnapshot
+} from '../context/network';
+import ModalConfirm from './ModalConfirm';
+import SnapshotDiff from './SnapshotDiff';
+import SnapshotForm from './SnapshotForm';
+
+const _ = cockpit.gettext;
+
+const columns = [
+    { title: _("Date") },
+    { title: _("Size") },
+    { title: _("Comment") },
+    ''
+];
+
+const SnapshotsTab = () => {
+    const dispatch = useNetworkDispatch();
+    const { snapshots, readOnly } = useNetworkState();
+    const [isFormOpen, setFormOpen] = useState(false);
+    const [comparing, setComparing] = useState();
+    const [restoring, setRestoring] = useState();
+    const [isRestoring, setIsRestoring] = useState(false);
+    const [error, setError] = useState();
+
+    useEffect(() => { fetchSnapshots(dispatch) }, [dispatch]);
+
+    const confirmRestore = () => {
+        const snapshot = restoring;
+        setRestoring(undefined);
+        setIsRestoring(true);
+        restoreSnapshot(dispatch, snapshot)
+                .catch(err => setError(err.message))
+                .finally(() => setIsRestoring(false));
+    };
+
+    const removeSnapshot = (event, rowId) => {
+        deleteSnapshot(dispatch, snapshots[rowId]).catch(err => setError(err.message));
+    };
+
+    const actions = [
+        {
+            title: _("Show changes"),
+            onClick: (event, rowId) => setComparing(snapshots[rowId])
+        }
+    ];
+
+    if (!readOnly) {
+        actions.push(
+            {
+                title: _("Restore"),
+                onClick: (event, rowId) => setRestoring(snapshots[rowId])
+            },
+            {
+                title: _("Delete"),
+                onClick: removeSnapshot
+            }
+        );
+    }
+
+    const rows = snapshots.map(snapshot => [
+        snapshot.date.toLocaleString(), cockpit.format_bytes(snapshot.size), snapshot.comment
+    ]);
+
+    return (
+        <>
+            { !readOnly &&
+                <Toolbar id="snapshots-toolbar">
+                    <ToolbarContent>
+                        <ToolbarItem alignment={{ default: 'alignRight' }}>
+                            <Button variant="secondary" onClick={() => setFormOpen(true)} isDisabled={isRestoring}>
+                                {_("Create snapshot")}
+                            </Button>
+                        </ToolbarItem>
+                    </ToolbarContent>
+                </Toolbar> }
+            { error &&
+                <Alert
+                    isInline
+                    variant="danger"
+                    title={error}
+                    actionClose={<AlertActionCloseButton onClose={() => setError(undefined)} />}
+                /> }
+            { isRestoring &&
+                <Alert isInline variant="info" title={_("Restoring the snapshot and reloading all the interfaces")} /> }
+            { isFormOpen && <SnapshotForm isOpen onClose={() => setFormOpen(false)} /> }
+            { comparing && <SnapshotDiff snapshot={comparing} onClose={() => setComparing(undefined)} /> }
+            { restoring &&
+                <ModalConfirm
+                    title={cockpit.format(_("Restore the snapshot from $0"), restoring.date.toLocaleString())}
+                    isOpen
+                    onCancel={() => setRestoring(undefined)}
+                    onConfirm={confirmRestore}
+                    onConfirmLabel={_("Restore")}
+                >
+                    {_("The current configuration files will be replaced with the ones from the snapshot and all the interfaces will be reloaded.")}
+                </ModalConfirm> }
+            <Card>
+                <CardBody>
+                    <Table
+                        aria-label={_("Snapshots")}
+                        variant={TableVariant.compact}
+                        cells={columns}
+                        rows={rows}
+                        actions={actions}
+                    >
+                        <TableHeader />
+                        <TableBody />
+                    </Table>
+                </CardBody>
+            </Card>
+        </>
+    );
+};
+
+export default SnapshotsTab;
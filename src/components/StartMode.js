@@ -25,6 +25,7 @@ import { FormSelect, FormSelectOption, ModalVariant } from '@patternfly/react-co
 import { useNetworkDispatch, addConnection, updateConnection } from '../context/network';
 import startModeEnum from '../lib/model/startMode';
 import ModalForm from './ModalForm';
+import EditLink from './EditLink';
 
 const _ = cockpit.gettext;
 
@@ -54,7 +55,7 @@ const StartMode = ({ connection }) => {
     const renderLink = () => {
         const label = connection.exists ? startModeEnum.label(connection.startMode) : _("Not configured");
 
-        return <a href="#" onClick={openForm}>{label}</a>;
+        return <EditLink onClick={openForm}>{label}</EditLink>;
     };
 
     const renderModalForm = () => {
@@ -0,0 +1,76 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import React, { useState } from 'react';
+import TeamForm from './TeamForm';
+import EditLink from './EditLink';
+import teamRunners from '../lib/model/teamRunner';
+import teamLinkWatches from '../lib/model/teamLinkWatch';
+import cockpit from 'cockpit';
+
+const _ = cockpit.gettext;
+
+const TeamDetails = ({ iface, connection }) => {
+    const [isFormOpen, setFormOpen] = useState(false);
+    const { team } = connection;
+
+    /**
+     * Returns the port name including its live state, when it is known
+     *
+     * @param {TeamPort} port - Configured port
+     */
+    const portLabel = ({ device }) => {
+        const live = iface?.ports.find(p => p.name === device);
+        if (!live) return device;
+
+        return cockpit.format(live.link ? _("$0 (up)") : _("$0 (down)"), device);
+    };
+
+    const renderLinkDetails = () => {
+        return (
+            <EditLink onClick={() => setFormOpen(true)}>
+                <ul>
+                    <li>
+                        {_("Runner:")} {teamRunners.label(team.runner)}
+                    </li>
+                    <li>
+                        {_("Ports:")} {team.ports.map(portLabel).join(', ')}
+                    </li>
+                    { team.linkWatches.length > 0 &&
+                        <li>
+                            {_("Link watchers:")} {team.linkWatches.map(w => teamLinkWatches.label(w.name)).join(', ')}
+                        </li> }
+                </ul>
+            </EditLink>
+        );
+    };
+
+    return (
+        <>
+            { team
+                ? renderLinkDetails()
+                : <EditLink onClick={() => setFormOpen(true)}>{_("Configure")}</EditLink>}
+            { isFormOpen && <TeamForm isOpen={isFormOpen} connection={connection} onClose={() => setFormOpen(false)} /> }
+        </>
+    );
+};
+
+export default TeamDetails;
@@ -0,0 +1,291 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import React, { useState, useEffect } from 'react';
+import cockpit from 'cockpit';
+import {
+    Checkbox,
+    FormGroup,
+    FormSelect,
+    FormSelectOption,
+    TextInput
+} from '@patternfly/react-core';
+import { useNetworkDispatch, useNetworkState, addConnection, updateConnection } from '../context/network';
+import interfaceType from '../lib/model/interfaceType';
+import teamRunners from '../lib/model/teamRunner';
+import teamLinkWatches from '../lib/model/teamLinkWatch';
+import ModalForm from './ModalForm';
+
+const _ = cockpit.gettext;
+
+const runnerOptions = teamRunners.values.map(runner => {
+    return { value: runner, label: teamRunners.label(runner) };
+});
+
+const linkWatchOptions = teamLinkWatches.values.map(watch => {
+    return { value: watch, label: teamLinkWatches.label(watch) };
+});
+
+/**
+ * Converts the value of a numeric input into an integer
+ *
+ * @param {string} value - Input value
+ * @return {number|undefined} The integer or undefined if the input is empty
+ */
+const toInteger = (value) => {
+    const number = parseInt(value, 10);
+    return isNaN(number) ? undefined : number;
+};
+
+/**
+ * Form to add or edit a team interface
+ *
+ * Only the first link watcher can be edited, the rest of them are kept untouched.
+ *
+ * @param {object} props - component props
+ * @param {boolean} props.isOpen - whether the form is open
+ * @param {function} props.onClose - callback to be triggered when the form is closed
+ * @param {Connection} [props.connection] - connection to edit
+ */
+const TeamForm = ({ isOpen, onClose, connection }) => {
+    const { team } = connection || {};
+    const isEditing = !!connection;
+    const [firstWatch, ...otherWatches] = team?.linkWatches || [];
+    const [name, setName] = useState(connection?.name || "");
+    const [runner, setRunner] = useState(team?.runner || teamRunners.ACTIVE_BACKUP);
+    const [lacpActive, setLacpActive] = useState(team?.lacp?.active ?? true);
+    const [lacpFastRate, setLacpFastRate] = useState(team?.lacp?.fastRate ?? false);
+    const [ports, setPorts] = useState(team?.ports || []);
+    const [linkWatch, setLinkWatch] = useState(firstWatch || { name: teamLinkWatches.ETHTOOL });
+    const [candidateInterfaces, setCandidateInterfaces] = useState([]);
+    const { interfaces } = useNetworkState();
+    const dispatch = useNetworkDispatch();
+
+    useEffect(() => {
+        if (isEditing) {
+            setCandidateInterfaces(Object.values(interfaces).filter(i => i.name !== connection.name));
+        } else {
+            setCandidateInterfaces(Object.values(interfaces));
+        }
+    }, [connection, isEditing, interfaces]);
+
+    const addOrUpdateConnection = () => {
+        const teamAttrs = {
+            name,
+            team: {
+                runner,
+                lacp: { active: lacpActive, fastRate: lacpFastRate },
+                ports,
+                linkWatches: [linkWatch, ...otherWatches]
+            }
+        };
+
+        if (isEditing) {
+            updateConnection(dispatch, connection, teamAttrs);
+        } else {
+            addConnection(dispatch, { ...teamAttrs, type: interfaceType.TEAM });
+        }
+        onClose();
+    };
+
+    const handleSelectedPort = (device) => (value) => {
+        if (value) {
+            setPorts([...ports, { device }]);
+        } else {
+            setPorts(ports.filter(p => p.device !== device));
+        }
+    };
+
+    const updatePort = (device, changes) => {
+        setPorts(ports.map(p => (p.device === device ? { ...p, ...changes } : p)));
+    };
+
+    const updateLinkWatchName = (value) => {
+        setLinkWatch({ name: value });
+    };
+
+    const updateLinkWatch = (changes) => {
+        setLinkWatch({ ...linkWatch, ...changes });
+    };
+
+    const isIncomplete = () => {
+        if (name === "" || ports.length === 0) return true;
+        if (teamLinkWatches.isPing(linkWatch.name) && !linkWatch.targetHost) return true;
+
+        return false;
+    };
+
+    /**
+     * Renders the priority and sticky settings of a port, which are used by the active backup
+     * runner
+     *
+     * @param {TeamPort} port - Port to render the settings for
+     */
+    const renderPortSettings = (port) => {
+        if (runner !== teamRunners.ACTIVE_BACKUP) return null;
+
+        return (
+            <>
+                <TextInput
+                    type="number"
+                    aria-label={cockpit.format(_("Priority of $0"), port.device)}
+                    placeholder={_("Priority")}
+                    value={port.prio ?? ""}
+                    onChange={(value) => updatePort(port.device, { prio: toInteger(value) })}
+                />
+                <Checkbox
+                    id={`team-port-sticky-${port.device}`}
+                    label={_("Sticky")}
+                    isChecked={port.sticky === true}
+                    onChange={(value) => updatePort(port.device, { sticky: value })}
+                />
+            </>
+        );
+    };
+
+    const renderLacpSettings = () => {
+        if (runner !== teamRunners.LACP) return null;
+
+        return (
+            <FormGroup label={_("LACP")} fieldId="team-lacp-active">
+                <Checkbox
+                    id="team-lacp-active"
+                    label={_("Send LACPDU frames actively")}
+                    isChecked={lacpActive}
+                    onChange={setLacpActive}
+                />
+                <Checkbox
+                    id="team-lacp-fast-rate"
+                    label={_("Ask the partner to send LACPDU frames every second")}
+                    isChecked={lacpFastRate}
+                    onChange={setLacpFastRate}
+                />
+            </FormGroup>
+        );
+    };
+
+    const renderPingSettings = () => {
+        if (!teamLinkWatches.isPing(linkWatch.name)) return null;
+
+        return (
+            <>
+                <FormGroup label={_("Target Host")} isRequired fieldId="team-lw-target-host">
+                    <TextInput
+                        isRequired
+                        id="team-lw-target-host"
+                        value={linkWatch.targetHost || ""}
+                        onChange={(value) => updateLinkWatch({ targetHost: value })}
+                    />
+                </FormGroup>
+                <FormGroup
+                    label={_("Interval")}
+                    fieldId="team-lw-interval"
+                    helperText={_("Interval between the probes (in milliseconds)")}
+                >
+                    <TextInput
+                        type="number"
+                        id="team-lw-interval"
+                        value={linkWatch.interval ?? ""}
+                        onChange={(value) => updateLinkWatch({ interval: toInteger(value) })}
+                    />
+                </FormGroup>
+            </>
+        );
+    };
+
+    return (
+        <ModalForm
+            caption={connection?.name}
+            title={isEditing ? _("Edit Team") : _("Add Team")}
+            isOpen={isOpen}
+            onCancel={onClose}
+            onSubmit={addOrUpdateConnection}
+            onSubmitDisable={isIncomplete()}
+            onSubmitLabel={isEditing ? _("Change") : _("Add")}
+        >
+            <FormGroup
+                label={_("Name")}
+                isRequired
+                fieldId="interface-name"
+                helperText={_("Please, provide the interface name (e.g., team0)")}
+            >
+                <TextInput
+                    isRequired
+                    isDisabled={isEditing}
+                    id="interface-name"
+                    value={name}
+                    onChange={setName}
+                />
+            </FormGroup>
+
+            <FormGroup
+                label={_("Runner")}
+                isRequired
+                fieldId="team-runner"
+            >
+                <FormSelect value={runner} onChange={setRunner} id="team-runner">
+                    {runnerOptions.map((option, index) => (
+                        <FormSelectOption key={index} {...option} />
+                    ))}
+                </FormSelect>
+            </FormGroup>
+
+            <FormGroup
+                label={_("Ports")}
+                isRequired
+            >
+                {candidateInterfaces.map(({ name }) => {
+                    const port = ports.find(p => p.device === name);
+
+                    return (
+                        <div className="team-port" key={name}>
+                            <Checkbox
+                                id={`team-port-${name}`}
+                                label={name}
+                                isChecked={!!port}
+                                onChange={handleSelectedPort(name)}
+                            />
+                            { port && renderPortSettings(port) }
+                        </div>
+                    );
+                })}
+            </FormGroup>
+
+            { renderLacpSettings() }
+
+            <FormGroup
+                label={_("Link Watcher")}
+                isRequired
+                fieldId="team-link-watch"
+            >
+                <FormSelect value={linkWatch.name} onChange={updateLinkWatchName} id="team-link-watch">
+                    {linkWatchOptions.map((option, index) => (
+                        <FormSelectOption key={index} {...option} />
+                    ))}
+                </FormSelect>
+            </FormGroup>
+
+            { renderPingSettings() }
+        </ModalForm>
+    );
+};
+
+export default TeamForm;
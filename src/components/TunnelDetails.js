@@ -0,0 +1,60 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import React, { useState } from 'react';
+import TunnelForm from './TunnelForm';
+import EditLink from './EditLink';
+import cockpit from 'cockpit';
+
+const _ = cockpit.gettext;
+
+const TunnelDetails = ({ connection }) => {
+    const [isFormOpen, setFormOpen] = useState(false);
+    const { tunnel } = connection;
+
+    const renderLinkDetails = () => {
+        return (
+            <EditLink onClick={() => setFormOpen(true)}>
+                <ul>
+                    <li>
+                        {_("Local:")} {tunnel.localAddress || _("Any")}
+                    </li>
+                    <li>
+                        {_("Remote:")} {tunnel.remoteAddress}
+                    </li>
+                    { tunnel.ttl !== undefined && <li>{_("TTL:")} {tunnel.ttl}</li> }
+                    { tunnel.parentDevice && <li>{_("Parent:")} {tunnel.parentDevice}</li> }
+                </ul>
+            </EditLink>
+        );
+    };
+
+    return (
+        <>
+            { tunnel
+                ? renderLinkDetails()
+                : <EditLink onClick={() => setFormOpen(true)}>{_("Configure")}</EditLink>}
+            { isFormOpen && <TunnelForm isOpen={isFormOpen} connection={connection} onClose={() => setFormOpen(false)} /> }
+        </>
+    );
+};
+
+export default TunnelDetails;
@@ -0,0 +1,226 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import React, { useState, useEffect } from 'react';
+import cockpit from 'cockpit';
+import {
+    Alert,
+    FormGroup,
+    FormSelect,
+    FormSelectOption,
+    TextInput,
+} from '@patternfly/react-core';
+import { useNetworkDispatch, useNetworkState, addConnection, updateConnection } from '../context/network';
+import interfaceType from '../lib/model/interfaceType';
+import { validateTunnel } from '../lib/model/tunnels';
+import { freeInterfaceName } from '../lib/utils';
+import ModalForm from './ModalForm';
+
+const _ = cockpit.gettext;
+
+/**
+ * Form to add or edit a tunnel (GRE, GRE-TAP, IPIP or SIT)
+ *
+ * @param {object} props - component props
+ * @param {boolean} props.isOpen - whether the form is open
+ * @param {function} props.onClose - callback to be triggered when the form is closed
+ * @param {Connection} [props.connection] - connection to edit
+ */
+const TunnelForm = ({ isOpen, onClose, connection }) => {
+    const { tunnel } = connection || {};
+    const isEditing = !!connection;
+    const [type, setType] = useState(connection?.type || interfaceType.GRE);
+    const [name, setName] = useState(connection?.name);
+    const [localAddress, setLocalAddress] = useState(tunnel?.localAddress || "");
+    const [remoteAddress, setRemoteAddress] = useState(tunnel?.remoteAddress || "");
+    const [ttl, setTtl] = useState(tunnel?.ttl?.toString() || "");
+    const [parentDevice, setParentDevice] = useState(tunnel?.parentDevice || "");
+    const [errors, setErrors] = useState([]);
+    const { interfaces } = useNetworkState();
+    const dispatch = useNetworkDispatch();
+    const [suggestName, setSuggestName] = useState(!isEditing);
+
+    useEffect(() => {
+        if (!suggestName) return;
+
+        setName(freeInterfaceName(type, Object.values(interfaces).map(i => i.name)));
+    }, [suggestName, type, interfaces]);
+
+    const candidateInterfaces = Object.values(interfaces).filter(i => !interfaceType.isTunnel(i.type));
+
+    /**
+     * Performs the form validations
+     *
+     * The endpoints must belong to the address family used by the tunnel type.
+     *
+     * @return {boolean} true when the tunnel is valid; false otherwise
+     */
+    const validate = () => {
+        const errors = validateTunnel(type, { localAddress, remoteAddress, ttl });
+        setErrors(errors);
+
+        return errors.length === 0;
+    };
+
+    const buildTunnelData = () => {
+        return {
+            localAddress: localAddress === "" ? undefined : localAddress,
+            remoteAddress,
+            ttl: ttl === "" ? undefined : parseInt(ttl, 10),
+            parentDevice: parentDevice === "" ? undefined : parentDevice
+        };
+    };
+
+    const addOrUpdateConnection = () => {
+        if (!validate()) return;
+
+        if (isEditing) {
+            updateConnection(dispatch, connection, { tunnel: buildTunnelData() });
+        } else {
+            addConnection(dispatch, { name, type, tunnel: buildTunnelData() });
+        }
+        onClose();
+    };
+
+    const isIncomplete = () => {
+        if (name === "") return true;
+        if (remoteAddress === "") return true;
+
+        return false;
+    };
+
+    const updateName = (value) => {
+        setName(value);
+        setSuggestName(false);
+    };
+
+    /**
+     * Renders error messages in an Patternfly/Alert component, if any
+     */
+    const renderErrors = () => {
+        if (errors.length === 0) return null;
+
+        return (
+            <Alert
+              isInline
+              variant="danger"
+              aria-live="polite"
+              title={_("Tunnel is not valid, please check it.")}
+            >
+                {errors.map(({ key, message }) => <p key={key}>{message}</p>)}
+            </Alert>
+        );
+    };
+
+    return (
+        <ModalForm
+            caption={connection?.name}
+            title={isEditing ? cockpit.format(_("Edit $0"), interfaceType.label(type)) : _("Add Tunnel")}
+            isOpen={isOpen}
+            onCancel={onClose}
+            onSubmit={addOrUpdateConnection}
+            onSubmitLabel={isEditing ? _("Change") : _("Add")}
+            onSubmitDisable={isIncomplete()}
+        >
+            {renderErrors()}
+
+            { !isEditing &&
+                <FormGroup
+                    label={_("Type")}
+                    isRequired
+                    fieldId="tunnel-type"
+                >
+                    <FormSelect value={type} onChange={setType} id="tunnel-type">
+                        {interfaceType.tunnelTypes.map(value => (
+                            <FormSelectOption key={value} value={value} label={interfaceType.label(value)} />
+                        ))}
+                    </FormSelect>
+                </FormGroup> }
+
+            <FormGroup
+                label={_("Local Address")}
+                fieldId="tunnel-local-address"
+                helperText={_("Leave it empty to use any local address")}
+            >
+                <TextInput
+                    id="tunnel-local-address"
+                    value={localAddress}
+                    onChange={setLocalAddress}
+                />
+            </FormGroup>
+
+            <FormGroup
+                label={_("Remote Address")}
+                isRequired
+                fieldId="tunnel-remote-address"
+            >
+                <TextInput
+                    isRequired
+                    id="tunnel-remote-address"
+                    value={remoteAddress}
+                    onChange={setRemoteAddress}
+                />
+            </FormGroup>
+
+            <FormGroup
+                label={_("TTL")}
+                fieldId="tunnel-ttl"
+                helperText={_("Leave it empty to inherit the TTL of the encapsulated packets")}
+            >
+                <TextInput
+                    id="tunnel-ttl"
+                    type="number"
+                    value={ttl}
+                    onChange={setTtl}
+                />
+            </FormGroup>
+
+            <FormGroup
+                label={_("Parent")}
+                fieldId="tunnel-parent-device"
+            >
+                <FormSelect value={parentDevice} onChange={setParentDevice} id="tunnel-parent-device">
+                    <FormSelectOption key="" value="" label={_("None")} />
+                    {candidateInterfaces.map(({ name }) => (
+                        <FormSelectOption key={name} value={name} label={name} />
+                    ))}
+                </FormSelect>
+            </FormGroup>
+
+            <FormGroup
+                label={_("Name")}
+                isRequired
+                fieldId="interface-name"
+                helperText={_("Please, provide the interface name (e.g., gre0)")}
+            >
+                <TextInput
+                    isRequired
+                    id="interface-name"
+                    value={name}
+                    onChange={updateName}
+                    isDisabled={isEditing}
+                />
+            </FormGroup>
+        </ModalForm>
+    );
+};
+
+export default TunnelForm;
@@ -0,0 +1,174 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import React, { useState, useEffect } from 'react';
+import cockpit from 'cockpit';
+import {
+    FormGroup,
+    FormSelect,
+    FormSelectOption,
+    TextInput,
+} from '@patternfly/react-core';
+import {
+    useNetworkDispatch,
+    useNetworkState,
+    addConnection,
+    updateConnection,
+    fetchUsers,
+    fetchGroups
+} from '../context/network';
+import interfaceType from '../lib/model/interfaceType';
+import { freeInterfaceName } from '../lib/utils';
+import ModalForm from './ModalForm';
+
+const _ = cockpit.gettext;
+
+/**
+ * Form to add or edit a persistent TUN or TAP device
+ *
+ * The owner and the group options are read from the host. The current values are offered even
+ * if they are not known by the host (e.g., numeric ids).
+ *
+ * @param {object} props - component props
+ * @param {boolean} props.isOpen - whether the form is open
+ * @param {function} props.onClose - callback to be triggered when the form is closed
+ * @param {Connection} [props.connection] - connection to edit
+ */
+const TuntapForm = ({ isOpen, onClose, connection }) => {
+    const { tuntap } = connection || {};
+    const isEditing = !!connection;
+    const [type, setType] = useState(connection?.type || interfaceType.TUN);
+    const [name, setName] = useState(connection?.name);
+    const [owner, setOwner] = useState(tuntap?.owner || "");
+    const [group, setGroup] = useState(tuntap?.group || "");
+    const [users, setUsers] = useState([]);
+    const [groups, setGroups] = useState([]);
+    const { interfaces } = useNetworkState();
+    const dispatch = useNetworkDispatch();
+    const [suggestName, setSuggestName] = useState(!isEditing);
+
+    useEffect(() => {
+        fetchUsers().then(setUsers)
+                .catch(console.error);
+        fetchGroups().then(setGroups)
+                .catch(console.error);
+    }, []);
+
+    useEffect(() => {
+        if (!suggestName) return;
+
+        setName(freeInterfaceName(type, Object.values(interfaces).map(i => i.name)));
+    }, [suggestName, type, interfaces]);
+
+    const addOrUpdateConnection = () => {
+        const settings = { owner: owner || undefined, group: group || undefined };
+
+        if (isEditing) {
+            updateConnection(dispatch, connection, { tuntap: settings });
+        } else {
+            addConnection(dispatch, { name, type, tuntap: settings });
+        }
+        onClose();
+    };
+
+    const updateName = (value) => {
+        setName(value);
+        setSuggestName(false);
+    };
+
+    /**
+     * Renders the options of a select, including the current value when it is not in the list
+     *
+     * @param {Array<string>} names - Names read from the host
+     * @param {string} current - Current value
+     */
+    const renderOptions = (names, current) => {
+        const all = (current && !names.includes(current)) ? [current, ...names] : names;
+
+        return [
+            <FormSelectOption key="" value="" label={_("Not set")} />,
+            ...all.map(name => <FormSelectOption key={name} value={name} label={name} />)
+        ];
+    };
+
+    return (
+        <ModalForm
+            caption={connection?.name}
+            title={isEditing ? cockpit.format(_("Edit $0"), interfaceType.label(type)) : _("Add TUN/TAP")}
+            isOpen={isOpen}
+            onCancel={onClose}
+            onSubmit={addOrUpdateConnection}
+            onSubmitLabel={isEditing ? _("Change") : _("Add")}
+            onSubmitDisable={name === ""}
+        >
+            { !isEditing &&
+                <FormGroup
+                    label={_("Type")}
+                    isRequired
+                    fieldId="tuntap-type"
+                    helperText={_("TUN devices carry IP packets while TAP devices carry Ethernet frames")}
+                >
+                    <FormSelect value={type} onChange={setType} id="tuntap-type">
+                        {interfaceType.tuntapTypes.map(value => (
+                            <FormSelectOption key={value} value={value} label={interfaceType.label(value)} />
+                        ))}
+                    </FormSelect>
+                </FormGroup> }
+
+            <FormGroup
+                label={_("Owner")}
+                fieldId="tuntap-owner"
+                helperText={_("User allowed to use the device")}
+            >
+                <FormSelect value={owner} onChange={setOwner} id="tuntap-owner">
+                    {renderOptions(users, owner)}
+                </FormSelect>
+            </FormGroup>
+
+            <FormGroup
+                label={_("Group")}
+                fieldId="tuntap-group"
+                helperText={_("Group allowed to use the device")}
+            >
+                <FormSelect value={group} onChange={setGroup} id="tuntap-group">
+                    {renderOptions(groups, group)}
+                </FormSelect>
+            </FormGroup>
+
+            <FormGroup
+                label={_("Name")}
+                isRequired
+                fieldId="interface-name"
+                helperText={_("Please, provide the interface name (e.g., tap0)")}
+            >
+                <TextInput
+                    isRequired
+                    id="interface-name"
+                    value={name}
+                    onChange={updateName}
+                    isDisabled={isEditing}
+                />
+            </FormGroup>
+        </ModalForm>
+    );
+};
+
+export default TuntapForm;
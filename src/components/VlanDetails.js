@@ -21,6 +21,7 @@
 
 import React, { useState } from 'react';
 import VlanForm from './VlanForm';
+import EditLink from './EditLink';
 import cockpit from 'cockpit';
 
 const _ = cockpit.gettext;
@@ -31,7 +32,7 @@ const VlanDetails = ({ connection }) => {
 
     const renderLinkDetails = () => {
         return (
-            <a href="#" onClick={() => setFormOpen(true)}>
+            <EditLink onClick={() => setFormOpen(true)}>
                 <ul>
                     <li>
                         {_("Parent:")} {vlan.parentDevice}
@@ -40,14 +41,14 @@ const VlanDetails = ({ connection }) => {
                         {_("Id:")} {vlan.vlanId}
                     </li>
                 </ul>
-            </a>
+            </EditLink>
         );
     };
     return (
         <>
             { vlan
                 ? renderLinkDetails()
-                : <a href="#" onClick={() => setFormOpen(true)}>{_("Configure")}</a>}
+                : <EditLink onClick={() => setFormOpen(true)}>{_("Configure")}</EditLink>}
             { isFormOpen && <VlanForm isOpen={isFormOpen} connection={connection} onClose={() => setFormOpen(false)} /> }
         </>
     );
@@ -21,6 +21,7 @@
 
 import React, { useState } from 'react';
 import WirelessForm from './WirelessForm';
+import EditLink from './EditLink';
 import wirelessAuthModes from '../lib/model/wirelessAuthMode';
 import wirelessMode from '../lib/model/wirelessMode';
 import cockpit from 'cockpit';
@@ -33,11 +34,11 @@ const WirelessDetails = ({ iface, connection }) => {
 
     const renderLinkDetails = () => {
         return (
-            <a href="#" onClick={() => setFormOpen(true)}>
+            <EditLink onClick={() => setFormOpen(true)}>
                 { [wirelessMode.label(wireless.mode),
                     wireless.essid,
                     wirelessAuthModes.label(wireless.authMode)].join(', ') }
-            </a>
+            </EditLink>
         );
     };
 
@@ -45,7 +46,7 @@ const WirelessDetails = ({ iface, connection }) => {
         <>
             { wireless
                 ? renderLinkDetails()
-                : <a href="#" onClick={() => setFormOpen(true)}>{_("Configure")}</a>}
+                : <EditLink onClick={() => setFormOpen(true)}>{_("Configure")}</EditLink>}
             { isFormOpen && <WirelessForm isOpen={isFormOpen} iface={iface} connection={connection} onClose={() => setFormOpen(false)} /> }
         </>
     );
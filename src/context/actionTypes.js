@@ -29,6 +29,17 @@ const DELETE_CONNECTION = 'delete_connection';
 const UPDATE_CONNECTION = 'update_connection';
 const UPDATE_INTERFACE = 'update_interface';
 const CONNECTION_ERROR = 'connection_error';
+const SET_CONFLICT = 'set_conflict';
+const SET_GLOBAL_SETTINGS = 'set_global_settings';
+const UPDATE_GLOBAL_SETTINGS = 'update_global_settings';
+const SET_SNAPSHOTS = 'set_snapshots';
+const ADD_SNAPSHOT = 'add_snapshot';
+const DELETE_SNAPSHOT = 'delete_snapshot';
+const SET_ROLLBACK = 'set_rollback';
+const SET_STAGING = 'set_staging';
+const ADD_PENDING_CHANGE = 'add_pending_change';
+const REMOVE_PENDING_CHANGE = 'remove_pending_change';
+const CLEAR_PENDING_CHANGES = 'clear_pending_changes';
 
 export default {
     SET_INTERFACES,
@@ -40,5 +51,16 @@ export default {
     DELETE_CONNECTION,
     UPDATE_CONNECTION,
     UPDATE_INTERFACE,
-    CONNECTION_ERROR
+    CONNECTION_ERROR,
+    SET_CONFLICT,
+    SET_GLOBAL_SETTINGS,
+    UPDATE_GLOBAL_SETTINGS,
+    SET_SNAPSHOTS,
+    ADD_SNAPSHOT,
+    DELETE_SNAPSHOT,
+    SET_ROLLBACK,
+    SET_STAGING,
+    ADD_PENDING_CHANGE,
+    REMOVE_PENDING_CHANGE,
+    CLEAR_PENDING_CHANGES
 };
@@ -1,13 +1,21 @@
 
 import React from 'react';
-import { createConnection, mergeConnection } from '../lib/model/connections';
+import cockpit from 'cockpit';
+import { createConnection, mergeConnection, affectedInterfaces } from '../lib/model/connections';
 import { createRoute } from '../lib/model/routes';
 import interfaceStatus from '../lib/model/interfaceStatus';
 import NetworkClient from '../lib/NetworkClient';
+import { ConflictError } from '../lib/errors';
+import { unifiedDiff } from '../lib/diff';
 import useRootReducer from 'use-root-reducer';
 import actionTypes from './actionTypes';
 
-import { interfacesReducer, connectionsReducer, routesReducer, dnsReducer } from './reducers';
+import {
+    interfacesReducer, connectionsReducer, routesReducer, dnsReducer, conflictReducer, globalSettingsReducer,
+    snapshotsReducer, rollbackReducer, stagingReducer
+} from './reducers';
+
+const _ = cockpit.gettext;
 
 const NetworkStateContext = React.createContext();
 const NetworkDispatchContext = React.createContext();
@@ -30,13 +38,27 @@ function useNetworkDispatch() {
     return context;
 }
 
-function NetworkProvider({ children }) {
-    const [state, dispatch] = useRootReducer({
+/**
+ * Provides the network state and the dispatch function to the components
+ *
+ * @param {object} props - Component props
+ * @param {boolean} [props.readOnly=false] - Whether the configuration can only be displayed
+ *   (e.g., because the network service is not running)
+ * @param {JSX.Element} props.children - Components using the network state
+ */
+function NetworkProvider({ children, readOnly = false }) {
+    const [rootState, dispatch] = useRootReducer({
         interfaces: React.useReducer(interfacesReducer, {}),
         connections: React.useReducer(connectionsReducer, {}),
         routes: React.useReducer(routesReducer, {}),
-        dns: React.useReducer(dnsReducer, { searchList: [], nameServers: [] })
+        dns: React.useReducer(dnsReducer, { searchList: [], nameServers: [] }),
+        globalSettings: React.useReducer(globalSettingsReducer, []),
+        snapshots: React.useReducer(snapshotsReducer, []),
+        conflict: React.useReducer(conflictReducer, null),
+        rollback: React.useReducer(rollbackReducer, null),
+        staging: React.useReducer(stagingReducer, { enabled: false, changes: [] })
     });
+    const state = { ...rootState, readOnly };
 
     return (
         <NetworkStateContext.Provider value={state}>
@@ -59,6 +81,456 @@ const networkClient = () => {
     return _networkClient;
 };
 
+/**
+ * Time (in seconds) to wait for the network service to apply a change
+ */
+const COMMAND_TIMEOUT = 30;
+
+/**
+ * Time (in seconds) the user has to confirm a change applied with rollback
+ */
+const ROLLBACK_TIMEOUT = 60;
+
+/**
+ * Time (in seconds) to wait for the host to confirm a change
+ *
+ * If the host does not answer, it is considered unreachable and the change is rolled back
+ * by the host itself when the {@link ROLLBACK_TIMEOUT} expires.
+ */
+const CONFIRMATION_TIMEOUT = 10;
+
+/**
+ * Commands in progress indexed by interface name
+ *
+ * @ignore
+ */
+const runningCommands = {};
+
+/**
+ * Runs a command which affects one or more interfaces, keeping track of its progress
+ *
+ * While the command is running, the `progress` property of the interfaces holds the last
+ * message reported by the command and it can be cancelled using {@link cancelCommand}. When
+ * a message starts with the name of one of the interfaces, it is only assigned to that one.
+ *
+ * @ignore
+ * @param {function} dispatch - Dispatch function
+ * @param {Array<string>} names - Interfaces names
+ * @param {function} fn - Function which receives the command options and starts the command
+ * @return {Promise}
+ */
+async function trackCommand(dispatch, names, fn) {
+    const updateAll = (changes) => {
+        names.forEach(name => dispatch({ type: actionTypes.UPDATE_INTERFACE, payload: { name, ...changes } }));
+    };
+
+    const onProgress = (progress) => {
+        const name = names.find(n => progress.split(/\s/)[0] === n);
+        if (name) {
+            dispatch({ type: actionTypes.UPDATE_INTERFACE, payload: { name, progress } });
+        } else {
+            updateAll({ progress });
+        }
+    };
+
+    const command = fn({ timeout: COMMAND_TIMEOUT, onProgress });
+    names.forEach(name => { runningCommands[name] = command });
+    updateAll({ cancellable: !!command?.cancel });
+
+    try {
+        return await command;
+    } finally {
+        names.forEach(name => delete runningCommands[name]);
+        updateAll({ progress: null, cancellable: false });
+    }
+}
+
+/**
+ * Reloads the given interfaces at once and updates their status according to the outcome
+ *
+ * @ignore
+ * @param {function} dispatch - Dispatch function
+ * @param {Array<string>} names - Interfaces names
+ * @return {Promise<Array<Object>>} Outcome for each interface
+ */
+async function reloadInterfaces(dispatch, names) {
+    const results = await trackCommand(dispatch, names, opts => networkClient().reloadConnections(names, opts));
+
+    results.forEach(({ name, error }) => {
+        if (error) {
+            dispatch({ type: actionTypes.CONNECTION_ERROR, payload: { error, connection: { name } } });
+        } else {
+            dispatch({ type: actionTypes.UPDATE_INTERFACE, payload: { name, status: interfaceStatus.READY } });
+        }
+    });
+
+    return results;
+}
+
+/**
+ * Cancels the command which is running for the given interface, if any
+ *
+ * @param {string} name - Interface name
+ */
+function cancelCommand(name) {
+    const command = runningCommands[name];
+    if (command?.cancel) command.cancel();
+}
+
+/**
+ * How to solve a conflict
+ *
+ * - REAPPLY: reload the configuration and apply the change on top of it.
+ * - OVERWRITE: write the change, discarding what someone else changed.
+ */
+const conflictResolution = Object.freeze({
+    REAPPLY: 'reapply',
+    OVERWRITE: 'overwrite'
+});
+
+/**
+ * Write which could not be done because of a conflict
+ *
+ * @ignore
+ * @type {{write: function, canReapply: boolean}|undefined}
+ */
+let pendingWrite;
+
+/**
+ * Runs a function which writes the configuration, taking care of conflicts
+ *
+ * If the configuration changed since it was read, the function is kept and the
+ * actionTypes.SET_CONFLICT action is dispatched, so the user can decide what to do (see
+ * {@link resolveConflict}).
+ *
+ * @ignore
+ * @param {function} dispatch - Dispatch function
+ * @param {function} write - Function which writes the configuration. It receives an object
+ *   containing the writing options (`force`) and, when reapplying the change, the `reloaded`
+ *   configuration.
+ * @param {Object} [options] - Options to pass to the write function
+ * @param {boolean} [canReapply=false] - Whether the write function builds the change on top
+ *   of the `reloaded` configuration. Otherwise, reapplying it would be the same as overwriting,
+ *   so it is not offered.
+ * @return {Promise}
+ */
+async function runWrite(dispatch, write, options = {}, canReapply = false) {
+    try {
+        return await write(options);
+    } catch (error) {
+        if (!(error instanceof ConflictError)) throw error;
+
+        pendingWrite = { write, canReapply };
+        dispatch({
+            type: actionTypes.SET_CONFLICT,
+            payload: { path: error.path, message: error.message, canReapply }
+        });
+    }
+}
+
+/**
+ * Changes the configuration of a connection, keeping the interface status up to date
+ *
+ * Conflicts are not reported as connection errors but thrown again, so they can be handled by
+ * {@link runWrite}.
+ *
+ * @ignore
+ * @param {function} dispatch - Dispatch function
+ * @param {Connection} connection - Connection to change
+ * @param {function} fn - Function which performs the change
+ * @return {Promise}
+ */
+async function configureConnection(dispatch, connection, fn) {
+    dispatch({ type: actionTypes.UPDATE_INTERFACE, payload: { name: connection.name, status: interfaceStatus.CONFIGURING } });
+
+    try {
+        await fn();
+    } catch (error) {
+        if (error instanceof ConflictError) {
+            dispatch({ type: actionTypes.UPDATE_INTERFACE, payload: { name: connection.name, status: interfaceStatus.READY } });
+            throw error;
+        }
+
+        dispatch({ type: actionTypes.CONNECTION_ERROR, payload: { error, connection } });
+    }
+}
+
+/**
+ * Solves the conflict which prevented the last change from being written
+ *
+ * @param {function} dispatch - Dispatch function
+ * @param {string} [resolution] - A value from {@link conflictResolution}. If it is not given,
+ *   the change is discarded. Reapplying a change which does not support it (see
+ *   {@link runWrite}) discards it too.
+ * @return {Promise}
+ */
+async function resolveConflict(dispatch, resolution) {
+    const pending = pendingWrite;
+    pendingWrite = undefined;
+    dispatch({ type: actionTypes.SET_CONFLICT, payload: null });
+
+    if (!pending) return;
+
+    const { write, canReapply } = pending;
+
+    if (resolution === conflictResolution.OVERWRITE) {
+        return runWrite(dispatch, write, { force: true }, canReapply);
+    }
+
+    if (resolution === conflictResolution.REAPPLY && canReapply) {
+        const client = networkClient();
+        const [connections, routes, dnsSettings, globalSettings] = await Promise.all([
+            client.getConnections(), client.getRoutes(), client.getDnsSettings(), client.getGlobalSettings()
+        ]);
+        await runWrite(dispatch, write, { reloaded: { connections, routes, dnsSettings, globalSettings } }, canReapply);
+        fetchConnections(dispatch);
+        fetchRoutes(dispatch);
+        fetchDnsSettings(dispatch);
+        fetchGlobalSettings(dispatch);
+    }
+}
+
+/**
+ * Rollback point which is waiting for the user to confirm or roll back the changes
+ *
+ * @ignore
+ * @type {RollbackPoint|undefined}
+ */
+let armedRollback;
+
+/**
+ * Applies a change which is rolled back unless the user confirms it
+ *
+ * A rollback point is created before the change, unless there is one waiting for a
+ * confirmation already. Once the change is applied, the actionTypes.SET_ROLLBACK action is
+ * dispatched, so the user can confirm it (see {@link confirmChanges}) or roll it back (see
+ * {@link rollbackChanges}) before the timeout. The deadline is counted from the moment the
+ * rollback point is created, as the host starts counting then.
+ *
+ * The rollback point is only discarded when the change could not be written because of a
+ * conflict and nothing was written before. In any other case, it is kept so the user can
+ * decide what to do with a partially applied change.
+ *
+ * @ignore
+ * @param {function} dispatch - Dispatch function
+ * @param {function} fn - Function which applies the change. It receives a function to call
+ *   every time something is written.
+ * @return {Promise}
+ */
+async function withRollback(dispatch, fn) {
+    const client = networkClient();
+    const reused = !!armedRollback;
+
+    if (!reused) {
+        const start = Date.now();
+        const point = await client.createRollbackPoint(ROLLBACK_TIMEOUT);
+        armedRollback = { ...point, deadline: start + point.timeout * 1000 };
+    }
+
+    const point = armedRollback;
+    let written = false;
+    try {
+        await fn(() => { written = true });
+    } catch (error) {
+        if (!reused && !written && error instanceof ConflictError) {
+            armedRollback = undefined;
+            await client.confirmChanges(point.id);
+        } else {
+            dispatch({ type: actionTypes.SET_ROLLBACK, payload: point });
+        }
+        throw error;
+    }
+
+    dispatch({ type: actionTypes.SET_ROLLBACK, payload: point });
+}
+
+/**
+ * Keeps the changes applied with rollback
+ *
+ * Confirming the changes proves that the host is still reachable. If it does not answer in
+ * time, the promise is rejected and the host rolls back the changes by itself.
+ *
+ * @param {function} dispatch - Dispatch function
+ * @param {RollbackPoint} rollback - Rollback point to cancel
+ * @return {Promise}
+ */
+async function confirmChanges(dispatch, rollback) {
+    let timer;
+    const unreachable = new Promise((resolve, reject) => {
+        timer = setTimeout(
+            () => reject(new Error('The host did not answer, so the changes will be rolled back')),
+            CONFIRMATION_TIMEOUT * 1000
+        );
+    });
+
+    try {
+        await Promise.race([networkClient().confirmChanges(rollback.id), unreachable]);
+    } finally {
+        clearTimeout(timer);
+    }
+
+    armedRollback = undefined;
+    dispatch({ type: actionTypes.SET_ROLLBACK, payload: null });
+}
+
+/**
+ * Rolls back the changes applied with rollback right away
+ *
+ * @param {function} dispatch - Dispatch function
+ * @param {RollbackPoint} rollback - Rollback point to restore
+ * @return {Promise}
+ */
+async function rollbackChanges(dispatch, rollback) {
+    armedRollback = undefined;
+    dispatch({ type: actionTypes.SET_ROLLBACK, payload: null });
+
+    try {
+        await networkClient().rollback(rollback.id, { timeout: COMMAND_TIMEOUT });
+    } finally {
+        fetchConfiguration(dispatch);
+    }
+}
+
+/**
+ * Forgets about a rollback point whose timeout expired, reading the restored configuration
+ *
+ * @param {function} dispatch - Dispatch function
+ */
+function expireRollback(dispatch) {
+    armedRollback = undefined;
+    dispatch({ type: actionTypes.SET_ROLLBACK, payload: null });
+    fetchConfiguration(dispatch);
+}
+
+/**
+ * Whether the changes are queued instead of being applied right away
+ *
+ * @ignore
+ */
+let stagingEnabled = false;
+
+/**
+ * Changes waiting to be applied, in the same order they were done
+ *
+ * Besides the `id` and the `description`, each change contains the `interfaces` to reload once
+ * it is written, whether it should be applied with `rollback` and a `write` function which
+ * receives the writing options (see {@link WriteOptions}).
+ *
+ * @ignore
+ * @type {Array<Object>}
+ */
+let pendingChanges = [];
+
+/**
+ * @ignore
+ */
+let lastPendingChangeId = 0;
+
+/**
+ * Enables or disables the staging of changes
+ *
+ * When it is enabled, the changes to the connections, the routes and the DNS settings are
+ * kept in memory until they are applied (see {@link applyPendingChanges}) or discarded (see
+ * {@link discardPendingChanges}). The state is updated as if they were already written.
+ *
+ * @param {function} dispatch - Dispatch function
+ * @param {boolean} enabled - Whether to stage the changes
+ */
+function setStaging(dispatch, enabled) {
+    stagingEnabled = enabled;
+    dispatch({ type: actionTypes.SET_STAGING, payload: enabled });
+}
+
+/**
+ * Queues a change if the staging is enabled
+ *
+ * @ignore
+ * @param {function} dispatch - Dispatch function
+ * @param {Object} change - Change to queue (see {@link pendingChanges})
+ * @param {Object} action - Action to dispatch to update the state as if the change was written
+ * @return {boolean} Whether the change was queued
+ */
+function stageChange(dispatch, change, action) {
+    if (!stagingEnabled) return false;
+
+    const id = ++lastPendingChangeId;
+    pendingChanges.push({ interfaces: [], rollback: false, ...change, id });
+    dispatch({ type: actionTypes.ADD_PENDING_CHANGE, payload: { id, description: change.description } });
+    dispatch(action);
+    return true;
+}
+
+/**
+ * Returns the differences between the current configuration and the one resulting from
+ * applying the pending changes
+ *
+ * @return {Promise<string>} Differences in unified format
+ */
+async function fetchPendingChangesDiff() {
+    const files = await networkClient().previewChanges(async (options) => {
+        for (const change of pendingChanges) {
+            await change.write({ ...options, force: true });
+        }
+    });
+
+    return files.map(({ path, before, after }) => {
+        const name = path.replace(/^\//, '');
+        return unifiedDiff(before, after, { from: `current/${name}`, to: `pending/${name}` });
+    }).join('');
+}
+
+/**
+ * Writes the pending changes and reloads all the affected interfaces at once
+ *
+ * The changes are written in the same order they were done. If any of them was requested
+ * with rollback, all of them are rolled back unless the user confirms them (see
+ * {@link withRollback}). When a change cannot be written, it and the following ones are kept.
+ *
+ * @param {function} dispatch - Dispatch function
+ * @return {Promise}
+ */
+function applyPendingChanges(dispatch) {
+    const interfaces = [...new Set(pendingChanges.flatMap(c => c.interfaces))];
+    const rollback = pendingChanges.some(c => c.rollback);
+    const setStatus = (status) => interfaces.forEach(name => (
+        dispatch({ type: actionTypes.UPDATE_INTERFACE, payload: { name, status } })
+    ));
+
+    return runWrite(dispatch, ({ force = false }) => {
+        const apply = async (onWrite = () => {}) => {
+            setStatus(interfaceStatus.CONFIGURING);
+
+            try {
+                while (pendingChanges.length > 0) {
+                    const [change] = pendingChanges;
+                    await change.write({ force });
+                    onWrite();
+                    pendingChanges.shift();
+                    dispatch({ type: actionTypes.REMOVE_PENDING_CHANGE, payload: change });
+                }
+            } catch (error) {
+                setStatus(interfaceStatus.READY);
+                throw error;
+            }
+
+            if (interfaces.length > 0) await reloadInterfaces(dispatch, interfaces);
+        };
+
+        return rollback ? withRollback(dispatch, apply) : apply();
+    });
+}
+
+/**
+ * Discards the pending changes and reads the configuration again
+ *
+ * @param {function} dispatch - Dispatch function
+ */
+function discardPendingChanges(dispatch) {
+    pendingChanges = [];
+    dispatch({ type: actionTypes.CLEAR_PENDING_CHANGES });
+    fetchConfiguration(dispatch);
+}
+
 /**
  * Creates a connection using the NetworkClient
  *
@@ -74,16 +546,21 @@ const networkClient = () => {
  */
 async function addConnection(dispatch, attrs) {
     const addedConn = createConnection(attrs);
-    dispatch({ type: actionTypes.UPDATE_INTERFACE, payload: { name: addedConn.name, status: interfaceStatus.CONFIGURING } });
 
-    try {
-        await networkClient().addConnection(addedConn);
-        dispatch({ type: actionTypes.ADD_CONNECTION, payload: { ...addedConn, exists: true } });
-        await networkClient().reloadConnection(addedConn.name);
-        dispatch({ type: actionTypes.UPDATE_INTERFACE, payload: { name: addedConn.name, status: interfaceStatus.READY } });
-    } catch (error) {
-        dispatch({ type: actionTypes.CONNECTION_ERROR, payload: { error, connection: addedConn } });
-    }
+    const staged = stageChange(dispatch, {
+        description: cockpit.format(_("Add $0"), addedConn.name),
+        interfaces: affectedInterfaces([addedConn], [addedConn.name]),
+        write: (options) => networkClient().addConnection(addedConn, options)
+    }, { type: actionTypes.ADD_CONNECTION, payload: { ...addedConn, exists: true } });
+    if (staged) return addedConn;
+
+    await runWrite(dispatch, ({ force = false }) => (
+        configureConnection(dispatch, addedConn, async () => {
+            await networkClient().addConnection(addedConn, { force });
+            dispatch({ type: actionTypes.ADD_CONNECTION, payload: { ...addedConn, exists: true } });
+            await reloadInterfaces(dispatch, affectedInterfaces([addedConn], [addedConn.name]));
+        })
+    ));
 
     return addedConn;
 }
@@ -91,25 +568,41 @@ async function addConnection(dispatch, attrs) {
 /**
  * Updates a connection using the NetworkClient
  *
- * If the update was successful, it dispatches the actionTypes.UPDATE_CONNECTION action.
+ * If the update was successful, it dispatches the actionTypes.UPDATE_CONNECTION action. When
+ * the change is reapplied after a conflict, the changes are merged into the reloaded connection.
  *
  * @param {function} dispatch - Dispatch function
  * @param {Connection} connection - Connection to update
  * @param {Object|Connection} changes - Changes to apply to the connection
+ * @param {Object} [options] - Update options
+ * @param {boolean} [options.rollback=false] - Whether to roll back the change unless the user
+ *   confirms it (see {@link withRollback})
  * @return {Promise}
  */
-async function updateConnection(dispatch, connection, changes) {
+async function updateConnection(dispatch, connection, changes, { rollback = false } = {}) {
     const updatedConn = mergeConnection(connection, changes);
-    dispatch({ type: actionTypes.UPDATE_INTERFACE, payload: { name: updatedConn.name, status: interfaceStatus.CONFIGURING } });
 
-    try {
-        await networkClient().updateConnection(updatedConn);
-        dispatch({ type: actionTypes.UPDATE_CONNECTION, payload: updatedConn });
-        await networkClient().reloadConnection(updatedConn.name);
-        dispatch({ type: actionTypes.UPDATE_INTERFACE, payload: { name: updatedConn.name, status: interfaceStatus.READY } });
-    } catch (error) {
-        dispatch({ type: actionTypes.CONNECTION_ERROR, payload: { error, connection: updatedConn } });
-    }
+    const staged = stageChange(dispatch, {
+        description: cockpit.format(_("Update $0"), updatedConn.name),
+        interfaces: affectedInterfaces([updatedConn], [updatedConn.name]),
+        rollback,
+        write: (options) => networkClient().updateConnection(updatedConn, options)
+    }, { type: actionTypes.UPDATE_CONNECTION, payload: updatedConn });
+    if (staged) return updatedConn;
+
+    await runWrite(dispatch, ({ force = false, reloaded }) => {
+        const current = reloaded?.connections.find(c => c.name === connection.name);
+        const conn = current ? mergeConnection({ ...current, id: connection.id }, changes) : updatedConn;
+        const configure = (onWrite = () => {}) => configureConnection(dispatch, conn, async () => {
+            await networkClient().updateConnection(conn, { force });
+            onWrite();
+            dispatch({ type: actionTypes.UPDATE_CONNECTION, payload: conn });
+            await reloadInterfaces(dispatch, affectedInterfaces([conn], [conn.name]));
+        });
+
+        return rollback ? withRollback(dispatch, configure) : configure();
+    }, {}, true);
+
     return updatedConn;
 }
 
@@ -121,16 +614,21 @@ async function updateConnection(dispatch, connection, changes) {
  * @return {Promise}
  */
 async function deleteConnection(dispatch, connection) {
-    dispatch({ type: actionTypes.UPDATE_INTERFACE, payload: { name: connection.name, status: interfaceStatus.CONFIGURING } });
+    const staged = stageChange(dispatch, {
+        description: cockpit.format(_("Delete $0"), connection.name),
+        interfaces: [connection.name],
+        write: (options) => networkClient().deleteConnection(connection, options)
+    }, { type: actionTypes.DELETE_CONNECTION, payload: connection });
+    if (staged) return;
 
-    try {
-        await networkClient().deleteConnection(connection);
-        dispatch({ type: actionTypes.DELETE_CONNECTION, payload: connection });
-        await networkClient().setDownConnection(connection);
-        dispatch({ type: actionTypes.UPDATE_INTERFACE, payload: { name: connection.name, status: interfaceStatus.READY } });
-    } catch (error) {
-        dispatch({ type: actionTypes.CONNECTION_ERROR, payload: { error, connection } });
-    }
+    await runWrite(dispatch, ({ force = false }) => (
+        configureConnection(dispatch, connection, async () => {
+            await networkClient().deleteConnection(connection, { force });
+            dispatch({ type: actionTypes.DELETE_CONNECTION, payload: connection });
+            await trackCommand(dispatch, [connection.name], opts => networkClient().setDownConnection(connection, opts));
+            dispatch({ type: actionTypes.UPDATE_INTERFACE, payload: { name: connection.name, status: interfaceStatus.READY } });
+        })
+    ));
 }
 
 /**
@@ -146,11 +644,11 @@ async function changeConnectionState(dispatch, connection, setUp) {
 
     let result;
     try {
-        if (setUp) {
-            result = await networkClient().setUpConnection(connection);
-        } else {
-            result = await networkClient().setDownConnection(connection);
-        }
+        result = await trackCommand(dispatch, [connection.name], opts => {
+            if (setUp) return networkClient().setUpConnection(connection, opts);
+
+            return networkClient().setDownConnection(connection, opts);
+        });
     } catch (error) {
         dispatch({ type: actionTypes.CONNECTION_ERROR, payload: { error, connection } });
     }
@@ -159,27 +657,190 @@ async function changeConnectionState(dispatch, connection, setUp) {
     return result;
 }
 
-// FIXME
+/**
+ * Reloads several connections at once using the NetworkClient
+ *
+ * The interfaces depending on the given ones (e.g., bonding slaves, bridge ports, VLANs parents
+ * and VLANs on top of them) are reloaded too. The status of each interface is updated according
+ * to the outcome of the operation.
+ *
+ * @param {function} dispatch - Dispatch function
+ * @param {Array<Connection>} connections - Known connections
+ * @param {Array<string>} names - Names of the connections to reload
+ * @return {Promise<Array<Object>>} Outcome for each interface (an object containing the `name`
+ *   and, if something went wrong, the `error`)
+ */
+async function reloadConnections(dispatch, connections, names) {
+    const affected = affectedInterfaces(connections, names);
+    affected.forEach(name => {
+        dispatch({ type: actionTypes.UPDATE_INTERFACE, payload: { name, status: interfaceStatus.CHANGING } });
+    });
+
+    try {
+        return await reloadInterfaces(dispatch, affected);
+    } catch (error) {
+        affected.forEach(name => {
+            dispatch({ type: actionTypes.CONNECTION_ERROR, payload: { error, connection: { name } } });
+        });
+        return affected.map(name => ({ name, error }));
+    }
+}
+
+/**
+ * Fetches the runtime state of an interface using the NetworkClient
+ *
+ * The state is stored in the `runtimeState` property of the interface.
+ *
+ * @param {function} dispatch - Dispatch function
+ * @param {string} name - Interface name
+ * @return {Promise}
+ */
+async function fetchInterfaceState(dispatch, name) {
+    try {
+        const runtimeState = await networkClient().getInterfaceState(name);
+        dispatch({ type: actionTypes.UPDATE_INTERFACE, payload: { name, runtimeState } });
+    } catch (error) {
+        console.error(error);
+    }
+}
+
+/**
+ * Reloads a connection and refreshes the interface runtime state
+ *
+ * It is useful to apply a configuration which changed outside this module.
+ *
+ * @param {function} dispatch - Dispatch function
+ * @param {Connection} connection - Connection to reload
+ * @return {Promise}
+ */
+async function reloadConnection(dispatch, connection) {
+    dispatch({ type: actionTypes.UPDATE_INTERFACE, payload: { name: connection.name, status: interfaceStatus.CHANGING } });
+
+    try {
+        await trackCommand(dispatch, [connection.name], opts => networkClient().reloadConnection(connection.name, opts));
+    } catch (error) {
+        dispatch({ type: actionTypes.CONNECTION_ERROR, payload: { error, connection } });
+    }
+
+    dispatch({ type: actionTypes.UPDATE_INTERFACE, payload: { name: connection.name, status: interfaceStatus.READY } });
+    return fetchInterfaceState(dispatch, connection.name);
+}
+
+/**
+ * Fetches the address configuration leases of an interface using the NetworkClient
+ *
+ * The leases are stored in the `leases` property of the interface.
+ *
+ * @param {function} dispatch - Dispatch function
+ * @param {string} name - Interface name
+ * @return {Promise}
+ */
+async function fetchLeases(dispatch, name) {
+    try {
+        const leases = await networkClient().getLeases(name);
+        dispatch({ type: actionTypes.UPDATE_INTERFACE, payload: { name, leases } });
+    } catch (error) {
+        console.error(error);
+    }
+}
+
+/**
+ * Renews the DHCP leases of a connection and refreshes them
+ *
+ * @param {function} dispatch - Dispatch function
+ * @param {Connection} connection - Connection whose leases should be renewed
+ * @return {Promise}
+ */
+async function renewLeases(dispatch, connection) {
+    dispatch({ type: actionTypes.UPDATE_INTERFACE, payload: { name: connection.name, status: interfaceStatus.CHANGING } });
+
+    try {
+        await trackCommand(dispatch, [connection.name], opts => networkClient().renewLeases(connection.name, opts));
+    } catch (error) {
+        dispatch({ type: actionTypes.CONNECTION_ERROR, payload: { error, connection } });
+    }
+
+    dispatch({ type: actionTypes.UPDATE_INTERFACE, payload: { name: connection.name, status: interfaceStatus.READY } });
+    return fetchLeases(dispatch, connection.name);
+}
+
+/**
+ * Whether two objects describe the same route
+ *
+ * Routes get a new ID each time they are read, so they are compared by their content.
+ *
+ * @ignore
+ * @param {Route} a - Route to compare
+ * @param {Route} b - Route to compare
+ * @return {boolean}
+ */
+const sameRoute = (a, b) => (
+    ['destination', 'gateway', 'device', 'options'].every(key => (a[key] || '') === (b[key] || ''))
+);
+
+/**
+ * Writes the routes resulting from applying a change to the current ones
+ *
+ * @ignore
+ * @param {function} dispatch - Dispatch function
+ * @param {Array<Route>|Object<number,Route>} routes - Current routes
+ * @param {function} change - Function which receives the list of routes and returns the new one
+ * @return {Promise}
+ */
+function changeRoutes(dispatch, routes, change) {
+    const stagedRoutes = change(Object.values(routes));
+    const staged = stageChange(dispatch, {
+        description: _("Change routes"),
+        write: (options) => networkClient().updateRoutes(stagedRoutes, options)
+    }, { type: actionTypes.SET_ROUTES, payload: stagedRoutes });
+    if (staged) return Promise.resolve();
+
+    return runWrite(dispatch, async ({ force = false, reloaded }) => {
+        const nextRoutes = change(reloaded ? reloaded.routes : Object.values(routes));
+        await networkClient().updateRoutes(nextRoutes, { force });
+        dispatch({ type: actionTypes.SET_ROUTES, payload: nextRoutes });
+    }, {}, true);
+}
+
+/**
+ * Deletes a route
+ *
+ * @param {function} dispatch - Dispatch function
+ * @param {Array<Route>|Object<number,Route>} routes - Current routes
+ * @param {number} routeId - ID of the route to delete
+ * @return {Promise}
+ */
 function deleteRoute(dispatch, routes, routeId) {
-    const nextRoutes = routes.filter((r) => r.id !== routeId);
-    networkClient().updateRoutes(nextRoutes);
-    dispatch({ type: actionTypes.SET_ROUTES, payload: nextRoutes });
+    const route = Object.values(routes).find(r => r.id === routeId);
+    return changeRoutes(dispatch, routes, all => all.filter(r => !sameRoute(r, route)));
 }
 
-// FIXME
+/**
+ * Updates a route
+ *
+ * @param {function} dispatch - Dispatch function
+ * @param {Array<Route>|Object<number,Route>} routes - Current routes
+ * @param {number} routeId - ID of the route to update
+ * @param {Object} changes - Changes to apply to the route
+ * @return {Promise}
+ */
 function updateRoute(dispatch, routes, routeId, changes) {
-    const route = routes[routeId];
-    const nextRoutes = { ...routes, [routeId]: { ...route, ...changes } };
-    networkClient().updateRoutes(nextRoutes);
-    dispatch({ type: actionTypes.SET_ROUTES, payload: nextRoutes });
+    const route = Object.values(routes).find(r => r.id === routeId);
+    return changeRoutes(dispatch, routes, all => (
+        all.map(r => (sameRoute(r, route) ? { ...r, ...changes } : r))
+    ));
 }
 
-// FIXME
+/**
+ * Adds a route
+ *
+ * @param {function} dispatch - Dispatch function
+ * @param {Array<Route>|Object<number,Route>} routes - Current routes
+ * @param {Object} attrs - Attributes for the new route
+ * @return {Promise}
+ */
 function addRoute(dispatch, routes, attrs) {
-    const route = createRoute(attrs);
-    const nextRoutes = { ...routes, [route.id]: route };
-    networkClient().updateRoutes(nextRoutes);
-    dispatch({ type: actionTypes.SET_ROUTES, payload: nextRoutes });
+    return changeRoutes(dispatch, routes, all => [...all, createRoute(attrs)]);
 }
 
 /**
@@ -195,6 +856,20 @@ async function serviceIsActive() {
     }
 }
 
+/**
+ * Returns whether the configuration can be read even if the network service is not active
+ *
+ * @return {Promise.<boolean>} Promise that resolves to true if there is any connection
+ */
+async function configurationIsReadable() {
+    try {
+        const connections = await networkClient().getConnections();
+        return connections.length > 0;
+    } catch (error) {
+        return false;
+    }
+}
+
 /**
  * Obtain the DNS settings using the NetworkClient
  *
@@ -206,6 +881,17 @@ function fetchDnsSettings(dispatch) {
             .catch(console.error);
 }
 
+/**
+ * Obtains the global settings using the NetworkClient
+ *
+ * @param {function} dispatch - Dispatch function
+ */
+function fetchGlobalSettings(dispatch) {
+    networkClient().getGlobalSettings()
+            .then(result => dispatch({ type: actionTypes.SET_GLOBAL_SETTINGS, payload: result }))
+            .catch(console.error);
+}
+
 /**
  * Fetches the interfaces using the NetworkClient
  *
@@ -249,6 +935,24 @@ function fetchEssidList(name) {
     return networkClient().getEssidList(name);
 }
 
+/**
+ * Fetches the names of the users known by the host
+ *
+ * @return {Promise.<string[]>} List of user names.
+ */
+function fetchUsers() {
+    return networkClient().getUsers();
+}
+
+/**
+ * Fetches the names of the groups known by the host
+ *
+ * @return {Promise.<string[]>} List of group names.
+ */
+function fetchGroups() {
+    return networkClient().getGroups();
+}
+
 /**
  * Starts listening for interface changes
  *
@@ -260,10 +964,117 @@ function listenToInterfacesChanges(dispatch) {
     });
 }
 
+/**
+ * Writes the DNS settings using the NetworkClient
+ *
+ * @param {function} dispatch - Dispatch function
+ * @param {DnsSettings} changes - New DNS settings
+ * @return {Promise}
+ */
 async function updateDnsSettings(dispatch, changes) {
-    dispatch({ type: actionTypes.SET_DNS, payload: changes });
+    const staged = stageChange(dispatch, {
+        description: _("Change DNS settings"),
+        write: (options) => networkClient().updateDnsSettings(changes, options)
+    }, { type: actionTypes.SET_DNS, payload: changes });
+    if (staged) return;
+
     // FIXME: handle errors
-    return await networkClient().updateDnsSettings(changes);
+    return runWrite(dispatch, async ({ force = false }) => {
+        await networkClient().updateDnsSettings(changes, { force });
+        dispatch({ type: actionTypes.SET_DNS, payload: changes });
+    });
+}
+
+/**
+ * Writes the given global settings using the NetworkClient
+ *
+ * Only the given keys are written, so the change can be reapplied on top of the reloaded
+ * settings after a conflict.
+ *
+ * @param {function} dispatch - Dispatch function
+ * @param {Array<GlobalSetting>} changes - Settings to write
+ * @return {Promise}
+ */
+async function updateGlobalSettings(dispatch, changes) {
+    return runWrite(dispatch, async ({ force = false }) => {
+        await networkClient().updateGlobalSettings(changes, { force });
+        dispatch({ type: actionTypes.UPDATE_GLOBAL_SETTINGS, payload: changes });
+    }, {}, true);
+}
+
+/**
+ * Fetches the snapshots of the configuration using the NetworkClient
+ *
+ * @param {function} dispatch - Dispatch function
+ */
+function fetchSnapshots(dispatch) {
+    networkClient().getSnapshots()
+            .then(result => dispatch({ type: actionTypes.SET_SNAPSHOTS, payload: result }))
+            .catch(console.error);
+}
+
+/**
+ * Returns the differences between a snapshot and the current configuration
+ *
+ * @param {string} id - Snapshot identifier
+ * @return {Promise<string>} Differences in unified format
+ */
+function fetchSnapshotDiff(id) {
+    return networkClient().getSnapshotDiff(id);
+}
+
+/**
+ * Takes a snapshot of the configuration using the NetworkClient
+ *
+ * @param {function} dispatch - Dispatch function
+ * @param {string} [comment] - Comment describing the snapshot
+ * @return {Promise<Snapshot>} The new snapshot
+ */
+async function createSnapshot(dispatch, comment) {
+    const snapshot = await networkClient().createSnapshot(comment);
+    dispatch({ type: actionTypes.ADD_SNAPSHOT, payload: snapshot });
+    return snapshot;
+}
+
+/**
+ * Deletes a snapshot using the NetworkClient
+ *
+ * @param {function} dispatch - Dispatch function
+ * @param {Snapshot} snapshot - Snapshot to delete
+ * @return {Promise}
+ */
+async function deleteSnapshot(dispatch, snapshot) {
+    await networkClient().deleteSnapshot(snapshot.id);
+    dispatch({ type: actionTypes.DELETE_SNAPSHOT, payload: snapshot });
+}
+
+/**
+ * Restores the configuration from a snapshot and reads it again
+ *
+ * @param {function} dispatch - Dispatch function
+ * @param {Snapshot} snapshot - Snapshot to restore
+ * @return {Promise}
+ */
+async function restoreSnapshot(dispatch, snapshot) {
+    try {
+        await networkClient().restoreSnapshot(snapshot.id, { timeout: COMMAND_TIMEOUT });
+    } finally {
+        fetchConfiguration(dispatch);
+    }
+}
+
+/**
+ * Fetches the whole configuration again, as it happens after restoring it
+ *
+ * @ignore
+ * @param {function} dispatch - Dispatch function
+ */
+function fetchConfiguration(dispatch) {
+    fetchInterfaces(dispatch);
+    fetchConnections(dispatch);
+    fetchRoutes(dispatch);
+    fetchDnsSettings(dispatch);
+    fetchGlobalSettings(dispatch);
 }
 
 /**
@@ -273,9 +1084,16 @@ async function updateDnsSettings(dispatch, changes) {
  *
  * @fixme Convenience method just for testing. We need to find a better
  * way to mock the client so this function is not needed anymore.
+ *
+ * @param {NetworkClient} [client] - Client to use from now on (e.g., one relying on a
+ *   {@link FakeAdapter}). If it is not given, a new one is created when needed.
  */
-function resetClient() {
-    _networkClient = undefined;
+function resetClient(client) {
+    _networkClient = client;
+    pendingWrite = undefined;
+    armedRollback = undefined;
+    stagingEnabled = false;
+    pendingChanges = [];
 }
 
 export {
@@ -287,16 +1105,41 @@ export {
     deleteConnection,
     updateConnection,
     changeConnectionState,
+    reloadConnection,
+    reloadConnections,
+    cancelCommand,
     fetchInterfaces,
+    fetchInterfaceState,
+    fetchLeases,
+    renewLeases,
     fetchConnections,
     fetchRoutes,
     fetchEssidList,
+    fetchUsers,
+    fetchGroups,
     serviceIsActive,
+    configurationIsReadable,
     fetchDnsSettings,
     updateDnsSettings,
+    fetchGlobalSettings,
+    updateGlobalSettings,
+    fetchSnapshots,
+    fetchSnapshotDiff,
+    createSnapshot,
+    deleteSnapshot,
+    restoreSnapshot,
+    confirmChanges,
+    rollbackChanges,
+    expireRollback,
+    setStaging,
+    fetchPendingChangesDiff,
+    applyPendingChanges,
+    discardPendingChanges,
     addRoute,
     updateRoute,
     deleteRoute,
     listenToInterfacesChanges,
+    conflictResolution,
+    resolveConflict,
     resetClient
 };
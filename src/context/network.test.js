@@ -24,32 +24,56 @@ import {
     updateConnection,
     deleteConnection,
     serviceIsActive,
+    fetchInterfaceState,
+    fetchLeases,
+    renewLeases,
+    reloadConnection,
+    reloadConnections,
+    changeConnectionState,
+    cancelCommand,
+    deleteRoute,
+    conflictResolution,
+    resolveConflict,
+    updateDnsSettings,
+    updateGlobalSettings,
+    createSnapshot,
+    restoreSnapshot,
+    confirmChanges,
+    rollbackChanges,
+    setStaging,
+    fetchPendingChangesDiff,
+    applyPendingChanges,
+    discardPendingChanges,
+    addRoute,
     actionTypes,
     resetClient
 } from './network';
 import interfaceType from '../lib/model/interfaceType';
 import interfaceStatus from '../lib/model/interfaceStatus';
 import NetworkClient from '../lib/NetworkClient';
+import FakeAdapter from '../lib/fake/adapter';
+import model from '../lib/model';
+import { ConflictError } from '../lib/errors';
 
 jest.mock('../lib/NetworkClient');
 
 describe('#addConnection', () => {
     const addConnectionMock = jest.fn(conn => Promise.resolve(conn));
-    const reloadConnectionMock = jest.fn(name => Promise.resolve());
+    const reloadConnectionsMock = jest.fn(names => Promise.resolve(names.map(name => ({ name }))));
 
     beforeAll(() => {
         resetClient();
         NetworkClient.mockImplementation(() => {
             return {
                 addConnection: addConnectionMock,
-                reloadConnection: reloadConnectionMock
+                reloadConnections: reloadConnectionsMock
             };
         });
     });
 
     afterAll(() => {
         addConnectionMock.mockClear();
-        reloadConnectionMock.mockClear();
+        reloadConnectionsMock.mockClear();
     });
 
     it('asks the network client to add the connection', async () => {
@@ -61,9 +85,9 @@ describe('#addConnection', () => {
 
         expect(addedConn).toEqual(expect.objectContaining({ name: 'eth0' }));
         expect(addConnectionMock).toHaveBeenCalledWith(
-            expect.objectContaining({ name: 'eth0' })
+            expect.objectContaining({ name: 'eth0' }), { force: false }
         );
-        expect(reloadConnectionMock).toHaveBeenCalledWith('eth0');
+        expect(reloadConnectionsMock).toHaveBeenCalledWith(['eth0'], expect.objectContaining({ timeout: 30 }));
     });
 
     it('dispatches an ADD_CONNECTION action', async () => {
@@ -127,21 +151,31 @@ describe('#addConnection', () => {
 
 describe('#updateConnection', () => {
     const updateConnectionMock = jest.fn(conn => Promise.resolve(conn));
-    const reloadConnectionMock = jest.fn(name => Promise.resolve());
+    const reloadConnectionsMock = jest.fn(names => Promise.resolve(names.map(name => ({ name }))));
 
     beforeAll(() => {
         resetClient();
         NetworkClient.mockImplementation(() => {
             return {
                 updateConnection: updateConnectionMock,
-                reloadConnection: reloadConnectionMock
+                reloadConnections: reloadConnectionsMock
             };
         });
     });
 
     afterAll(() => {
         updateConnectionMock.mockClear();
-        reloadConnectionMock.mockClear();
+        reloadConnectionsMock.mockClear();
+    });
+
+    it('reloads the dependencies of the connection at once', async () => {
+        const dispatchFn = jest.fn();
+
+        await updateConnection(
+            dispatchFn, { name: 'bond0', type: interfaceType.BONDING }, { bond: { interfaces: ['eth0', 'eth1'] } }
+        );
+
+        expect(reloadConnectionsMock).toHaveBeenCalledWith(['bond0', 'eth0', 'eth1'], expect.anything());
     });
 
     it('asks the network client to update the connection', async () => {
@@ -153,9 +187,9 @@ describe('#updateConnection', () => {
 
         expect(updatedConn).toEqual(expect.objectContaining({ name: 'eth1' }));
         expect(updateConnectionMock).toHaveBeenCalledWith(
-            expect.objectContaining({ name: 'eth1' })
+            expect.objectContaining({ name: 'eth1' }), { force: false }
         );
-        expect(reloadConnectionMock).toHaveBeenCalledWith('eth1');
+        expect(reloadConnectionsMock).toHaveBeenCalledWith(['eth1'], expect.objectContaining({ timeout: 30 }));
     });
 
     it('dispatches an UPDATE_CONNECTION action', async () => {
@@ -243,10 +277,10 @@ describe('#deleteConnection', () => {
         await deleteConnection(dispatchFn, { name: 'eth0' });
 
         expect(deleteConnectionMock).toHaveBeenCalledWith(
-            expect.objectContaining({ name: 'eth0' })
+            expect.objectContaining({ name: 'eth0' }), { force: false }
         );
         expect(setDownConnectionMock).toHaveBeenCalledWith(
-            expect.objectContaining({ name: 'eth0' })
+            expect.objectContaining({ name: 'eth0' }), expect.objectContaining({ timeout: 30 })
         );
     });
 
@@ -341,3 +375,550 @@ describe('#serviceIsActive', () => {
         expect(isActive).toEqual(false);
     });
 });
+
+describe('#fetchInterfaceState', () => {
+    const runtimeState = { name: 'eth0', deviceState: 'up' };
+    const getInterfaceStateMock = jest.fn(() => Promise.resolve(runtimeState));
+
+    beforeAll(() => {
+        resetClient();
+        NetworkClient.mockImplementation(() => {
+            return {
+                getInterfaceState: getInterfaceStateMock
+            };
+        });
+    });
+
+    it('dispatches an UPDATE_INTERFACE action including the runtime state', async () => {
+        const dispatchFn = jest.fn();
+
+        await fetchInterfaceState(dispatchFn, 'eth0');
+
+        expect(getInterfaceStateMock).toHaveBeenCalledWith('eth0');
+        expect(dispatchFn).toHaveBeenCalledWith({
+            type: actionTypes.UPDATE_INTERFACE, payload: { name: 'eth0', runtimeState }
+        });
+    });
+});
+
+describe('#reloadConnection', () => {
+    const reloadConnectionMock = jest.fn(() => Promise.resolve());
+    const getInterfaceStateMock = jest.fn(() => Promise.resolve({ name: 'eth0' }));
+
+    beforeAll(() => {
+        resetClient();
+        NetworkClient.mockImplementation(() => {
+            return {
+                reloadConnection: reloadConnectionMock,
+                getInterfaceState: getInterfaceStateMock
+            };
+        });
+    });
+
+    it('reloads the connection and refreshes its runtime state', async () => {
+        const dispatchFn = jest.fn();
+
+        await reloadConnection(dispatchFn, { name: 'eth0' });
+
+        expect(reloadConnectionMock).toHaveBeenCalledWith('eth0', expect.objectContaining({ timeout: 30 }));
+        expect(dispatchFn).toHaveBeenCalledWith({
+            type: actionTypes.UPDATE_INTERFACE, payload: { name: 'eth0', status: interfaceStatus.READY }
+        });
+        expect(dispatchFn).toHaveBeenLastCalledWith({
+            type: actionTypes.UPDATE_INTERFACE, payload: { name: 'eth0', runtimeState: { name: 'eth0' } }
+        });
+    });
+});
+
+describe('#fetchLeases', () => {
+    const leases = [{ family: 'ipv4', type: 'dhcp', state: 'granted' }];
+    const getLeasesMock = jest.fn(() => Promise.resolve(leases));
+
+    beforeAll(() => {
+        resetClient();
+        NetworkClient.mockImplementation(() => {
+            return {
+                getLeases: getLeasesMock
+            };
+        });
+    });
+
+    it('dispatches an UPDATE_INTERFACE action including the leases', async () => {
+        const dispatchFn = jest.fn();
+
+        await fetchLeases(dispatchFn, 'eth0');
+
+        expect(getLeasesMock).toHaveBeenCalledWith('eth0');
+        expect(dispatchFn).toHaveBeenCalledWith({
+            type: actionTypes.UPDATE_INTERFACE, payload: { name: 'eth0', leases }
+        });
+    });
+});
+
+describe('#renewLeases', () => {
+    const renewLeasesMock = jest.fn(() => Promise.resolve());
+    const getLeasesMock = jest.fn(() => Promise.resolve([]));
+
+    beforeAll(() => {
+        resetClient();
+        NetworkClient.mockImplementation(() => {
+            return {
+                renewLeases: renewLeasesMock,
+                getLeases: getLeasesMock
+            };
+        });
+    });
+
+    it('renews the leases and refreshes them', async () => {
+        const dispatchFn = jest.fn();
+
+        await renewLeases(dispatchFn, { name: 'eth0' });
+
+        expect(renewLeasesMock).toHaveBeenCalledWith('eth0', expect.objectContaining({ timeout: expect.any(Number) }));
+        expect(dispatchFn).toHaveBeenLastCalledWith({
+            type: actionTypes.UPDATE_INTERFACE, payload: { name: 'eth0', leases: [] }
+        });
+    });
+});
+
+describe('#changeConnectionState', () => {
+    const setUpConnectionMock = jest.fn();
+
+    beforeAll(() => {
+        resetClient();
+        NetworkClient.mockImplementation(() => {
+            return {
+                setUpConnection: setUpConnectionMock
+            };
+        });
+    });
+
+    it('passes a timeout and reports the progress of the command', async () => {
+        setUpConnectionMock.mockImplementation((conn, { onProgress }) => {
+            onProgress('eth0  setup-in-progress');
+            return Promise.resolve();
+        });
+        const dispatchFn = jest.fn();
+
+        await changeConnectionState(dispatchFn, { name: 'eth0' }, true);
+
+        expect(setUpConnectionMock).toHaveBeenCalledWith(
+            { name: 'eth0' }, expect.objectContaining({ timeout: expect.any(Number) })
+        );
+        expect(dispatchFn).toHaveBeenCalledWith({
+            type: actionTypes.UPDATE_INTERFACE, payload: { name: 'eth0', progress: 'eth0  setup-in-progress' }
+        });
+        expect(dispatchFn).toHaveBeenCalledWith({
+            type: actionTypes.UPDATE_INTERFACE, payload: { name: 'eth0', progress: null, cancellable: false }
+        });
+    });
+
+    it('allows cancelling the command', async () => {
+        let finish;
+        const command = new Promise(resolve => { finish = resolve });
+        command.cancel = jest.fn(() => finish());
+        setUpConnectionMock.mockImplementation(() => command);
+        const dispatchFn = jest.fn();
+
+        const promise = changeConnectionState(dispatchFn, { name: 'eth0' }, true);
+        expect(dispatchFn).toHaveBeenCalledWith({
+            type: actionTypes.UPDATE_INTERFACE, payload: { name: 'eth0', cancellable: true }
+        });
+
+        cancelCommand('eth0');
+        await promise;
+
+        expect(command.cancel).toHaveBeenCalled();
+        expect(dispatchFn).toHaveBeenLastCalledWith({
+            type: actionTypes.UPDATE_INTERFACE, payload: { name: 'eth0', status: interfaceStatus.READY }
+        });
+    });
+});
+
+describe('#reloadConnections', () => {
+    const error = { message: 'The device is not configured', details: { reason: 'unconfigured' } };
+    const reloadConnectionsMock = jest.fn(names => Promise.resolve(
+        names.map(name => (name === 'eth1' ? { name, error } : { name, state: 'up' }))
+    ));
+
+    beforeAll(() => {
+        resetClient();
+        NetworkClient.mockImplementation(() => {
+            return {
+                reloadConnections: reloadConnectionsMock
+            };
+        });
+    });
+
+    const connections = [
+        { name: 'bond0', bond: { interfaces: ['eth0', 'eth1'] } },
+        { name: 'bond0.10', vlan: { parentDevice: 'bond0' } }
+    ];
+
+    it('reloads the connections and their dependencies with a single command', async () => {
+        const dispatchFn = jest.fn();
+
+        await reloadConnections(dispatchFn, connections, ['bond0']);
+
+        expect(reloadConnectionsMock).toHaveBeenCalledTimes(1);
+        expect(reloadConnectionsMock).toHaveBeenCalledWith(
+            ['bond0', 'eth0', 'eth1', 'bond0.10'], expect.objectContaining({ timeout: 30 })
+        );
+    });
+
+    it('reports the outcome for each interface', async () => {
+        const dispatchFn = jest.fn();
+
+        const results = await reloadConnections(dispatchFn, connections, ['bond0']);
+
+        expect(results.map(r => r.name)).toEqual(['bond0', 'eth0', 'eth1', 'bond0.10']);
+        expect(dispatchFn).toHaveBeenCalledWith({
+            type: actionTypes.UPDATE_INTERFACE, payload: { name: 'bond0', status: interfaceStatus.READY }
+        });
+        expect(dispatchFn).toHaveBeenCalledWith({
+            type: actionTypes.CONNECTION_ERROR, payload: { error, connection: { name: 'eth1' } }
+        });
+    });
+});
+
+describe('#resolveConflict', () => {
+    const eth0 = model.createConnection({ name: 'eth0', description: 'old' });
+    const conflict = new ConflictError('/etc/sysconfig/network/ifcfg-eth0');
+    const updateConnectionMock = jest.fn();
+    const updateRoutesMock = jest.fn();
+    const updateDnsSettingsMock = jest.fn();
+    const updateGlobalSettingsMock = jest.fn();
+    const getGlobalSettingsMock = jest.fn(() => Promise.resolve([]));
+    const reloadConnectionsMock = jest.fn(names => Promise.resolve(names.map(name => ({ name }))));
+    const reloaded = {
+        connections: [model.createConnection({ name: 'eth0', description: 'old', startMode: 'manual' })],
+        routes: [
+            model.createRoute({ destination: 'default', gateway: '192.168.1.1', device: 'eth0' }),
+            model.createRoute({ destination: '10.0.0.0/8', gateway: '192.168.1.2', device: 'eth0' })
+        ]
+    };
+
+    beforeEach(() => {
+        resetClient();
+        updateConnectionMock.mockReset();
+        updateConnectionMock.mockRejectedValueOnce(conflict).mockResolvedValue(undefined);
+        updateRoutesMock.mockReset();
+        updateRoutesMock.mockRejectedValueOnce(conflict).mockResolvedValue(undefined);
+        updateDnsSettingsMock.mockReset();
+        updateDnsSettingsMock.mockRejectedValueOnce(conflict).mockResolvedValue(undefined);
+        updateGlobalSettingsMock.mockReset();
+        updateGlobalSettingsMock.mockRejectedValueOnce(conflict).mockResolvedValue(undefined);
+        NetworkClient.mockImplementation(() => {
+            return {
+                updateConnection: updateConnectionMock,
+                updateRoutes: updateRoutesMock,
+                updateDnsSettings: updateDnsSettingsMock,
+                updateGlobalSettings: updateGlobalSettingsMock,
+                reloadConnections: reloadConnectionsMock,
+                getConnections: () => Promise.resolve(reloaded.connections),
+                getRoutes: () => Promise.resolve(reloaded.routes),
+                getDnsSettings: () => Promise.resolve({ nameServers: [], searchList: [] }),
+                getGlobalSettings: getGlobalSettingsMock
+            };
+        });
+    });
+
+    it('reports the conflict instead of a connection error', async () => {
+        const dispatchFn = jest.fn();
+
+        await updateConnection(dispatchFn, eth0, { description: 'new' });
+
+        expect(dispatchFn).toHaveBeenCalledWith({
+            type: actionTypes.SET_CONFLICT,
+            payload: { path: conflict.path, message: conflict.message, canReapply: true }
+        });
+        expect(dispatchFn).toHaveBeenCalledWith({
+            type: actionTypes.UPDATE_INTERFACE, payload: { name: 'eth0', status: interfaceStatus.READY }
+        });
+        expect(dispatchFn).not.toHaveBeenCalledWith(
+            expect.objectContaining({ type: actionTypes.CONNECTION_ERROR })
+        );
+    });
+
+    it('writes the change again when the user decides to overwrite', async () => {
+        const dispatchFn = jest.fn();
+        await updateConnection(dispatchFn, eth0, { description: 'new' });
+
+        await resolveConflict(dispatchFn, conflictResolution.OVERWRITE);
+
+        expect(dispatchFn).toHaveBeenCalledWith({ type: actionTypes.SET_CONFLICT, payload: null });
+        expect(updateConnectionMock).toHaveBeenLastCalledWith(
+            expect.objectContaining({ description: 'new', startMode: eth0.startMode }), { force: true }
+        );
+    });
+
+    it('applies the change on top of the reloaded connection when the user decides to reapply', async () => {
+        const dispatchFn = jest.fn();
+        await updateConnection(dispatchFn, eth0, { description: 'new' });
+
+        await resolveConflict(dispatchFn, conflictResolution.REAPPLY);
+
+        expect(updateConnectionMock).toHaveBeenLastCalledWith(
+            expect.objectContaining({ id: eth0.id, description: 'new', startMode: 'manual' }), { force: false }
+        );
+        expect(dispatchFn).toHaveBeenCalledWith({
+            type: actionTypes.UPDATE_CONNECTION, payload: expect.objectContaining({ startMode: 'manual' })
+        });
+    });
+
+    it('applies route changes to the reloaded routes', async () => {
+        const dispatchFn = jest.fn();
+        const routes = [reloaded.routes[0], { ...reloaded.routes[1], id: 99 }];
+        await deleteRoute(dispatchFn, routes, 99);
+
+        await resolveConflict(dispatchFn, conflictResolution.REAPPLY);
+
+        expect(updateRoutesMock).toHaveBeenLastCalledWith([reloaded.routes[0]], { force: false });
+        expect(dispatchFn).toHaveBeenCalledWith({ type: actionTypes.SET_ROUTES, payload: [reloaded.routes[0]] });
+    });
+
+    it('does not offer to reapply changes which are not merged into the reloaded configuration', async () => {
+        const dispatchFn = jest.fn();
+        await updateDnsSettings(dispatchFn, { policy: '', nameServers: ['1.1.1.1'], searchList: [] });
+
+        expect(dispatchFn).toHaveBeenCalledWith({
+            type: actionTypes.SET_CONFLICT,
+            payload: { path: conflict.path, message: conflict.message, canReapply: false }
+        });
+
+        await resolveConflict(dispatchFn, conflictResolution.REAPPLY);
+
+        expect(updateDnsSettingsMock).toHaveBeenCalledTimes(1);
+        expect(dispatchFn).not.toHaveBeenCalledWith(expect.objectContaining({ type: actionTypes.SET_DNS }));
+    });
+
+    it('writes the global settings again on top of the reloaded ones', async () => {
+        const dispatchFn = jest.fn();
+        const changes = [{ file: '/etc/sysconfig/network/config', key: 'WAIT_FOR_INTERFACES', value: '10' }];
+        await updateGlobalSettings(dispatchFn, changes);
+
+        await resolveConflict(dispatchFn, conflictResolution.REAPPLY);
+
+        expect(getGlobalSettingsMock).toHaveBeenCalled();
+        expect(updateGlobalSettingsMock).toHaveBeenLastCalledWith(changes, { force: false });
+        expect(dispatchFn).toHaveBeenCalledWith({ type: actionTypes.UPDATE_GLOBAL_SETTINGS, payload: changes });
+    });
+
+    it('discards the change when the user cancels', async () => {
+        const dispatchFn = jest.fn();
+        await updateConnection(dispatchFn, eth0, { description: 'new' });
+
+        await resolveConflict(dispatchFn);
+
+        expect(dispatchFn).toHaveBeenCalledWith({ type: actionTypes.SET_CONFLICT, payload: null });
+        expect(updateConnectionMock).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('using an in-memory adapter', () => {
+    const { default: RealNetworkClient } = jest.requireActual('../lib/NetworkClient');
+    let adapter;
+
+    beforeEach(() => {
+        adapter = new FakeAdapter({
+            connections: [model.createConnection({ name: 'eth0' })],
+            interfaces: [model.createInterface({ name: 'eth0', link: true })],
+            globalSettings: [model.createGlobalSetting({ file: '/etc/config', key: 'WAIT', value: '30' })],
+            failures: { eth1: new Error('no carrier') }
+        });
+        resetClient(new RealNetworkClient(adapter));
+    });
+
+    afterAll(() => resetClient());
+
+    it('adds and deletes connections', async () => {
+        const dispatchFn = jest.fn();
+        const conn = model.createConnection({ name: 'br0', type: interfaceType.BRIDGE });
+
+        await addConnection(dispatchFn, conn);
+        expect((await adapter.connections()).map(c => c.name)).toEqual(['eth0', 'br0']);
+        expect(dispatchFn).toHaveBeenCalledWith({
+            type: actionTypes.UPDATE_INTERFACE, payload: { name: 'br0', status: interfaceStatus.READY }
+        });
+
+        await deleteConnection(dispatchFn, conn);
+        expect((await adapter.connections()).map(c => c.name)).toEqual(['eth0']);
+    });
+
+    it('reports the interfaces which could not be reloaded', async () => {
+        const dispatchFn = jest.fn();
+        const eth1 = model.createConnection({ name: 'eth1' });
+        await adapter.addConnection(eth1);
+
+        await reloadConnections(dispatchFn, [eth1], ['eth0', 'eth1']);
+
+        expect(dispatchFn).toHaveBeenCalledWith({
+            type: actionTypes.UPDATE_INTERFACE, payload: { name: 'eth0', status: interfaceStatus.READY }
+        });
+        expect(dispatchFn).toHaveBeenCalledWith({
+            type: actionTypes.CONNECTION_ERROR, payload: { error: new Error('no carrier'), connection: { name: 'eth1' } }
+        });
+    });
+
+    it('writes the global settings', async () => {
+        const dispatchFn = jest.fn();
+        const changes = [{ file: '/etc/config', key: 'WAIT', value: '10' }];
+
+        await updateGlobalSettings(dispatchFn, changes);
+
+        expect(await adapter.globalSettings()).toEqual([expect.objectContaining({ key: 'WAIT', value: '10' })]);
+        expect(dispatchFn).toHaveBeenCalledWith({ type: actionTypes.UPDATE_GLOBAL_SETTINGS, payload: changes });
+    });
+    it('restores a snapshot and reads the configuration again', async () => {
+        const dispatchFn = jest.fn();
+        const snapshot = await createSnapshot(dispatchFn, 'initial');
+        await adapter.addConnection(model.createConnection({ name: 'eth1' }));
+
+        await restoreSnapshot(dispatchFn, snapshot);
+
+        expect((await adapter.connections()).map(c => c.name)).toEqual(['eth0']);
+        expect(dispatchFn).toHaveBeenCalledWith({ type: actionTypes.ADD_SNAPSHOT, payload: snapshot });
+        await new Promise(resolve => setImmediate(resolve));
+        expect(dispatchFn).toHaveBeenCalledWith({
+            type: actionTypes.SET_CONNECTIONS, payload: [expect.objectContaining({ name: 'eth0' })]
+        });
+    });
+    describe('when a change is applied with rollback', () => {
+        const eth0 = model.createConnection({ name: 'eth0' });
+        const changes = { description: 'uplink' };
+
+        it('asks for a confirmation', async () => {
+            const dispatchFn = jest.fn();
+
+            await updateConnection(dispatchFn, eth0, changes, { rollback: true });
+
+            expect(dispatchFn).toHaveBeenCalledWith({
+                type: actionTypes.SET_ROLLBACK, payload: expect.objectContaining({ timeout: 60, deadline: expect.any(Number) })
+            });
+        });
+
+        it('keeps the change when it is confirmed', async () => {
+            const dispatchFn = jest.fn();
+            await updateConnection(dispatchFn, eth0, changes, { rollback: true });
+            const { payload: rollback } = dispatchFn.mock.calls.find(([a]) => a.type === actionTypes.SET_ROLLBACK)[0];
+
+            await confirmChanges(dispatchFn, rollback);
+
+            expect(await adapter.connections()).toEqual([expect.objectContaining({ description: 'uplink' })]);
+            expect(dispatchFn).toHaveBeenLastCalledWith({ type: actionTypes.SET_ROLLBACK, payload: null });
+        });
+
+        it('restores the previous configuration when it is rolled back', async () => {
+            const dispatchFn = jest.fn();
+            await updateConnection(dispatchFn, eth0, changes, { rollback: true });
+            const { payload: rollback } = dispatchFn.mock.calls.find(([a]) => a.type === actionTypes.SET_ROLLBACK)[0];
+
+            await rollbackChanges(dispatchFn, rollback);
+
+            expect(await adapter.connections()).toEqual([expect.objectContaining({ description: undefined })]);
+        });
+
+        it('counts the deadline from the moment the rollback point is created', async () => {
+            let clock = 1000;
+            jest.spyOn(Date, 'now').mockImplementation(() => clock);
+            const update = adapter.updateConnection.bind(adapter);
+            jest.spyOn(adapter, 'updateConnection').mockImplementation(async (...args) => {
+                clock += 35000;
+                return update(...args);
+            });
+            const dispatchFn = jest.fn();
+
+            await updateConnection(dispatchFn, eth0, changes, { rollback: true });
+
+            expect(dispatchFn).toHaveBeenCalledWith({
+                type: actionTypes.SET_ROLLBACK, payload: expect.objectContaining({ deadline: 61000 })
+            });
+            jest.restoreAllMocks();
+        });
+
+        it('discards the rollback point when nothing was written because of a conflict', async () => {
+            jest.spyOn(adapter, 'updateConnection').mockRejectedValue(new ConflictError('/etc/ifcfg-eth0'));
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const confirm = jest.spyOn(adapter, 'confirmChanges');
+            const dispatchFn = jest.fn();
+
+            await updateConnection(dispatchFn, eth0, changes, { rollback: true });
+
+            expect(confirm).toHaveBeenCalled();
+            expect(dispatchFn).not.toHaveBeenCalledWith(expect.objectContaining({ type: actionTypes.SET_ROLLBACK }));
+            jest.restoreAllMocks();
+        });
+
+        it('keeps the rollback point when the change was partially applied', async () => {
+            const dispatchFn = jest.fn();
+            setStaging(dispatchFn, true);
+            await updateConnection(dispatchFn, eth0, changes, { rollback: true });
+            await addRoute(dispatchFn, [], { destination: 'default', gateway: '192.168.1.1' });
+            jest.spyOn(adapter, 'updateRoutes').mockRejectedValue(new Error('disk full'));
+            const confirm = jest.spyOn(adapter, 'confirmChanges');
+
+            await expect(applyPendingChanges(dispatchFn)).rejects.toThrow('disk full');
+
+            expect(confirm).not.toHaveBeenCalled();
+            expect(dispatchFn).toHaveBeenCalledWith({
+                type: actionTypes.SET_ROLLBACK, payload: expect.objectContaining({ timeout: 60 })
+            });
+            jest.restoreAllMocks();
+        });
+    });
+
+    describe('when the changes are staged', () => {
+        const eth0 = model.createConnection({ name: 'eth0' });
+        const br0 = model.createConnection({ name: 'br0', type: interfaceType.BRIDGE });
+        let dispatchFn;
+
+        beforeEach(async () => {
+            dispatchFn = jest.fn();
+            setStaging(dispatchFn, true);
+            await addConnection(dispatchFn, br0);
+            await updateConnection(dispatchFn, eth0, { description: 'uplink' });
+            await addRoute(dispatchFn, [], { destination: 'default', gateway: '192.168.1.1' });
+        });
+
+        it('updates the state without writing the configuration', async () => {
+            expect(await adapter.connections()).toEqual([expect.objectContaining({ name: 'eth0', description: undefined })]);
+            expect(dispatchFn).toHaveBeenCalledWith({
+                type: actionTypes.ADD_PENDING_CHANGE, payload: { id: expect.any(Number), description: 'Update $0' }
+            });
+            expect(dispatchFn).toHaveBeenCalledWith({
+                type: actionTypes.UPDATE_CONNECTION, payload: expect.objectContaining({ description: 'uplink' })
+            });
+        });
+
+        it('shows the differences the changes would introduce', async () => {
+            const diff = await fetchPendingChangesDiff();
+
+            expect(diff).toMatch('+++ pending/connections');
+            expect(diff).toMatch('+++ pending/routes');
+            expect((await adapter.connections()).map(c => c.name)).toEqual(['eth0']);
+        });
+
+        it('writes all the changes and reloads the interfaces at once', async () => {
+            const reload = jest.spyOn(adapter, 'reloadConnections');
+
+            await applyPendingChanges(dispatchFn);
+
+            expect((await adapter.connections()).map(c => c.name)).toEqual(['eth0', 'br0']);
+            expect(await adapter.routes()).toEqual([expect.objectContaining({ gateway: '192.168.1.1' })]);
+            expect(reload).toHaveBeenCalledTimes(1);
+            expect(reload).toHaveBeenCalledWith(['br0', 'eth0'], expect.anything());
+            expect(await fetchPendingChangesDiff()).toEqual('');
+        });
+
+        it('discards the changes and reads the configuration again', async () => {
+            discardPendingChanges(dispatchFn);
+
+            expect(dispatchFn).toHaveBeenCalledWith({ type: actionTypes.CLEAR_PENDING_CHANGES });
+            await new Promise(resolve => setImmediate(resolve));
+            expect(dispatchFn).toHaveBeenCalledWith({
+                type: actionTypes.SET_CONNECTIONS, payload: [expect.objectContaining({ name: 'eth0' })]
+            });
+            expect(await fetchPendingChangesDiff()).toEqual('');
+        });
+    });
+});
@@ -89,7 +89,7 @@ export function interfacesReducer(state, action) {
 
         return {
             ...state,
-            [iface.id]: { ...iface, status: interfaceStatus.CHANGING, error: null }
+            [iface.id]: { ...iface, status: interfaceStatus.CHANGING, error: null, errorDetails: null }
         };
     }
 
@@ -98,7 +98,7 @@ export function interfacesReducer(state, action) {
         const iface = Object.values(state).find(i => i.name === name);
         return {
             ...state,
-            [iface.id]: { ...iface, status: interfaceStatus.CHANGING, error: null }
+            [iface.id]: { ...iface, status: interfaceStatus.CHANGING, error: null, errorDetails: null }
         };
     }
 
@@ -109,7 +109,7 @@ export function interfacesReducer(state, action) {
         if (!conn.virtual) {
             return {
                 ...state,
-                [iface.id]: { ...iface, status: interfaceStatus.CHANGING, error: null }
+                [iface.id]: { ...iface, status: interfaceStatus.CHANGING, error: null, errorDetails: null }
             };
         }
 
@@ -118,10 +118,13 @@ export function interfacesReducer(state, action) {
     }
 
     case actionTypes.CONNECTION_ERROR: {
-        const { connection: { name }, error: { message } } = action.payload;
+        const { connection: { name }, error: { message, details } } = action.payload;
         const iface = Object.values(state).find(i => i.name === name);
+        if (!iface) return state;
+
         return {
-            ...state, [iface.id]: { ...iface, error: message, status: interfaceStatus.ERROR }
+            ...state,
+            [iface.id]: { ...iface, error: message, errorDetails: details, status: interfaceStatus.ERROR }
         };
     }
 
@@ -157,3 +160,90 @@ export function dnsReducer(state, action) {
     }
     }
 }
+
+export function conflictReducer(state, action) {
+    switch (action.type) {
+    case actionTypes.SET_CONFLICT: {
+        return action.payload;
+    }
+
+    default: {
+        return state;
+    }
+    }
+}
+
+export function rollbackReducer(state, action) {
+    switch (action.type) {
+    case actionTypes.SET_ROLLBACK: {
+        return action.payload;
+    }
+
+    default: {
+        return state;
+    }
+    }
+}
+
+export function globalSettingsReducer(state, action) {
+    switch (action.type) {
+    case actionTypes.SET_GLOBAL_SETTINGS: {
+        return action.payload;
+    }
+
+    case actionTypes.UPDATE_GLOBAL_SETTINGS: {
+        return state.map(setting => {
+            const change = action.payload.find(c => c.file === setting.file && c.key === setting.key);
+            return change ? { ...setting, value: change.value } : setting;
+        });
+    }
+
+    default: {
+        return state;
+    }
+    }
+}
+
+export function snapshotsReducer(state, action) {
+    switch (action.type) {
+    case actionTypes.SET_SNAPSHOTS: {
+        return action.payload;
+    }
+
+    case actionTypes.ADD_SNAPSHOT: {
+        return [action.payload, ...state];
+    }
+
+    case actionTypes.DELETE_SNAPSHOT: {
+        return state.filter(snapshot => snapshot.id !== action.payload.id);
+    }
+
+    default: {
+        return state;
+    }
+    }
+}
+
+export function stagingReducer(state, action) {
+    switch (action.type) {
+    case actionTypes.SET_STAGING: {
+        return { ...state, enabled: action.payload };
+    }
+
+    case actionTypes.ADD_PENDING_CHANGE: {
+        return { ...state, changes: [...state.changes, action.payload] };
+    }
+
+    case actionTypes.REMOVE_PENDING_CHANGE: {
+        return { ...state, changes: state.changes.filter(change => change.id !== action.payload.id) };
+    }
+
+    case actionTypes.CLEAR_PENDING_CHANGES: {
+        return { ...state, changes: [] };
+    }
+
+    default: {
+        return state;
+    }
+    }
+}
@@ -19,13 +19,17 @@
  * find current contact information at www.suse.com.
  */
 
-import { interfacesReducer, connectionsReducer, routesReducer, dnsReducer } from './reducers';
+import {
+    interfacesReducer, connectionsReducer, routesReducer, dnsReducer, conflictReducer, globalSettingsReducer,
+    snapshotsReducer, stagingReducer
+} from './reducers';
 import { createConnection } from '../lib/model/connections';
 import { createInterface } from '../lib/model/interfaces';
 import actionTypes from './actionTypes';
 import interfaceType from '../lib/model/interfaceType';
 import interfaceStatus from '../lib/model/interfaceStatus';
 import startModeEnum from '../lib/model/startMode';
+import WickedError from '../lib/wicked/errors';
 
 describe('connectionsReducer', () => {
     describe('SET_CONNECTIONS', () => {
@@ -174,6 +178,26 @@ describe('interfacesReducer', () => {
             const { [eth0.id]: newIface } = newState;
             expect(newIface.status).toEqual(interfaceStatus.ERROR);
             expect(newIface.error).toEqual('some error');
+            expect(newIface.errorDetails).toBeUndefined();
+        });
+
+        it('sets the error details if available', () => {
+            const conn = createConnection({ name: 'eth0' });
+            const error = new WickedError({
+                exitStatus: 155, stderr: 'eth0: no such device', command: ['/usr/sbin/wicked', 'ifup', 'eth0']
+            });
+            const eth0 = createInterface({ name: 'eth0' });
+            const state = { [eth0.id]: eth0 };
+            const action = {
+                type: actionTypes.CONNECTION_ERROR, payload: { connection: conn, error }
+            };
+            const newState = interfacesReducer(state, action);
+
+            const { [eth0.id]: newIface } = newState;
+            expect(newIface.error).toEqual('The device does not exist');
+            expect(newIface.errorDetails).toEqual(expect.objectContaining({
+                reason: 'no-device', stderr: 'eth0: no such device', command: '/usr/sbin/wicked ifup eth0'
+            }));
         });
     });
 });
@@ -205,3 +229,77 @@ describe('dnsReducer', () => {
         });
     });
 });
+
+describe('conflictReducer', () => {
+    describe('SET_CONFLICT', () => {
+        it('sets and clears the conflict', () => {
+            const conflict = { path: '/etc/sysconfig/network/config' };
+            const newState = conflictReducer(null, { type: actionTypes.SET_CONFLICT, payload: conflict });
+            expect(newState).toEqual(conflict);
+            expect(conflictReducer(newState, { type: actionTypes.SET_CONFLICT, payload: null })).toBeNull();
+        });
+    });
+});
+
+describe('globalSettingsReducer', () => {
+    const settings = [
+        { file: '/etc/sysconfig/network/config', key: 'WAIT_FOR_INTERFACES', value: '30' },
+        { file: '/etc/sysconfig/network/dhcp', key: 'DHCLIENT_SEND_HOSTNAME', value: 'yes' }
+    ];
+
+    describe('SET_GLOBAL_SETTINGS', () => {
+        it('sets the global settings', () => {
+            const action = { type: actionTypes.SET_GLOBAL_SETTINGS, payload: settings };
+            expect(globalSettingsReducer([], action)).toEqual(settings);
+        });
+    });
+
+    describe('UPDATE_GLOBAL_SETTINGS', () => {
+        it('updates the values of the given settings', () => {
+            const change = { file: '/etc/sysconfig/network/dhcp', key: 'DHCLIENT_SEND_HOSTNAME', value: 'no' };
+            const newState = globalSettingsReducer(settings, { type: actionTypes.UPDATE_GLOBAL_SETTINGS, payload: [change] });
+
+            expect(newState).toEqual([settings[0], change]);
+        });
+    });
+});
+
+describe('snapshotsReducer', () => {
+    const older = { id: '20201019T100000Z', comment: 'older' };
+    const newer = { id: '20201019T110000Z', comment: 'newer' };
+
+    describe('ADD_SNAPSHOT', () => {
+        it('adds the snapshot as the newest one', () => {
+            const newState = snapshotsReducer([older], { type: actionTypes.ADD_SNAPSHOT, payload: newer });
+            expect(newState).toEqual([newer, older]);
+        });
+    });
+
+    describe('DELETE_SNAPSHOT', () => {
+        it('removes the snapshot with the same id', () => {
+            const newState = snapshotsReducer([newer, older], { type: actionTypes.DELETE_SNAPSHOT, payload: { id: newer.id } });
+            expect(newState).toEqual([older]);
+        });
+    });
+});
+
+describe('stagingReducer', () => {
+    const first = { id: 1, description: 'Update eth0' };
+    const second = { id: 2, description: 'Change routes' };
+
+    describe('ADD_PENDING_CHANGE', () => {
+        it('adds the change after the previous ones', () => {
+            const state = { enabled: true, changes: [first] };
+            const newState = stagingReducer(state, { type: actionTypes.ADD_PENDING_CHANGE, payload: second });
+            expect(newState).toEqual({ enabled: true, changes: [first, second] });
+        });
+    });
+
+    describe('REMOVE_PENDING_CHANGE', () => {
+        it('removes the change with the same id', () => {
+            const state = { enabled: true, changes: [first, second] };
+            const newState = stagingReducer(state, { type: actionTypes.REMOVE_PENDING_CHANGE, payload: { id: 1 } });
+            expect(newState).toEqual({ enabled: true, changes: [second] });
+        });
+    });
+});
@@ -21,6 +21,15 @@
 
 import cockpit from 'cockpit';
 import WickedAdapter from './wicked/adapter';
+import NetworkManagerAdapter from './nm/adapter';
+import { assertAdapter } from './adapter';
+
+/**
+ * Adapters which can be selected automatically, in order of preference
+ *
+ * @ignore
+ */
+const ADAPTERS = [WickedAdapter, NetworkManagerAdapter];
 
 /**
  * Class responsible for interacting with the network.
@@ -29,20 +38,54 @@ import WickedAdapter from './wicked/adapter';
  * network configuration.
  */
 class NetworkClient {
+    /**
+     * @param {NetworkAdapter} [adapter] - Adapter to use. When it is not given, the adapter is
+     *   selected according to the running network service (see {@link NetworkClient#isActive}).
+     * @throws {TypeError} when the adapter does not fulfil the contract
+     */
     constructor(adapter) {
-        this.adapter = adapter || new WickedAdapter();
+        this.autoSelect = !adapter;
+        this.adapter = adapter ? assertAdapter(adapter) : new WickedAdapter();
     }
 
     /**
      * Whether the service for interacting with network is active or not
      *
+     * When the adapter was not given, it looks for the first adapter whose service is active
+     * (wicked or NetworkManager) and starts using it.
+     *
      * @return {Promise.<boolean>} Promise that resolves to true if service is active or false if not
      */
     async isActive() {
-        const command = `systemctl --system is-active ${this.adapter.serviceName()}`;
-        const output = await cockpit.spawn(command.split(' '), { superuser: true });
+        if (!this.autoSelect) return this.serviceIsActive(this.adapter.serviceName());
+
+        for (const Adapter of ADAPTERS) {
+            const adapter = (this.adapter instanceof Adapter) ? this.adapter : new Adapter();
+            if (await this.serviceIsActive(adapter.serviceName())) {
+                this.adapter = adapter;
+                return true;
+            }
+        }
 
-        return output.trim() === "active";
+        return false;
+    }
+
+    /**
+     * Whether the given systemd service is active
+     *
+     * @ignore
+     * @param {string} service - Service name
+     * @return {Promise.<boolean>}
+     */
+    async serviceIsActive(service) {
+        const command = `systemctl --system is-active ${service}`;
+
+        try {
+            const output = await cockpit.spawn(command.split(' '), { superuser: true });
+            return output.trim() === "active";
+        } catch (error) {
+            return false;
+        }
     }
 
     /**
@@ -84,34 +127,226 @@ class NetworkClient {
         return this.adapter.dnsSettings();
     }
 
-    updateDnsSettings(changes) {
-        return this.adapter.updateDnsSettings(changes);
+    updateDnsSettings(changes, options = {}) {
+        return this.adapter.updateDnsSettings(changes, options);
+    }
+
+    /**
+     * Returns the global settings (other than the DNS ones)
+     *
+     * @returns {Promise<Array<GlobalSetting>>}
+     */
+    async getGlobalSettings() {
+        return this.adapter.globalSettings();
+    }
+
+    updateGlobalSettings(changes, options = {}) {
+        return this.adapter.updateGlobalSettings(changes, options);
     }
 
-    addConnection(connection) {
-        return this.adapter.addConnection(connection);
+    addConnection(connection, options = {}) {
+        return this.adapter.addConnection(connection, options);
     }
 
-    deleteConnection(connection) {
-        return this.adapter.deleteConnection(connection);
+    deleteConnection(connection, options = {}) {
+        return this.adapter.deleteConnection(connection, options);
     }
 
     /**
      * Reloads a connection
      *
+     * The returned promise offers a `cancel()` function to stop the operation.
+     *
      * @param {String} name - Connection's name
+     * @param {Object} [options] - Options
+     * @param {number} [options.timeout] - Time (in seconds) to wait for the operation to finish
+     * @param {function} [options.onProgress] - Function to call with each progress message
+     * @returns {Promise}
+     */
+    reloadConnection(name, options) {
+        return this.adapter.reloadConnection(name, options);
+    }
+
+    /**
+     * Activates a connection
+     *
+     * @param {Connection} connection - Connection to activate
+     * @param {Object} [options] - Options (@see reloadConnection)
+     * @returns {Promise}
+     */
+    setUpConnection(connection, options) {
+        return this.adapter.setUpConnection(connection, options);
+    }
+
+    /**
+     * Deactivates a connection
+     *
+     * @param {Connection} connection - Connection to deactivate
+     * @param {Object} [options] - Options (@see reloadConnection)
+     * @returns {Promise}
+     */
+    setDownConnection(connection, options) {
+        return this.adapter.setDownConnection(connection, options);
+    }
+
+    /**
+     * Reloads several connections at once
+     *
+     * Instead of failing, the returned promise resolves to the outcome for each connection
+     * (an object containing the `name` and, if something went wrong, the `error`). It offers a
+     * `cancel()` function to stop the operation.
+     *
+     * @param {Array<String>} names - Connections' names
+     * @param {Object} [options] - Options (@see reloadConnection)
+     * @returns {Promise<Array<Object>>}
+     */
+    reloadConnections(names, options) {
+        return this.adapter.reloadConnections(names, options);
+    }
+
+    /**
+     * Activates several connections at once
+     *
+     * @param {Array<String>} names - Connections' names
+     * @param {Object} [options] - Options (@see reloadConnection)
+     * @returns {Promise<Array<Object>>} Outcome for each connection (@see reloadConnections)
+     */
+    setUpConnections(names, options) {
+        return this.adapter.setUpConnections(names, options);
+    }
+
+    /**
+     * Deactivates several connections at once
+     *
+     * @param {Array<String>} names - Connections' names
+     * @param {Object} [options] - Options (@see reloadConnection)
+     * @returns {Promise<Array<Object>>} Outcome for each connection (@see reloadConnections)
+     */
+    setDownConnections(names, options) {
+        return this.adapter.setDownConnections(names, options);
+    }
+
+    /**
+     * Returns the runtime state of an interface
+     *
+     * @param {String} name - Interface's name
+     * @return {Promise<InterfaceState>}
+     */
+    getInterfaceState(name) {
+        return this.adapter.interfaceState(name);
+    }
+
+    /**
+     * Returns the address configuration leases of an interface
+     *
+     * @param {String} name - Interface's name
+     * @return {Promise<Array<Lease>>}
+     */
+    getLeases(name) {
+        return this.adapter.leases(name);
+    }
+
+    /**
+     * Renews the DHCP leases of an interface
+     *
+     * @param {String} name - Interface's name
+     * @param {Object} [options] - Options (@see reloadConnection)
+     * @returns {Promise}
+     */
+    renewLeases(name, options) {
+        return this.adapter.renewLeases(name, options);
+    }
+
+    /**
+     * Returns the snapshots of the configuration, from the newest to the oldest
+     *
+     * @returns {Promise<Array<Snapshot>>}
+     */
+    getSnapshots() {
+        return this.adapter.snapshots();
+    }
+
+    /**
+     * Takes a snapshot of the configuration
+     *
+     * @param {string} [comment] - Comment describing the snapshot
+     * @returns {Promise<Snapshot>}
+     */
+    createSnapshot(comment) {
+        return this.adapter.createSnapshot(comment);
+    }
+
+    /**
+     * Returns the differences between a snapshot and the current configuration
+     *
+     * @param {string} id - Snapshot identifier
+     * @returns {Promise<string>} Differences in unified format
+     */
+    getSnapshotDiff(id) {
+        return this.adapter.snapshotDiff(id);
+    }
+
+    /**
+     * Restores the configuration from a snapshot and applies it
+     *
+     * @param {string} id - Snapshot identifier
+     * @param {CommandOptions} [options] - Command options
+     * @returns {Promise}
+     */
+    restoreSnapshot(id, options) {
+        return this.adapter.restoreSnapshot(id, options);
+    }
+
+    /**
+     * Deletes a snapshot
+     *
+     * @param {string} id - Snapshot identifier
+     * @returns {Promise}
+     */
+    deleteSnapshot(id) {
+        return this.adapter.deleteSnapshot(id);
+    }
+
+    /**
+     * Saves the configuration and schedules its restoration
+     *
+     * @param {number} timeout - Seconds to wait for the confirmation
+     * @returns {Promise<RollbackPoint>}
+     */
+    createRollbackPoint(timeout) {
+        return this.adapter.createRollbackPoint(timeout);
+    }
+
+    /**
+     * Keeps the changes done after creating a rollback point
+     *
+     * @param {string} id - Rollback point identifier
      * @returns {Promise}
      */
-    reloadConnection(name) {
-        return this.adapter.reloadConnection(name);
+    confirmChanges(id) {
+        return this.adapter.confirmChanges(id);
     }
 
-    setUpConnection(connection) {
-        return this.adapter.setUpConnection(connection);
+    /**
+     * Restores the configuration saved in a rollback point right away
+     *
+     * @param {string} id - Rollback point identifier
+     * @param {CommandOptions} [options] - Command options
+     * @returns {Promise}
+     */
+    rollback(id, options) {
+        return this.adapter.rollback(id, options);
     }
 
-    setDownConnection(connection) {
-        return this.adapter.setDownConnection(connection);
+    /**
+     * Returns how the configuration files would change, without writing them
+     *
+     * @param {function} fn - Function which changes the configuration using this client. It
+     *   receives the writing options to use.
+     * @returns {Promise<Array<FileChange>>}
+     */
+    previewChanges(fn) {
+        return this.adapter.previewChanges(fn);
     }
 
     /**
@@ -120,11 +355,12 @@ class NetworkClient {
      * It asks the network system to update the information for the given connection
      *
      * @param {Connection} Connection - Connection to update
+     * @param {WriteOptions} [options] - Writing options
      * @return {Promise<Connection|Error>}
      */
-    updateConnection(connection) {
+    updateConnection(connection, options = {}) {
         return new Promise((resolve, reject) => {
-            this.adapter.updateConnection(connection)
+            this.adapter.updateConnection(connection, options)
                     .then(() => resolve(connection))
                     .catch(error => {
                         console.error("Error while updating the connection:", error);
@@ -137,10 +373,11 @@ class NetworkClient {
      * Update routes
      *
      * @param {Array<Object>} connections - List of routes to update
+     * @param {WriteOptions} [options] - Writing options
      * @returns {Promise<Array|Error>} Resolves to an array of connection objects in case of success
      */
-    async updateRoutes(routes) {
-        return await this.adapter.updateRoutes(routes);
+    async updateRoutes(routes, options = {}) {
+        return await this.adapter.updateRoutes(routes, options);
     }
 
     /**
@@ -158,6 +395,41 @@ class NetworkClient {
         return output.trim().split("\n");
     }
 
+    /**
+     * Returns the names of the users known by the host
+     *
+     * It relies on `getent`, so the users coming from other sources (e.g., LDAP) are included.
+     *
+     * @returns {Promise<Array<String>|Error>} User names, sorted alphabetically
+     */
+    async getUsers() {
+        return this._getentNames('passwd');
+    }
+
+    /**
+     * Returns the names of the groups known by the host
+     *
+     * @returns {Promise<Array<String>|Error>} Group names, sorted alphabetically
+     */
+    async getGroups() {
+        return this._getentNames('group');
+    }
+
+    /**
+     * Returns the names (the first field) of the entries of a `getent` database
+     *
+     * @ignore
+     * @param {string} database - Database name ('passwd' or 'group')
+     * @returns {Promise<Array<String>|Error>}
+     */
+    async _getentNames(database) {
+        const output = await cockpit.spawn(['/usr/bin/getent', database], { err: 'message' });
+        const names = output.split('\n')
+                .filter(line => line.includes(':'))
+                .map(line => line.split(':')[0]);
+        return [...new Set(names)].sort();
+    }
+
     /**
      * Callback that runs when an interface changes
      */
@@ -19,11 +19,21 @@
  * find current contact information at www.suse.com.
  */
 
+import cockpit from 'cockpit';
 import NetworkClient from '../lib/NetworkClient';
+import WickedAdapter from './wicked/adapter';
+import NetworkManagerAdapter from './nm/adapter';
 
 const client = new NetworkClient();
 
 describe("NetworkClient", () => {
+    describe("#constructor", () => {
+        it("rejects adapters which do not fulfil the contract", () => {
+            expect(() => new NetworkClient({ serviceName: () => 'broken' }))
+                    .toThrow(/missing methods: connections, interfaces/);
+        });
+    });
+
     describe("#getConnections", () => {
         it("returns the list of connections", () => {
             expect.assertions(1);
@@ -68,4 +78,71 @@ describe("NetworkClient", () => {
             });
         });
     });
+
+    describe("#getUsers", () => {
+        afterEach(() => jest.restoreAllMocks());
+
+        it("returns the sorted names of the users", async () => {
+            const spawn = jest.spyOn(cockpit, 'spawn').mockImplementation(() => Promise.resolve(
+                "root:x:0:0:root:/root:/bin/bash\nvpn:x:1001:100::/home/vpn:/bin/bash\nbin:x:1:1:bin:/bin:/sbin/nologin\n"
+            ));
+
+            expect(await client.getUsers()).toEqual(['bin', 'root', 'vpn']);
+            expect(spawn).toHaveBeenCalledWith(['/usr/bin/getent', 'passwd'], expect.anything());
+        });
+    });
+
+    describe("#getGroups", () => {
+        afterEach(() => jest.restoreAllMocks());
+
+        it("returns the sorted names of the groups", async () => {
+            jest.spyOn(cockpit, 'spawn').mockImplementation(() => Promise.resolve(
+                "users:x:100:\nroot:x:0:\nkvm:x:36:qemu\n"
+            ));
+
+            expect(await client.getGroups()).toEqual(['kvm', 'root', 'users']);
+        });
+    });
+
+    describe("#isActive", () => {
+        const activeServices = (services) => {
+            return jest.spyOn(cockpit, 'spawn').mockImplementation(([, , , service]) => {
+                if (services.includes(service)) return Promise.resolve("active\n");
+
+                const error = { exit_status: 3, message: "inactive" };
+                return Promise.reject(error);
+            });
+        };
+
+        afterEach(() => jest.restoreAllMocks());
+
+        it("keeps the wicked adapter when wicked is active", async () => {
+            activeServices(['wicked']);
+            const networkClient = new NetworkClient();
+
+            expect(await networkClient.isActive()).toEqual(true);
+            expect(networkClient.adapter).toBeInstanceOf(WickedAdapter);
+        });
+
+        it("switches to the NetworkManager adapter when only NetworkManager is active", async () => {
+            activeServices(['NetworkManager']);
+            const networkClient = new NetworkClient();
+
+            expect(await networkClient.isActive()).toEqual(true);
+            expect(networkClient.adapter).toBeInstanceOf(NetworkManagerAdapter);
+        });
+
+        it("returns false when no service is active", async () => {
+            activeServices([]);
+            expect(await new NetworkClient().isActive()).toEqual(false);
+        });
+
+        it("only checks the service of the given adapter", async () => {
+            const spawn = activeServices(['NetworkManager']);
+            const networkClient = new NetworkClient(new WickedAdapter());
+
+            expect(await networkClient.isActive()).toEqual(false);
+            expect(spawn).toHaveBeenCalledTimes(1);
+        });
+    });
 });
@@ -0,0 +1,436 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+/**
+ * Contract that network adapters must fulfil
+ *
+ * {@link NetworkClient} does not talk to the network service directly: it delegates on an
+ * adapter (e.g., {@link WickedAdapter} or {@link NetworkManagerAdapter}). Any object
+ * implementing the methods described by {@link NetworkAdapter} can be used as an adapter.
+ *
+ * The conformance suite in {@link module:adapterConformance} checks the expected behavior.
+ *
+ * @module adapter
+ */
+
+/**
+ * Network adapter
+ *
+ * Methods which run commands (set up, set down and reload) return a promise that may include
+ * a `cancel` function to stop the command. Adapters which cannot report progress or cancel
+ * commands just ignore the {@link CommandOptions}.
+ *
+ * Methods which write the configuration accept {@link WriteOptions}. If the configuration
+ * changed since the adapter read it, they reject with a {@link ConflictError} unless `force`
+ * is set. Adapters which cannot detect such changes just ignore the options.
+ *
+ * @interface NetworkAdapter
+ */
+
+/**
+ * @typedef {Object} WriteOptions
+ * @property {boolean} [force=false] - Whether to write the configuration even if it changed
+ *   since it was read
+ * @property {Object} [recorder] - Keeps the changes instead of writing them. It is created by
+ *   the adapter when previewing changes (see {@link NetworkAdapter#previewChanges}).
+ */
+
+/**
+ * Returns the name of the systemd service the adapter relies on
+ *
+ * @function
+ * @name NetworkAdapter#serviceName
+ * @return {string}
+ */
+
+/**
+ * Returns the connections
+ *
+ * @function
+ * @name NetworkAdapter#connections
+ * @return {Promise<Array<Connection>>}
+ */
+
+/**
+ * Returns the interfaces, including the virtual ones which are configured but do not exist
+ *
+ * @function
+ * @name NetworkAdapter#interfaces
+ * @return {Promise<Array<Interface>>}
+ */
+
+/**
+ * Registers a callback to be called when an interface changes
+ *
+ * @function
+ * @name NetworkAdapter#onInterfaceChange
+ * @param {interfaceChangeCallback} fn - Callback receiving the signal name and the interface
+ */
+
+/**
+ * Returns the routes
+ *
+ * @function
+ * @name NetworkAdapter#routes
+ * @return {Promise<Array<Route>>}
+ */
+
+/**
+ * Replaces the routes
+ *
+ * @function
+ * @name NetworkAdapter#updateRoutes
+ * @param {Array<Route>} routes - New list of routes
+ * @param {WriteOptions} [options] - Writing options
+ * @return {Promise}
+ */
+
+/**
+ * Returns the DNS global settings
+ *
+ * @function
+ * @name NetworkAdapter#dnsSettings
+ * @return {Promise<DnsSettings>}
+ */
+
+/**
+ * Writes the DNS global settings
+ *
+ * @function
+ * @name NetworkAdapter#updateDnsSettings
+ * @param {DnsSettings} settings - DNS settings
+ * @param {WriteOptions} [options] - Writing options
+ * @return {Promise}
+ */
+
+/**
+ * Returns the global settings of the network service (other than the DNS ones)
+ *
+ * Adapters which do not support them return an empty list.
+ *
+ * @function
+ * @name NetworkAdapter#globalSettings
+ * @return {Promise<Array<GlobalSetting>>}
+ */
+
+/**
+ * Writes the given global settings
+ *
+ * @function
+ * @name NetworkAdapter#updateGlobalSettings
+ * @param {Array<GlobalSetting>} changes - Settings to write
+ * @param {WriteOptions} [options] - Writing options
+ * @return {Promise}
+ */
+
+/**
+ * Adds a connection
+ *
+ * @function
+ * @name NetworkAdapter#addConnection
+ * @param {Connection} connection - Connection to add
+ * @param {WriteOptions} [options] - Writing options
+ * @return {Promise<Connection>} Added connection
+ */
+
+/**
+ * Updates a connection
+ *
+ * @function
+ * @name NetworkAdapter#updateConnection
+ * @param {Connection} connection - Connection to update
+ * @param {WriteOptions} [options] - Writing options
+ * @return {Promise<Connection>} Updated connection
+ */
+
+/**
+ * Deletes a connection
+ *
+ * @function
+ * @name NetworkAdapter#deleteConnection
+ * @param {Connection} connection - Connection to delete
+ * @param {WriteOptions} [options] - Writing options
+ * @return {Promise<Connection>} Deleted connection
+ */
+
+/**
+ * Sets up a connection
+ *
+ * @function
+ * @name NetworkAdapter#setUpConnection
+ * @param {Connection} connection - Connection to set up
+ * @param {CommandOptions} [options] - Command options
+ * @return {Promise}
+ */
+
+/**
+ * Sets down a connection
+ *
+ * @function
+ * @name NetworkAdapter#setDownConnection
+ * @param {Connection} connection - Connection to set down
+ * @param {CommandOptions} [options] - Command options
+ * @return {Promise}
+ */
+
+/**
+ * Reloads a connection
+ *
+ * @function
+ * @name NetworkAdapter#reloadConnection
+ * @param {string} name - Connection name
+ * @param {CommandOptions} [options] - Command options
+ * @return {Promise}
+ */
+
+/**
+ * Reloads several connections at once
+ *
+ * @function
+ * @name NetworkAdapter#reloadConnections
+ * @param {Array<string>} names - Connection names
+ * @param {CommandOptions} [options] - Command options
+ * @return {Promise<Array<BatchResult>>} One result for each connection
+ */
+
+/**
+ * Sets up several connections at once
+ *
+ * @function
+ * @name NetworkAdapter#setUpConnections
+ * @param {Array<string>} names - Connection names
+ * @param {CommandOptions} [options] - Command options
+ * @return {Promise<Array<BatchResult>>} One result for each connection
+ */
+
+/**
+ * Sets down several connections at once
+ *
+ * @function
+ * @name NetworkAdapter#setDownConnections
+ * @param {Array<string>} names - Connection names
+ * @param {CommandOptions} [options] - Command options
+ * @return {Promise<Array<BatchResult>>} One result for each connection
+ */
+
+/**
+ * Returns the runtime state of an interface
+ *
+ * @function
+ * @name NetworkAdapter#interfaceState
+ * @param {string} name - Interface name
+ * @return {Promise<InterfaceState>}
+ */
+
+/**
+ * Returns the address configuration leases of an interface
+ *
+ * @function
+ * @name NetworkAdapter#leases
+ * @param {string} name - Interface name
+ * @return {Promise<Array<Lease>>}
+ */
+
+/**
+ * Renews the DHCP leases of an interface
+ *
+ * @function
+ * @name NetworkAdapter#renewLeases
+ * @param {string} name - Interface name
+ * @param {CommandOptions} [options] - Command options
+ * @return {Promise}
+ */
+
+/**
+ * Returns the snapshots of the configuration, from the newest to the oldest
+ *
+ * Adapters which cannot take snapshots return an empty list.
+ *
+ * @function
+ * @name NetworkAdapter#snapshots
+ * @return {Promise<Array<Snapshot>>}
+ */
+
+/**
+ * Takes a snapshot of the configuration
+ *
+ * @function
+ * @name NetworkAdapter#createSnapshot
+ * @param {string} [comment] - Comment describing the snapshot
+ * @return {Promise<Snapshot>} The new snapshot
+ */
+
+/**
+ * Returns the differences between a snapshot and the current configuration
+ *
+ * @function
+ * @name NetworkAdapter#snapshotDiff
+ * @param {string} id - Snapshot identifier
+ * @return {Promise<string>} Differences in unified format (empty if there are none)
+ */
+
+/**
+ * Restores the configuration from a snapshot and applies it
+ *
+ * @function
+ * @name NetworkAdapter#restoreSnapshot
+ * @param {string} id - Snapshot identifier
+ * @param {CommandOptions} [options] - Command options
+ * @return {Promise}
+ */
+
+/**
+ * Deletes a snapshot
+ *
+ * @function
+ * @name NetworkAdapter#deleteSnapshot
+ * @param {string} id - Snapshot identifier
+ * @return {Promise}
+ */
+
+/**
+ * @typedef {Object} RollbackPoint
+ * @property {string} id - Rollback point identifier
+ * @property {number} timeout - Seconds until the configuration is restored
+ */
+
+/**
+ * Saves the current configuration and schedules its restoration
+ *
+ * Unless {@link NetworkAdapter#confirmChanges} is called before the timeout, the host
+ * restores the saved configuration and applies it by itself. It is meant to undo changes
+ * which leave the host unreachable.
+ *
+ * @function
+ * @name NetworkAdapter#createRollbackPoint
+ * @param {number} timeout - Seconds to wait for the confirmation
+ * @return {Promise<RollbackPoint>}
+ */
+
+/**
+ * Keeps the changes done after creating a rollback point, cancelling its restoration
+ *
+ * @function
+ * @name NetworkAdapter#confirmChanges
+ * @param {string} id - Rollback point identifier
+ * @return {Promise}
+ */
+
+/**
+ * Restores the configuration saved in a rollback point right away
+ *
+ * @function
+ * @name NetworkAdapter#rollback
+ * @param {string} id - Rollback point identifier
+ * @param {CommandOptions} [options] - Command options
+ * @return {Promise}
+ */
+
+/**
+ * @typedef {Object} FileChange
+ * @property {string} path - File path (or the name of the part of the configuration)
+ * @property {string|null} before - Current content (null if it does not exist)
+ * @property {string|null} after - New content (null if it is removed)
+ */
+
+/**
+ * Runs a function which changes the configuration without applying anything
+ *
+ * The changes done by the function are not kept. Instead, the adapter returns how they would
+ * affect the configuration files, so they can be reviewed before writing them.
+ *
+ * @function
+ * @name NetworkAdapter#previewChanges
+ * @param {function} fn - Function which changes the configuration using the adapter. It
+ *   receives the {@link WriteOptions} to pass to the writing methods.
+ * @return {Promise<Array<FileChange>>} Files which would change
+ */
+
+/**
+ * Names of the methods that an adapter must implement
+ *
+ * @type {Array<string>}
+ */
+const ADAPTER_METHODS = [
+    'serviceName',
+    'connections',
+    'interfaces',
+    'onInterfaceChange',
+    'routes',
+    'updateRoutes',
+    'dnsSettings',
+    'updateDnsSettings',
+    'globalSettings',
+    'updateGlobalSettings',
+    'addConnection',
+    'updateConnection',
+    'deleteConnection',
+    'setUpConnection',
+    'setDownConnection',
+    'reloadConnection',
+    'reloadConnections',
+    'setUpConnections',
+    'setDownConnections',
+    'interfaceState',
+    'leases',
+    'renewLeases',
+    'snapshots',
+    'createSnapshot',
+    'snapshotDiff',
+    'restoreSnapshot',
+    'deleteSnapshot',
+    'createRollbackPoint',
+    'confirmChanges',
+    'rollback',
+    'previewChanges'
+];
+
+/**
+ * Returns the names of the contract methods the given object does not implement
+ *
+ * @param {object} adapter - Object to check
+ * @return {Array<string>} Missing methods
+ */
+const missingMethods = (adapter) => {
+    return ADAPTER_METHODS.filter(name => typeof adapter?.[name] !== 'function');
+};
+
+/**
+ * Checks whether the given object fulfils the adapter contract
+ *
+ * @param {object} adapter - Object to check
+ * @return {object} The same adapter
+ * @throws {TypeError} when some method is missing
+ */
+const assertAdapter = (adapter) => {
+    const missing = missingMethods(adapter);
+    if (missing.length > 0) {
+        throw new TypeError(`Invalid network adapter, missing methods: ${missing.join(', ')}`);
+    }
+
+    return adapter;
+};
+
+export {
+    ADAPTER_METHODS,
+    missingMethods,
+    assertAdapter
+};
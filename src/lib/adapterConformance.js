@@ -0,0 +1,203 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+/**
+ * Conformance suite for network adapters
+ *
+ * It checks, using only the methods of the contract, that an adapter behaves as
+ * {@link NetworkClient} expects. To run it against an adapter, call it from a test file:
+ *
+ * @example
+ * import { describeAdapterConformance } from '../adapterConformance';
+ * describeAdapterConformance('MyAdapter', () => new MyAdapter(fakeBackend()));
+ *
+ * @module adapterConformance
+ */
+
+import model from './model';
+import startMode from './model/startMode';
+import bootProtocol from './model/bootProtocol';
+import { missingMethods } from './adapter';
+
+/**
+ * Defines the conformance tests for an adapter
+ *
+ * Each test gets a new adapter, which should start with an empty (or, at least, isolated)
+ * configuration.
+ *
+ * @param {string} name - Adapter name, used to describe the tests
+ * @param {function} createAdapter - Function returning a new adapter (or a promise)
+ */
+const describeAdapterConformance = (name, createAdapter) => {
+    describe(`${name} adapter contract`, () => {
+        let adapter;
+
+        const connection = (props = {}) => model.createConnection({
+            name: 'conformance0',
+            ipv4: { bootProto: bootProtocol.STATIC, addresses: [model.createAddressConfig({ local: '10.0.0.1/24' })] },
+            ...props
+        });
+
+        const names = (list) => list.map(i => i.name);
+
+        beforeEach(async () => {
+            adapter = await createAdapter();
+        });
+
+        it('implements all the contract methods', () => {
+            expect(missingMethods(adapter)).toEqual([]);
+        });
+
+        it('returns the name of its service', () => {
+            expect(typeof adapter.serviceName()).toEqual('string');
+            expect(adapter.serviceName()).not.toEqual('');
+        });
+
+        it('returns the connections and the interfaces', async () => {
+            expect(await adapter.connections()).toEqual(expect.any(Array));
+
+            const ifaces = await adapter.interfaces();
+            expect(ifaces).toEqual(expect.any(Array));
+            ifaces.forEach(iface => {
+                expect(iface).toEqual(expect.objectContaining({
+                    name: expect.any(String), type: expect.any(String), link: expect.any(Boolean)
+                }));
+            });
+        });
+
+        it('adds a connection and its interface', async () => {
+            const conn = connection();
+            expect(await adapter.addConnection(conn)).toEqual(conn);
+
+            expect(names(await adapter.connections())).toContain(conn.name);
+            expect(names(await adapter.interfaces())).toContain(conn.name);
+        });
+
+        it('updates a connection', async () => {
+            await adapter.addConnection(connection());
+            await adapter.updateConnection(connection({ startMode: startMode.MANUAL }));
+
+            const conn = (await adapter.connections()).find(c => c.name === 'conformance0');
+            expect(conn.startMode).toEqual(startMode.MANUAL);
+            expect(conn.ipv4.addresses.map(a => a.local)).toEqual(['10.0.0.1/24']);
+        });
+
+        it('deletes a connection', async () => {
+            const conn = connection();
+            await adapter.addConnection(conn);
+            await adapter.deleteConnection(conn);
+
+            expect(names(await adapter.connections())).not.toContain(conn.name);
+        });
+
+        it('replaces the routes', async () => {
+            await adapter.addConnection(connection());
+            await adapter.updateRoutes([
+                model.createRoute({ destination: '10.1.0.0/16', gateway: '10.0.0.254', device: 'conformance0' })
+            ]);
+
+            const routes = (await adapter.routes()).filter(r => r.device === 'conformance0');
+            expect(routes).toEqual([
+                expect.objectContaining({ destination: '10.1.0.0/16', gateway: '10.0.0.254' })
+            ]);
+        });
+
+        it('writes the DNS settings', async () => {
+            await adapter.updateDnsSettings({ policy: '', nameServers: ['10.0.0.53'], searchList: ['example.net'] });
+
+            expect(await adapter.dnsSettings()).toEqual(expect.objectContaining({
+                nameServers: ['10.0.0.53'], searchList: ['example.net']
+            }));
+        });
+
+        it('writes back the global settings it reports', async () => {
+            const settings = await adapter.globalSettings();
+            const changes = settings.map(({ file, key, value }) => ({ file, key, value }));
+            await adapter.updateGlobalSettings(changes);
+
+            expect(await adapter.globalSettings()).toEqual(settings);
+        });
+
+        it('returns the snapshots', async () => {
+            expect(await adapter.snapshots()).toEqual(expect.any(Array));
+        });
+
+        it('rolls back the changes done after a rollback point', async () => {
+            const point = await adapter.createRollbackPoint(60);
+            await adapter.addConnection(connection());
+
+            await adapter.rollback(point.id, { timeout: 1 });
+
+            expect(names(await adapter.connections())).not.toContain('conformance0');
+        });
+
+        it('keeps the changes once they are confirmed', async () => {
+            const point = await adapter.createRollbackPoint(60);
+            await adapter.addConnection(connection());
+
+            await adapter.confirmChanges(point.id);
+
+            expect(names(await adapter.connections())).toContain('conformance0');
+        });
+
+        it('sets connections up and down', async () => {
+            const conn = connection();
+            await adapter.addConnection(conn);
+
+            await adapter.setUpConnection(conn, { timeout: 1 });
+            await adapter.reloadConnection(conn.name, { timeout: 1 });
+            expect(names(await adapter.interfaces())).toContain(conn.name);
+
+            await adapter.setDownConnection(conn, { timeout: 1 });
+            expect(names(await adapter.connections())).toContain(conn.name);
+        });
+
+        it('reports one result for each connection of a batch, including failures', async () => {
+            await adapter.addConnection(connection());
+
+            const results = await adapter.reloadConnections(['conformance0', 'missing0'], { timeout: 1 });
+            expect(names(results)).toEqual(['conformance0', 'missing0']);
+            expect(results[0].error).toBeUndefined();
+            expect(results[1].error).toEqual(expect.any(Error));
+
+            for (const method of ['setUpConnections', 'setDownConnections']) {
+                expect(names(await adapter[method](['conformance0'], { timeout: 1 }))).toEqual(['conformance0']);
+            }
+        });
+
+        it('returns the runtime state and the leases of an interface', async () => {
+            await adapter.addConnection(connection());
+
+            expect(await adapter.interfaceState('conformance0')).toEqual(expect.objectContaining({
+                name: 'conformance0', leases: expect.any(Array)
+            }));
+            expect(await adapter.leases('conformance0')).toEqual(expect.any(Array));
+        });
+
+        it('accepts interface change callbacks', () => {
+            expect(() => adapter.onInterfaceChange(jest.fn())).not.toThrow();
+        });
+    });
+};
+
+export {
+    describeAdapterConformance
+};
@@ -0,0 +1,127 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+/**
+ * Functions to compare text files
+ *
+ * @module diff
+ */
+
+/**
+ * Splits a text into lines, ignoring the trailing line break
+ *
+ * @ignore
+ * @param {string|null} text - Text to split
+ * @return {Array<string>}
+ */
+const linesOf = (text) => {
+    if (!text) return [];
+
+    return text.replace(/\n$/, '').split('\n');
+};
+
+/**
+ * Returns the edit script to turn a list of lines into another one
+ *
+ * It relies on the longest common subsequence, which is good enough for configuration files.
+ *
+ * @ignore
+ * @param {Array<string>} a - Original lines
+ * @param {Array<string>} b - New lines
+ * @return {Array<Object>} Operations ({ op: ' '|'-'|'+', line, a, b }), where `a` and `b` are
+ *   the positions in each list
+ */
+const editScript = (a, b) => {
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = (a[i] === b[j])
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            ops.push({ op: ' ', line: a[i], a: i++, b: j++ });
+        } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+            ops.push({ op: '-', line: a[i], a: i++, b: j });
+        } else {
+            ops.push({ op: '+', line: b[j], a: i, b: j++ });
+        }
+    }
+
+    return ops;
+};
+
+/**
+ * Formats the range of a hunk as in "-1,3"
+ *
+ * @ignore
+ */
+const range = (start, length) => `${length === 0 ? start : start + 1},${length}`;
+
+/**
+ * Returns the differences between two texts in unified format
+ *
+ * @param {string|null} before - Original text (null if the file did not exist)
+ * @param {string|null} after - New text (null if the file is removed)
+ * @param {Object} [options] - Options
+ * @param {string} [options.from="a"] - Label of the original text
+ * @param {string} [options.to="b"] - Label of the new text
+ * @param {number} [options.context=3] - Number of unchanged lines around each change
+ * @return {string} Differences, or an empty string if both texts are equal
+ */
+const unifiedDiff = (before, after, { from = 'a', to = 'b', context = 3 } = {}) => {
+    const ops = editScript(linesOf(before), linesOf(after));
+    const changed = ops.map((o, index) => (o.op === ' ' ? -1 : index)).filter(index => index >= 0);
+    if (changed.length === 0) return '';
+
+    // group the changes which are close enough to share their context
+    const hunks = [];
+    changed.forEach(index => {
+        const last = hunks[hunks.length - 1];
+        if (last && index - last.end <= context * 2) {
+            last.end = index;
+        } else {
+            hunks.push({ start: index, end: index });
+        }
+    });
+
+    const lines = [`--- ${from}`, `+++ ${to}`];
+    hunks.forEach(({ start, end }) => {
+        const hunkOps = ops.slice(Math.max(0, start - context), Math.min(ops.length, end + context + 1));
+        const aLength = hunkOps.filter(o => o.op !== '+').length;
+        const bLength = hunkOps.filter(o => o.op !== '-').length;
+
+        lines.push(`@@ -${range(hunkOps[0].a, aLength)} +${range(hunkOps[0].b, bLength)} @@`);
+        hunkOps.forEach(o => lines.push(`${o.op}${o.line}`));
+    });
+
+    return lines.join('\n') + '\n';
+};
+
+export {
+    unifiedDiff
+};
@@ -0,0 +1,46 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import { unifiedDiff } from './diff';
+
+describe('#unifiedDiff', () => {
+    const before = 'a\nb\nc\nd\ne\nf\ng\nh\ni\nj\n';
+
+    it('returns the changes in unified format, grouped in hunks', () => {
+        const after = 'a\nB\nc\nd\ne\nf\ng\nh\ni\nj\nk\n';
+
+        expect(unifiedDiff(before, after, { from: 'old', to: 'new' })).toEqual([
+            '--- old', '+++ new',
+            '@@ -1,5 +1,5 @@', ' a', '-b', '+B', ' c', ' d', ' e',
+            '@@ -8,3 +8,4 @@', ' h', ' i', ' j', '+k',
+            ''
+        ].join('\n'));
+    });
+
+    it('handles files which are created or removed', () => {
+        expect(unifiedDiff(null, 'new\n')).toEqual('--- a\n+++ b\n@@ -0,0 +1,1 @@\n+new\n');
+        expect(unifiedDiff('old\n', null)).toEqual('--- a\n+++ b\n@@ -1,1 +0,0 @@\n-old\n');
+    });
+
+    it('returns an empty string when there are no differences', () => {
+        expect(unifiedDiff(before, before)).toEqual('');
+    });
+});
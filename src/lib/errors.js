@@ -0,0 +1,51 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+/**
+ * Errors which are not specific to any network service
+ *
+ * @module errors
+ */
+
+import cockpit from 'cockpit';
+
+const _ = cockpit.gettext;
+
+/**
+ * Error reported when a configuration file changed since it was read
+ *
+ * It happens, for instance, when two administrators edit the same host at the same time. The
+ * write can be retried overwriting the file or after reloading its content.
+ */
+class ConflictError extends Error {
+    /**
+     * @param {string} path - Path of the file that changed
+     */
+    constructor(path) {
+        super(cockpit.format(_("The file $0 was changed by someone else"), path));
+        this.name = 'ConflictError';
+        this.path = path;
+    }
+}
+
+export {
+    ConflictError
+};
@@ -0,0 +1,412 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+/**
+ * In-memory adapter
+ *
+ * It keeps the whole configuration in memory, so it can be used to try the UI or to test
+ * the React context and components without a network service.
+ *
+ * @module fake/adapter
+ */
+
+import model from '../model';
+import interfaceType from '../model/interfaceType';
+
+/**
+ * @typedef {Object} FakeAdapterData
+ * @property {Array<Connection>} [connections=[]] - Initial connections
+ * @property {Array<Interface>} [interfaces=[]] - Existing (physical or virtual) interfaces
+ * @property {Array<Route>} [routes=[]] - Initial routes
+ * @property {DnsSettings} [dnsSettings] - Initial DNS settings
+ * @property {Array<GlobalSetting>} [globalSettings=[]] - Initial global settings
+ * @property {Object<string,Array<Lease>>} [leases={}] - Leases indexed by interface name
+ * @property {Object<string,Error>} [failures={}] - Errors to report when setting up, down or
+ *   reloading the given interfaces
+ */
+
+/**
+ * Adapter which keeps the network configuration in memory
+ *
+ * @implements {NetworkAdapter}
+ */
+class FakeAdapter {
+    /**
+     * @param {FakeAdapterData} [data] - Initial data
+     */
+    constructor({
+        connections = [],
+        interfaces = [],
+        routes = [],
+        dnsSettings = model.createDnsSettings({}),
+        globalSettings = [],
+        leases = {},
+        failures = {}
+    } = {}) {
+        this._connections = [...connections];
+        this._interfaces = [...interfaces];
+        this._routes = [...routes];
+        this._dnsSettings = dnsSettings;
+        this._globalSettings = [...globalSettings];
+        this._leases = leases;
+        this._failures = failures;
+        this._up = new Set(interfaces.filter(i => i.link).map(i => i.name));
+        this._onInterfaceChange = [];
+        this._snapshots = [];
+        this._lastSnapshotId = 0;
+        this._rollbackPoints = {};
+        this._lastRollbackId = 0;
+    }
+
+    serviceName() {
+        return 'fake';
+    }
+
+    async connections() {
+        return [...this._connections];
+    }
+
+    async interfaces() {
+        const ifaces = this._interfaces.map(i => ({ ...i, link: this._up.has(i.name) }));
+        const names = ifaces.map(i => i.name);
+        this._connections.forEach(c => {
+            if (!names.includes(c.name)) {
+                ifaces.push(model.createInterface({ name: c.name, type: c.type, link: false }));
+            }
+        });
+
+        return ifaces;
+    }
+
+    onInterfaceChange(fn) {
+        this._onInterfaceChange.push(fn);
+    }
+
+    async routes() {
+        return [...this._routes];
+    }
+
+    async updateRoutes(routes) {
+        this._routes = Object.values(routes);
+    }
+
+    async dnsSettings() {
+        return { ...this._dnsSettings };
+    }
+
+    async updateDnsSettings(settings) {
+        this._dnsSettings = model.createDnsSettings(settings);
+    }
+
+    async globalSettings() {
+        return [...this._globalSettings];
+    }
+
+    async updateGlobalSettings(changes) {
+        this._globalSettings = this._globalSettings.map(setting => {
+            const change = changes.find(c => c.file === setting.file && c.key === setting.key);
+            return change ? { ...setting, value: change.value } : setting;
+        });
+    }
+
+    async addConnection(connection) {
+        if (this._connections.find(c => c.name === connection.name)) {
+            throw new Error(`Connection ${connection.name} already exists`);
+        }
+
+        this._connections.push(connection);
+        return connection;
+    }
+
+    async updateConnection(connection) {
+        const index = this._connections.findIndex(c => c.name === connection.name);
+        if (index === -1) throw new Error(`Connection ${connection.name} not found`);
+
+        this._connections[index] = connection;
+        return connection;
+    }
+
+    async deleteConnection(connection) {
+        this._connections = this._connections.filter(c => c.name !== connection.name);
+        return connection;
+    }
+
+    setUpConnection(connection) {
+        return this._changeLink(connection.name, true);
+    }
+
+    setDownConnection(connection) {
+        return this._changeLink(connection.name, false);
+    }
+
+    reloadConnection(name) {
+        return this._changeLink(name, true);
+    }
+
+    reloadConnections(names) {
+        return this._batch(names, true);
+    }
+
+    setUpConnections(names) {
+        return this._batch(names, true);
+    }
+
+    setDownConnections(names) {
+        return this._batch(names, false);
+    }
+
+    async interfaceState(name) {
+        const exists = this._interfaces.some(i => i.name === name);
+        const up = this._up.has(name);
+
+        return model.createInterfaceState({
+            name,
+            deviceState: up ? 'up' : 'device-down',
+            link: { state: up ? 'up' : 'down' },
+            leases: (this._leases[name] || []).map(({ family, type, state }) => ({ family, type, state })),
+            deviceMissing: !exists,
+            stateReached: up
+        });
+    }
+
+    async leases(name) {
+        return this._leases[name] || [];
+    }
+
+    async renewLeases(name) {
+        if (!this._connections.find(c => c.name === name)) {
+            throw new Error(`Connection ${name} not found`);
+        }
+    }
+
+    async snapshots() {
+        return this._snapshots.map(s => s.snapshot);
+    }
+
+    async createSnapshot(comment = "") {
+        const id = String(++this._lastSnapshotId);
+        const snapshot = model.createSnapshot({ id, date: new Date(), comment });
+        this._snapshots.unshift({ snapshot, config: this._config() });
+        return snapshot;
+    }
+
+    /**
+     * Returns the differences between a snapshot and the current configuration
+     *
+     * Each part of the configuration (connections, routes, etc.) is compared as a whole, as if
+     * it was a one-line file.
+     *
+     * @param {string} id - Snapshot identifier
+     * @return {Promise<string>} Differences in unified format
+     */
+    async snapshotDiff(id) {
+        const { config } = this._findSnapshot(id);
+        const current = this._config();
+
+        return Object.keys(config)
+                .filter(key => JSON.stringify(config[key]) !== JSON.stringify(current[key]))
+                .map(key => [
+                    `--- snapshot/${key}`, `+++ current/${key}`, '@@ -1 +1 @@',
+                    `-${JSON.stringify(config[key])}`, `+${JSON.stringify(current[key])}`
+                ].join('\n'))
+                .join('\n');
+    }
+
+    async restoreSnapshot(id) {
+        this._restore(this._findSnapshot(id).config);
+    }
+
+    async deleteSnapshot(id) {
+        this._findSnapshot(id);
+        this._snapshots = this._snapshots.filter(s => s.snapshot.id !== id);
+    }
+
+    /**
+     * Saves the configuration and restores it after the timeout, unless the changes are confirmed
+     *
+     * @param {number} timeout - Seconds to wait for the confirmation
+     * @return {Promise<RollbackPoint>}
+     */
+    async createRollbackPoint(timeout) {
+        const id = String(++this._lastRollbackId);
+        const config = this._config();
+        const timer = setTimeout(() => this.rollback(id), timeout * 1000);
+        this._rollbackPoints[id] = { config, timer };
+
+        return { id, timeout };
+    }
+
+    async confirmChanges(id) {
+        clearTimeout(this._findRollbackPoint(id).timer);
+        delete this._rollbackPoints[id];
+    }
+
+    async rollback(id) {
+        const { config, timer } = this._findRollbackPoint(id);
+        clearTimeout(timer);
+        delete this._rollbackPoints[id];
+        this._restore(config);
+    }
+
+    /**
+     * Returns how the configuration would change, restoring it afterwards
+     *
+     * Each part of the configuration (connections, routes, etc.) is reported as a file
+     * containing one JSON document per line.
+     *
+     * @param {function} fn - Function which changes the configuration using this adapter
+     * @return {Promise<Array<FileChange>>}
+     */
+    async previewChanges(fn) {
+        const before = this._config();
+
+        let after;
+        try {
+            await fn({});
+            after = this._config();
+        } finally {
+            this._restore(before);
+        }
+
+        const toText = (value) => [].concat(value)
+                .map(v => `${JSON.stringify(v)}\n`)
+                .join('');
+        return Object.keys(before)
+                .map(key => ({ path: key, before: toText(before[key]), after: toText(after[key]) }))
+                .filter(change => change.before !== change.after);
+    }
+
+    /**
+     * Returns a copy of the configuration to keep in a snapshot
+     *
+     * @ignore
+     * @return {Object}
+     */
+    _config() {
+        return {
+            connections: [...this._connections],
+            routes: [...this._routes],
+            dnsSettings: { ...this._dnsSettings },
+            globalSettings: [...this._globalSettings]
+        };
+    }
+
+    /**
+     * Replaces the configuration with the given one
+     *
+     * @ignore
+     * @param {Object} config - Configuration saved by {@link FakeAdapter#_config}
+     */
+    _restore(config) {
+        this._connections = [...config.connections];
+        this._routes = [...config.routes];
+        this._dnsSettings = { ...config.dnsSettings };
+        this._globalSettings = [...config.globalSettings];
+    }
+
+    /**
+     * Returns the snapshot with the given identifier and its configuration
+     *
+     * @ignore
+     * @param {string} id - Snapshot identifier
+     * @return {Object}
+     * @throws {Error} when the snapshot does not exist
+     */
+    _findSnapshot(id) {
+        const found = this._snapshots.find(s => s.snapshot.id === id);
+        if (!found) throw new Error(`Snapshot ${id} not found`);
+
+        return found;
+    }
+
+    /**
+     * Returns the rollback point with the given identifier
+     *
+     * @ignore
+     * @param {string} id - Rollback point identifier
+     * @return {Object}
+     * @throws {Error} when the rollback point does not exist
+     */
+    _findRollbackPoint(id) {
+        const found = this._rollbackPoints[id];
+        if (!found) throw new Error(`Rollback point ${id} not found`);
+
+        return found;
+    }
+
+    /**
+     * Simulates a change of an interface, calling the registered callbacks
+     *
+     * @param {string} signal - Signal name (e.g., 'deviceChange')
+     * @param {Interface} iface - Interface that changed
+     */
+    emitInterfaceChange(signal, iface) {
+        this._onInterfaceChange.forEach(fn => fn(signal, iface));
+    }
+
+    /**
+     * Sets an interface up or down
+     *
+     * Virtual interfaces are created when they are set up for the first time.
+     *
+     * @ignore
+     * @param {string} name - Interface name
+     * @param {boolean} up - Whether the interface must be set up
+     * @return {Promise}
+     */
+    async _changeLink(name, up) {
+        if (this._failures[name]) throw this._failures[name];
+
+        const conn = this._connections.find(c => c.name === name);
+        if (!conn) throw new Error(`Connection ${name} not found`);
+
+        if (up && !this._interfaces.find(i => i.name === name)) {
+            this._interfaces.push(model.createInterface({ name, type: conn.type || interfaceType.ETHERNET }));
+        }
+
+        if (up) {
+            this._up.add(name);
+        } else {
+            this._up.delete(name);
+        }
+
+        const [iface] = (await this.interfaces()).filter(i => i.name === name);
+        this.emitInterfaceChange('deviceChange', iface);
+    }
+
+    /**
+     * Sets several interfaces up or down, collecting the errors
+     *
+     * @ignore
+     * @param {Array<string>} names - Interface names
+     * @param {boolean} up - Whether the interfaces must be set up
+     * @return {Promise<Array<BatchResult>>}
+     */
+    _batch(names, up) {
+        return Promise.all(names.map(name => (
+            this._changeLink(name, up)
+                    .then(() => ({ name, state: up ? 'up' : 'device-down' }))
+                    .catch(error => ({ name, error }))
+        )));
+    }
+}
+
+export default FakeAdapter;
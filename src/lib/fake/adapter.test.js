@@ -0,0 +1,97 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import FakeAdapter from './adapter';
+import model from '../model';
+import { describeAdapterConformance } from '../adapterConformance';
+
+describeAdapterConformance('FakeAdapter', () => new FakeAdapter());
+
+describe('FakeAdapter', () => {
+    const eth0 = model.createConnection({ name: 'eth0' });
+
+    it('notifies the interface changes when a connection is set up', async () => {
+        const adapter = new FakeAdapter({ connections: [eth0] });
+        const callback = jest.fn();
+        adapter.onInterfaceChange(callback);
+
+        await adapter.setUpConnection(eth0);
+
+        expect(callback).toHaveBeenCalledWith('deviceChange', expect.objectContaining({ name: 'eth0', link: true }));
+    });
+
+    it('reports the configured failures', async () => {
+        const error = new Error('no carrier');
+        const adapter = new FakeAdapter({ connections: [eth0], failures: { eth0: error } });
+
+        await expect(adapter.setUpConnection(eth0)).rejects.toBe(error);
+        expect(await adapter.setUpConnections(['eth0'])).toEqual([{ name: 'eth0', error }]);
+    });
+
+    it('updates the global settings', async () => {
+        const setting = model.createGlobalSetting({ file: '/etc/config', key: 'WAIT', value: '30' });
+        const adapter = new FakeAdapter({ globalSettings: [setting] });
+
+        await adapter.updateGlobalSettings([{ file: '/etc/config', key: 'WAIT', value: '10' }]);
+
+        expect(await adapter.globalSettings()).toEqual([{ ...setting, value: '10' }]);
+    });
+
+    it('restores the configuration from a snapshot', async () => {
+        const adapter = new FakeAdapter({ connections: [eth0] });
+        const snapshot = await adapter.createSnapshot('before eth1');
+        await adapter.addConnection(model.createConnection({ name: 'eth1' }));
+
+        expect(await adapter.snapshots()).toEqual([snapshot]);
+        expect(await adapter.snapshotDiff(snapshot.id)).toMatch('+++ current/connections');
+
+        await adapter.restoreSnapshot(snapshot.id);
+
+        expect(await adapter.connections()).toEqual([eth0]);
+        expect(await adapter.snapshotDiff(snapshot.id)).toEqual('');
+    });
+
+    it('previews the changes without keeping them', async () => {
+        const adapter = new FakeAdapter({ connections: [eth0] });
+        const eth1 = model.createConnection({ name: 'eth1' });
+
+        const changes = await adapter.previewChanges(() => adapter.addConnection(eth1));
+
+        expect(changes).toEqual([{
+            path: 'connections',
+            before: `${JSON.stringify(eth0)}\n`,
+            after: `${JSON.stringify(eth0)}\n${JSON.stringify(eth1)}\n`
+        }]);
+        expect(await adapter.connections()).toEqual([eth0]);
+    });
+
+    it('rolls back the changes when they are not confirmed in time', async () => {
+        jest.useFakeTimers();
+        const adapter = new FakeAdapter({ connections: [eth0] });
+        await adapter.createRollbackPoint(60);
+        await adapter.addConnection(model.createConnection({ name: 'eth1' }));
+
+        jest.advanceTimersByTime(60000);
+
+        expect(await adapter.connections()).toEqual([eth0]);
+        jest.useRealTimers();
+    });
+});
@@ -23,6 +23,8 @@ import interfaceType from './interfaceType';
 import startModeEnum from './startMode';
 import bootProtocol from '../model/bootProtocol';
 import bondingModeEnum from '../model/bondingMode';
+import macvlanMode from '../model/macvlanMode';
+import teamRunnerEnum from '../model/teamRunner';
 
 let connectionIndex = 0;
 
@@ -43,6 +45,9 @@ let connectionIndex = 0;
  * @property {IPconf} ipv6 - IPv6 configuration
  * @property {boolean} exists - Whether the connection was loaded from the system or not
  * @property {boolean} virtual - Whether it corresponds to a virtual interface or not
+ * @property {string} [origin] - Where the configuration was read from, using the Wicked notation
+ *   (e.g., 'compat:suse:/etc/sysconfig/network/ifcfg-eth0' or
+ *   'wicked:xml:/etc/wicked/ifconfig/eth0.xml')
  */
 
 /**
@@ -59,6 +64,7 @@ let connectionIndex = 0;
  * @param {IPConf}  args.ipv4 - Configuration for IPv4
  * @param {IPConf}  args.ipv6 - Configuration for IPv6
  * @param {boolean} [args.exists=true] - Whether the connection was loaded from the system or not
+ * @param {string}  [args.origin] - Where the configuration was read from
  *
  * @return {Connection} Connection object
  */
@@ -71,6 +77,7 @@ export const createConnection = ({
     ipv4 = { addresses: [], bootProto: bootProtocol.DHCP },
     ipv6 = { addresses: [], bootProto: bootProtocol.DHCP },
     exists = true,
+    origin,
     ...rest
 }) => {
     return {
@@ -83,6 +90,7 @@ export const createConnection = ({
         ipv4,
         ipv6,
         exists,
+        origin,
         virtual: interfaceType.isVirtual(type),
         ...propsByType(type, rest)
     };
@@ -104,6 +112,82 @@ const propsByType = (type, props) => {
     return (fn && fn(props)) || {};
 };
 
+/**
+ * Returns the properties of a MACVLAN or a MACVTAP connection
+ *
+ * Both types share the same settings, which are placed in the `macvlan` property.
+ *
+ * @ignore
+ * @param {object} props - Additional connection properties
+ */
+const macvlanProps = ({ macvlan = {} } = {}) => {
+    const { parentDevice, mode = macvlanMode.VEPA } = macvlan;
+    return {
+        macvlan: { parentDevice, mode }
+    };
+};
+
+/**
+ * @typedef {Object} TeamPort
+ * @property {string} device - Port device name
+ * @property {number} [prio] - Port priority (used by the active backup runner)
+ * @property {boolean} [sticky] - Whether the port stays active once it is selected
+ */
+
+/**
+ * @typedef {Object} TeamLinkWatch
+ * @property {string} name - Link watcher (@see model/teamLinkWatch)
+ * @property {number} [delayUp] - Delay (in ms) before reporting the link as up (ethtool)
+ * @property {number} [delayDown] - Delay (in ms) before reporting the link as down (ethtool)
+ * @property {string} [sourceHost] - Source address of the probes (ARP ping)
+ * @property {string} [targetHost] - Address the probes are sent to (ARP and NS/NA ping)
+ * @property {number} [interval] - Interval (in ms) between probes (ARP and NS/NA ping)
+ */
+
+/**
+ * Returns the properties of a team connection
+ *
+ * The LACP settings are only meaningful when the LACP runner is used.
+ *
+ * @ignore
+ * @param {object} props - Additional connection properties
+ */
+const teamProps = ({ team = {} } = {}) => {
+    const { runner = teamRunnerEnum.ACTIVE_BACKUP, lacp = {}, ports = [], linkWatches = [] } = team;
+    const { active = true, fastRate = false } = lacp;
+    return {
+        team: { runner, lacp: { active, fastRate }, ports, linkWatches }
+    };
+};
+
+/**
+ * Returns the properties of a tunnel connection (GRE, IPIP, etc.)
+ *
+ * @ignore
+ * @param {object} props - Additional connection properties
+ */
+const tunnelProps = ({ tunnel = {} } = {}) => {
+    const { localAddress, remoteAddress, ttl, parentDevice } = tunnel;
+    return {
+        tunnel: { localAddress, remoteAddress, ttl, parentDevice }
+    };
+};
+
+/**
+ * Returns the properties of a TUN or a TAP connection
+ *
+ * The owner and the group are the user and the group allowed to use the device.
+ *
+ * @ignore
+ * @param {object} props - Additional connection properties
+ */
+const tuntapProps = ({ tuntap = {} } = {}) => {
+    const { owner, group } = tuntap;
+    return {
+        tuntap: { owner, group }
+    };
+};
+
 /**
  * An object holding additional properties per connection.
  *
@@ -120,18 +204,33 @@ const propsByConnectionType = {
             }
         };
     },
+    [interfaceType.TEAM]: (props) => teamProps(props),
     [interfaceType.BRIDGE]: ({ bridge = {} } = {}) => {
         const { ports = [] } = bridge;
         return {
             bridge: { ports }
         };
     },
+    [interfaceType.OVS_BRIDGE]: ({ ovsBridge = {} } = {}) => {
+        const { ports = [], vlanParent, vlanTag } = ovsBridge;
+        return {
+            ovsBridge: { ports, vlanParent, vlanTag }
+        };
+    },
     [interfaceType.VLAN]: ({ vlan = {} } = {}) => {
         const { vlanId = 0, parentDevice } = vlan;
         return {
             vlan: { vlanId, parentDevice }
         };
     },
+    [interfaceType.MACVLAN]: (props) => macvlanProps(props),
+    [interfaceType.MACVTAP]: (props) => macvlanProps(props),
+    [interfaceType.GRE]: (props) => tunnelProps(props),
+    [interfaceType.GRETAP]: (props) => tunnelProps(props),
+    [interfaceType.IPIP]: (props) => tunnelProps(props),
+    [interfaceType.SIT]: (props) => tunnelProps(props),
+    [interfaceType.TUN]: (props) => tuntapProps(props),
+    [interfaceType.TAP]: (props) => tuntapProps(props),
     [interfaceType.WIRELESS]: ({ wireless = {} } = {}) => {
         return { wireless };
     }
@@ -143,3 +242,58 @@ const propsByConnectionType = {
 export const mergeConnection = (connection, changes) => {
     return { ...connection, ...changes };
 };
+
+/**
+ * Returns the names of the interfaces a connection depends on
+ *
+ * They are the bonding slaves, the team and bridge ports and the VLAN, MACVLAN, tunnel or Open
+ * vSwitch fake bridge parent device.
+ *
+ * @ignore
+ * @param {Connection} connection - Connection to check
+ * @return {Array<string>} Names of the lower interfaces
+ */
+const lowerInterfaces = (connection) => {
+    return [
+        ...(connection.bond?.interfaces || []),
+        ...(connection.team?.ports || []).map(p => p.device),
+        ...(connection.bridge?.ports || []),
+        ...(connection.ovsBridge?.ports || []),
+        connection.vlan?.parentDevice,
+        connection.macvlan?.parentDevice,
+        connection.tunnel?.parentDevice,
+        connection.ovsBridge?.vlanParent
+    ].filter(Boolean);
+};
+
+/**
+ * Returns the names of the interfaces affected when the given ones are (re)configured
+ *
+ * Apart from the given interfaces, it includes the interfaces they depend on (bonding slaves,
+ * team and bridge ports and VLAN, MACVLAN, tunnel or fake bridge parents) and the VLANs,
+ * MACVLANs, tunnels and Open vSwitch fake bridges defined on top of any of them.
+ *
+ * @param {Array<Connection>} connections - Known connections
+ * @param {Array<string>} names - Names of the interfaces to (re)configure
+ * @return {Array<string>} Names of the affected interfaces
+ */
+export const affectedInterfaces = (connections, names) => {
+    const result = [...new Set(names)];
+
+    for (let i = 0; i < result.length; i++) {
+        const connection = connections.find(c => c.name === result[i]);
+        if (!connection) continue;
+
+        lowerInterfaces(connection).forEach(name => {
+            if (!result.includes(name)) result.push(name);
+        });
+    }
+
+    connections.forEach(c => {
+        const parent = c.vlan?.parentDevice || c.macvlan?.parentDevice || c.tunnel?.parentDevice ||
+            c.ovsBridge?.vlanParent;
+        if (result.includes(parent) && !result.includes(c.name)) result.push(c.name);
+    });
+
+    return result;
+};
@@ -19,10 +19,12 @@
  * find current contact information at www.suse.com.
  */
 
-import { createConnection, mergeConnection } from './connections';
+import { createConnection, mergeConnection, affectedInterfaces } from './connections';
 import bondingMode from './bondingMode';
+import teamRunner from './teamRunner';
 import bootProtocol from './bootProtocol';
 import interfaceType from './interfaceType';
+import macvlanMode from './macvlanMode';
 
 describe('#createConnection', () => {
     it('creates an ethernet type connection', () => {
@@ -70,6 +72,18 @@ describe('#createConnection', () => {
         });
     });
 
+    describe('when it is a team device', () => {
+        it('sets the default team configuration', () => {
+            const conn = createConnection({ name: 'team0', type: interfaceType.TEAM });
+            expect(conn.team).toEqual({
+                runner: teamRunner.ACTIVE_BACKUP,
+                lacp: { active: true, fastRate: false },
+                ports: [],
+                linkWatches: []
+            });
+        });
+    });
+
     describe('when it is a vlan device', () => {
         it('sets the vlan configuration to the given values', () => {
             const conn = createConnection({
@@ -79,6 +93,16 @@ describe('#createConnection', () => {
             expect(conn.vlan).toEqual({ vlanId: 10, parentDevice: 'eth0' });
         });
     });
+
+    describe('when it is a macvtap device', () => {
+        it('sets the macvlan configuration using VEPA as the default mode', () => {
+            const conn = createConnection({
+                name: 'macvtap0', type: interfaceType.MACVTAP, macvlan: { parentDevice: 'eth0' }
+            });
+            expect(conn.virtual).toEqual(true);
+            expect(conn.macvlan).toEqual({ parentDevice: 'eth0', mode: macvlanMode.VEPA });
+        });
+    });
 });
 
 describe('#mergeConnection', () => {
@@ -88,3 +112,47 @@ describe('#mergeConnection', () => {
         expect(mergedConn).toEqual(expect.objectContaining({ name: 'eth1' }));
     });
 });
+
+describe('#affectedInterfaces', () => {
+    const connections = [
+        createConnection({ name: 'eth0' }),
+        createConnection({ name: 'eth1' }),
+        createConnection({ name: 'eth2' }),
+        createConnection({ name: 'bond0', type: interfaceType.BONDING, bond: { interfaces: ['eth0', 'eth1'] } }),
+        createConnection({ name: 'bond0.10', type: interfaceType.VLAN, vlan: { vlanId: 10, parentDevice: 'bond0' } }),
+        createConnection({ name: 'br0', type: interfaceType.BRIDGE, bridge: { ports: ['eth2'] } }),
+        createConnection({ name: 'eth3' }),
+        createConnection({ name: 'macvlan0', type: interfaceType.MACVLAN, macvlan: { parentDevice: 'eth3' } }),
+        createConnection({ name: 'eth4' }),
+        createConnection({ name: 'ovsbr0', type: interfaceType.OVS_BRIDGE, ovsBridge: { ports: ['eth4'] } }),
+        createConnection({
+            name: 'ovsbr0.10', type: interfaceType.OVS_BRIDGE, ovsBridge: { vlanParent: 'ovsbr0', vlanTag: 10 }
+        })
+    ];
+
+    it('includes the bonding slaves and the VLANs on top', () => {
+        expect(affectedInterfaces(connections, ['bond0'])).toEqual(['bond0', 'eth0', 'eth1', 'bond0.10']);
+    });
+
+    it('includes the VLAN parents and their dependencies', () => {
+        expect(affectedInterfaces(connections, ['bond0.10'])).toEqual(['bond0.10', 'bond0', 'eth0', 'eth1']);
+    });
+
+    it('includes the bridge ports', () => {
+        expect(affectedInterfaces(connections, ['br0'])).toEqual(['br0', 'eth2']);
+    });
+
+    it('includes the MACVLAN parents and the MACVLANs on top', () => {
+        expect(affectedInterfaces(connections, ['macvlan0'])).toEqual(['macvlan0', 'eth3']);
+        expect(affectedInterfaces(connections, ['eth3'])).toEqual(['eth3', 'macvlan0']);
+    });
+
+    it('includes the Open vSwitch bridge ports and the fake bridges on top', () => {
+        expect(affectedInterfaces(connections, ['ovsbr0'])).toEqual(['ovsbr0', 'eth4', 'ovsbr0.10']);
+        expect(affectedInterfaces(connections, ['ovsbr0.10'])).toEqual(['ovsbr0.10', 'ovsbr0', 'eth4']);
+    });
+
+    it('returns the given names when there are no dependencies', () => {
+        expect(affectedInterfaces(connections, ['eth2', 'eth2', 'eth9'])).toEqual(['eth2', 'eth9']);
+    });
+});
@@ -0,0 +1,129 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import cockpit from 'cockpit';
+import { isValidIP } from '../utils';
+import settingType from './settingType';
+
+const _ = cockpit.gettext;
+
+/**
+ * @typedef {Object} SettingType
+ * @property {string} name - Type name (@see model/settingType)
+ * @property {number} [min] - Minimum value (only for integers)
+ * @property {number} [max] - Maximum value (only for integers)
+ * @property {Array<string>} [values] - Allowed (lists) or suggested (strings) values
+ * @property {string} [pattern] - Regular expression the value must match (only for regexps)
+ */
+
+/**
+ * @typedef {Object} GlobalSetting
+ * @property {string} file - Path of the file containing the setting
+ * @property {string} key - Setting name (e.g., 'WAIT_FOR_INTERFACES')
+ * @property {string} value - Current value
+ * @property {SettingType} type - Setting type
+ * @property {string} [defaultValue] - Default value
+ * @property {string} description - Setting description
+ * @property {string} group - Name of the group the setting belongs to (e.g., 'System/Network/General')
+ */
+
+/**
+ * @function
+ *
+ * Returns an object representing a global setting
+ *
+ * @param {object} args - Setting properties
+ * @param {string} args.file - Path of the file containing the setting
+ * @param {string} args.key - Setting name
+ * @param {string} [args.value=""] - Current value
+ * @param {SettingType} [args.type] - Setting type (a string by default)
+ * @param {string} [args.defaultValue] - Default value
+ * @param {string} [args.description=""] - Setting description
+ * @param {string} [args.group=""] - Group name
+ *
+ * @return {GlobalSetting} GlobalSetting object
+ */
+export const createGlobalSetting = ({
+    file,
+    key,
+    value = "",
+    type = { name: settingType.STRING },
+    defaultValue,
+    description = "",
+    group = ""
+}) => {
+    return {
+        file,
+        key,
+        value,
+        type,
+        defaultValue,
+        description,
+        group
+    };
+};
+
+/**
+ * @ignore
+ */
+const validators = {
+    [settingType.YESNO]: (type, value) => ['yes', 'no'].includes(value) || _("It must be 'yes' or 'no'"),
+    [settingType.INTEGER]: ({ min, max }, value) => {
+        if (!/^-?\d+$/.test(value)) return _("It must be an integer");
+
+        const number = parseInt(value, 10);
+        if (min !== undefined && number < min) return cockpit.format(_("It must be at least $0"), min);
+        if (max !== undefined && number > max) return cockpit.format(_("It must be at most $0"), max);
+
+        return true;
+    },
+    [settingType.LIST]: ({ values = [] }, value) => (
+        values.includes(value) || cockpit.format(_("It must be one of: $0"), values.join(", "))
+    ),
+    [settingType.IP]: (type, value) => isValidIP(value) || _("It must be an IP address"),
+    [settingType.IP4]: (type, value) => (isValidIP(value) && !value.includes(':')) || _("It must be an IPv4 address"),
+    [settingType.IP6]: (type, value) => (isValidIP(value) && value.includes(':')) || _("It must be an IPv6 address"),
+    [settingType.REGEXP]: ({ pattern }, value) => {
+        try {
+            return new RegExp(`^(?:${pattern})$`).test(value) || _("It does not have the expected format");
+        } catch {
+            // the pattern is not supported by JavaScript, so the value cannot be checked
+            return true;
+        }
+    }
+};
+
+/**
+ * Checks whether a value is valid for the given setting
+ *
+ * An empty value is always accepted, as it means that the default behavior is used.
+ *
+ * @param {GlobalSetting} setting - Setting to check
+ * @param {string} value - Value to check
+ * @return {string|undefined} Error message or undefined if the value is valid
+ */
+export const validateGlobalSetting = (setting, value) => {
+    const validator = validators[setting.type.name];
+    if (value === "" || !validator) return;
+
+    const result = validator(setting.type, value);
+    return (result === true) ? undefined : result;
+};
@@ -0,0 +1,68 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import { createGlobalSetting, validateGlobalSetting } from './globalSettings';
+
+describe('#validateGlobalSetting', () => {
+    const settingOf = (type) => createGlobalSetting({ file: '/etc/sysconfig/network/config', key: 'KEY', type });
+
+    it('accepts empty values', () => {
+        expect(validateGlobalSetting(settingOf({ name: 'integer' }), '')).toBeUndefined();
+    });
+
+    it('checks yes/no values', () => {
+        expect(validateGlobalSetting(settingOf({ name: 'yesno' }), 'yes')).toBeUndefined();
+        expect(validateGlobalSetting(settingOf({ name: 'yesno' }), 'maybe')).toMatch(/yes/);
+    });
+
+    it('checks the limits of integers', () => {
+        const setting = settingOf({ name: 'integer', min: 0, max: 10 });
+
+        expect(validateGlobalSetting(setting, '5')).toBeUndefined();
+        expect(validateGlobalSetting(setting, '11')).toMatch(/at most/);
+        expect(validateGlobalSetting(setting, '-1')).toMatch(/at least/);
+        expect(validateGlobalSetting(setting, '1.5')).toMatch(/integer/);
+    });
+
+    it('checks the values of lists', () => {
+        const setting = settingOf({ name: 'list', values: ['auto', 'none'] });
+
+        expect(validateGlobalSetting(setting, 'auto')).toBeUndefined();
+        expect(validateGlobalSetting(setting, 'static')).toMatch(/one of/);
+    });
+
+    it('checks IP addresses', () => {
+        expect(validateGlobalSetting(settingOf({ name: 'ip4' }), '192.168.1.1')).toBeUndefined();
+        expect(validateGlobalSetting(settingOf({ name: 'ip4' }), 'fe80::1')).toMatch(/IPv4/);
+        expect(validateGlobalSetting(settingOf({ name: 'ip6' }), 'fe80::1')).toBeUndefined();
+    });
+
+    it('checks regular expressions', () => {
+        const setting = settingOf({ name: 'regexp', pattern: '[0-9]+' });
+
+        expect(validateGlobalSetting(setting, '123')).toBeUndefined();
+        expect(validateGlobalSetting(setting, '12a')).toMatch(/format/);
+    });
+
+    it('accepts any string', () => {
+        expect(validateGlobalSetting(settingOf(undefined), 'anything')).toBeUndefined();
+    });
+});
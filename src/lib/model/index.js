@@ -24,6 +24,10 @@ import { createInterface } from './interfaces';
 import { createConnection, mergeConnection } from './connections';
 import { createRoute } from './routes';
 import { createDnsSettings } from './dns';
+import { createGlobalSetting } from './globalSettings';
+import { createInterfaceState } from './interfaceState';
+import { createLease } from './leases';
+import { createSnapshot } from './snapshots';
 
 /**
  * This module offers a set of factory functions for domain concepts like connections,
@@ -36,6 +40,10 @@ export default {
     createInterface,
     createConnection,
     createDnsSettings,
+    createGlobalSetting,
+    createInterfaceState,
+    createLease,
+    createSnapshot,
     mergeConnection,
     createRoute,
     createAddressConfig
@@ -0,0 +1,77 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+/**
+ * @typedef {Object} LeaseState
+ * @property {string} family - Address family ('ipv4' or 'ipv6')
+ * @property {string} type - Address configuration type ('dhcp', 'static', 'auto', etc.)
+ * @property {string} state - Lease state ('granted', 'requesting', etc.)
+ */
+
+/**
+ * @typedef {Object} InterfaceState
+ * @property {string} name - Interface name
+ * @property {string} deviceState - Device state as reported by the network service (e.g., 'up')
+ * @property {Object} link - Link information (index, state and MTU)
+ * @property {string} configOrigin - Where the configuration comes from
+ * @property {Array<LeaseState>} leases - State of the address configuration leases
+ * @property {boolean} configChanged - Whether the configuration changed and a reload is advised
+ * @property {boolean} deviceMissing - Whether the device does not exist
+ * @property {boolean} stateReached - Whether the device reached the expected state
+ */
+
+/**
+ * @function
+ *
+ * Returns an object representing the runtime state of an interface
+ *
+ * @param {object} args - Interface state properties
+ * @param {string} args.name - Interface name
+ * @param {string} args.deviceState - Device state
+ * @param {Object} [args.link={}] - Link information
+ * @param {string} [args.configOrigin] - Configuration origin
+ * @param {Array<LeaseState>} [args.leases=[]] - Leases state
+ * @param {boolean} [args.configChanged=false] - Whether the configuration changed
+ * @param {boolean} [args.deviceMissing=false] - Whether the device does not exist
+ * @param {boolean} [args.stateReached=true] - Whether the device reached the expected state
+ * @return {InterfaceState}
+ */
+export const createInterfaceState = ({
+    name,
+    deviceState,
+    link = {},
+    configOrigin,
+    leases = [],
+    configChanged = false,
+    deviceMissing = false,
+    stateReached = true
+} = {}) => {
+    return {
+        name,
+        deviceState,
+        link,
+        configOrigin,
+        leases,
+        configChanged,
+        deviceMissing,
+        stateReached
+    };
+};
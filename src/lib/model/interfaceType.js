@@ -27,37 +27,96 @@ const NC_ = cockpit.noop;
 const ETHERNET = "eth";
 const WIRELESS = "wlan";
 const BONDING = "bond";
+const TEAM = "team";
 const BRIDGE = "br";
+const OVS_BRIDGE = "ovs-bridge";
 const VLAN = "vlan";
+const MACVLAN = "macvlan";
+const MACVTAP = "macvtap";
+const GRE = "gre";
+const GRETAP = "gretap";
+const IPIP = "ipip";
+const SIT = "sit";
+const DUMMY = "dummy";
+const TUN = "tun";
+const TAP = "tap";
 
 const values = [
     ETHERNET,
     WIRELESS,
     BONDING,
+    TEAM,
     BRIDGE,
-    VLAN
+    OVS_BRIDGE,
+    VLAN,
+    MACVLAN,
+    MACVTAP,
+    GRE,
+    GRETAP,
+    IPIP,
+    SIT,
+    DUMMY,
+    TUN,
+    TAP
 ];
 
 const labels = {
     [ETHERNET]: NC_("Ethernet"),
     [WIRELESS]: NC_("Wireless"),
     [BONDING]: NC_("Bonding"),
+    [TEAM]: NC_("Team"),
     [BRIDGE]: NC_("Bridge"),
-    [VLAN]: NC_("VLAN")
+    [OVS_BRIDGE]: NC_("Open vSwitch Bridge"),
+    [VLAN]: NC_("VLAN"),
+    [MACVLAN]: NC_("MACVLAN"),
+    [MACVTAP]: NC_("MACVTAP"),
+    [GRE]: NC_("GRE"),
+    [GRETAP]: NC_("GRE-TAP"),
+    [IPIP]: NC_("IPIP"),
+    [SIT]: NC_("SIT"),
+    [DUMMY]: NC_("Dummy"),
+    [TUN]: NC_("TUN"),
+    [TAP]: NC_("TAP")
 };
 
 const label = (type) => _(labels[type]);
 
-const virtualTypes = [BONDING, BRIDGE, VLAN];
+const macvlanTypes = [MACVLAN, MACVTAP];
+const isMacvlan = (type) => macvlanTypes.includes(type);
+
+const tunnelTypes = [GRE, GRETAP, IPIP, SIT];
+const isTunnel = (type) => tunnelTypes.includes(type);
+
+const tuntapTypes = [TUN, TAP];
+const isTuntap = (type) => tuntapTypes.includes(type);
+
+const virtualTypes = [BONDING, TEAM, BRIDGE, OVS_BRIDGE, VLAN, ...macvlanTypes, ...tunnelTypes, DUMMY, ...tuntapTypes];
 const isVirtual = (type) => virtualTypes.includes(type);
 
 export default {
     ETHERNET,
     WIRELESS,
     BONDING,
+    TEAM,
     BRIDGE,
+    OVS_BRIDGE,
     VLAN,
+    MACVLAN,
+    MACVTAP,
+    GRE,
+    GRETAP,
+    IPIP,
+    SIT,
+    DUMMY,
+    TUN,
+    TAP,
     values,
+    macvlanTypes,
+    tunnelTypes,
+    tuntapTypes,
     label,
-    isVirtual
+    isVirtual,
+    isMacvlan,
+    isTunnel,
+    isTuntap
 };
@@ -31,6 +31,13 @@ let interfaceIndex = 0;
  * @property {string} mac - MAC address
  * @property {string} driver - Kernel driver
  * @property {boolean} virtual - Whether the device is virtual or physical
+ * @property {Array<InterfacePort>} ports - Ports and their state (only for team interfaces)
+ */
+
+/**
+ * @typedef {Object} InterfacePort
+ * @property {string} name - Port device name
+ * @property {boolean} link - Whether the link watchers report the port as up
  */
 
 /**
@@ -45,6 +52,7 @@ let interfaceIndex = 0;
  * @param {string} args.mac - MAC address
  * @param {string} args.driver - Kernel driver
  * @param {Array<object>} args.addresses - Assigned IP addresses
+ * @param {Array<InterfacePort>} [args.ports=[]] - Ports and their state
  * @return {Interface}
  */
 export const createInterface = ({
@@ -54,7 +62,8 @@ export const createInterface = ({
     mac,
     type = "eth",
     link = true,
-    addresses = []
+    addresses = [],
+    ports = []
 }) => {
     const virtual = interfaceType.isVirtual(type);
     return {
@@ -66,6 +75,7 @@ export const createInterface = ({
         type,
         virtual,
         link,
-        addresses
+        addresses,
+        ports
     };
 };
@@ -0,0 +1,103 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+/**
+ * @typedef {Object} IdentityAssociation
+ * @property {string} type - Association type ('na' for addresses or 'pd' for prefixes)
+ * @property {number} iaid - Identity association ID
+ * @property {number} renewalTime - Time (in seconds) after which the association is renewed (T1)
+ * @property {number} rebindTime - Time (in seconds) after which the association is rebound (T2)
+ * @property {Array<Object>} addresses - Addresses or prefixes including their lifetimes
+ */
+
+/**
+ * @typedef {Object} Lease
+ * @property {string} family - Address family ('ipv4' or 'ipv6')
+ * @property {string} type - Address configuration type ('dhcp', 'static', etc.)
+ * @property {string} state - Lease state ('granted', 'requesting', etc.)
+ * @property {string} serverAddress - Address of the server which granted the lease
+ * @property {Array<string>} addresses - Leased addresses
+ * @property {number} acquired - When the lease was acquired (as a UNIX timestamp)
+ * @property {number} leaseTime - Lease duration (in seconds)
+ * @property {number} renewalTime - Time (in seconds) after which the lease is renewed (T1)
+ * @property {number} rebindTime - Time (in seconds) after which the lease is rebound (T2)
+ * @property {Array<string>} gateways - Offered gateways
+ * @property {Array<string>} dnsServers - Offered DNS servers
+ * @property {Array<string>} ntpServers - Offered NTP servers
+ * @property {string} domain - Offered domain name
+ * @property {Array<IdentityAssociation>} identityAssociations - DHCPv6 identity associations
+ */
+
+/**
+ * @function
+ *
+ * Returns an object representing an address configuration lease
+ *
+ * @param {object} args - Lease properties
+ * @param {string} args.family - Address family
+ * @param {string} args.type - Address configuration type
+ * @param {string} args.state - Lease state
+ * @param {string} [args.serverAddress] - Server address
+ * @param {Array<string>} [args.addresses=[]] - Leased addresses
+ * @param {number} [args.acquired] - When the lease was acquired
+ * @param {number} [args.leaseTime] - Lease duration
+ * @param {number} [args.renewalTime] - Renewal time
+ * @param {number} [args.rebindTime] - Rebind time
+ * @param {Array<string>} [args.gateways=[]] - Offered gateways
+ * @param {Array<string>} [args.dnsServers=[]] - Offered DNS servers
+ * @param {Array<string>} [args.ntpServers=[]] - Offered NTP servers
+ * @param {string} [args.domain] - Offered domain name
+ * @param {Array<IdentityAssociation>} [args.identityAssociations=[]] - DHCPv6 identity associations
+ * @return {Lease}
+ */
+export const createLease = ({
+    family,
+    type,
+    state,
+    serverAddress,
+    addresses = [],
+    acquired,
+    leaseTime,
+    renewalTime,
+    rebindTime,
+    gateways = [],
+    dnsServers = [],
+    ntpServers = [],
+    domain,
+    identityAssociations = []
+} = {}) => {
+    return {
+        family,
+        type,
+        state,
+        serverAddress,
+        addresses,
+        acquired,
+        leaseTime,
+        renewalTime,
+        rebindTime,
+        gateways,
+        dnsServers,
+        ntpServers,
+        domain,
+        identityAssociations
+    };
+};
@@ -0,0 +1,55 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import cockpit from 'cockpit';
+
+const _ = cockpit.gettext;
+const NC_ = cockpit.noop;
+
+const PRIVATE = 'private';
+const VEPA = 'vepa';
+const BRIDGE = 'bridge';
+const PASSTHRU = 'passthru';
+
+const values = [
+    PRIVATE,
+    VEPA,
+    BRIDGE,
+    PASSTHRU
+];
+
+const labels = {
+    [PRIVATE]: NC_("Private"),
+    [VEPA]: NC_("Virtual Ethernet Port Aggregator (VEPA)"),
+    [BRIDGE]: NC_("Bridge"),
+    [PASSTHRU]: NC_("Passthrough")
+};
+
+const label = (mode) => _(labels[mode]);
+
+export default {
+    PRIVATE,
+    VEPA,
+    BRIDGE,
+    PASSTHRU,
+    label,
+    values
+};
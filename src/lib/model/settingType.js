@@ -0,0 +1,62 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+/**
+ * Types of the global settings
+ *
+ * - YESNO: 'yes' or 'no'.
+ * - INTEGER: an integer, optionally limited by a minimum and/or a maximum.
+ * - STRING: any text. The values of the type (if any) are just suggestions.
+ * - LIST: one of the values of the type.
+ * - IP, IP4, IP6: an IP address of any family, IPv4 or IPv6.
+ * - REGEXP: a text matching the pattern of the type.
+ */
+const YESNO = 'yesno';
+const INTEGER = 'integer';
+const STRING = 'string';
+const LIST = 'list';
+const IP = 'ip';
+const IP4 = 'ip4';
+const IP6 = 'ip6';
+const REGEXP = 'regexp';
+
+const values = [
+    YESNO,
+    INTEGER,
+    STRING,
+    LIST,
+    IP,
+    IP4,
+    IP6,
+    REGEXP
+];
+
+export default {
+    YESNO,
+    INTEGER,
+    STRING,
+    LIST,
+    IP,
+    IP4,
+    IP6,
+    REGEXP,
+    values
+};
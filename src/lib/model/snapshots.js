@@ -0,0 +1,55 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+/**
+ * @typedef {Object} Snapshot
+ * @property {string} id - Snapshot identifier (e.g., '20201019T153012345Z')
+ * @property {Date} date - Creation date
+ * @property {number} size - Size of the archive (in bytes)
+ * @property {string} comment - Comment given by the user
+ */
+
+/**
+ * @function
+ *
+ * Returns an object representing a snapshot of the network configuration
+ *
+ * @param {object} args - Snapshot properties
+ * @param {string} args.id - Snapshot identifier
+ * @param {Date} args.date - Creation date
+ * @param {number} [args.size=0] - Size of the archive
+ * @param {string} [args.comment=""] - Comment given by the user
+ *
+ * @return {Snapshot} Snapshot object
+ */
+export const createSnapshot = ({
+    id,
+    date,
+    size = 0,
+    comment = ""
+}) => {
+    return {
+        id,
+        date,
+        size,
+        comment
+    };
+};
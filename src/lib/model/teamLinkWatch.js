@@ -0,0 +1,60 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import cockpit from 'cockpit';
+
+const _ = cockpit.gettext;
+const NC_ = cockpit.noop;
+
+const ETHTOOL = 'ethtool';
+const ARP_PING = 'arp_ping';
+const NSNA_PING = 'nsna_ping';
+
+const values = [
+    ETHTOOL,
+    ARP_PING,
+    NSNA_PING
+];
+
+const labels = {
+    [ETHTOOL]: NC_("Ethtool"),
+    [ARP_PING]: NC_("ARP Ping"),
+    [NSNA_PING]: NC_("IPv6 Neighbor Solicitation Ping")
+};
+
+const label = (watch) => _(labels[watch]);
+
+/**
+ * Whether the link watcher sends probes to a target host
+ *
+ * @param {string} watch - Link watcher name
+ * @return {boolean}
+ */
+const isPing = (watch) => [ARP_PING, NSNA_PING].includes(watch);
+
+export default {
+    ETHTOOL,
+    ARP_PING,
+    NSNA_PING,
+    label,
+    isPing,
+    values
+};
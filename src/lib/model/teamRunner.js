@@ -0,0 +1,59 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import cockpit from 'cockpit';
+
+const _ = cockpit.gettext;
+const NC_ = cockpit.noop;
+
+const ROUND_ROBIN = 'roundrobin';
+const ACTIVE_BACKUP = 'activebackup';
+const LOAD_BALANCE = 'loadbalance';
+const BROADCAST = 'broadcast';
+const LACP = 'lacp';
+
+const values = [
+    ROUND_ROBIN,
+    ACTIVE_BACKUP,
+    LOAD_BALANCE,
+    BROADCAST,
+    LACP
+];
+
+const labels = {
+    [ROUND_ROBIN]: NC_("Round Robin"),
+    [ACTIVE_BACKUP]: NC_("Active Backup"),
+    [LOAD_BALANCE]: NC_("Load Balance"),
+    [BROADCAST]: NC_("Broadcast"),
+    [LACP]: NC_("802.3ad Link Aggregation Control Protocol (LACP)")
+};
+
+const label = (runner) => _(labels[runner]);
+
+export default {
+    ROUND_ROBIN,
+    ACTIVE_BACKUP,
+    LOAD_BALANCE,
+    BROADCAST,
+    LACP,
+    label,
+    values
+};
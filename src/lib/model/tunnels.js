@@ -0,0 +1,102 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import cockpit from 'cockpit';
+import { isValidIP } from '../utils';
+import addressType from './addressType';
+import interfaceType from './interfaceType';
+
+const _ = cockpit.gettext;
+
+/**
+ * @typedef {Object} Tunnel
+ * @property {string} [localAddress] - Local endpoint address (any local address if it is not set)
+ * @property {string} remoteAddress - Remote endpoint address
+ * @property {number} [ttl] - Time to live of the encapsulated packets (inherited if it is not set)
+ * @property {string} [parentDevice] - Device the tunnel is bound to
+ */
+
+/**
+ * Address family of the tunnel endpoints for each tunnel type
+ *
+ * All the supported tunnels are carried over IPv4, including SIT, which encapsulates IPv6.
+ *
+ * @ignore
+ */
+const ENDPOINT_FAMILIES = {
+    [interfaceType.GRE]: addressType.IPV4,
+    [interfaceType.GRETAP]: addressType.IPV4,
+    [interfaceType.IPIP]: addressType.IPV4,
+    [interfaceType.SIT]: addressType.IPV4
+};
+
+/**
+ * Returns the address family of the endpoints of the given tunnel type
+ *
+ * @param {string} type - Tunnel type (@see model/interfaceType)
+ * @return {string} Address family (@see model/addressType)
+ */
+export const endpointFamily = (type) => ENDPOINT_FAMILIES[type];
+
+/**
+ * Checks whether an endpoint address is valid for the given family
+ *
+ * @ignore
+ * @param {string} address - Endpoint address
+ * @param {string} family - Expected address family
+ * @return {boolean}
+ */
+const isValidEndpoint = (address, family) => {
+    return isValidIP(address) && !address.includes('/') && addressType.from(address) === family;
+};
+
+/**
+ * Checks the settings of a tunnel
+ *
+ * @param {string} type - Tunnel type (@see model/interfaceType)
+ * @param {Tunnel} tunnel - Tunnel settings
+ * @return {Array<Object>} Errors found (objects containing a `key` and a `message`)
+ */
+export const validateTunnel = (type, { localAddress, remoteAddress, ttl }) => {
+    const family = endpointFamily(type);
+    const familyLabel = family === addressType.IPV6 ? _("IPv6") : _("IPv4");
+    const errors = [];
+
+    if (localAddress && !isValidEndpoint(localAddress, family)) {
+        errors.push({
+            key: 'invalid-local-address',
+            message: cockpit.format(_("The local address must be an $0 address."), familyLabel)
+        });
+    }
+
+    if (!remoteAddress || !isValidEndpoint(remoteAddress, family)) {
+        errors.push({
+            key: 'invalid-remote-address',
+            message: cockpit.format(_("The remote address must be an $0 address."), familyLabel)
+        });
+    }
+
+    if (ttl !== undefined && ttl !== "" && !(/^\d+$/.test(ttl) && parseInt(ttl, 10) <= 255)) {
+        errors.push({ key: 'invalid-ttl', message: _("The TTL must be a number between 0 and 255.") });
+    }
+
+    return errors;
+};
@@ -0,0 +1,47 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import { validateTunnel } from './tunnels';
+import interfaceType from './interfaceType';
+
+describe('#validateTunnel', () => {
+    const keys = (type, tunnel) => validateTunnel(type, tunnel).map(e => e.key);
+
+    it('accepts IPv4 endpoints and an optional local address', () => {
+        expect(keys(interfaceType.GRE, { localAddress: '192.168.1.1', remoteAddress: '10.0.0.1', ttl: 64 }))
+                .toEqual([]);
+        expect(keys(interfaceType.IPIP, { remoteAddress: '10.0.0.1' })).toEqual([]);
+    });
+
+    it('rejects endpoints from a different address family', () => {
+        expect(keys(interfaceType.SIT, { localAddress: 'fd00::1', remoteAddress: 'fd00::2' }))
+                .toEqual(['invalid-local-address', 'invalid-remote-address']);
+    });
+
+    it('requires a remote address without prefix', () => {
+        expect(keys(interfaceType.GRETAP, {})).toEqual(['invalid-remote-address']);
+        expect(keys(interfaceType.GRETAP, { remoteAddress: '10.0.0.1/8' })).toEqual(['invalid-remote-address']);
+    });
+
+    it('rejects TTLs out of range', () => {
+        expect(keys(interfaceType.GRE, { remoteAddress: '10.0.0.1', ttl: '256' })).toEqual(['invalid-ttl']);
+    });
+});
@@ -0,0 +1,706 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+/**
+ * Adapter to manage the network configuration through NetworkManager
+ *
+ * @module nm/adapter
+ */
+
+import Client from './client';
+import { createConnection, connectionToSettings } from './connections';
+import { createInterface } from './interfaces';
+import { unwrap, variant } from './utils';
+import model from '../model';
+import interfaceType from '../model/interfaceType';
+
+/**
+ * NetworkManager device states and their labels
+ *
+ * @see https://developer.gnome.org/NetworkManager/stable/nm-dbus-types.html#NMDeviceState
+ * @ignore
+ */
+const DEVICE_STATES = {
+    10: 'unmanaged',
+    20: 'unavailable',
+    30: 'disconnected',
+    40: 'prepare',
+    50: 'config',
+    60: 'need-auth',
+    70: 'ip-config',
+    80: 'ip-check',
+    90: 'secondaries',
+    100: 'activated',
+    110: 'deactivating',
+    120: 'failed'
+};
+
+const ACTIVATED = 100;
+
+/**
+ * Slave types used by NetworkManager for each kind of master connection
+ *
+ * @ignore
+ */
+const SLAVE_TYPES = {
+    [interfaceType.BONDING]: ({ bond }) => ['bond', bond.interfaces],
+    [interfaceType.BRIDGE]: ({ bridge }) => ['bridge', bridge.ports]
+};
+
+const splitOption = (value) => (value || '').split(/\s+/).filter(Boolean);
+const toInteger = (value) => (value === undefined ? undefined : parseInt(value, 10));
+
+/**
+ * Builds a lease from the options of a NetworkManager DHCP configuration object
+ *
+ * @ignore
+ * @param {string} family - Address family ('ipv4' or 'ipv6')
+ * @param {Object<string,string>} options - DHCP options
+ * @return {Lease|undefined} Lease or undefined if there are no options
+ */
+const leaseFromOptions = (family, options) => {
+    if (Object.keys(options).length === 0) return undefined;
+
+    if (family === 'ipv6') {
+        return model.createLease({
+            family,
+            type: 'dhcp',
+            state: 'granted',
+            serverAddress: options.dhcp6_server_id,
+            addresses: splitOption(options.ip6_address),
+            dnsServers: splitOption(options.dhcp6_name_servers),
+            ntpServers: splitOption(options.dhcp6_ntp_servers),
+            domain: options.dhcp6_domain_search
+        });
+    }
+
+    const leaseTime = toInteger(options.dhcp_lease_time);
+    const expiry = toInteger(options.expiry);
+
+    return model.createLease({
+        family,
+        type: 'dhcp',
+        state: 'granted',
+        serverAddress: options.dhcp_server_identifier,
+        addresses: splitOption(options.ip_address),
+        acquired: (expiry && leaseTime) ? expiry - leaseTime : undefined,
+        leaseTime,
+        renewalTime: toInteger(options.dhcp_renewal_time),
+        rebindTime: toInteger(options.dhcp_rebinding_time),
+        gateways: splitOption(options.routers),
+        dnsServers: splitOption(options.domain_name_servers),
+        ntpServers: splitOption(options.ntp_servers),
+        domain: options.domain_name
+    });
+};
+
+/**
+ * This class is responsible for retrieving and updating NetworkManager's configuration.
+ *
+ * It offers the same API than {@link WickedAdapter}, so NetworkClient can use any of them. As
+ * NetworkManager has no notion of global routes, only the routes bound to a device are
+ * supported.
+ *
+ * @class
+ * @implements {NetworkAdapter}
+ */
+class NetworkManagerAdapter {
+    constructor(client) {
+        this.client = client || new Client();
+    }
+
+    /**
+     * Return the NetworkManager's service name
+     *
+     * @return {string} NetworkManager's service name
+     */
+    serviceName() {
+        return 'NetworkManager';
+    }
+
+    /**
+     * Return a promise that resolves to an array of model Connection objects.
+     *
+     * @return {Promise.<Array.<Connection>>} Promise that resolves to a list of connections
+     */
+    async connections() {
+        const nmConns = await this.client.getConnections();
+        return nmConns.map(c => createConnection(c, nmConns)).filter(c => c.name !== 'lo');
+    }
+
+    /**
+     * Return a promise that resolves to an array of model Interface objects.
+     *
+     * @return {Promise.<Array.<Interface>>} Promise that resolves to a list of interfaces
+     */
+    async interfaces() {
+        const devices = await this.client.getDevices();
+        const ifaces = devices.map(createInterface).filter(i => i.name !== 'lo');
+
+        const conns = await this.connections();
+        const names = ifaces.map(i => i.name);
+        conns.forEach(c => {
+            if (!names.includes(c.name)) {
+                ifaces.push(model.createInterface({ name: c.name, type: c.type, link: false }));
+            }
+        });
+
+        return ifaces;
+    }
+
+    /**
+     * Registers a callback to be called when an interface changes
+     *
+     * @param {interfaceChangeCallback} fn - Callback to be called when an interface changes
+     */
+    onInterfaceChange(fn) {
+        this.client.onDeviceChange(async (path) => {
+            const device = await this.client.getDevice(path);
+            fn('deviceChange', createInterface(device));
+        });
+    }
+
+    /**
+     * Return the routes defined in the connections
+     *
+     * The gateway of a connection is represented as a default route.
+     *
+     * @return {Promise<Array<Route>>} Promise that resolves to the list of routes
+     */
+    async routes() {
+        const nmConns = await this.client.getConnections();
+
+        return nmConns.reduce((routes, { settings: rawSettings }) => {
+            const settings = unwrap(rawSettings);
+            const device = settings.connection['interface-name'];
+
+            ['ipv4', 'ipv6'].forEach(family => {
+                const { gateway, 'route-data': routeData = [] } = settings[family] || {};
+                if (gateway) routes.push(model.createRoute({ isDefault: true, gateway, device }));
+
+                routeData.forEach(({ dest, prefix, 'next-hop': nextHop, metric }) => {
+                    routes.push(model.createRoute({
+                        destination: `${dest}/${prefix}`,
+                        gateway: nextHop,
+                        device,
+                        options: (metric === undefined) ? undefined : `metric ${metric}`
+                    }));
+                });
+            });
+
+            return routes;
+        }, []);
+    }
+
+    /**
+     * Update the routes of each connection
+     *
+     * Routes without a device are ignored. Only the connections whose routes changed are
+     * updated and, for them, just the ipv4/ipv6 settings which changed.
+     *
+     * @param {Array<Route>} routes - Routes to write
+     * @return {Promise} Result of the operation
+     */
+    async updateRoutes(routes) {
+        const nmConns = await this.client.getConnections();
+
+        const updates = nmConns.map(async ({ path, settings }) => {
+            const device = unwrap(settings.connection['interface-name']);
+            if (!device) return;
+
+            const own = Object.values(routes).filter(r => r.device === device);
+            const changes = ['ipv4', 'ipv6'].reduce((all, family) => {
+                const isFamily = (r) => ((r.gateway || r.destination || '').includes(':') === (family === 'ipv6'));
+                const section = this._routesSection(settings[family], own.filter(isFamily));
+
+                return section ? { ...all, [family]: section } : all;
+            }, {});
+            if (Object.keys(changes).length === 0) return;
+
+            const current = await this._withSecrets(path, settings);
+            await this.client.updateConnection(path, { ...current, ...changes });
+        });
+
+        await Promise.all(updates);
+    }
+
+    /**
+     * Obtains the DNS global settings from NetworkManager
+     *
+     * @return {Promise<DnsSettings>}
+     */
+    async dnsSettings() {
+        const config = unwrap(await this.client.getGlobalDns());
+        const searchList = config.searches || [];
+        const nameServers = config.domains?.['*']?.servers || [];
+
+        return model.createDnsSettings({ nameServers, searchList });
+    }
+
+    /**
+     * Write the DNS global settings to NetworkManager
+     *
+     * The policy is not supported by NetworkManager, so it is ignored.
+     *
+     * @return {Promise} Result of the operation
+     */
+    updateDnsSettings({ nameServers, searchList }) {
+        return this.client.setGlobalDns({
+            searches: variant('as', searchList),
+            domains: variant('a{sv}', {
+                '*': variant('a{sv}', { servers: variant('as', nameServers) })
+            })
+        });
+    }
+
+    /**
+     * Returns the global settings
+     *
+     * NetworkManager global settings are not supported yet, so it returns an empty list.
+     *
+     * @return {Promise<Array<GlobalSetting>>}
+     */
+    async globalSettings() {
+        return [];
+    }
+
+    /**
+     * Writes the given global settings
+     *
+     * @param {Array<GlobalSetting>} changes - Settings to write
+     * @return {Promise} Result of the operation
+     * @throws {Error} when there is something to write, as global settings are not supported
+     */
+    async updateGlobalSettings(changes) {
+        if (changes.length > 0) throw new Error('Global settings are not supported by NetworkManager');
+    }
+
+    /**
+     * Add a new connection to NetworkManager
+     *
+     * @param {Connection} connection - Connection to add
+     * @return {Promise<Connection,Error>} Promise that resolve to the added connection
+     */
+    async addConnection(connection) {
+        await this.client.addConnection(connectionToSettings(connection));
+        await this._updatePorts(connection);
+        return connection;
+    }
+
+    /**
+     * Remove a given connection from NetworkManager
+     *
+     * @param {Connection} connection - Connection to be removed
+     * @return {Promise} Result of the operation
+     */
+    async deleteConnection(connection) {
+        const nmConn = await this._findConnection(connection.name);
+        if (nmConn) await this.client.deleteConnection(nmConn.path);
+        return connection;
+    }
+
+    /**
+     * Update the configuration of a connection
+     *
+     * @param {Connection} connection - Connection to update
+     * @return {Promise<Connection,Error>} Promise that resolve to the updated connection
+     */
+    async updateConnection(connection) {
+        const nmConn = await this._findConnection(connection.name);
+        if (!nmConn) return this.addConnection(connection);
+
+        const current = await this._withSecrets(nmConn.path, nmConn.settings);
+        await this.client.updateConnection(nmConn.path, connectionToSettings(connection, current));
+        await this._updatePorts(connection);
+        return connection;
+    }
+
+    /**
+     * Set Up a connection
+     *
+     * NetworkManager does not report progress, so the options are ignored.
+     *
+     * @param {Connection} connection - Connection to set up
+     * @return {Promise} Result of the operation
+     */
+    setUpConnection(connection) {
+        return this._activate(connection.name);
+    }
+
+    /**
+     * Set Down a connection
+     *
+     * @param {Connection} connection - Connection to set down
+     * @return {Promise} Result of the operation
+     */
+    async setDownConnection(connection) {
+        const device = await this._findDevice(connection.name);
+        if (!device) throw new Error(`Device ${connection.name} not found`);
+
+        return this.client.disconnectDevice(device.path);
+    }
+
+    /**
+     * Reload a connection, activating it again
+     *
+     * @param {string} name - Connection name
+     * @return {Promise} Result of the operation
+     */
+    reloadConnection(name) {
+        return this._activate(name);
+    }
+
+    /**
+     * Reload several connections at once
+     *
+     * @param {Array<string>} names - Connection names
+     * @return {Promise<Array<BatchResult>>} Outcome for each connection
+     */
+    reloadConnections(names) {
+        return this._batch(names, name => this.reloadConnection(name));
+    }
+
+    /**
+     * Set Up several connections at once
+     *
+     * @param {Array<string>} names - Connection names
+     * @return {Promise<Array<BatchResult>>} Outcome for each connection
+     */
+    setUpConnections(names) {
+        return this._batch(names, name => this._activate(name));
+    }
+
+    /**
+     * Set Down several connections at once
+     *
+     * @param {Array<string>} names - Connection names
+     * @return {Promise<Array<BatchResult>>} Outcome for each connection
+     */
+    setDownConnections(names) {
+        return this._batch(names, name => this.setDownConnection({ name }));
+    }
+
+    /**
+     * Return the runtime state of an interface
+     *
+     * @param {string} name - Interface name
+     * @return {Promise<InterfaceState>} Promise that resolves to the interface state
+     */
+    async interfaceState(name) {
+        const found = await this._findDevice(name);
+        if (!found) return model.createInterfaceState({ name, deviceMissing: true, stateReached: false });
+
+        const { device } = found;
+        const nmConn = await this._findConnection(name);
+        const leases = ['ipv4', 'ipv6']
+                .filter(family => device[family === 'ipv4' ? 'Dhcp4Config' : 'Dhcp6Config'] !== '/')
+                .map(family => ({ family, type: 'dhcp', state: 'granted' }));
+
+        return model.createInterfaceState({
+            name,
+            deviceState: DEVICE_STATES[device.State] || 'unknown',
+            link: { index: device.Ifindex, state: device.State === ACTIVATED ? 'up' : 'down', mtu: device.Mtu },
+            configOrigin: nmConn && `NetworkManager:${unwrap(nmConn.settings.connection.id)}`,
+            leases,
+            stateReached: device.State === ACTIVATED
+        });
+    }
+
+    /**
+     * Return the DHCP leases of an interface
+     *
+     * @param {string} name - Interface name
+     * @return {Promise<Array<Lease>>} Promise that resolves to the list of leases
+     */
+    async leases(name) {
+        const found = await this._findDevice(name);
+        if (!found) return [];
+
+        const { Dhcp4Config, Dhcp6Config } = found.device;
+        const ipv4 = await this.client.getDhcpOptions(Dhcp4Config, 'ipv4');
+        const ipv6 = await this.client.getDhcpOptions(Dhcp6Config, 'ipv6');
+
+        return [leaseFromOptions('ipv4', ipv4), leaseFromOptions('ipv6', ipv6)].filter(Boolean);
+    }
+
+    /**
+     * Renew the DHCP leases of an interface, activating its connection again
+     *
+     * NetworkManager does not report progress, so the options are ignored.
+     *
+     * @param {string} name - Interface name
+     * @return {Promise} Result of the operation
+     */
+    renewLeases(name) {
+        return this._activate(name);
+    }
+
+    /**
+     * Returns the snapshots of the configuration
+     *
+     * Snapshots are not supported yet, so the list is always empty.
+     *
+     * @return {Promise<Array<Snapshot>>}
+     */
+    async snapshots() {
+        return [];
+    }
+
+    /**
+     * Takes a snapshot of the configuration
+     *
+     * @throws {Error} as snapshots are not supported
+     */
+    async createSnapshot() {
+        throw new Error('Snapshots are not supported by NetworkManager');
+    }
+
+    /**
+     * Returns the differences between a snapshot and the current configuration
+     *
+     * @param {string} id - Snapshot identifier
+     * @throws {Error} as there are no snapshots
+     */
+    async snapshotDiff(id) {
+        throw new Error(`Snapshot ${id} not found`);
+    }
+
+    /**
+     * Restores the configuration from a snapshot
+     *
+     * @param {string} id - Snapshot identifier
+     * @throws {Error} as there are no snapshots
+     */
+    async restoreSnapshot(id) {
+        throw new Error(`Snapshot ${id} not found`);
+    }
+
+    /**
+     * Deletes a snapshot
+     *
+     * @param {string} id - Snapshot identifier
+     * @throws {Error} as there are no snapshots
+     */
+    async deleteSnapshot(id) {
+        throw new Error(`Snapshot ${id} not found`);
+    }
+
+    /**
+     * Creates a NetworkManager checkpoint
+     *
+     * The checkpoint path is used as the rollback point identifier.
+     *
+     * @param {number} timeout - Seconds to wait for the confirmation
+     * @return {Promise<RollbackPoint>}
+     */
+    async createRollbackPoint(timeout) {
+        const id = await this.client.createCheckpoint(timeout);
+        return { id, timeout };
+    }
+
+    /**
+     * Destroys the checkpoint, so NetworkManager does not roll back
+     *
+     * @param {string} id - Rollback point identifier
+     * @return {Promise}
+     */
+    confirmChanges(id) {
+        return this.client.destroyCheckpoint(id);
+    }
+
+    /**
+     * Rolls back to the checkpoint right away
+     *
+     * @param {string} id - Rollback point identifier
+     * @return {Promise}
+     */
+    rollback(id) {
+        return this.client.rollbackCheckpoint(id);
+    }
+
+    /**
+     * Returns how the configuration would change
+     *
+     * @throws {Error} as NetworkManager cannot tell how its files would change
+     */
+    async previewChanges() {
+        throw new Error('Previewing changes is not supported by NetworkManager');
+    }
+
+    /**
+     * Returns the NetworkManager connection for the given interface
+     *
+     * @ignore
+     * @param {string} name - Interface name
+     * @param {Array<NMConnection>} [nmConns] - Known connections
+     * @return {Promise<NMConnection|undefined>}
+     */
+    async _findConnection(name, nmConns) {
+        const all = nmConns || await this.client.getConnections();
+        const nameOf = ({ settings: { connection } }) => unwrap(connection['interface-name'] || connection.id);
+        return all.find(c => nameOf(c) === name);
+    }
+
+    /**
+     * Returns the NetworkManager device for the given interface
+     *
+     * @ignore
+     * @param {string} name - Interface name
+     * @return {Promise<NMDevice|undefined>}
+     */
+    async _findDevice(name) {
+        const devices = await this.client.getDevices();
+        return devices.find(d => d.device.Interface === name);
+    }
+
+    /**
+     * Activates the connection for the given interface
+     *
+     * @ignore
+     * @param {string} name - Interface name
+     * @return {Promise}
+     */
+    async _activate(name) {
+        const nmConn = await this._findConnection(name);
+        if (!nmConn) throw new Error(`Connection ${name} not found`);
+
+        return this.client.activateConnection(nmConn.path);
+    }
+
+    /**
+     * Runs an action for each interface, collecting the errors
+     *
+     * @ignore
+     * @param {Array<string>} names - Interface names
+     * @param {function} fn - Action to run for each interface
+     * @return {Promise<Array<BatchResult>>}
+     */
+    _batch(names, fn) {
+        return Promise.all(names.map(name => (
+            Promise.resolve()
+                    .then(() => fn(name))
+                    .then(() => ({ name }))
+                    .catch(error => ({ name, error }))
+        )));
+    }
+
+    /**
+     * Enslaves the bonding slaves or bridge ports of a connection and releases the old ones
+     *
+     * NetworkManager stores the master in the slave connection, instead of the other way round.
+     *
+     * @ignore
+     * @param {Connection} connection - Master connection
+     * @return {Promise}
+     */
+    async _updatePorts(connection) {
+        const fn = SLAVE_TYPES[connection.type];
+        if (!fn) return;
+
+        const [slaveType, ports] = fn(connection);
+        const nmConns = await this.client.getConnections();
+        const updates = nmConns.map(async ({ path, settings }) => {
+            const { master, 'interface-name': ifaceName, id } = unwrap(settings.connection);
+            const name = ifaceName || id;
+            const enslaved = ports.includes(name);
+            if (!enslaved && master !== connection.name) return;
+
+            const { master: _m, 'slave-type': _s, ...rest } = settings.connection;
+            const slave = enslaved
+                ? { master: variant('s', connection.name), 'slave-type': variant('s', slaveType) }
+                : {};
+            const current = await this._withSecrets(path, settings);
+            await this.client.updateConnection(path, { ...current, connection: { ...rest, ...slave } });
+        });
+
+        await Promise.all(updates);
+    }
+
+    /**
+     * Returns the settings of a connection including its secrets
+     *
+     * GetSettings does not return the secrets, so they must be merged before sending the
+     * settings back. Otherwise, NetworkManager forgets them.
+     *
+     * @ignore
+     * @param {string} path - Connection path
+     * @param {object} settings - Connection settings (a{sa{sv}})
+     * @return {Promise<object>} Connection settings with the secrets (a{sa{sv}})
+     */
+    async _withSecrets(path, settings) {
+        const secrets = await this.client.getSecrets(path, settings);
+
+        return Object.keys(secrets).reduce((all, name) => (
+            { ...all, [name]: { ...settings[name], ...secrets[name] } }
+        ), settings);
+    }
+
+    /**
+     * Returns the IP settings of a connection with the given routes
+     *
+     * @ignore
+     * @param {Object} [current={}] - Current IP settings (ipv4 or ipv6)
+     * @param {Array<Route>} routes - Routes of the same family to write
+     * @return {Object|undefined} New IP settings or undefined if the routes did not change
+     */
+    _routesSection(current = {}, routes) {
+        const gateway = routes.find(r => r.isDefault)?.gateway;
+        const routeData = routes.filter(r => !r.isDefault).map(this._routeData);
+        const sortedKeys = (data) => data.map(({ dest, prefix, 'next-hop': nextHop, metric }) => (
+            JSON.stringify([dest, prefix, nextHop, metric])
+        )).sort();
+
+        const currentRoutes = unwrap(current['route-data'] || []);
+        const unchanged = (unwrap(current.gateway) || undefined) === gateway &&
+            JSON.stringify(sortedKeys(currentRoutes)) === JSON.stringify(sortedKeys(unwrap(routeData)));
+        if (unchanged) return undefined;
+
+        const section = { ...current, 'route-data': variant('aa{sv}', routeData) };
+        delete section.routes;
+        if (gateway) {
+            section.gateway = variant('s', gateway);
+        } else {
+            delete section.gateway;
+        }
+
+        return section;
+    }
+
+    /**
+     * Converts a route into NetworkManager route data
+     *
+     * @ignore
+     * @param {Route} route - Route to convert
+     * @return {Object<string,Object>} Route data (a{sv})
+     */
+    _routeData({ destination, gateway, options }) {
+        const [dest, prefix = (destination.includes(':') ? '128' : '32')] = destination.split('/');
+        const data = { dest: variant('s', dest), prefix: variant('u', parseInt(prefix, 10)) };
+        const metric = (options || '').match(/metric\s+(\d+)/);
+
+        if (gateway) data['next-hop'] = variant('s', gateway);
+        if (metric) data.metric = variant('u', parseInt(metric[1], 10));
+
+        return data;
+    }
+}
+
+export default NetworkManagerAdapter;
@@ -0,0 +1,409 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import NetworkManagerAdapter from './adapter';
+import { variant } from './utils';
+import model from '../model';
+import { describeAdapterConformance } from '../adapterConformance';
+
+const s = (v) => variant('s', v);
+
+const eth0Path = '/org/freedesktop/NetworkManager/Devices/2';
+const eth0ConnPath = '/org/freedesktop/NetworkManager/Settings/1';
+const eth1ConnPath = '/org/freedesktop/NetworkManager/Settings/3';
+
+const devices = [
+    { path: '/org/freedesktop/NetworkManager/Devices/1', device: { Interface: 'lo', DeviceType: 14, State: 100 } },
+    {
+        path: eth0Path,
+        device: {
+            Interface: 'eth0',
+            DeviceType: 1,
+            State: 100,
+            Ifindex: 2,
+            Mtu: 1500,
+            HwAddress: '52:54:00:ab:66:d3',
+            Driver: 'virtio_net',
+            Dhcp4Config: '/org/freedesktop/NetworkManager/DHCP4Config/1',
+            Dhcp6Config: '/'
+        },
+        ipv4: [{ address: '192.168.1.101', prefix: 24 }]
+    }
+];
+
+const connections = () => [
+    {
+        path: eth0ConnPath,
+        settings: {
+            connection: { id: s('eth0'), type: s('802-3-ethernet'), 'interface-name': s('eth0') },
+            ipv4: {
+                method: s('auto'),
+                gateway: s('192.168.1.1'),
+                'route-data': variant('aa{sv}', [
+                    { dest: s('10.0.0.0'), prefix: variant('u', 8), 'next-hop': s('192.168.1.254') }
+                ])
+            }
+        }
+    },
+    {
+        path: eth1ConnPath,
+        settings: { connection: { id: s('eth1'), type: s('802-3-ethernet'), 'interface-name': s('eth1') } }
+    }
+];
+
+const fakeClient = (props = {}) => ({
+    getDevices: jest.fn(() => Promise.resolve(devices)),
+    getDevice: jest.fn(path => Promise.resolve(devices.find(d => d.path === path))),
+    getConnections: jest.fn(() => Promise.resolve(connections())),
+    getSecrets: jest.fn(() => Promise.resolve({})),
+    addConnection: jest.fn(() => Promise.resolve('/new')),
+    updateConnection: jest.fn(() => Promise.resolve()),
+    deleteConnection: jest.fn(() => Promise.resolve()),
+    activateConnection: jest.fn(() => Promise.resolve('/active')),
+    disconnectDevice: jest.fn(() => Promise.resolve()),
+    getDhcpOptions: jest.fn(() => Promise.resolve({})),
+    getGlobalDns: jest.fn(() => Promise.resolve({})),
+    setGlobalDns: jest.fn(() => Promise.resolve()),
+    createCheckpoint: jest.fn(() => Promise.resolve('/org/freedesktop/NetworkManager/Checkpoint/1')),
+    destroyCheckpoint: jest.fn(() => Promise.resolve()),
+    rollbackCheckpoint: jest.fn(() => Promise.resolve()),
+    onDeviceChange: jest.fn(),
+    ...props
+});
+
+/**
+ * Fake NetworkManager client which keeps the connections and devices in memory
+ */
+const inMemoryClient = () => {
+    let connections = [];
+    let devices = [];
+    let dns = {};
+    let lastId = 0;
+    const checkpoints = {};
+
+    const deviceFor = (path) => {
+        const { settings } = connections.find(c => c.path === path);
+        const name = settings.connection['interface-name'].v;
+        return devices.find(d => d.device.Interface === name) ||
+            { path: `/devices/${name}`, device: { Interface: name, DeviceType: 1, State: 30 } };
+    };
+
+    return {
+        getDevices: async () => devices,
+        getDevice: async (path) => devices.find(d => d.path === path),
+        getConnections: async () => connections,
+        getSecrets: async () => ({}),
+        addConnection: async (settings) => {
+            const path = `/settings/${++lastId}`;
+            connections = [...connections, { path, settings }];
+            return path;
+        },
+        updateConnection: async (path, settings) => {
+            connections = connections.map(c => (c.path === path ? { path, settings } : c));
+        },
+        deleteConnection: async (path) => {
+            connections = connections.filter(c => c.path !== path);
+        },
+        activateConnection: async (path) => {
+            const found = deviceFor(path);
+            devices = [...devices.filter(d => d !== found), { ...found, device: { ...found.device, State: 100 } }];
+            return '/active';
+        },
+        disconnectDevice: async (path) => {
+            devices = devices.map(d => (d.path === path ? { ...d, device: { ...d.device, State: 30 } } : d));
+        },
+        getDhcpOptions: async () => ({}),
+        getGlobalDns: async () => dns,
+        setGlobalDns: async (config) => { dns = config },
+        createCheckpoint: async () => {
+            const path = `/checkpoints/${++lastId}`;
+            checkpoints[path] = connections;
+            return path;
+        },
+        destroyCheckpoint: async (path) => { delete checkpoints[path] },
+        rollbackCheckpoint: async (path) => {
+            connections = checkpoints[path];
+            delete checkpoints[path];
+        },
+        onDeviceChange: () => {}
+    };
+};
+
+describeAdapterConformance('NetworkManagerAdapter', () => new NetworkManagerAdapter(inMemoryClient()));
+
+describe('NetworkManagerAdapter', () => {
+    describe('#interfaces', () => {
+        it('returns the devices and the connections without a device', async () => {
+            const adapter = new NetworkManagerAdapter(fakeClient());
+            const ifaces = await adapter.interfaces();
+
+            expect(ifaces.map(i => i.name)).toEqual(['eth0', 'eth1']);
+            expect(ifaces[0]).toEqual(expect.objectContaining({
+                type: 'eth', link: true, mac: '52:54:00:ab:66:d3', driver: 'virtio_net',
+                addresses: [expect.objectContaining({ local: '192.168.1.101/24' })]
+            }));
+            expect(ifaces[1].link).toEqual(false);
+        });
+    });
+
+    describe('#onInterfaceChange', () => {
+        it('calls the callback with the updated interface', async () => {
+            const client = fakeClient();
+            const adapter = new NetworkManagerAdapter(client);
+            const callback = jest.fn();
+            adapter.onInterfaceChange(callback);
+
+            const [[onChange]] = client.onDeviceChange.mock.calls;
+            await onChange(eth0Path);
+
+            expect(callback).toHaveBeenCalledWith('deviceChange', expect.objectContaining({ name: 'eth0' }));
+        });
+    });
+
+    describe('#routes', () => {
+        it('returns the gateways as default routes and the routes of each connection', async () => {
+            const routes = await new NetworkManagerAdapter(fakeClient()).routes();
+
+            expect(routes).toEqual([
+                expect.objectContaining({ isDefault: true, gateway: '192.168.1.1', device: 'eth0' }),
+                expect.objectContaining({
+                    isDefault: false, destination: '10.0.0.0/8', gateway: '192.168.1.254', device: 'eth0'
+                })
+            ]);
+        });
+    });
+
+    describe('#updateRoutes', () => {
+        const eth0Routes = [
+            model.createRoute({ isDefault: true, gateway: '192.168.1.1', device: 'eth0' }),
+            model.createRoute({ destination: '10.0.0.0/8', gateway: '192.168.1.254', device: 'eth0' })
+        ];
+
+        it('writes the routes into the connection of their device', async () => {
+            const client = fakeClient();
+            const routes = [
+                ...eth0Routes,
+                model.createRoute({ isDefault: true, gateway: '192.168.1.2', device: 'eth1' }),
+                model.createRoute({ destination: '10.1.0.0/16', device: 'eth1', options: 'metric 10' }),
+                model.createRoute({ destination: '10.2.0.0/16', gateway: '192.168.1.1' })
+            ];
+            await new NetworkManagerAdapter(client).updateRoutes(routes);
+
+            expect(client.updateConnection).toHaveBeenCalledTimes(1);
+            const [[path, eth1]] = client.updateConnection.mock.calls;
+            expect(path).toEqual(eth1ConnPath);
+            expect(eth1.ipv4.gateway).toEqual(s('192.168.1.2'));
+            expect(eth1.ipv4['route-data']).toEqual(variant('aa{sv}', [
+                { dest: s('10.1.0.0'), prefix: variant('u', 16), metric: variant('u', 10) }
+            ]));
+            expect(eth1.ipv6).toBeUndefined();
+        });
+
+        it('does not set a gateway when the connection has no default route', async () => {
+            const client = fakeClient();
+            await new NetworkManagerAdapter(client).updateRoutes([eth0Routes[1]]);
+
+            const [[path, eth0]] = client.updateConnection.mock.calls;
+            expect(path).toEqual(eth0ConnPath);
+            expect(eth0.ipv4).not.toHaveProperty('gateway');
+            expect(eth0.ipv4.method).toEqual(s('auto'));
+        });
+
+        it('keeps the secrets of the updated connections', async () => {
+            const security = { 'key-mgmt': s('wpa-psk') };
+            const client = fakeClient({
+                getConnections: jest.fn(() => Promise.resolve([{
+                    path: eth1ConnPath,
+                    settings: {
+                        connection: { id: s('wlan0'), type: s('802-11-wireless'), 'interface-name': s('wlan0') },
+                        '802-11-wireless-security': security,
+                        ipv4: { method: s('auto'), routes: variant('aau', []) }
+                    }
+                }])),
+                getSecrets: jest.fn(() => Promise.resolve({ '802-11-wireless-security': { psk: s('secret') } }))
+            });
+            const route = model.createRoute({ destination: '10.1.0.0/16', device: 'wlan0' });
+            await new NetworkManagerAdapter(client).updateRoutes([route]);
+
+            const [[, settings]] = client.updateConnection.mock.calls;
+            expect(settings['802-11-wireless-security']).toEqual({ ...security, psk: s('secret') });
+            expect(settings.ipv4).not.toHaveProperty('routes');
+        });
+    });
+
+    describe('#dnsSettings', () => {
+        it('returns the global DNS configuration', async () => {
+            const client = fakeClient({
+                getGlobalDns: () => Promise.resolve({
+                    searches: variant('as', ['example.net']),
+                    domains: variant('a{sv}', { '*': variant('a{sv}', { servers: variant('as', ['8.8.8.8']) }) })
+                })
+            });
+            const dns = await new NetworkManagerAdapter(client).dnsSettings();
+
+            expect(dns).toEqual(expect.objectContaining({ searchList: ['example.net'], nameServers: ['8.8.8.8'] }));
+        });
+    });
+
+    describe('#updateConnection', () => {
+        it('updates the settings of the existing connection', async () => {
+            const client = fakeClient();
+            const conn = model.createConnection({ name: 'eth0' });
+            await new NetworkManagerAdapter(client).updateConnection(conn);
+
+            expect(client.updateConnection).toHaveBeenCalledWith(eth0ConnPath, expect.objectContaining({
+                ipv4: expect.objectContaining({ method: s('auto'), gateway: s('192.168.1.1') })
+            }));
+        });
+
+        it('keeps the stored Wi-Fi key when no new password is given', async () => {
+            const client = fakeClient({
+                getConnections: jest.fn(() => Promise.resolve([{
+                    path: eth1ConnPath,
+                    settings: {
+                        connection: { id: s('wlan0'), type: s('802-11-wireless'), 'interface-name': s('wlan0') },
+                        '802-11-wireless': { ssid: variant('ay', btoa('home')), mode: s('infrastructure') },
+                        '802-11-wireless-security': { 'key-mgmt': s('wpa-psk') }
+                    }
+                }])),
+                getSecrets: jest.fn(() => Promise.resolve({ '802-11-wireless-security': { psk: s('secret') } }))
+            });
+            const conn = model.createConnection({
+                name: 'wlan0', type: 'wlan', wireless: { essid: 'home', authMode: 'psk', password: undefined }
+            });
+            await new NetworkManagerAdapter(client).updateConnection(conn);
+
+            const [[, settings]] = client.updateConnection.mock.calls;
+            expect(settings['802-11-wireless-security']).toEqual({ 'key-mgmt': s('wpa-psk'), psk: s('secret') });
+        });
+
+        it('keeps the secrets of the ports', async () => {
+            const client = fakeClient({
+                getSecrets: jest.fn(path => Promise.resolve(
+                    path === eth1ConnPath ? { '802-1x': { password: s('secret') } } : {}
+                ))
+            });
+            const conn = model.createConnection({ name: 'bond0', type: 'bond', bond: { interfaces: ['eth1'] } });
+            await new NetworkManagerAdapter(client).updateConnection(conn);
+
+            const [, settings] = client.updateConnection.mock.calls.find(([path]) => path === eth1ConnPath);
+            expect(settings['802-1x']).toEqual({ password: s('secret') });
+        });
+
+        it('enslaves the bonding slaves', async () => {
+            const client = fakeClient();
+            const conn = model.createConnection({ name: 'bond0', type: 'bond', bond: { interfaces: ['eth1'] } });
+            await new NetworkManagerAdapter(client).updateConnection(conn);
+
+            expect(client.addConnection).toHaveBeenCalled();
+            expect(client.updateConnection).toHaveBeenCalledWith(eth1ConnPath, expect.objectContaining({
+                connection: expect.objectContaining({ master: s('bond0'), 'slave-type': s('bond') })
+            }));
+        });
+    });
+
+    describe('#deleteConnection', () => {
+        it('deletes the connection of the interface', async () => {
+            const client = fakeClient();
+            await new NetworkManagerAdapter(client).deleteConnection({ name: 'eth1' });
+
+            expect(client.deleteConnection).toHaveBeenCalledWith(eth1ConnPath);
+        });
+    });
+
+    describe('#setDownConnection', () => {
+        it('disconnects the device', async () => {
+            const client = fakeClient();
+            await new NetworkManagerAdapter(client).setDownConnection({ name: 'eth0' });
+
+            expect(client.disconnectDevice).toHaveBeenCalledWith(eth0Path);
+        });
+    });
+
+    describe('#reloadConnections', () => {
+        it('activates each connection and reports the failures', async () => {
+            const client = fakeClient();
+            const results = await new NetworkManagerAdapter(client).reloadConnections(['eth0', 'eth9']);
+
+            expect(client.activateConnection).toHaveBeenCalledWith(eth0ConnPath);
+            expect(results).toEqual([{ name: 'eth0' }, { name: 'eth9', error: expect.any(Error) }]);
+        });
+    });
+
+    describe('#interfaceState', () => {
+        it('returns the device state', async () => {
+            const state = await new NetworkManagerAdapter(fakeClient()).interfaceState('eth0');
+
+            expect(state).toEqual(expect.objectContaining({
+                deviceState: 'activated',
+                link: { index: 2, state: 'up', mtu: 1500 },
+                configOrigin: 'NetworkManager:eth0',
+                leases: [{ family: 'ipv4', type: 'dhcp', state: 'granted' }],
+                stateReached: true
+            }));
+        });
+
+        it('reports missing devices', async () => {
+            const state = await new NetworkManagerAdapter(fakeClient()).interfaceState('eth1');
+            expect(state.deviceMissing).toEqual(true);
+        });
+    });
+
+    describe('#leases', () => {
+        it('returns the DHCP options as leases', async () => {
+            const client = fakeClient({
+                getDhcpOptions: jest.fn((path, family) => Promise.resolve(family === 'ipv4'
+                    ? {
+                        ip_address: '192.168.1.101',
+                        dhcp_server_identifier: '192.168.1.1',
+                        dhcp_lease_time: '3600',
+                        expiry: '1600003600',
+                        routers: '192.168.1.1',
+                        domain_name_servers: '192.168.1.1 8.8.8.8'
+                    }
+                    : {}))
+            });
+            const leases = await new NetworkManagerAdapter(client).leases('eth0');
+
+            expect(leases).toEqual([expect.objectContaining({
+                family: 'ipv4',
+                serverAddress: '192.168.1.1',
+                addresses: ['192.168.1.101'],
+                acquired: 1600000000,
+                leaseTime: 3600,
+                gateways: ['192.168.1.1'],
+                dnsServers: ['192.168.1.1', '8.8.8.8']
+            })]);
+        });
+    });
+    describe('#createRollbackPoint', () => {
+        it('creates a checkpoint which is destroyed when the changes are confirmed', async () => {
+            const client = fakeClient();
+            const adapter = new NetworkManagerAdapter(client);
+
+            const point = await adapter.createRollbackPoint(60);
+            await adapter.confirmChanges(point.id);
+
+            expect(client.createCheckpoint).toHaveBeenCalledWith(60);
+            expect(client.destroyCheckpoint).toHaveBeenCalledWith('/org/freedesktop/NetworkManager/Checkpoint/1');
+        });
+    });
+});
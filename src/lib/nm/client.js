@@ -0,0 +1,318 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+/**
+ * Client to talk to NetworkManager over D-Bus
+ *
+ * @module nm/client
+ */
+
+import cockpit from 'cockpit';
+import { unwrap, variant } from './utils';
+
+const SERVICE = 'org.freedesktop.NetworkManager';
+const NM_PATH = '/org/freedesktop/NetworkManager';
+const SETTINGS_PATH = '/org/freedesktop/NetworkManager/Settings';
+const NM_IFACE = 'org.freedesktop.NetworkManager';
+const SETTINGS_IFACE = 'org.freedesktop.NetworkManager.Settings';
+const CONNECTION_IFACE = 'org.freedesktop.NetworkManager.Settings.Connection';
+const DEVICE_IFACE = 'org.freedesktop.NetworkManager.Device';
+const PROPERTIES_IFACE = 'org.freedesktop.DBus.Properties';
+
+/**
+ * Settings which may hold secrets
+ *
+ * @ignore
+ */
+const SECRET_SETTINGS = ['802-11-wireless-security', '802-1x'];
+
+/**
+ * D-Bus path used by NetworkManager to represent "no object"
+ *
+ * @ignore
+ */
+const NO_OBJECT = '/';
+
+/**
+ * @class
+ *
+ * This class is responsible for communicating with NetworkManager through its D-Bus API.
+ *
+ * Values are returned as they come from D-Bus, but without the variants wrappers. The only
+ * exception are the connection settings, which are kept as they are so they can be sent back
+ * without losing type information.
+ *
+ * @see https://developer.gnome.org/NetworkManager/stable/spec.html
+ */
+class NetworkManagerClient {
+    /**
+     * @param {object} [client] - D-Bus client (@see cockpit.dbus)
+     */
+    constructor(client) {
+        this._client = client;
+    }
+
+    /**
+     * D-Bus client, created on first use
+     *
+     * @ignore
+     * @return {object}
+     */
+    get client() {
+        if (!this._client) this._client = cockpit.dbus(SERVICE, { superuser: 'try' });
+
+        return this._client;
+    }
+
+    /**
+     * Returns the properties of a D-Bus object
+     *
+     * @param {string} path - Object path
+     * @param {string} iface - D-Bus interface
+     * @return {Promise<Object>} Properties without the variants wrappers
+     */
+    async getProperties(path, iface) {
+        const [props] = await this.client.call(path, PROPERTIES_IFACE, 'GetAll', [iface]);
+        return unwrap(props);
+    }
+
+    /**
+     * Returns the devices known by NetworkManager, including their IP addresses
+     *
+     * @return {Promise<Array<NMDevice>>}
+     */
+    async getDevices() {
+        const [paths] = await this.client.call(NM_PATH, NM_IFACE, 'GetDevices', []);
+        return Promise.all(paths.map(path => this.getDevice(path)));
+    }
+
+    /**
+     * Returns a device, including its IP addresses
+     *
+     * @param {string} path - Device path
+     * @return {Promise<NMDevice>}
+     */
+    async getDevice(path) {
+        const device = await this.getProperties(path, DEVICE_IFACE);
+        const ipv4 = await this._addressData(device.Ip4Config, 'IP4Config');
+        const ipv6 = await this._addressData(device.Ip6Config, 'IP6Config');
+
+        return { path, device, ipv4, ipv6 };
+    }
+
+    /**
+     * Returns the connections (settings profiles) known by NetworkManager
+     *
+     * @return {Promise<Array<NMConnection>>}
+     */
+    async getConnections() {
+        const [paths] = await this.client.call(SETTINGS_PATH, SETTINGS_IFACE, 'ListConnections', []);
+
+        return Promise.all(paths.map(async path => {
+            const [settings] = await this.client.call(path, CONNECTION_IFACE, 'GetSettings', []);
+            return { path, settings };
+        }));
+    }
+
+    /**
+     * Returns the secrets of a connection
+     *
+     * GetSettings does not include the secrets, so they must be merged into the settings before
+     * sending them back. Otherwise, NetworkManager forgets them.
+     *
+     * @param {string} path - Connection path
+     * @param {object} settings - Connection settings (a{sa{sv}})
+     * @return {Promise<object>} Secrets of each setting (a{sa{sv}})
+     */
+    async getSecrets(path, settings) {
+        const names = SECRET_SETTINGS.filter(name => settings[name]);
+        const secrets = await Promise.all(names.map(async name => {
+            const [secret] = await this.client.call(path, CONNECTION_IFACE, 'GetSecrets', [name]);
+            return secret;
+        }));
+
+        return secrets.reduce((all, secret) => ({ ...all, ...secret }), {});
+    }
+
+    /**
+     * Adds a connection and saves it to disk
+     *
+     * @param {object} settings - Connection settings (a{sa{sv}})
+     * @return {Promise<string>} Path of the new connection
+     */
+    async addConnection(settings) {
+        const [path] = await this.client.call(SETTINGS_PATH, SETTINGS_IFACE, 'AddConnection', [settings]);
+        return path;
+    }
+
+    /**
+     * Replaces the settings of a connection and saves them to disk
+     *
+     * @param {string} path - Connection path
+     * @param {object} settings - Connection settings (a{sa{sv}})
+     * @return {Promise}
+     */
+    updateConnection(path, settings) {
+        return this.client.call(path, CONNECTION_IFACE, 'Update', [settings]);
+    }
+
+    /**
+     * Deletes a connection
+     *
+     * @param {string} path - Connection path
+     * @return {Promise}
+     */
+    deleteConnection(path) {
+        return this.client.call(path, CONNECTION_IFACE, 'Delete', []);
+    }
+
+    /**
+     * Activates a connection
+     *
+     * @param {string} connectionPath - Connection path
+     * @param {string} [devicePath] - Device path. NetworkManager picks one when it is omitted.
+     * @return {Promise<string>} Path of the active connection
+     */
+    async activateConnection(connectionPath, devicePath = NO_OBJECT) {
+        const [path] = await this.client.call(
+            NM_PATH, NM_IFACE, 'ActivateConnection', [connectionPath, devicePath, NO_OBJECT]
+        );
+        return path;
+    }
+
+    /**
+     * Disconnects a device, preventing it from being activated automatically
+     *
+     * @param {string} path - Device path
+     * @return {Promise}
+     */
+    disconnectDevice(path) {
+        return this.client.call(path, DEVICE_IFACE, 'Disconnect', []);
+    }
+
+    /**
+     * Creates a checkpoint of all the devices
+     *
+     * NetworkManager rolls back to the checkpoint unless it is destroyed before the timeout.
+     *
+     * @param {number} timeout - Seconds until the rollback
+     * @return {Promise<string>} Checkpoint path
+     */
+    async createCheckpoint(timeout) {
+        const [path] = await this.client.call(NM_PATH, NM_IFACE, 'CheckpointCreate', [[], timeout, 0]);
+        return path;
+    }
+
+    /**
+     * Destroys a checkpoint, keeping the current configuration
+     *
+     * @param {string} path - Checkpoint path
+     * @return {Promise}
+     */
+    destroyCheckpoint(path) {
+        return this.client.call(NM_PATH, NM_IFACE, 'CheckpointDestroy', [path]);
+    }
+
+    /**
+     * Rolls back to a checkpoint
+     *
+     * @param {string} path - Checkpoint path
+     * @return {Promise}
+     */
+    rollbackCheckpoint(path) {
+        return this.client.call(NM_PATH, NM_IFACE, 'CheckpointRollback', [path]);
+    }
+
+    /**
+     * Returns the options of a DHCP configuration object
+     *
+     * @param {string} path - DHCP4Config or DHCP6Config path
+     * @param {string} family - Address family ('ipv4' or 'ipv6')
+     * @return {Promise<Object<string,string>>} Options, or an empty object if there is no lease
+     */
+    async getDhcpOptions(path, family) {
+        if (!path || path === NO_OBJECT) return {};
+
+        const iface = (family === 'ipv6') ? 'DHCP6Config' : 'DHCP4Config';
+        const { Options } = await this.getProperties(path, `${SERVICE}.${iface}`);
+        return Options || {};
+    }
+
+    /**
+     * Returns the global DNS configuration
+     *
+     * @return {Promise<Object>} GlobalDnsConfiguration property
+     */
+    async getGlobalDns() {
+        const { GlobalDnsConfiguration } = await this.getProperties(NM_PATH, NM_IFACE);
+        return GlobalDnsConfiguration || {};
+    }
+
+    /**
+     * Sets the global DNS configuration
+     *
+     * @param {object} config - GlobalDnsConfiguration value (a{sv})
+     * @return {Promise}
+     */
+    setGlobalDns(config) {
+        return this.client.call(
+            NM_PATH, PROPERTIES_IFACE, 'Set', [NM_IFACE, 'GlobalDnsConfiguration', variant('a{sv}', config)]
+        );
+    }
+
+    /**
+     * Callback for device changes
+     *
+     * @callback nmDeviceChangeCallback
+     * @param {string} path - Path of the device that changed
+     */
+
+    /**
+     * Registers a callback to be called when the properties of a device change
+     *
+     * @param {nmDeviceChangeCallback} fn - Callback to be called when a device changes
+     */
+    onDeviceChange(fn) {
+        this.client.subscribe(
+            { interface: PROPERTIES_IFACE, member: 'PropertiesChanged', path_namespace: `${NM_PATH}/Devices` },
+            (path, iface, signal, [changedIface]) => {
+                if (changedIface === DEVICE_IFACE) fn(path);
+            }
+        );
+    }
+
+    /**
+     * Returns the addresses of an IP configuration object
+     *
+     * @ignore
+     * @param {string} path - IP4Config or IP6Config path
+     * @param {string} iface - D-Bus interface name (without the NetworkManager prefix)
+     * @return {Promise<Array<Object>>}
+     */
+    async _addressData(path, iface) {
+        if (!path || path === NO_OBJECT) return [];
+
+        const { AddressData } = await this.getProperties(path, `${SERVICE}.${iface}`);
+        return AddressData || [];
+    }
+}
+
+export default NetworkManagerClient;
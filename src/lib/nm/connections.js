@@ -0,0 +1,234 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+/**
+ * Set of functions to convert NetworkManager connection settings into connection model objects
+ * and vice versa.
+ *
+ * @module nm/connections
+ * @see module:model
+ */
+
+import model from '../model';
+import startMode from '../model/startMode';
+import addressType from '../model/addressType';
+import bootProtocol from '../model/bootProtocol';
+import interfaceType from '../model/interfaceType';
+import bondingMode from '../model/bondingMode';
+import wirelessMode from '../model/wirelessMode';
+import wirelessAuthMode from '../model/wirelessAuthMode';
+import {
+    typeFromSetting, settingFromType, unwrap, variant, bytesToString, stringToBytes
+} from './utils';
+
+/**
+ * @typedef {Object} NMConnection
+ * @property {string} path - D-Bus path of the connection settings
+ * @property {Object} settings - Connection settings (a{sa{sv}}), as returned by GetSettings
+ */
+
+const METHOD_TO_BOOT_PROTO = {
+    auto: bootProtocol.DHCP,
+    dhcp: bootProtocol.DHCP,
+    manual: bootProtocol.STATIC
+};
+
+const WIRELESS_MODES = {
+    infrastructure: wirelessMode.MANAGED,
+    adhoc: wirelessMode.AD_HOC,
+    ap: wirelessMode.MASTER
+};
+
+/**
+ * Returns the name of the interface a connection applies to
+ *
+ * @param {object} settings - Connection settings (without variants)
+ * @return {string}
+ */
+const nameFor = (settings) => settings.connection.interface_name || settings.connection['interface-name'] || settings.connection.id;
+
+const ipConfig = (settings, family) => {
+    const { method, 'address-data': addressData = [] } = settings[family] || {};
+    const type = addressType[family.toUpperCase()];
+    const addresses = addressData.map(({ address, prefix }) => (
+        model.createAddressConfig({ type, local: `${address}/${prefix}` })
+    ));
+
+    return {
+        bootProto: METHOD_TO_BOOT_PROTO[method] || bootProtocol.NONE,
+        addresses
+    };
+};
+
+/**
+ * Returns the names of the interfaces enslaved to the given connection
+ *
+ * @ignore
+ * @param {object} settings - Connection settings (without variants)
+ * @param {string} slaveType - Slave type ('bond' or 'bridge')
+ * @param {Array<object>} all - Settings of all the connections (without variants)
+ * @return {Array<string>}
+ */
+const portsFor = (settings, slaveType, all) => {
+    const { id, uuid } = settings.connection;
+    const master = [nameFor(settings), id, uuid];
+
+    return all.filter(s => s.connection['slave-type'] === slaveType && master.includes(s.connection.master))
+            .map(nameFor);
+};
+
+const propsByConnectionType = {
+    [interfaceType.BONDING]: (settings, all) => {
+        const { mode = bondingMode.ACTIVE_BACKUP, ...options } = settings.bond?.options || {};
+        const opts = Object.entries(options)
+                .map(([key, value]) => `${key}=${value}`)
+                .join(' ');
+        return { bond: { mode, options: opts, interfaces: portsFor(settings, 'bond', all) } };
+    },
+    [interfaceType.BRIDGE]: (settings, all) => {
+        return { bridge: { ports: portsFor(settings, 'bridge', all) } };
+    },
+    [interfaceType.VLAN]: (settings) => {
+        const { id, parent } = settings.vlan || {};
+        return { vlan: { vlanId: id, parentDevice: parent } };
+    },
+    [interfaceType.WIRELESS]: (settings) => {
+        const { ssid, mode } = settings['802-11-wireless'] || {};
+        const security = settings['802-11-wireless-security'];
+        const authMode = security?.['key-mgmt'] === 'wpa-psk' ? wirelessAuthMode.WPA_PSK : wirelessAuthMode.NONE;
+        return {
+            wireless: {
+                essid: bytesToString(ssid),
+                mode: WIRELESS_MODES[mode] || wirelessMode.MANAGED,
+                authMode,
+                password: security?.psk
+            }
+        };
+    }
+};
+
+/**
+ * Creates a connection from NetworkManager connection settings
+ *
+ * @function createConnection(nmConnection, nmConnections)
+ *
+ * @param {NMConnection} nmConnection - Connection to convert
+ * @param {Array<NMConnection>} [nmConnections=[]] - All the connections, used to find out the
+ *   bonding slaves and bridge ports
+ * @return {Connection} Connection configuration model object
+ */
+const createConnection = (nmConnection, nmConnections = []) => {
+    const settings = unwrap(nmConnection.settings);
+    const all = nmConnections.map(c => unwrap(c.settings));
+    const type = typeFromSetting(settings.connection.type);
+    const fn = propsByConnectionType[type];
+
+    return model.createConnection({
+        name: nameFor(settings),
+        description: settings.connection.id,
+        type,
+        startMode: settings.connection.autoconnect === false ? startMode.MANUAL : startMode.AUTO,
+        ipv4: ipConfig(settings, 'ipv4'),
+        ipv6: ipConfig(settings, 'ipv6'),
+        ...((fn && fn(settings, all)) || {})
+    });
+};
+
+const BOOT_PROTO_TO_METHOD = {
+    ipv4: { [bootProtocol.DHCP]: 'auto', [bootProtocol.STATIC]: 'manual', [bootProtocol.NONE]: 'disabled' },
+    ipv6: { [bootProtocol.DHCP]: 'auto', [bootProtocol.STATIC]: 'manual', [bootProtocol.NONE]: 'ignore' }
+};
+
+const ipToSettings = (ip = {}, family) => {
+    const { bootProto = bootProtocol.NONE, addresses = [] } = ip;
+    const addressData = addresses.map(({ local }) => {
+        const [address, prefix = (family === 'ipv4' ? '24' : '64')] = local.split('/');
+        return { address: variant('s', address), prefix: variant('u', parseInt(prefix)) };
+    });
+
+    return {
+        method: variant('s', BOOT_PROTO_TO_METHOD[family][bootProto] || 'auto'),
+        'address-data': variant('aa{sv}', addressData)
+    };
+};
+
+const settingsByConnectionType = {
+    [interfaceType.BONDING]: ({ bond }) => {
+        const options = bond.options.split(/\s+/).filter(Boolean)
+                .reduce((all, option) => {
+                    const [key, value] = option.split('=');
+                    return { ...all, [key]: value };
+                }, { mode: bond.mode });
+        return { bond: { options: variant('a{ss}', options) } };
+    },
+    [interfaceType.BRIDGE]: () => ({ bridge: {} }),
+    [interfaceType.VLAN]: ({ vlan }) => {
+        return { vlan: { id: variant('u', vlan.vlanId), parent: variant('s', vlan.parentDevice) } };
+    },
+    [interfaceType.WIRELESS]: ({ wireless }) => {
+        const mode = Object.keys(WIRELESS_MODES).find(k => WIRELESS_MODES[k] === wireless.mode) || 'infrastructure';
+        const settings = {
+            '802-11-wireless': { ssid: variant('ay', stringToBytes(wireless.essid || '')), mode: variant('s', mode) }
+        };
+        if (wireless.authMode === wirelessAuthMode.WPA_PSK) {
+            // the stored key is kept unless a new one is given
+            const psk = wireless.password ? { psk: variant('s', wireless.password) } : {};
+            settings['802-11-wireless-security'] = { 'key-mgmt': variant('s', 'wpa-psk'), ...psk };
+        }
+        return settings;
+    }
+};
+
+/**
+ * Converts a connection into NetworkManager settings
+ *
+ * The settings not managed by this module are kept untouched.
+ *
+ * @function connectionToSettings(connection, current)
+ *
+ * @param {Connection} connection - Connection to convert
+ * @param {object} [current={}] - Current connection settings (a{sa{sv}})
+ * @return {object} Connection settings (a{sa{sv}})
+ */
+const connectionToSettings = (connection, current = {}) => {
+    const fn = settingsByConnectionType[connection.type];
+    const changes = {
+        connection: {
+            id: variant('s', connection.description || connection.name),
+            type: variant('s', settingFromType(connection.type)),
+            'interface-name': variant('s', connection.name),
+            autoconnect: variant('b', [startMode.AUTO, startMode.NFSROOT].includes(connection.startMode))
+        },
+        ipv4: ipToSettings(connection.ipv4, 'ipv4'),
+        ipv6: ipToSettings(connection.ipv6, 'ipv6'),
+        ...((fn && fn(connection)) || {})
+    };
+
+    return Object.entries(changes).reduce((settings, [section, values]) => {
+        const { addresses, ...currentValues } = current[section] || {};
+        return { ...settings, [section]: { ...currentValues, ...values } };
+    }, { ...current });
+};
+
+export {
+    createConnection,
+    connectionToSettings
+};
@@ -0,0 +1,136 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import { createConnection, connectionToSettings } from './connections';
+import { variant } from './utils';
+import bootProtocol from '../model/bootProtocol';
+import startMode from '../model/startMode';
+import wirelessAuthMode from '../model/wirelessAuthMode';
+
+const s = (v) => variant('s', v);
+
+const eth0 = {
+    path: '/org/freedesktop/NetworkManager/Settings/1',
+    settings: {
+        connection: { id: s('Wired'), uuid: s('1234'), type: s('802-3-ethernet'), 'interface-name': s('eth0') },
+        ipv4: {
+            method: s('manual'),
+            'address-data': variant('aa{sv}', [{ address: s('192.168.1.10'), prefix: variant('u', 24) }]),
+            'dns-search': variant('as', ['example.net'])
+        },
+        ipv6: { method: s('ignore') },
+        proxy: {}
+    }
+};
+
+const bond0 = {
+    path: '/org/freedesktop/NetworkManager/Settings/2',
+    settings: {
+        connection: { id: s('bond0'), uuid: s('5678'), type: s('bond'), autoconnect: variant('b', false) },
+        bond: { options: variant('a{ss}', { mode: 'balance-rr', miimon: '100' }) },
+        ipv4: { method: s('auto') }
+    }
+};
+
+const eth1 = {
+    path: '/org/freedesktop/NetworkManager/Settings/3',
+    settings: {
+        connection: {
+            id: s('eth1'), type: s('802-3-ethernet'), master: s('5678'), 'slave-type': s('bond')
+        }
+    }
+};
+
+const wlan0 = {
+    path: '/org/freedesktop/NetworkManager/Settings/4',
+    settings: {
+        connection: { id: s('Home'), type: s('802-11-wireless'), 'interface-name': s('wlan0') },
+        '802-11-wireless': { ssid: variant('ay', btoa('home')), mode: s('infrastructure') },
+        '802-11-wireless-security': { 'key-mgmt': s('wpa-psk'), psk: s('secret') }
+    }
+};
+
+describe('#createConnection', () => {
+    it('converts the addresses and the start mode', () => {
+        expect(createConnection(eth0)).toEqual(expect.objectContaining({
+            name: 'eth0',
+            description: 'Wired',
+            type: 'eth',
+            startMode: startMode.AUTO,
+            ipv4: {
+                bootProto: bootProtocol.STATIC,
+                addresses: [expect.objectContaining({ local: '192.168.1.10/24' })]
+            },
+            ipv6: { bootProto: bootProtocol.NONE, addresses: [] }
+        }));
+    });
+
+    it('finds the bonding slaves in the other connections', () => {
+        const conn = createConnection(bond0, [eth0, bond0, eth1]);
+        expect(conn).toEqual(expect.objectContaining({
+            name: 'bond0',
+            startMode: startMode.MANUAL,
+            ipv4: { bootProto: bootProtocol.DHCP, addresses: [] },
+            bond: { mode: 'balance-rr', options: 'miimon=100', interfaces: ['eth1'] }
+        }));
+    });
+
+    it('converts the wireless settings', () => {
+        expect(createConnection(wlan0).wireless).toEqual({
+            essid: 'home', mode: 'managed', authMode: wirelessAuthMode.WPA_PSK, password: 'secret'
+        });
+    });
+});
+
+describe('#connectionToSettings', () => {
+    it('converts the connection back to the same settings', () => {
+        const settings = connectionToSettings(createConnection(eth0), eth0.settings);
+        expect(settings.ipv4['address-data']).toEqual(eth0.settings.ipv4['address-data']);
+        expect(settings.connection['interface-name']).toEqual(s('eth0'));
+        expect(settings.connection.autoconnect).toEqual(variant('b', true));
+    });
+
+    it('keeps the settings it does not know about', () => {
+        const settings = connectionToSettings(createConnection(eth0), eth0.settings);
+        expect(settings.connection.uuid).toEqual(s('1234'));
+        expect(settings.ipv4['dns-search']).toEqual(variant('as', ['example.net']));
+        expect(settings.proxy).toEqual({});
+    });
+
+    it('converts the bonding options', () => {
+        const settings = connectionToSettings(createConnection(bond0, [bond0, eth1]));
+        expect(settings.connection.type).toEqual(s('bond'));
+        expect(settings.bond.options).toEqual(variant('a{ss}', { mode: 'balance-rr', miimon: '100' }));
+    });
+
+    it('converts the wireless settings', () => {
+        const settings = connectionToSettings(createConnection(wlan0));
+        expect(settings['802-11-wireless'].ssid).toEqual(variant('ay', btoa('home')));
+        expect(settings['802-11-wireless-security']).toEqual({ 'key-mgmt': s('wpa-psk'), psk: s('secret') });
+    });
+
+    it('does not write an empty key when no password is given', () => {
+        const { wireless, ...rest } = createConnection(wlan0);
+        const connection = { ...rest, wireless: { ...wireless, password: undefined } };
+        const settings = connectionToSettings(connection, { '802-11-wireless-security': { psk: s('stored') } });
+        expect(settings['802-11-wireless-security']).toEqual({ 'key-mgmt': s('wpa-psk'), psk: s('stored') });
+    });
+});
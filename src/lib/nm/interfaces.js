@@ -0,0 +1,78 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+/**
+ * Set of functions to convert NetworkManager devices into interface model objects
+ *
+ * @module nm/interfaces
+ * @see module:model
+ */
+
+import model from '../model';
+import addressType from '../model/addressType';
+import { typeFromDevice } from './utils';
+
+/**
+ * NetworkManager device state when it is fully activated
+ *
+ * @see https://developer.gnome.org/NetworkManager/stable/nm-dbus-types.html#NMDeviceState
+ * @ignore
+ */
+const ACTIVATED = 100;
+
+/**
+ * @typedef {Object} NMDevice
+ * @property {string} path - D-Bus path of the device
+ * @property {Object} device - Properties of the org.freedesktop.NetworkManager.Device interface
+ * @property {Array<Object>} [ipv4=[]] - IPv4 addresses (AddressData of the IP4Config object)
+ * @property {Array<Object>} [ipv6=[]] - IPv6 addresses (AddressData of the IP6Config object)
+ */
+
+/**
+ * Creates an interface from a NetworkManager device
+ *
+ * @function createInterface(nmDevice)
+ *
+ * @param {NMDevice} nmDevice - Device properties (without variants)
+ * @return {Interface} Interface model object
+ */
+const createInterface = ({ device, ipv4 = [], ipv6 = [] }) => {
+    const type = typeFromDevice(device.DeviceType);
+    const toAddress = (type) => ({ address, prefix }) => (
+        model.createAddressConfig({ type, local: `${address}/${prefix}` })
+    );
+
+    return model.createInterface({
+        name: device.Interface,
+        type,
+        driver: device.Driver,
+        mac: device.HwAddress,
+        link: device.State === ACTIVATED,
+        addresses: [
+            ...ipv4.map(toAddress(addressType.IPV4)),
+            ...ipv6.map(toAddress(addressType.IPV6))
+        ]
+    });
+};
+
+export {
+    createInterface
+};
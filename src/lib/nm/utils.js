@@ -0,0 +1,134 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+/**
+ * Helpers to deal with NetworkManager D-Bus values
+ *
+ * @module nm/utils
+ */
+
+import interfaceType from '../model/interfaceType';
+
+/**
+ * Connection types (`connection.type` setting) and their interface types
+ *
+ * @ignore
+ */
+const SETTING_TO_TYPE = {
+    '802-3-ethernet': interfaceType.ETHERNET,
+    '802-11-wireless': interfaceType.WIRELESS,
+    bond: interfaceType.BONDING,
+    bridge: interfaceType.BRIDGE,
+    vlan: interfaceType.VLAN
+};
+
+/**
+ * Device types (`DeviceType` property) and their interface types
+ *
+ * @see https://developer.gnome.org/NetworkManager/stable/nm-dbus-types.html#NMDeviceType
+ * @ignore
+ */
+const DEVICE_TO_TYPE = {
+    1: interfaceType.ETHERNET,
+    2: interfaceType.WIRELESS,
+    10: interfaceType.BONDING,
+    11: interfaceType.VLAN,
+    13: interfaceType.BRIDGE
+};
+
+/**
+ * Returns the interface type for a connection type
+ *
+ * @param {string} type - NetworkManager connection type (e.g., '802-3-ethernet')
+ * @return {string} Interface type
+ */
+const typeFromSetting = (type) => SETTING_TO_TYPE[type] || interfaceType.ETHERNET;
+
+/**
+ * Returns the connection type for an interface type
+ *
+ * @param {string} type - Interface type
+ * @return {string} NetworkManager connection type
+ */
+const settingFromType = (type) => {
+    return Object.keys(SETTING_TO_TYPE).find(k => SETTING_TO_TYPE[k] === type) || '802-3-ethernet';
+};
+
+/**
+ * Returns the interface type for a device type
+ *
+ * @param {number} deviceType - NetworkManager device type
+ * @return {string} Interface type
+ */
+const typeFromDevice = (deviceType) => DEVICE_TO_TYPE[deviceType] || interfaceType.ETHERNET;
+
+/**
+ * Removes the variants wrappers from a D-Bus value
+ *
+ * cockpit represents variants as `{ t: signature, v: value }` objects.
+ *
+ * @param {*} value - Value coming from D-Bus
+ * @return {*}
+ */
+const unwrap = (value) => {
+    if (Array.isArray(value)) return value.map(unwrap);
+    if (value === null || typeof value !== 'object') return value;
+
+    const keys = Object.keys(value);
+    if (keys.length === 2 && keys.includes('t') && keys.includes('v')) return unwrap(value.v);
+
+    return keys.reduce((all, key) => ({ ...all, [key]: unwrap(value[key]) }), {});
+};
+
+/**
+ * Wraps a value in a variant
+ *
+ * @param {string} t - D-Bus signature
+ * @param {*} v - Value
+ * @return {{t: string, v: *}}
+ */
+const variant = (t, v) => ({ t, v });
+
+/**
+ * Converts a byte array (base64 encoded by cockpit) into a string
+ *
+ * @param {string} [value] - Base64 encoded byte array
+ * @return {string|undefined}
+ */
+const bytesToString = (value) => (value ? atob(value) : undefined);
+
+/**
+ * Converts a string into a byte array (base64 encoded as cockpit expects)
+ *
+ * @param {string} value - String to convert
+ * @return {string}
+ */
+const stringToBytes = (value) => btoa(value);
+
+export {
+    typeFromSetting,
+    settingFromType,
+    typeFromDevice,
+    unwrap,
+    variant,
+    bytesToString,
+    stringToBytes
+};
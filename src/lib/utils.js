@@ -53,7 +53,22 @@ const isValidDomain = (value) => {
     return !!value.match(rexp);
 };
 
+/**
+ * Returns the first interface name which is not in use (e.g., gre0, gre1, etc.)
+ *
+ * @param {string} prefix - Name prefix (usually, the interface type)
+ * @param {Array<string>} names - Names already in use
+ * @return {string}
+ */
+const freeInterfaceName = (prefix, names) => {
+    let index = 0;
+    while (names.includes(`${prefix}${index}`)) index++;
+
+    return `${prefix}${index}`;
+};
+
 export {
     isValidIP,
-    isValidDomain
+    isValidDomain,
+    freeInterfaceName
 };
@@ -19,11 +19,73 @@
  * find current contact information at www.suse.com.
  */
 
+import cockpit from 'cockpit';
 import Client from './client';
 import { createConnection } from './connections';
 import { createInterface } from './interfaces';
 import model from '../model';
-import { SysconfigFile, IfcfgFile, IfrouteFile } from './files';
+import { SysconfigFile, IfcfgFile, IfconfigFile, IfrouteFile, FileRecorder } from './files';
+import { createInterfaceState } from './status';
+import { createLeases } from './leases';
+import {
+    createConnection as createConnectionFromIfcfg, mergeConnections, readIfcfgFiles
+} from './ifcfg';
+import { readSettings } from './fillup';
+import {
+    readSnapshots, writeSnapshot, diffSnapshot, restoreSnapshot, removeSnapshot, writeRollbackPoint,
+    restoreRollbackPoint, removeRollbackPoint, scheduleRestore, cancelRestore
+} from './snapshots';
+import { SYSCONFIG_ORIGIN, XML_ORIGIN, parseOrigin } from './utils';
+import { AUTO } from './sources';
+
+const _ = cockpit.gettext;
+
+/**
+ * Files holding the global settings
+ *
+ * @ignore
+ */
+const GLOBAL_SETTINGS_FILES = ['/etc/sysconfig/network/config', '/etc/sysconfig/network/dhcp'];
+
+/**
+ * Variables which are managed as DNS settings instead of global settings
+ *
+ * @ignore
+ */
+const DNS_VARIABLES = [
+    'NETCONFIG_DNS_POLICY', 'NETCONFIG_DNS_STATIC_SERVERS', 'NETCONFIG_DNS_STATIC_SEARCHLIST'
+];
+
+/**
+ * Returns the path of the configuration file of a connection
+ *
+ * @ignore
+ * @param {string} name - Connection name
+ * @return {string}
+ */
+const ifcfgPath = (name) => `/etc/sysconfig/network/ifcfg-${name}`;
+
+/**
+ * Returns the path of the native XML file holding the configuration of a connection
+ *
+ * Connections coming from other sources are written to sysconfig files, except those which do
+ * not come from a file at all (e.g., the firmware), which cannot be changed.
+ *
+ * @ignore
+ * @param {Connection} connection - Connection to check
+ * @return {string|undefined} File path or undefined if it is a sysconfig connection
+ * @throws {Error} when the connection origin cannot be written
+ */
+const xmlPathFor = (connection) => {
+    const { source, path } = parseOrigin(connection.origin);
+    if (source === XML_ORIGIN) return path;
+    if (source === undefined || source === SYSCONFIG_ORIGIN) return;
+
+    throw new Error(
+        cockpit.format(_("The configuration of $0 comes from $1 and cannot be changed"),
+                       connection.name, connection.origin)
+    );
+};
 
 /**
  * This class is responsible for retrieving and updating wicked's configuration.
@@ -32,10 +94,18 @@ import { SysconfigFile, IfcfgFile, IfrouteFile } from './files';
  * it uses the `sysconfig` files as the mechanism to modify the configuration.
  *
  * @class
+ * @implements {NetworkAdapter}
  */
 class WickedAdapter {
-    constructor(client) {
-        this.client = client || new Client();
+    /**
+     * @param {WickedClient} [client] - Client to use. When it is not given, a new one is created.
+     * @param {object} [options] - Adapter options
+     * @param {string} [options.source='auto'] - Source of the interfaces information for the new
+     *   client. By default, the D-Bus objects are read when wicked is on the bus and the command
+     *   line tool is used otherwise (@see module:wicked/sources).
+     */
+    constructor(client, { source = AUTO } = {}) {
+        this.client = client || new Client({ source });
     }
 
     /**
@@ -50,20 +120,42 @@ class WickedAdapter {
     /**
      * Return a promise that resolves to an array of model Connection objects.
      *
+     * The configurations reported by `wicked show-config` are merged with the ones read from the
+     * ifcfg files. If wicked is not available, the files are the only source.
+     *
      * @return {Promise.<Array.<Connection>>} Promise that resolves to a list of interfaces
      */
     async connections() {
-        const conns = await this.client.getConfigurations() || [];
-        return conns.map(createConnection).filter(c => c.name !== 'lo');
+        const files = await readIfcfgFiles().catch(() => []);
+        const fromFiles = files.map(createConnectionFromIfcfg);
+
+        let configured;
+        try {
+            const conns = await this.client.getConfigurations() || [];
+            configured = conns.map(createConnection);
+        } catch (error) {
+            if (fromFiles.length === 0) throw error;
+            configured = [];
+        }
+
+        return mergeConnections(configured, fromFiles).filter(c => c.name !== 'lo');
     }
 
     /**
      * Return a promise that resolves to an array of model Interface objects.
      *
+     * If wicked is not available, only the configured interfaces are returned.
+     *
      * @return {Promise.<Array.<Interface>>} Promise that resolves to a list of interfaces
      */
     async interfaces() {
-        const wickedIfaces = await this.client.getInterfaces();
+        let wickedIfaces;
+        try {
+            wickedIfaces = await this.client.getInterfaces();
+        } catch (error) {
+            console.warn("Could not read the interfaces from wicked:", error);
+            wickedIfaces = [];
+        }
         const ifaces = wickedIfaces.map(createInterface).filter(i => i.name !== 'lo');
 
         const conns = await this.connections();
@@ -100,14 +192,23 @@ class WickedAdapter {
         });
     }
 
+    /**
+     * Returns the routes defined in the routes and ifroute files
+     *
+     * Lines which cannot be parsed are skipped and reported as warnings. They are kept when the
+     * files are written.
+     *
+     * @return {Promise<Array<Object>>} Route data
+     */
     async routes() {
-        let result = await new IfrouteFile().read();
-
         const ifaces = await this.interfaces();
+        const files = [new IfrouteFile(), ...ifaces.map(iface => new IfrouteFile(iface.name))];
+        let result = [];
 
-        for (const iface of ifaces) {
-            const ifaceRoutes = await new IfrouteFile(iface.name).read();
-            result = result.concat(ifaceRoutes);
+        for (const file of files) {
+            const routes = await file.read({ refresh: true });
+            file.errors.forEach(error => console.warn(`Skipping a route from ${file.path}:`, error.message));
+            result = result.concat(routes);
         }
 
         return result;
@@ -118,7 +219,7 @@ class WickedAdapter {
      */
     async dnsSettings() {
         const filePath = `/etc/sysconfig/network/config`;
-        const file = await new SysconfigFile(filePath).read();
+        const file = await new SysconfigFile(filePath).read({ refresh: true });
         const policy = file.get("NETCONFIG_DNS_POLICY", "");
         const nameServers = file.get("NETCONFIG_DNS_STATIC_SERVERS", "").split(" ")
                 .filter(Boolean);
@@ -131,26 +232,69 @@ class WickedAdapter {
     /**
      * Write the DNS global settings to /etc/sysconfig/network/config
      *
+     * @param {DnsSettings} settings - DNS settings
+     * @param {WriteOptions} [options] - Writing options
      * @return {Promise} Result of the operation
+     * @throws {ConflictError} when the file changed since it was read
      */
-    async updateDnsSettings({ policy, nameServers, searchList }) {
+    async updateDnsSettings({ policy, nameServers, searchList }, options) {
         const filePath = `/etc/sysconfig/network/config`;
-        const file = await new SysconfigFile(filePath).read();
+        const file = await new SysconfigFile(filePath).read({ recorder: options?.recorder });
         file.set("NETCONFIG_DNS_POLICY", policy);
         file.set("NETCONFIG_DNS_STATIC_SERVERS", nameServers.join(" "));
         file.set("NETCONFIG_DNS_STATIC_SEARCHLIST", searchList.join(" "));
-        return file.write();
+        return file.write(options);
+    }
+
+    /**
+     * Returns the settings from /etc/sysconfig/network/config and /etc/sysconfig/network/dhcp
+     *
+     * The type, the default value and the description of each setting are taken from the
+     * fill-up metadata comments. The DNS settings are not included (see
+     * {@link WickedAdapter#dnsSettings}).
+     *
+     * @return {Promise<Array<GlobalSetting>>}
+     */
+    async globalSettings() {
+        const files = await Promise.all(
+            GLOBAL_SETTINGS_FILES.map(path => new SysconfigFile(path).read({ refresh: true }))
+        );
+
+        return files.flatMap(file => readSettings(file.path, file.data))
+                .filter(setting => !DNS_VARIABLES.includes(setting.key));
+    }
+
+    /**
+     * Writes the given global settings
+     *
+     * @param {Array<GlobalSetting>} changes - Settings to write (only the file, the key and the
+     *   value are used)
+     * @param {WriteOptions} [options] - Writing options
+     * @return {Promise} Result of the operation
+     * @throws {ConflictError} when a file changed since it was read
+     */
+    async updateGlobalSettings(changes, options) {
+        const paths = [...new Set(changes.map(change => change.file))];
+        const unknown = paths.find(path => !GLOBAL_SETTINGS_FILES.includes(path));
+        if (unknown) throw new Error(`Unknown global settings file: ${unknown}`);
+
+        for (const path of paths) {
+            const file = await new SysconfigFile(path).read({ recorder: options?.recorder });
+            changes.filter(c => c.file === path).forEach(({ key, value }) => file.set(key, value));
+            await file.write(options);
+        }
     }
 
     /**
      * Add a new connection to Wicked
      *
      * @param {Connection} connection - Connection to add
+     * @param {WriteOptions} [options] - Writing options
      * @return {Promise<Connection,Error>} Promise that resolve to the added connection
      */
-    addConnection(connection) {
+    addConnection(connection, options) {
         return new Promise((resolve, reject) => {
-            this.updateConnectionConfig(connection)
+            this.updateConnectionConfig(connection, options)
                     .then(() => resolve(connection))
                     .catch(reject);
         });
@@ -160,11 +304,12 @@ class WickedAdapter {
      * Remove a given connection from Wicked
      *
      * @param {Connection} connection - Connection to be removed
+     * @param {WriteOptions} [options] - Writing options
      * @return {Promise} Result of the operation
      */
-    deleteConnection(connection) {
+    deleteConnection(connection, options) {
         return new Promise((resolve, reject) => {
-            this.deleteConnectionConfig(connection)
+            this.deleteConnectionConfig(connection, options)
                     .then(() => resolve(connection))
                     .catch(reject);
         });
@@ -174,11 +319,12 @@ class WickedAdapter {
      * Update the configuration of a connection
      *
      * @param {Connection} connection - Connection to update
+     * @param {WriteOptions} [options] - Writing options
      * @return {Promise<Connection,Error>} Promise that resolve to the added connection
      */
-    updateConnection(connection) {
+    updateConnection(connection, options) {
         return new Promise((resolve, reject) => {
-            this.updateConnectionConfig(connection)
+            this.updateConnectionConfig(connection, options)
                     .then(() => resolve(connection))
                     .catch(reject);
         });
@@ -187,37 +333,229 @@ class WickedAdapter {
     /**
      * Set Up a connection
      *
+     * @param {Connection} connection - Connection to set up
+     * @param {CommandOptions} [options] - Timeout and progress callback
+     * @return {RunningCommand} Command which can be cancelled
      * @throws will throw an error if something goes wrong
      */
-    setUpConnection(connection) {
-        return this.client.setUpConnection(connection.name);
+    setUpConnection(connection, options) {
+        return this.client.setUpConnection(connection.name, options);
     }
 
     /**
-     * Set Up a connection
+     * Set Down a connection
      *
+     * @param {Connection} connection - Connection to set down
+     * @param {CommandOptions} [options] - Timeout and progress callback
+     * @return {RunningCommand} Command which can be cancelled
      * @throws will throw an error if something goes wrong
      */
-    setDownConnection(connection) {
-        return this.client.setDownConnection(connection.name);
+    setDownConnection(connection, options) {
+        return this.client.setDownConnection(connection.name, options);
     }
 
     /**
      * Reload a connection
      *
+     * @param {string} name - Connection name
+     * @param {CommandOptions} [options] - Timeout and progress callback
+     * @return {RunningCommand} Command which can be cancelled
+     * @throws will throw an error if something goes wrong
+     */
+    reloadConnection(name, options) {
+        return this.client.reloadConnection(name, options);
+    }
+
+    /**
+     * Reload several connections at once
+     *
+     * @param {Array<string>} names - Connection names
+     * @param {CommandOptions} [options] - Timeout and progress callback
+     * @return {Promise<Array<BatchResult>>} Outcome for each connection. It can be cancelled.
+     */
+    reloadConnections(names, options) {
+        return this.client.reloadConnections(names, options);
+    }
+
+    /**
+     * Set Up several connections at once
+     *
+     * @param {Array<string>} names - Connection names
+     * @param {CommandOptions} [options] - Timeout and progress callback
+     * @return {Promise<Array<BatchResult>>} Outcome for each connection. It can be cancelled.
+     */
+    setUpConnections(names, options) {
+        return this.client.setUpConnections(names, options);
+    }
+
+    /**
+     * Set Down several connections at once
+     *
+     * @param {Array<string>} names - Connection names
+     * @param {CommandOptions} [options] - Timeout and progress callback
+     * @return {Promise<Array<BatchResult>>} Outcome for each connection. It can be cancelled.
+     */
+    setDownConnections(names, options) {
+        return this.client.setDownConnections(names, options);
+    }
+
+    /**
+     * Return the runtime state of an interface as reported by `wicked ifstatus` and `wicked ifcheck`
+     *
+     * @param {string} name - Interface name
+     * @return {Promise<InterfaceState>} Promise that resolves to the interface state
+     */
+    async interfaceState(name) {
+        const { output } = await this.client.getInterfaceStatus(name);
+        const checks = await this.client.checkInterface(name);
+        return createInterfaceState(output, checks);
+    }
+
+    /**
+     * Return the address configuration leases of an interface
+     *
+     * @param {string} name - Interface name
+     * @return {Promise<Array<Lease>>} Promise that resolves to the list of leases
+     */
+    async leases(name) {
+        const iface = await this.client.getInterfaceByName(name);
+        const wickedLeases = await this.client.getLeases(name);
+        return createLeases(iface, wickedLeases);
+    }
+
+    /**
+     * Renew the DHCP leases of an interface
+     *
+     * @param {string} name - Interface name
+     * @param {CommandOptions} [options] - Timeout and progress callback
+     * @return {RunningCommand} Command which can be cancelled
      * @throws will throw an error if something goes wrong
      */
-    async reloadConnection(name) {
-        return this.client.reloadConnection(name);
+    renewLeases(name, options) {
+        return this.client.renewLeases(name, options);
+    }
+
+    /**
+     * Returns the snapshots of the configuration, from the newest to the oldest
+     *
+     * @return {Promise<Array<Snapshot>>}
+     */
+    snapshots() {
+        return readSnapshots();
+    }
+
+    /**
+     * Takes a snapshot of the configuration files
+     *
+     * @param {string} [comment] - Comment describing the snapshot
+     * @return {Promise<Snapshot>} The new snapshot
+     */
+    createSnapshot(comment) {
+        return writeSnapshot(comment);
+    }
+
+    /**
+     * Returns the differences between a snapshot and the current configuration files
+     *
+     * @param {string} id - Snapshot identifier
+     * @return {Promise<string>} Differences in unified format
+     */
+    snapshotDiff(id) {
+        return diffSnapshot(id);
+    }
+
+    /**
+     * Restores the configuration files from a snapshot and reloads all the interfaces
+     *
+     * @param {string} id - Snapshot identifier
+     * @param {CommandOptions} [options] - Options for the reload command
+     * @return {Promise}
+     */
+    async restoreSnapshot(id, options) {
+        await restoreSnapshot(id);
+        return this.client.startCommand('ifreload', ['all'], options);
+    }
+
+    /**
+     * Deletes a snapshot
+     *
+     * @param {string} id - Snapshot identifier
+     * @return {Promise}
+     */
+    deleteSnapshot(id) {
+        return removeSnapshot(id);
+    }
+
+    /**
+     * Archives the configuration files and schedules their restoration
+     *
+     * Rollback points are kept apart from the snapshots, so they cannot be restored or removed
+     * from the list of snapshots.
+     *
+     * @param {number} timeout - Seconds to wait for the confirmation
+     * @return {Promise<RollbackPoint>}
+     */
+    async createRollbackPoint(timeout) {
+        const id = await writeRollbackPoint();
+
+        try {
+            await scheduleRestore(id, timeout);
+        } catch (error) {
+            await removeRollbackPoint(id);
+            throw error;
+        }
+
+        return { id, timeout };
+    }
+
+    /**
+     * Cancels the restoration of a rollback point and removes it
+     *
+     * @param {string} id - Rollback point identifier
+     * @return {Promise}
+     */
+    async confirmChanges(id) {
+        await cancelRestore(id);
+        return removeRollbackPoint(id);
+    }
+
+    /**
+     * Restores a rollback point right away and reloads all the interfaces
+     *
+     * @param {string} id - Rollback point identifier
+     * @param {CommandOptions} [options] - Options for the reload command
+     * @return {Promise}
+     */
+    async rollback(id, options) {
+        await cancelRestore(id);
+        await restoreRollbackPoint(id);
+        return this.client.startCommand('ifreload', ['all'], options);
+    }
+
+    /**
+     * Returns how the configuration files would change, without writing them
+     *
+     * The changes are recorded only if the function passes the given writing options to the
+     * adapter, so other writes happening meanwhile are not affected.
+     *
+     * @param {function} fn - Function which changes the configuration using this adapter. It
+     *   receives the {@link WriteOptions} to use.
+     * @return {Promise<Array<FileChange>>}
+     */
+    async previewChanges(fn) {
+        const recorder = new FileRecorder();
+        await fn({ recorder });
+        return recorder.changes();
     }
 
     /**
      * Update route files
      *
      * @param {Array} routes - routes to update
+     * @param {WriteOptions} [options] - Writing options
      * @return {Promise<Connection,Error>} Promise that resolve to the added connection
      */
-    async updateRoutes(routes) {
+    async updateRoutes(routes, options) {
         const NO_DEVICE_KEY = "none";
 
         // Include all knows interface to ensure successful deletions
@@ -239,7 +577,7 @@ class WickedAdapter {
         Object.keys(routesByDevice)
                 .forEach(k => {
                     const device = k !== NO_DEVICE_KEY ? k : undefined;
-                    const promise = new IfrouteFile(device).update(routesByDevice[k]);
+                    const promise = new IfrouteFile(device).update(routesByDevice[k], options);
                     promises.push(promise);
                 });
 
@@ -249,26 +587,41 @@ class WickedAdapter {
     /**
      * Update the configuration file of a connection
      *
+     * The file is written in the same format it was read from: native XML for the connections
+     * coming from a Wicked XML file and ifcfg otherwise. The settings which are not managed by
+     * the UI are kept.
+     *
      * @param {Connection} connection - Connection to update
+     * @param {WriteOptions} [options] - Writing options
      * @return {Promise<Connection,Error>} Promise that resolve to the added connection
+     * @throws {ConflictError} when the file changed since it was read
      */
-    updateConnectionConfig(connection) {
-        const filePath = `/etc/sysconfig/network/ifcfg-${connection.name}`;
-        const file = new IfcfgFile(filePath);
+    async updateConnectionConfig(connection, options) {
+        const xmlPath = xmlPathFor(connection);
+        const file = xmlPath ? new IfconfigFile(xmlPath) : new IfcfgFile(ifcfgPath(connection.name));
+        await file.read({ recorder: options?.recorder });
         file.update(connection);
-        return file.write();
+        return file.write(options);
     }
 
     /**
      * Delete the configuration file of a connection
      *
+     * For native XML files, only the connection's interface is removed from the file (which is
+     * deleted when no interface is left).
+     *
      * @param {Connection} connection - Connection to update
+     * @param {WriteOptions} [options] - Writing options
      * @return {Promise} Result of the operation
+     * @throws {ConflictError} when the file changed since it was read
      */
-    deleteConnectionConfig(connection) {
-        const filePath = `/etc/sysconfig/network/ifcfg-${connection.name}`;
-        const file = new IfcfgFile(filePath);
-        return file.remove();
+    async deleteConnectionConfig(connection, options) {
+        const xmlPath = xmlPathFor(connection);
+        if (!xmlPath) return new IfcfgFile(ifcfgPath(connection.name)).remove(options);
+
+        const file = await new IfconfigFile(xmlPath).read({ recorder: options?.recorder });
+        file.removeInterface(connection.name);
+        return file.write(options);
     }
 }
 
@@ -19,11 +19,17 @@
  * find current contact information at www.suse.com.
  */
 
+import cockpit from 'cockpit';
 import Adapter from './adapter';
 import Client from './client';
+import { IfconfigParser, SysconfigParser } from './files';
+import { AUTO, DBUS } from './sources';
+import { describeAdapterConformance } from '../adapterConformance';
 
 jest.mock('./client');
 
+const { default: WickedClient } = jest.requireActual('./client');
+
 const eth0_conn = { name: 'eth0' };
 const br1_conn = { name: 'br0', bridge: { ports: ['eth0'] } };
 const eth0_iface = { interface: { name: 'eth0' } };
@@ -37,6 +43,35 @@ const resolveTo = (result) => () => {
     });
 };
 
+/**
+ * Makes cockpit to find the given ifcfg files
+ *
+ * @param {Object<string,string>} files - File contents indexed by connection name
+ */
+const mockIfcfgFiles = (files) => {
+    const parser = new SysconfigParser();
+    const paths = Object.keys(files).map(name => `/etc/sysconfig/network/ifcfg-${name}`);
+
+    jest.spyOn(cockpit, 'spawn').mockResolvedValue(paths.join("\n"));
+    cockpit.file = jest.fn(path => ({
+        read: () => Promise.resolve(parser.parse(files[path.split('ifcfg-')[1]]))
+    }));
+};
+
+describe('#constructor', () => {
+    beforeEach(() => Client.mockClear());
+
+    it('reads the interfaces from D-Bus when available and from the CLI otherwise by default', () => {
+        expect(new Adapter().client).toBeInstanceOf(Client);
+        expect(Client).toHaveBeenCalledWith({ source: AUTO });
+    });
+
+    it('reads the interfaces from the given source', () => {
+        expect(new Adapter(undefined, { source: DBUS }).client).toBeInstanceOf(Client);
+        expect(Client).toHaveBeenCalledWith({ source: DBUS });
+    });
+});
+
 describe('#connections', () => {
     describe('if there are no connections', () => {
         beforeAll(() => {
@@ -82,6 +117,48 @@ describe('#connections', () => {
             });
         });
     });
+
+    describe('when there are ifcfg files', () => {
+        const showConfigError = new Error('wickedd is not running');
+
+        beforeEach(() => {
+            mockIfcfgFiles({
+                lo: "STARTMODE='nfsroot'\n",
+                eth0: "BOOTPROTO='dhcp4'\nSTARTMODE='ifplugd'\n",
+                eth1: "BOOTPROTO='static'\nIPADDR='192.168.1.2/24'\nLABEL='lan'\n"
+            });
+        });
+
+        afterEach(() => jest.restoreAllMocks());
+
+        it('merges the files with the wicked configuration', async () => {
+            Client.mockImplementation(() => ({ getConfigurations: resolveTo(configurations) }));
+            const adapter = new Adapter(new Client());
+
+            const conns = await adapter.connections();
+
+            expect(conns.map(c => c.name)).toEqual(['eth0', 'br0', 'eth1']);
+            expect(conns[0]).toEqual(expect.objectContaining({ startMode: 'ifplugd' }));
+            expect(conns[2].ipv4.addresses).toEqual([expect.objectContaining({ label: 'lan' })]);
+        });
+
+        it('reads the files when wicked is not available', async () => {
+            Client.mockImplementation(() => ({ getConfigurations: () => Promise.reject(showConfigError) }));
+            const adapter = new Adapter(new Client());
+
+            const conns = await adapter.connections();
+
+            expect(conns.map(c => c.name)).toEqual(['eth0', 'eth1']);
+        });
+
+        it('reports the wicked error if there are no files', async () => {
+            mockIfcfgFiles({});
+            Client.mockImplementation(() => ({ getConfigurations: () => Promise.reject(showConfigError) }));
+            const adapter = new Adapter(new Client());
+
+            await expect(adapter.connections()).rejects.toEqual(showConfigError);
+        });
+    });
 });
 
 describe('#interfaces', () => {
@@ -118,6 +195,29 @@ describe('#interfaces', () => {
             ]);
         });
     });
+
+    describe('when wicked is not available', () => {
+        beforeAll(() => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            Client.mockImplementation(() => {
+                return {
+                    getConfigurations: resolveTo(configurations),
+                    getInterfaces: () => Promise.reject(new Error('wickedd is not running'))
+                };
+            });
+        });
+
+        afterAll(() => jest.restoreAllMocks());
+
+        it('returns the configured interfaces', async () => {
+            const adapter = new Adapter(new Client());
+
+            expect(await adapter.interfaces()).toEqual([
+                expect.objectContaining({ name: 'eth0', link: false }),
+                expect.objectContaining({ name: 'br0', link: false })
+            ]);
+        });
+    });
 });
 
 describe('#setDownConnection', () => {
@@ -139,9 +239,9 @@ describe('#setDownConnection', () => {
         const client = new Client();
         const adapter = new Adapter(client);
 
-        adapter.setDownConnection({ name:  'eth0' });
+        adapter.setDownConnection({ name:  'eth0' }, { timeout: 30 });
 
-        expect(setDownConnectionMock).toHaveBeenCalledWith('eth0');
+        expect(setDownConnectionMock).toHaveBeenCalledWith('eth0', { timeout: 30 });
     });
 
     it('returns undefined when action is performed successfully', async () => {
@@ -185,9 +285,9 @@ describe('#setUpConnection', () => {
         const client = new Client();
         const adapter = new Adapter(client);
 
-        adapter.setUpConnection({ name:  'eth0' });
+        adapter.setUpConnection({ name:  'eth0' }, { timeout: 30 });
 
-        expect(setUpConnectionMock).toHaveBeenCalledWith('eth0');
+        expect(setUpConnectionMock).toHaveBeenCalledWith('eth0', { timeout: 30 });
     });
 
     it('returns undefined when action is performed successfully', async () => {
@@ -231,9 +331,9 @@ describe('#reloadConnection', () => {
         const client = new Client();
         const adapter = new Adapter(client);
 
-        adapter.reloadConnection('eth0');
+        adapter.reloadConnection('eth0', { timeout: 30 });
 
-        expect(reloadConnectionMock).toHaveBeenCalledWith('eth0');
+        expect(reloadConnectionMock).toHaveBeenCalledWith('eth0', { timeout: 30 });
     });
 
     it('returns undefined when action is performed successfully', async () => {
@@ -257,3 +357,314 @@ describe('#reloadConnection', () => {
         await expect(adapter.reloadConnection('eth0')).rejects.toEqual(error);
     });
 });
+
+describe('writing the configuration of a connection', () => {
+    const parser = new IfconfigParser();
+    const xmlPath = '/etc/wicked/ifconfig/lan.xml';
+    const ipv4 = { bootProto: 'dhcp', addresses: [] };
+    const ipv6 = { bootProto: 'none', addresses: [] };
+    let files;
+
+    beforeEach(() => {
+        files = {
+            [xmlPath]: {
+                read: () => Promise.resolve(parser.parse('<interface><name>eth0</name></interface>')),
+                replace: jest.fn(() => Promise.resolve('tag'))
+            },
+            '/etc/sysconfig/network/ifcfg-eth0': {
+                read: () => Promise.resolve([]),
+                replace: jest.fn(() => Promise.resolve('tag'))
+            }
+        };
+        cockpit.file = jest.fn(path => files[path]);
+    });
+
+    it('writes the XML file the connection comes from', async () => {
+        const adapter = new Adapter(new Client());
+        const connection = { name: 'eth0', origin: `wicked:xml:${xmlPath}`, ipv4, ipv6 };
+
+        await adapter.updateConnection(connection);
+
+        const [nodes] = files[xmlPath].replace.mock.calls[0];
+        expect(parser.stringify(nodes)).toMatch('<ipv4:dhcp>');
+        expect(files['/etc/sysconfig/network/ifcfg-eth0'].replace).not.toHaveBeenCalled();
+    });
+
+    it('writes an ifcfg file for the sysconfig connections', async () => {
+        const adapter = new Adapter(new Client());
+        const connection = {
+            name: 'eth0', origin: 'compat:suse:/etc/sysconfig/network/ifcfg-eth0', ipv4, ipv6
+        };
+
+        await adapter.updateConnection(connection);
+
+        expect(files['/etc/sysconfig/network/ifcfg-eth0'].replace).toHaveBeenCalled();
+        expect(files[xmlPath].replace).not.toHaveBeenCalled();
+    });
+
+    it('removes the interface from the XML file when the connection is deleted', async () => {
+        const adapter = new Adapter(new Client());
+
+        await adapter.deleteConnection({ name: 'eth0', origin: `wicked:xml:${xmlPath}` });
+
+        expect(files[xmlPath].replace.mock.calls[0][0]).toBeNull();
+    });
+
+    it('refuses to write connections which do not come from a file', async () => {
+        const adapter = new Adapter(new Client());
+        const connection = { name: 'eth0', origin: 'firmware:ibft', ipv4, ipv6 };
+
+        await expect(adapter.updateConnection(connection)).rejects.toThrow(/cannot be changed/);
+    });
+});
+
+describe('global settings', () => {
+    const parser = new SysconfigParser();
+    const config = [
+        '## Path:        System/Network/General',
+        '## Type:        integer(0:)',
+        '## Default:     30',
+        '#',
+        '# Time to wait for the mandatory interfaces',
+        '#',
+        'WAIT_FOR_INTERFACES="30"',
+        '',
+        '## Type:        string',
+        'NETCONFIG_DNS_POLICY="auto"',
+        ''
+    ].join('\n');
+    let files;
+
+    beforeEach(() => {
+        files = {
+            '/etc/sysconfig/network/config': {
+                read: () => Promise.resolve(parser.parse(config)),
+                replace: jest.fn(() => Promise.resolve('tag'))
+            },
+            '/etc/sysconfig/network/dhcp': {
+                read: () => Promise.resolve(parser.parse('DHCLIENT_SET_HOSTNAME="no"\n')),
+                replace: jest.fn(() => Promise.resolve('tag'))
+            }
+        };
+        cockpit.file = jest.fn(path => files[path]);
+    });
+
+    it('returns the settings with their metadata, excluding the DNS ones', async () => {
+        const adapter = new Adapter(new Client());
+        const settings = await adapter.globalSettings();
+
+        expect(settings.map(s => s.key)).toEqual(['WAIT_FOR_INTERFACES', 'DHCLIENT_SET_HOSTNAME']);
+        expect(settings[0]).toEqual(expect.objectContaining({
+            file: '/etc/sysconfig/network/config',
+            value: '30',
+            type: { name: 'integer', min: 0, max: undefined },
+            defaultValue: '30',
+            description: 'Time to wait for the mandatory interfaces',
+            group: 'System/Network/General'
+        }));
+    });
+
+    it('writes only the files containing changed settings', async () => {
+        const adapter = new Adapter(new Client());
+
+        await adapter.updateGlobalSettings([
+            { file: '/etc/sysconfig/network/dhcp', key: 'DHCLIENT_SET_HOSTNAME', value: 'yes' }
+        ]);
+
+        const [content] = files['/etc/sysconfig/network/dhcp'].replace.mock.calls[0];
+        expect(parser.stringify(content)).toMatch('DHCLIENT_SET_HOSTNAME="yes"');
+        expect(files['/etc/sysconfig/network/config'].replace).not.toHaveBeenCalled();
+    });
+
+    it('refuses to write settings to other files', async () => {
+        const adapter = new Adapter(new Client());
+        const changes = [{ file: '/etc/passwd', key: 'ROOT', value: 'x' }];
+
+        await expect(adapter.updateGlobalSettings(changes)).rejects.toThrow(/Unknown/);
+    });
+});
+
+describe('#restoreSnapshot', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('reloads all the interfaces after restoring the files', async () => {
+        const startCommand = jest.fn(() => Promise.resolve(''));
+        Client.mockImplementation(() => ({ startCommand }));
+        const adapter = new Adapter(new Client());
+        jest.spyOn(cockpit, 'spawn').mockResolvedValue('');
+
+        await adapter.restoreSnapshot('20201019T110000Z', { timeout: 30 });
+
+        expect(cockpit.spawn.mock.calls[0][0][2]).toMatch('tar -xzf');
+        expect(startCommand).toHaveBeenCalledWith('ifreload', ['all'], { timeout: 30 });
+    });
+});
+
+describe('#createRollbackPoint', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('keeps the rollback point apart from the snapshots', async () => {
+        const adapter = new Adapter(new Client());
+        jest.spyOn(cockpit, 'spawn').mockResolvedValue('');
+
+        const point = await adapter.createRollbackPoint(60);
+
+        const archive = cockpit.spawn.mock.calls[0][0][4];
+        expect(archive).toMatch(/^\/var\/lib\/cockpit-wicked\/rollback-points\//);
+        expect(archive).toEqual(expect.stringContaining(point.id));
+        expect(cockpit.spawn.mock.calls[1][0]).toContain(archive);
+    });
+});
+
+describe('#rollback', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('restores the rollback point and reloads all the interfaces', async () => {
+        const startCommand = jest.fn(() => Promise.resolve(''));
+        Client.mockImplementation(() => ({ startCommand }));
+        const adapter = new Adapter(new Client());
+        jest.spyOn(cockpit, 'spawn').mockResolvedValue('');
+
+        await adapter.rollback('20201019T110000Z', { timeout: 30 });
+
+        const commands = cockpit.spawn.mock.calls.map(([command]) => command);
+        expect(commands[0]).toEqual(['/usr/bin/systemctl', 'stop', 'cockpit-wicked-rollback-20201019T110000Z.timer']);
+        expect(commands[1][4]).toEqual('/var/lib/cockpit-wicked/rollback-points/20201019T110000Z.tar.gz');
+        expect(commands[2]).toEqual(['/usr/bin/rm', '-f', '/var/lib/cockpit-wicked/rollback-points/20201019T110000Z.tar.gz']);
+        expect(startCommand).toHaveBeenCalledWith('ifreload', ['all'], { timeout: 30 });
+    });
+});
+
+/**
+ * Fake host which keeps the files in memory and runs the commands used by the adapter on them
+ *
+ * The tags of the files are not checked (conflicts are covered by the files tests).
+ *
+ * @param {Object<string,string>} [initialFiles] - File contents indexed by path
+ */
+const inMemoryHost = (initialFiles = {}) => {
+    const files = new Map(Object.entries(initialFiles));
+    const archives = new Map();
+    const upInterfaces = new Set();
+    const isConfigFile = (path) => (
+        /^\/etc\/sysconfig\/network\/(ifcfg-.+|ifroute-.+|routes|config|dhcp)$/.test(path) ||
+        /^\/etc\/wicked\/.+\.xml$/.test(path)
+    );
+    const configured = (name) => files.has(`/etc/sysconfig/network/ifcfg-${name}`);
+
+    const showXml = (names) => names.map((name, index) => (
+        `<object path="/org/opensuse/Network/Interface/${index + 2}">` +
+        `<interface><name>${name}</name><index>${index + 2}</index></interface>` +
+        '<ethtool><link-detected>true</link-detected></ethtool></object>'
+    )).join('\n');
+
+    const runScript = (script, archive) => {
+        if (script.includes('tar -czf')) {
+            if (archives.has(archive)) throw Object.assign(new Error('exists'), { exit_status: 3 });
+            archives.set(archive, new Map([...files].filter(([path]) => isConfigFile(path))));
+        } else if (!script.includes('diff -uN')) {
+            [...files.keys()].filter(isConfigFile).forEach(path => files.delete(path));
+            archives.get(archive).forEach((content, path) => files.set(path, content));
+        }
+        return '';
+    };
+
+    const runWicked = (command, args) => {
+        const withValue = ['--timeout', '--state'];
+        const names = args.filter((arg, i) => !arg.startsWith('--') && !withValue.includes(args[i - 1]));
+        if (command === 'show-config') return '';
+        if (command === 'show-xml') return showXml([...upInterfaces].filter(n => !names.length || names.includes(n)));
+        if (command === 'ifstatus') return `${names[0]}  ${upInterfaces.has(names[0]) ? 'up' : 'device-down'}\n`;
+        if (command === 'ifcheck') return '';
+
+        const targets = names.includes('all') ? [...upInterfaces] : names;
+        const output = targets.map(name => {
+            if (!configured(name)) return `${name}  no-device`;
+            if (command === 'ifdown') {
+                upInterfaces.delete(name);
+                return `${name}  device-ready`;
+            }
+            upInterfaces.add(name);
+            return `${name}  up`;
+        }).join('\n');
+
+        if (targets.some(name => !configured(name))) {
+            throw Object.assign(new Error(output), { exit_status: 1, output });
+        }
+        return output;
+    };
+
+    const run = ([program, ...args]) => {
+        if (program === '/usr/sbin/wicked') return runWicked(args[0], args.slice(1));
+        if (program === '/bin/sh') return runScript(args[1], args[3]);
+        if (program === '/usr/bin/rm') {
+            args.slice(1).forEach(path => { archives.delete(path); files.delete(path) });
+            return '';
+        }
+        if (program === '/usr/bin/systemd-run' || program === '/usr/bin/systemctl') return '';
+        if (program === '/usr/bin/find' && args[args.length - 1] === 'ifcfg-*') {
+            return [...files.keys()].filter(path => path.startsWith(`${args[0]}/ifcfg-`)).join('\n');
+        }
+        if (program === '/usr/bin/find') {
+            return [...archives.keys()].filter(path => path.startsWith(`${args[0]}/`))
+                    .map(path => `${path.split('/').pop()} 100\n`)
+                    .join('');
+        }
+
+        throw new Error(`Unexpected command: ${program} ${args.join(' ')}`);
+    };
+
+    jest.spyOn(cockpit, 'spawn').mockImplementation((command) => {
+        let onOutput = () => {};
+        const promise = new Promise((resolve, reject) => {
+            process.nextTick(() => {
+                try {
+                    const output = run(command);
+                    onOutput(output);
+                    resolve(output);
+                } catch (error) {
+                    if (error.output) onOutput(error.output);
+                    reject(error);
+                }
+            });
+        });
+        promise.stream = (fn) => { onOutput = fn; return promise };
+        promise.close = () => {};
+        return promise;
+    });
+
+    cockpit.file = jest.fn((path, { syntax } = {}) => ({
+        read: () => {
+            const text = files.has(path) ? files.get(path) : null;
+            const content = (text !== null && syntax) ? syntax.parse(text) : text;
+            return { then: (fn) => Promise.resolve(fn(content, text === null ? '-' : 'tag')) };
+        },
+        replace: (content) => {
+            if (content === null) {
+                files.delete(path);
+            } else {
+                files.set(path, syntax ? syntax.stringify(content) : content);
+            }
+            return Promise.resolve('tag');
+        }
+    }));
+};
+
+describeAdapterConformance('WickedAdapter', () => {
+    inMemoryHost({
+        '/etc/sysconfig/network/config': [
+            '## Path:        System/Network/General',
+            '## Type:        integer(0:)',
+            '## Default:     30',
+            'WAIT_FOR_INTERFACES="30"',
+            '',
+            'NETCONFIG_DNS_POLICY="auto"',
+            'NETCONFIG_DNS_STATIC_SERVERS=""',
+            'NETCONFIG_DNS_STATIC_SEARCHLIST=""',
+            ''
+        ].join('\n'),
+        '/etc/sysconfig/network/dhcp': 'DHCLIENT_SET_HOSTNAME="no"\n'
+    });
+
+    return new Adapter(new WickedClient());
+});
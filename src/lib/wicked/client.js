@@ -20,98 +20,38 @@
  */
 
 import cockpit from 'cockpit';
+import { xmlToJson } from './xml';
+import { CLI, createSource } from './sources';
+import WickedError from './errors';
+import { batchResults } from './status';
 
 /**
  * @constant
- * @type {number[]}
+ * @type {number}
  *
- * A collection of Wicked error codes that will be not reported to the user because they do not stop
- * the interface/connection from working.
+ * Time (in milliseconds) to wait for more D-Bus signals before refreshing the affected interfaces.
  *
- * @see runCommand
- * @see https://github.com/openSUSE/wicked/blob/ab01fdf1eb1b17ce74bb41dd0bc8186e2aaa4880/include/wicked/constants.h#L274-L292
+ * @see _queueSignal
  */
-const EXCLUDED_ERROR_CODES = [
-    159, /* no configuration found */
-    163, /* up, config changed, reload advised */
-    164, /* dev is up and has masterdev */
-    165, /* ifcheck state lower than expected */
-    166, /* interface is in persistent mode */
-    167, /* user is allowed to configure the interface */
-];
+const SIGNALS_DEBOUNCE_DELAY = 250;
 
 /**
- * Converts a HTML element to a plain object
- *
- * @function
- *
- * @param {HTMLElement} element - Element to convert to JSON
- * @param {Array<string>} listElement - Special elements to be considered lists
- * @return {Object} Plain object representing the element (and its children)
- *
- * @ignore
- */
-const elementToJson = (element, listElements) => {
-    const children = Array.from(element.children);
-    const key = element.localName.replace(/-/g, '_');
-
-    if (children.length === 0) {
-        return { [key]: element.textContent };
-    } else {
-        let value = children.map(e => elementToJson(e, listElements));
-
-        if (listElements.includes(key)) {
-            value = value.map(v => Object.values(v)[0]);
-        } else {
-            value = value.reduce((all, child) => ({ ...all, ...child }), {});
-        }
-
-        const attrs = elementAttributes(element);
-        if (Object.keys(attrs).length > 0) value = { ...value, _attrs: attrs };
-
-        return { [key]: value };
-    }
-};
-
-const elementAttributes = (element) => {
-    return Array.from(element.attributes).reduce((all, attr) => (
-        { ...all, [attr.nodeName]: attr.nodeValue }
-    ), {});
-};
-
-/* @ignore */
-const emptyTagsRegExp = new RegExp(/<\w+\/>/, 'g');
-
-/**
- * Sanitize the XML string before it gets processed
- *
- * Removes empty tags, as they will cause troubles when parsing.
+ * @constant
+ * @type {string}
  *
- * @param {string} xmlString - XML string to sanitize
+ * Directory where wickedd stores the leases
  */
-const sanitizeXml = (xmlString) => {
-    return xmlString.replace(emptyTagsRegExp, '');
-};
+const LEASES_DIRECTORY = '/var/lib/wicked';
 
 /**
- * Returns a plain object representing the given string
- *
- * @todo Unfortunately, the XML generated by Wicked is not valid. So the string
- * is parsed as HTML and some additional tweak is needed (@see sanitizeXml).
+ * @constant
+ * @type {number}
  *
- * @param {string} xmlString - XML string to convert to JSON
- * @param {Array<string>} listElements - Special elements to be considered lists
- * @return {Object} Plain object representing the given XML
+ * Time (in seconds) to wait for a command after its timeout before closing it
  *
- * @ignore
+ * @see startCommand
  */
-const XmlToJson = (xmlString, listElements = []) => {
-    const parser = new DOMParser();
-    const dom = parser.parseFromString(sanitizeXml(xmlString), 'text/html');
-    const [body] = dom.getElementsByTagName('body');
-    const result = elementToJson(body, listElements);
-    return result.body;
-};
+const TIMEOUT_GRACE = 5;
 
 /**
  * Class to interact with Wicked.
@@ -120,17 +60,29 @@ const XmlToJson = (xmlString, listElements = []) => {
  *
  * This class is responsible for communicating with Wicked:
  *
- * - It uses the CLI to get interfaces and configurations information.
+ * - It uses the CLI to get configurations information.
+ * - It uses a data source (the CLI or the D-Bus objects) to get interfaces information.
  * - It listens to D-Bus signals and runs the given callbacks.
  */
 class WickedClient {
-    constructor() {
+    /**
+     * @param {object} [options] - Client options
+     * @param {string} [options.source='cli'] - Source of the interfaces information
+     *   (@see module:wicked/sources)
+     */
+    constructor({ source = CLI } = {}) {
         this._callbacks = [];
         this._interfaces = undefined;
         this._connections = undefined;
         this._onInterfaceChange = [];
+        this._pendingSignals = new Map();
+        this._signalsTimeout = undefined;
+        this._processingSignals = Promise.resolve();
 
         this._setupDBus();
+
+        this.source = createSource(source, this.networkClient);
+        this.source.onChange(path => this._queueSignal(path, undefined, 'deviceChange'));
     }
 
     /**
@@ -160,8 +112,7 @@ class WickedClient {
     async getInterfaces({ cache = false } = {}) {
         if (this._interfaces && cache) return this._interfaces;
 
-        const stdout = await cockpit.spawn(['/usr/sbin/wicked', 'show-xml']);
-        this._interfaces = XmlToJson(stdout, ['body', 'addresses']);
+        this._interfaces = await this.source.getInterfaces();
         return this._interfaces;
     }
 
@@ -176,14 +127,19 @@ class WickedClient {
         if (this._connections && cache) return this._connections;
 
         const stdout = await cockpit.spawn(['/usr/sbin/wicked', 'show-config']);
-        this._connections = XmlToJson(stdout, ['body', 'slaves', 'ipv4:static', 'ipv6:static', 'ports']);
+        this._connections = xmlToJson(stdout);
         return this._connections;
     }
 
-    async getInterfaceByName(name) {
-        const stdout = await cockpit.spawn(['/usr/sbin/wicked', 'show-xml', name]);
-        const [data] = XmlToJson(stdout, ['body']);
-        return data;
+    /**
+     * Returns a promise that resolves to an object representing the given interface
+     *
+     * @param {string} name - Interface name
+     * @return {Promise.<Object|undefined>} Promise that resolves to the interface or to undefined
+     *   if it does not exist
+     */
+    getInterfaceByName(name) {
+        return this.source.getInterfaceByName(name);
     }
 
     /**
@@ -204,49 +160,288 @@ class WickedClient {
     }
 
     /**
-     * Runs given wicked command ignoring some error codes
+     * Runs given wicked command ignoring non fatal error codes
      *
-     * @see EXCLUDED_ERROR_CODES
+     * @see WickedError#isFatal
      *
      * @param {string} command - wicked command to be executed
      * @param {string[]} options - command options
      *
-     * @throws will re-throw a wicked error if any and it is not excluded
+     * @throws {WickedError} will throw an error if the command fails
      */
-    async runCommand(command, ...options) {
-        try {
-            return await cockpit.spawn(['/usr/sbin/wicked', command, ...options], { superuser: "require" });
-        } catch (error) {
-            if (!EXCLUDED_ERROR_CODES.includes(error.exit_status)) throw error;
-            return error.message;
-        }
+    runCommand(command, ...options) {
+        return this.startCommand(command, options);
+    }
+
+    /**
+     * Callback to report the command progress
+     *
+     * @callback progressCallback
+     * @param {string} line - Line written by the command (to stdout or stderr)
+     */
+
+    /**
+     * @typedef {Object} CommandOptions
+     * @property {number} [timeout] - Time (in seconds) wicked waits for the command to finish
+     *   (@see wicked's --timeout option)
+     * @property {progressCallback} [onProgress] - Function to call for each line of output
+     */
+
+    /**
+     * Promise which resolves to the output of a command
+     *
+     * It offers a `cancel()` function to stop the command. In that case, the promise is
+     * resolved, as cancelling is not considered a failure.
+     *
+     * @typedef {Promise.<string>} RunningCommand
+     */
+
+    /**
+     * Starts given wicked command ignoring non fatal error codes
+     *
+     * Apart from passing the timeout to wicked, the process is closed if it does not finish
+     * shortly after the timeout.
+     *
+     * @see WickedError#isFatal
+     *
+     * @param {string} command - wicked command to be executed
+     * @param {string[]} [options=[]] - command options
+     * @param {CommandOptions} [commandOptions={}] - timeout and progress callback
+     * @return {RunningCommand}
+     *
+     * @throws {WickedError} will throw an error if the command fails
+     */
+    startCommand(command, options = [], { timeout, onProgress } = {}) {
+        const timeoutOptions = timeout ? ['--timeout', String(timeout)] : [];
+        const commandLine = ['/usr/sbin/wicked', command, ...timeoutOptions, ...options];
+        const process = cockpit.spawn(commandLine, { superuser: "require", err: "out" });
+        let output = "";
+        let pendingLine = "";
+
+        process.stream(data => {
+            output += data;
+            const lines = (pendingLine + data).split("\n");
+            pendingLine = lines.pop();
+            if (onProgress) lines.filter(l => l.trim() !== "").forEach(l => onProgress(l.trim()));
+        });
+
+        const watchdog = timeout && setTimeout(() => process.close('timeout'), (timeout + TIMEOUT_GRACE) * 1000);
+
+        const promise = new Promise((resolve, reject) => {
+            process.then(
+                () => {
+                    clearTimeout(watchdog);
+                    resolve(output);
+                },
+                (error) => {
+                    clearTimeout(watchdog);
+                    const wickedError = WickedError.fromSpawnError(error, commandLine, output);
+                    if (wickedError.isFatal()) {
+                        reject(wickedError);
+                    } else {
+                        resolve(output || error.message);
+                    }
+                }
+            );
+        });
+
+        promise.cancel = () => process.close('cancelled');
+        return promise;
     }
 
     /**
      * Reloads a connection
      *
-     * @return {Promise} Result of the operation
+     * @param {string} name - Connection name
+     * @param {CommandOptions} [options] - Command options
+     * @return {RunningCommand} Result of the operation
      */
-    reloadConnection(name) {
-        return this.runCommand('ifreload', name);
+    reloadConnection(name, options) {
+        return this.startCommand('ifreload', [name], options);
     }
 
     /**
      * Set a connection up
      *
-     * @return {Promise} Result of the operation
+     * @param {string} name - Connection name
+     * @param {CommandOptions} [options] - Command options
+     * @return {RunningCommand} Result of the operation
      */
-    setUpConnection(name) {
-        return this.runCommand('ifup', name);
+    setUpConnection(name, options) {
+        return this.startCommand('ifup', [name], options);
     }
 
     /**
      * Set a connection down
      *
-     * @return {Promise} Result of the operation
+     * @param {string} name - Connection name
+     * @param {CommandOptions} [options] - Command options
+     * @return {RunningCommand} Result of the operation
+     */
+    setDownConnection(name, options) {
+        return this.startCommand('ifdown', [name], options);
+    }
+
+    /**
+     * Runs given wicked command for several interfaces at once
+     *
+     * Instead of failing when the command fails, it reports the outcome for each interface.
+     *
+     * @param {string} command - wicked command to be executed (e.g., 'ifreload')
+     * @param {Array<string>} names - Interface names
+     * @param {CommandOptions} [options] - Command options
+     * @return {Promise.<Array.<BatchResult>>} Promise which resolves to the outcome of each
+     *   interface. As a RunningCommand, it can be cancelled.
+     */
+    startBatch(command, names, options) {
+        const running = this.startCommand(command, names, options);
+        const promise = running.then(
+            output => batchResults(command, names, output),
+            error => {
+                if (!(error instanceof WickedError)) throw error;
+
+                return batchResults(command, names, error.stderr, error);
+            }
+        );
+
+        promise.cancel = running.cancel;
+        return promise;
+    }
+
+    /**
+     * Reloads several connections at once
+     *
+     * @param {Array<string>} names - Connection names
+     * @param {CommandOptions} [options] - Command options
+     * @return {Promise.<Array.<BatchResult>>} Outcome for each connection
+     */
+    reloadConnections(names, options) {
+        return this.startBatch('ifreload', names, options);
+    }
+
+    /**
+     * Sets several connections up at once
+     *
+     * @param {Array<string>} names - Connection names
+     * @param {CommandOptions} [options] - Command options
+     * @return {Promise.<Array.<BatchResult>>} Outcome for each connection
+     */
+    setUpConnections(names, options) {
+        return this.startBatch('ifup', names, options);
+    }
+
+    /**
+     * Sets several connections down at once
+     *
+     * @param {Array<string>} names - Connection names
+     * @param {CommandOptions} [options] - Command options
+     * @return {Promise.<Array.<BatchResult>>} Outcome for each connection
      */
-    setDownConnection(name) {
-        return this.runCommand('ifdown', name);
+    setDownConnections(names, options) {
+        return this.startBatch('ifdown', names, options);
+    }
+
+    /**
+     * Returns the DHCP leases of the given interface
+     *
+     * They are read from the files where wickedd stores them, which contain much more
+     * information than the lease sections of `wicked show-xml`.
+     *
+     * @param {string} name - Interface name
+     * @return {Promise.<Array.<Object>>} Leases (one per address family), as converted by
+     *   {@link module:wicked/xml~xmlToJson}
+     */
+    async getLeases(name) {
+        const leases = [];
+
+        for (const family of ['ipv4', 'ipv6']) {
+            const path = `${LEASES_DIRECTORY}/lease-${name}-dhcp-${family}.xml`;
+            const content = await cockpit.file(path, { superuser: "try" }).read();
+            if (content) leases.push(...xmlToJson(content));
+        }
+
+        return leases;
+    }
+
+    /**
+     * Renews the DHCP leases of the given interface
+     *
+     * wicked does not offer a specific command to renew a lease. However, bringing up an
+     * interface which is already up makes wickedd request its leases again.
+     *
+     * @param {string} name - Interface name
+     * @param {CommandOptions} [options] - Command options
+     * @return {RunningCommand} Result of the operation
+     */
+    renewLeases(name, options) {
+        return this.startCommand('ifup', [name], options);
+    }
+
+    /**
+     * @typedef {Object} CommandResult
+     * @property {string} output - Command output
+     * @property {number} exitStatus - Command exit status
+     */
+
+    /**
+     * Returns the output of `wicked ifstatus --verbose` for the given interface
+     *
+     * The ifstatus exit status encodes the interface state, so it is returned instead of
+     * considered an error.
+     *
+     * @param {string} name - Interface name
+     * @return {Promise.<CommandResult>}
+     */
+    getInterfaceStatus(name) {
+        return this._runQuery('ifstatus', '--verbose', name);
+    }
+
+    /**
+     * Runs the `wicked ifcheck` checks for the given interface
+     *
+     * @param {string} name - Interface name
+     * @param {string} [state='network-up'] - State the interface is expected to reach
+     * @return {Promise.<Object<string,boolean>>} Whether the config changed, the device is
+     *   missing and the expected state was reached
+     */
+    async checkInterface(name, state = 'network-up') {
+        const changed = await this._runQuery('ifcheck', '--quiet', '--changed', name);
+        const missing = await this._runQuery('ifcheck', '--quiet', '--missing', name);
+        const inState = await this._runQuery('ifcheck', '--quiet', '--state', state, name);
+
+        return {
+            changed: changed.exitStatus !== 0,
+            missing: missing.exitStatus !== 0,
+            stateReached: inState.exitStatus === 0
+        };
+    }
+
+    /**
+     * Runs a wicked command which reports its result through the exit status
+     *
+     * @ignore
+     *
+     * @param {string} command - wicked command to be executed
+     * @param {string[]} options - command options
+     * @return {Promise.<CommandResult>}
+     * @throws {WickedError} if the command could not be executed at all
+     */
+    _runQuery(command, ...options) {
+        const commandLine = ['/usr/sbin/wicked', command, ...options];
+
+        return new Promise((resolve, reject) => {
+            // cockpit.spawn passes the output as second argument when the command fails
+            cockpit.spawn(commandLine, { superuser: "require", err: "ignore" }).then(
+                output => resolve({ output: output || "", exitStatus: 0 }),
+                (error, output) => {
+                    if (error.exit_status === undefined) {
+                        reject(WickedError.fromSpawnError(error, commandLine));
+                    } else {
+                        resolve({ output: output || "", exitStatus: error.exit_status });
+                    }
+                }
+            );
+        });
     }
 
     /**
@@ -263,10 +458,9 @@ class WickedClient {
         this._onSignal(['deviceCreate', 'networkUp', 'linkUp', 'networkDown', 'linkDown', 'addressAcquired',
             'deviceReady', 'deviceChange'], this._onDeviceEvent.bind(this));
 
-        // TODO: de-bouncing.
         this.networkClient.subscribe(
             { interface: 'org.opensuse.Network.Interface' },
-            this._runSignalCallbacks.bind(this)
+            this._queueSignal.bind(this)
         );
     }
 
@@ -285,16 +479,59 @@ class WickedClient {
         });
     }
 
+    /**
+     * Queues a D-Bus signal to be processed later
+     *
+     * Signals are not processed immediately. Instead, they are coalesced by D-Bus path, so a
+     * flapping link only causes one refresh of the affected interface. The 'deviceDelete' signal
+     * takes precedence over any other one for the same path.
+     *
+     * @ignore
+     *
+     * @see SIGNALS_DEBOUNCE_DELAY
+     */
+    _queueSignal(path, dbusIface, signal) {
+        if (this._pendingSignals.get(path) !== 'deviceDelete') {
+            this._pendingSignals.set(path, signal);
+        }
+
+        clearTimeout(this._signalsTimeout);
+        this._signalsTimeout = setTimeout(() => {
+            this._processingSignals = this._processingSignals.then(() => this._processSignals());
+        }, SIGNALS_DEBOUNCE_DELAY);
+    }
+
+    /**
+     * Processes the queued D-Bus signals
+     *
+     * @ignore
+     *
+     * @return {Promise} Promise that resolves when all the signals have been processed
+     */
+    async _processSignals() {
+        const signals = Array.from(this._pendingSignals.entries());
+        this._pendingSignals.clear();
+
+        for (const [path, signal] of signals) {
+            try {
+                await this._runSignalCallbacks(path, signal);
+            } catch (error) {
+                console.error(`Error while processing the '${signal}' signal for ${path}:`, error);
+            }
+        }
+    }
+
     /**
      * Run internal callbacks defined using the '_onSignal' method
      *
      * @ignore
      */
-    async _runSignalCallbacks(path, dbusIface, signal, args) {
+    async _runSignalCallbacks(path, signal) {
         const callbacks = this._callbacks.filter(c => c.signals.includes(signal)).map(c => c.fn);
-        if (callbacks.length === 0) return;
 
-        callbacks.forEach(fn => fn(signal, path));
+        for (const fn of callbacks) {
+            await fn(signal, path);
+        }
     }
 
     /**
@@ -328,13 +565,34 @@ class WickedClient {
      * @param {string} path - Device D-Bus path
      */
     async _onDeviceEvent(signal, path) {
-        // FIXME: it re-reads the list of devices. We could use the cache
-        // and force the reloading of just the changed device.
-        const iface = await this.getInterfaceByPath(path, { cache: false });
+        const iface = await this._refreshInterface(path);
         if (!iface) return;
 
         this._onInterfaceChange.forEach(fn => fn(signal, iface));
     }
+
+    /**
+     * Refreshes the cached data of the interface under the given D-Bus path
+     *
+     * Only the affected interface is read again. If it is not known yet (e.g., it has just been
+     * created), the whole list of interfaces is refreshed.
+     *
+     * @ignore
+     *
+     * @param {string} path - Device D-Bus path
+     * @return {Promise.<Object|undefined>} Updated interface
+     */
+    async _refreshInterface(path) {
+        const cached = await this.getInterfaceByPath(path, { cache: true });
+        if (!cached) return this.getInterfaceByPath(path, { cache: false });
+
+        const iface = await this.getInterfaceByName(cached.interface.name);
+        this._interfaces = iface
+            ? this._interfaces.map(i => (i._attrs.path === path) ? iface : i)
+            : this._interfaces.filter(i => i._attrs.path !== path);
+
+        return iface;
+    }
 }
 
 export default WickedClient;
@@ -19,8 +19,11 @@
  * find current contact information at www.suse.com.
  */
 
+import fs from 'fs';
+import path from 'path';
 import cockpit from 'cockpit';
 import Client from './client';
+import WickedError, { WARNING } from './errors';
 
 const client = new Client();
 
@@ -78,6 +81,21 @@ describe('#getInterfaceByPath', () => {
 });
 
 // FIXME: We should be testing reloadConnection, setUpConnection and setDownConnection instead.
+/**
+ * Returns an object which behaves like the process returned by cockpit.spawn
+ *
+ * @param {Promise} promise - Promise representing the process result
+ * @param {Array<string>} [chunks=[]] - Output to stream
+ */
+const fakeProcess = (promise, chunks = []) => {
+    promise.stream = jest.fn(fn => {
+        chunks.forEach(fn);
+        return promise;
+    });
+    promise.close = jest.fn();
+    return promise;
+};
+
 describe('#runCommand', () => {
     beforeAll(() => {
         cockpit.spawn = jest.fn();
@@ -88,31 +106,323 @@ describe('#runCommand', () => {
     });
 
     it('resolves with commands output', () => {
-        cockpit.spawn.mockImplementation(() => Promise.resolve());
+        cockpit.spawn.mockImplementation(() => fakeProcess(Promise.resolve(), ['eth0 up\n']));
 
         const client = new Client();
 
         const promise = client.runCommand("ifup", "eth0");
-        return expect(promise).resolves.toBeUndefined();
+        return expect(promise).resolves.toEqual('eth0 up\n');
     });
 
     it('resolves with the error message if there is an expected error', () => {
         const error = { message: "This error should be ignored", exit_status: 163 };
 
-        cockpit.spawn.mockImplementation(() => Promise.reject(error));
+        cockpit.spawn.mockImplementation(() => fakeProcess(Promise.reject(error)));
         expect.assertions(1);
 
         const client = new Client();
         return expect(client.runCommand('ifup', 'eth1')).resolves.toEqual(error.message);
     });
 
-    it('rejects if there is a not expected error', () => {
+    it('rejects with a WickedError if there is a not expected error', async () => {
         const error = { message: "This error should not be ignored", exit_status: 157 };
 
-        cockpit.spawn.mockImplementation(() => Promise.reject(error));
-        expect.assertions(1);
+        cockpit.spawn.mockImplementation(() => fakeProcess(Promise.reject(error)));
+        expect.assertions(2);
+
+        const client = new Client();
+        const promise = client.runCommand('ifup', 'eth1');
+        await expect(promise).rejects.toBeInstanceOf(WickedError);
+        await expect(promise).rejects.toEqual(expect.objectContaining({
+            exitStatus: 157,
+            reason: 'unconfigured',
+            stderr: error.message,
+            command: '/usr/sbin/wicked ifup eth1'
+        }));
+    });
+});
+
+describe('#startCommand', () => {
+    const originalSpawn = cockpit.spawn;
+
+    afterEach(() => {
+        cockpit.spawn = originalSpawn;
+        jest.useRealTimers();
+    });
+
+    it('passes the timeout to wicked', async () => {
+        cockpit.spawn = jest.fn(() => fakeProcess(Promise.resolve()));
+
+        await new Client().startCommand('ifup', ['eth0'], { timeout: 30 });
+        expect(cockpit.spawn).toHaveBeenCalledWith(
+            ['/usr/sbin/wicked', 'ifup', '--timeout', '30', 'eth0'], expect.anything()
+        );
+    });
+
+    it('reports each line of output as progress', async () => {
+        cockpit.spawn = jest.fn(() => fakeProcess(
+            Promise.resolve(), ['eth0  device-ready\neth0  ', 'setup-in-progress\n']
+        ));
+        const onProgress = jest.fn();
+
+        const output = await new Client().startCommand('ifup', ['eth0'], { onProgress });
+        expect(onProgress.mock.calls).toEqual([['eth0  device-ready'], ['eth0  setup-in-progress']]);
+        expect(output).toEqual('eth0  device-ready\neth0  setup-in-progress\n');
+    });
+
+    it('includes the output in the error', async () => {
+        const error = { message: "", exit_status: 157 };
+        cockpit.spawn = jest.fn(() => fakeProcess(Promise.reject(error), ['wicked: eth0: no config\n']));
+
+        const promise = new Client().startCommand('ifup', ['eth0']);
+        await expect(promise).rejects.toEqual(expect.objectContaining({ stderr: 'wicked: eth0: no config' }));
+    });
+
+    it('rejects with a WickedError on warning exit codes', async () => {
+        for (const exitStatus of [158, 162]) {
+            const error = { message: "", exit_status: exitStatus };
+            cockpit.spawn = jest.fn(() => fakeProcess(Promise.reject(error), ['eth0  setup-in-progress\n']));
+
+            const promise = new Client().startCommand('ifup', ['eth0']);
+            await expect(promise).rejects.toBeInstanceOf(WickedError);
+            await expect(promise).rejects.toEqual(expect.objectContaining({
+                exitStatus, severity: WARNING, stderr: 'eth0  setup-in-progress'
+            }));
+        }
+    });
+
+    it('can be cancelled', async () => {
+        let process;
+        const error = { problem: 'cancelled', message: 'cancelled' };
+        cockpit.spawn = jest.fn(() => {
+            process = fakeProcess(new Promise((resolve, reject) => {
+                setTimeout(() => reject(error), 0);
+            }));
+            return process;
+        });
+
+        const command = new Client().startCommand('ifup', ['eth0']);
+        command.cancel();
+
+        expect(process.close).toHaveBeenCalledWith('cancelled');
+        await expect(command).resolves.toEqual('cancelled');
+    });
+
+    it('closes the process if it does not finish after the timeout', () => {
+        jest.useFakeTimers();
+        const process = fakeProcess(new Promise(() => {}));
+        cockpit.spawn = jest.fn(() => process);
+
+        new Client().startCommand('ifup', ['eth0'], { timeout: 30 });
+        jest.advanceTimersByTime(30000);
+        expect(process.close).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(5000);
+        expect(process.close).toHaveBeenCalledWith('timeout');
+    });
+});
+
+describe('#reloadConnections', () => {
+    const originalSpawn = cockpit.spawn;
+
+    afterEach(() => {
+        cockpit.spawn = originalSpawn;
+    });
+
+    it('reloads all the connections with a single command', async () => {
+        cockpit.spawn = jest.fn(() => fakeProcess(Promise.resolve(), ['eth0  up\neth1  up\n']));
+
+        const results = await new Client().reloadConnections(['eth0', 'eth1']);
+        expect(cockpit.spawn).toHaveBeenCalledTimes(1);
+        expect(cockpit.spawn).toHaveBeenCalledWith(['/usr/sbin/wicked', 'ifreload', 'eth0', 'eth1'], expect.anything());
+        expect(results).toEqual([{ name: 'eth0', state: 'up' }, { name: 'eth1', state: 'up' }]);
+    });
+
+    it('reports the error for the connections which failed', async () => {
+        const error = { message: '', exit_status: 155 };
+        cockpit.spawn = jest.fn(() => fakeProcess(Promise.reject(error), ['eth0  up\neth1  no-device\n']));
+
+        const [eth0, eth1] = await new Client().reloadConnections(['eth0', 'eth1']);
+        expect(eth0.error).toBeUndefined();
+        expect(eth1.error).toBeInstanceOf(WickedError);
+        expect(eth1.error.reason).toEqual('no-device');
+    });
+});
+
+describe('#getInterfaceStatus', () => {
+    const originalSpawn = cockpit.spawn;
+
+    // cockpit.spawn passes the output to the failure callback as second argument
+    const failWith = (exitStatus, output) => ({
+        then: (resolve, reject) => reject({ exit_status: exitStatus, message: '' }, output)
+    });
+
+    afterAll(() => {
+        cockpit.spawn = originalSpawn;
+    });
+
+    it('resolves with the output and the exit status', async () => {
+        cockpit.spawn = jest.fn(() => failWith(163, 'eth0  config-changed\n'));
+
+        const result = await new Client().getInterfaceStatus('eth0');
+        expect(result).toEqual({ output: 'eth0  config-changed\n', exitStatus: 163 });
+        expect(cockpit.spawn).toHaveBeenCalledWith(
+            ['/usr/sbin/wicked', 'ifstatus', '--verbose', 'eth0'], expect.anything()
+        );
+    });
+
+    it('rejects with a WickedError if the command could not be run', async () => {
+        cockpit.spawn = jest.fn(() => ({
+            then: (resolve, reject) => reject({ problem: 'not-found' })
+        }));
+
+        await expect(new Client().getInterfaceStatus('eth0')).rejects.toBeInstanceOf(WickedError);
+    });
+});
+
+describe('#checkInterface', () => {
+    const originalSpawn = cockpit.spawn;
+
+    afterAll(() => {
+        cockpit.spawn = originalSpawn;
+    });
+
+    it('returns the result of each check', async () => {
+        cockpit.spawn = jest.fn((args) => {
+            if (args.includes('--changed')) {
+                return { then: (resolve, reject) => reject({ exit_status: 1 }, '') };
+            }
+            return Promise.resolve('');
+        });
+
+        const checks = await new Client().checkInterface('eth0');
+        expect(checks).toEqual({ changed: true, missing: false, stateReached: true });
+        expect(cockpit.spawn).toHaveBeenCalledWith(
+            ['/usr/sbin/wicked', 'ifcheck', '--quiet', '--state', 'network-up', 'eth0'], expect.anything()
+        );
+    });
+});
+
+describe('#getLeases', () => {
+    const originalFile = cockpit.file;
+
+    beforeAll(() => {
+        cockpit.file = jest.fn((filePath) => ({
+            read: () => {
+                const fixture = path.join(__dirname, '../../../__mocks__', path.basename(filePath));
+                const content = fs.existsSync(fixture) ? fs.readFileSync(fixture).toString() : null;
+                return Promise.resolve(content);
+            }
+        }));
+    });
+
+    afterAll(() => {
+        cockpit.file = originalFile;
+    });
+
+    it('returns the leases from the lease files', async () => {
+        const leases = await new Client().getLeases('eth0');
+
+        expect(leases.map(l => l.family)).toEqual(['ipv4', 'ipv6']);
+        expect(cockpit.file).toHaveBeenCalledWith('/var/lib/wicked/lease-eth0-dhcp-ipv4.xml', expect.anything());
+    });
+
+    it('returns an empty list if there are no lease files', async () => {
+        expect(await new Client().getLeases('eth9')).toEqual([]);
+    });
+});
 
+describe('#renewLeases', () => {
+    const originalSpawn = cockpit.spawn;
+
+    afterEach(() => {
+        cockpit.spawn = originalSpawn;
+    });
+
+    it('brings the interface up again passing the command options', async () => {
+        cockpit.spawn = jest.fn(() => fakeProcess(Promise.resolve()));
+
+        await new Client().renewLeases('eth0', { timeout: 30 });
+        expect(cockpit.spawn).toHaveBeenCalledWith(
+            ['/usr/sbin/wicked', 'ifup', '--timeout', '30', 'eth0'], expect.anything()
+        );
+    });
+});
+
+describe('D-Bus signals handling', () => {
+    const eth0Path = '/org/opensuse/Network/Interface/2';
+    const eth0Xml = `<object path="${eth0Path}"><interface><name>eth0</name><mtu>9000</mtu></interface></object>`;
+    const originalDbus = cockpit.dbus;
+    const originalSpawn = cockpit.spawn;
+    let emitSignal;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        cockpit.dbus = jest.fn(() => ({
+            subscribe: (match, fn) => { emitSignal = fn }
+        }));
+        cockpit.spawn = jest.fn((args) => {
+            if (args.join(' ') === '/usr/sbin/wicked show-xml eth0') return Promise.resolve(eth0Xml);
+            return originalSpawn(args);
+        });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        cockpit.dbus = originalDbus;
+        cockpit.spawn = originalSpawn;
+    });
+
+    const flushSignals = async (client) => {
+        jest.runAllTimers();
+        await client._processingSignals;
+    };
+
+    it('coalesces the signals and refreshes only the affected interface', async () => {
         const client = new Client();
-        return expect(client.runCommand('ifup', 'eth1')).rejects.toEqual(error);
+        const callback = jest.fn();
+        client.onInterfaceChange(callback);
+        await client.getInterfaces();
+        cockpit.spawn.mockClear();
+
+        emitSignal(eth0Path, 'org.opensuse.Network.Interface', 'linkDown', []);
+        emitSignal(eth0Path, 'org.opensuse.Network.Interface', 'linkUp', []);
+        emitSignal(eth0Path, 'org.opensuse.Network.Interface', 'addressAcquired', []);
+        await flushSignals(client);
+
+        expect(cockpit.spawn).toHaveBeenCalledTimes(1);
+        expect(cockpit.spawn).toHaveBeenCalledWith(['/usr/sbin/wicked', 'show-xml', 'eth0']);
+        expect(callback).toHaveBeenCalledTimes(1);
+        expect(callback).toHaveBeenCalledWith(
+            'addressAcquired', expect.objectContaining({ interface: { name: 'eth0', mtu: 9000 } })
+        );
+    });
+
+    it('keeps the cache up to date', async () => {
+        const client = new Client();
+        await client.getInterfaces();
+
+        emitSignal(eth0Path, 'org.opensuse.Network.Interface', 'deviceChange', []);
+        await flushSignals(client);
+
+        const ifaces = await client.getInterfaces({ cache: true });
+        expect(ifaces.map(i => i.interface.name)).toEqual(['lo', 'eth0', 'eth1', 'eth2', 'eth3', 'bond0']);
+        expect(ifaces[1].interface.mtu).toEqual(9000);
+    });
+
+    it('gives precedence to the deviceDelete signal', async () => {
+        const client = new Client();
+        const callback = jest.fn();
+        client.onInterfaceChange(callback);
+        await client.getInterfaces();
+
+        emitSignal(eth0Path, 'org.opensuse.Network.Interface', 'deviceDelete', []);
+        emitSignal(eth0Path, 'org.opensuse.Network.Interface', 'linkDown', []);
+        await flushSignals(client);
+
+        expect(callback).toHaveBeenCalledTimes(1);
+        expect(callback).toHaveBeenCalledWith('deviceDelete', expect.anything());
+        const ifaces = await client.getInterfaces({ cache: true });
+        expect(ifaces.map(i => i.interface.name)).not.toContain('eth0');
     });
 });
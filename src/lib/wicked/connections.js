@@ -49,7 +49,7 @@ const startModeFor = (config) => {
     const { mode, boot_stage, persistent } = config.control;
 
     if (mode === 'boot') {
-        return (boot_stage === 'localfs' && persistent === 'true')
+        return (boot_stage === 'localfs' && persistent === true)
             ? startMode.NFSROOT : startMode.AUTO;
     } else {
         return START_MODE[mode];
@@ -61,9 +61,9 @@ const bootProtoFor = (config) => {
     const ipv4_dhcp = config['ipv4:dhcp'];
     const ipv6_dhcp = config['ipv6:dhcp'];
 
-    if (ipv4_dhcp?.enabled === 'true' || ipv6_dhcp?.enabled === 'true') {
+    if (ipv4_dhcp?.enabled === true || ipv6_dhcp?.enabled === true) {
         return bootProtocol.DHCP;
-    } else if (config['ipv4:static'] || config['ipv6:static']) {
+    } else if (config['ipv4:static']?.address || config['ipv6:static']?.address) {
         return bootProtocol.STATIC;
     } else {
         return bootProtocol.NONE;
@@ -82,14 +82,15 @@ const addressesFromConfig = (type, addresses) => {
 const ipConfig = (config, type = 'ipv4') => {
     let addresses = [];
     let bootProto;
-    const wickedAddresses = config[`${type}:static`];
+    const wickedStatic = config[`${type}:static`];
+    const wickedAddresses = wickedStatic?.address;
     const wickedDhcp = config[`${type}:dhcp`];
 
     if (wickedAddresses) {
         addresses = addressesFromConfig(addressType[type.toUpperCase()], wickedAddresses);
     }
 
-    if (wickedDhcp?.enabled === 'true') {
+    if (wickedDhcp?.enabled === true) {
         bootProto = bootProtocol.DHCP;
     } else if (addresses.length > 0) {
         bootProto = bootProtocol.STATIC;
@@ -114,14 +115,20 @@ const ipConfig = (config, type = 'ipv4') => {
  * @param {object} config.link.mtu - Connection MTU
  * @param {object} config.link.master - Master interface
  * @param {object} config.bridge - Bridge settings
+ * @param {object} config.ovs_bridge - Open vSwitch bridge settings
  * @param {object} config.bond - Bonding settings
+ * @param {object} config.team - Team settings
  * @param {object} config.vlan - Vlan settings
+ * @param {object} config.macvlan - MACVLAN settings
+ * @param {object} config.macvtap - MACVTAP settings (the same as the MACVLAN ones)
+ * @param {object} config.gre - GRE tunnel settings (`gretap`, `ipip` and `sit` are alike)
+ * @param {object} config.tun - TUN device settings (`tap` is alike)
  * @return {Connection} Connection configuration model object
  */
 const createConnection = (config) => {
     const { name } = config;
     const type = typeFromWicked(config);
-    const mtu = config?.link?.mtu ? parseInt(config.link.mtu) : undefined;
+    const mtu = config?.link?.mtu || undefined;
     const usedBy = config?.link?.master;
 
     const connection = model.createConnection({
@@ -134,6 +141,7 @@ const createConnection = (config) => {
         ipv6: ipConfig(config, 'ipv6'),
         bootProto: bootProtoFor(config),
         usedBy,
+        origin: config._attrs?.origin,
         ...propsByType(type, config)
     });
 
@@ -178,21 +186,85 @@ const propsByWirelessAuthMode = {
     }
 };
 
+/**
+ * Returns the tunnel settings from the element named after the tunnel type
+ *
+ * @ignore
+ * @param {object} tunnel - Tunnel settings from Wicked
+ * @return {object}
+ */
+const tunnelProps = ({ device, local_address, remote_address, ttl }) => {
+    return {
+        tunnel: { parentDevice: device, localAddress: local_address, remoteAddress: remote_address, ttl }
+    };
+};
+
+/**
+ * Returns the settings of a team link watcher
+ *
+ * @ignore
+ * @param {object} watch - Link watcher settings from Wicked
+ * @return {TeamLinkWatch}
+ */
+const teamLinkWatchProps = (watch) => {
+    const { delay_up, delay_down, source_host, target_host, interval } = watch;
+
+    return {
+        name: watch._attrs?.name,
+        delayUp: delay_up,
+        delayDown: delay_down,
+        sourceHost: source_host,
+        targetHost: target_host,
+        interval
+    };
+};
+
 const propsByConnectionType = {
     [interfaceType.BONDING]: ({ bond }) => {
-        const { slaves = [], mode = bondingMode.ACTIVE_BACKUP, options = "", miimon = { frequency: "100" } } = bond;
+        const { slaves = [], mode = bondingMode.ACTIVE_BACKUP, options = "", miimon = { frequency: 100 } } = bond;
         const interfaces = slaves.map(i => i.device);
         const opts = [`miimon=${miimon.frequency}`, options].join(' ');
         return { bond: { interfaces, mode, options: opts } };
     },
+    [interfaceType.TEAM]: ({ team }) => {
+        const { runner = {}, link_watch = {}, ports = [] } = team;
+        return {
+            team: {
+                runner: runner._attrs?.name,
+                lacp: { active: runner.active, fastRate: runner.fast_rate },
+                ports: ports.map(({ device, prio, sticky }) => ({ device, prio, sticky })),
+                linkWatches: (link_watch.watch || []).map(teamLinkWatchProps)
+            }
+        };
+    },
     [interfaceType.BRIDGE]: ({ bridge }) => {
         const { ports } = bridge;
         return { bridge: { ports: ports.map(p => p.device) } };
     },
+    [interfaceType.OVS_BRIDGE]: ({ ovs_bridge }) => {
+        const { ports = [], vlan } = ovs_bridge;
+        return {
+            ovsBridge: { ports: ports.map(p => p.device), vlanParent: vlan?.parent, vlanTag: vlan?.tag }
+        };
+    },
     [interfaceType.VLAN]: ({ vlan }) => {
         const { tag, device } = vlan;
         return { vlan: { parentDevice: device, vlanId: tag } };
     },
+    [interfaceType.MACVLAN]: ({ macvlan }) => {
+        const { device, mode } = macvlan;
+        return { macvlan: { parentDevice: device, mode } };
+    },
+    [interfaceType.MACVTAP]: ({ macvtap }) => {
+        const { device, mode } = macvtap;
+        return { macvlan: { parentDevice: device, mode } };
+    },
+    [interfaceType.GRE]: ({ gre }) => tunnelProps(gre),
+    [interfaceType.GRETAP]: ({ gretap }) => tunnelProps(gretap),
+    [interfaceType.IPIP]: ({ ipip }) => tunnelProps(ipip),
+    [interfaceType.SIT]: ({ sit }) => tunnelProps(sit),
+    [interfaceType.TUN]: ({ tun }) => ({ tuntap: { owner: tun.owner, group: tun.group } }),
+    [interfaceType.TAP]: ({ tap }) => ({ tuntap: { owner: tap.owner, group: tap.group } }),
     [interfaceType.WIRELESS]: ({ wireless }) => {
         const { ap_scan, network } = wireless;
         const { essid, mode } = network;
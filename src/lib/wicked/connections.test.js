@@ -24,6 +24,7 @@ import interfaceType from '../model/interfaceType';
 import startMode from '../model/startMode';
 import addressType from '../model/addressType';
 import bondingMode from '../model/bondingMode';
+import macvlanMode from '../model/macvlanMode';
 
 describe('#createConnection', () => {
     const wickedConfig = {
@@ -31,17 +32,19 @@ describe('#createConnection', () => {
         control: {
             mode: 'boot',
             boot_stage: 'localfs',
-            persistent: 'true'
+            persistent: true
         },
         'ipv4:dhcp': {
-            enabled: 'true'
+            enabled: true
+        },
+        'ipv4:static': {
+            address: [
+                { local: '192.168.1.2/24', label: 'backup' },
+                { local: '192.168.2.1/24', label: 'private' },
+            ]
         },
-        'ipv4:static': [
-            { local: '192.168.1.2/24', label: 'backup' },
-            { local: '192.168.2.1/24', label: 'private' },
-        ],
         'ipv6:dhcp': {
-            enabled: 'true'
+            enabled: true
         }
     };
 
@@ -61,6 +64,12 @@ describe('#createConnection', () => {
         ]);
     });
 
+    it('keeps the configuration origin', () => {
+        const origin = 'wicked:xml:/etc/wicked/ifconfig/eth0.xml';
+        const connection = createConnection({ ...wickedConfig, _attrs: { origin } });
+        expect(connection.origin).toEqual(origin);
+    });
+
     it('do not set a boot protocol', () => {
         const connection = createConnection(wickedConfig);
         expect(connection.bootProto).toBeUndefined();
@@ -84,12 +93,25 @@ describe('#createConnection', () => {
         });
     });
 
+    describe('when it is an Open vSwitch bridge', () => {
+        const wickedConfig = {
+            name: 'ovsbr0.10',
+            ovs_bridge: { vlan: { parent: 'ovsbr0', tag: 10 }, ports: [{ device: 'eth1' }] }
+        };
+
+        it('sets the Open vSwitch bridge specific properties', () => {
+            const conn = createConnection(wickedConfig);
+            expect(conn.type).toEqual(interfaceType.OVS_BRIDGE);
+            expect(conn.ovsBridge).toEqual({ ports: ['eth1'], vlanParent: 'ovsbr0', vlanTag: 10 });
+        });
+    });
+
     describe('when it is a bond device', () => {
         const wickedConfig = {
             name: 'bond0',
             bond: {
                 mode: 'balance-rr',
-                miimon: { frequency: "100", "carrier-detect": "netif" },
+                miimon: { frequency: 100, carrier_detect: "netif" },
                 slaves: [{ device: 'eth0' }, { device: 'eth1' }],
                 options: 'some-option'
             },
@@ -104,4 +126,62 @@ describe('#createConnection', () => {
             });
         });
     });
+
+    describe('when it is a macvtap device', () => {
+        const wickedConfig = {
+            name: 'macvtap0',
+            macvtap: { device: 'eth0', mode: 'bridge' }
+        };
+
+        it('sets the macvlan specific properties', () => {
+            const conn = createConnection(wickedConfig);
+            expect(conn.type).toEqual(interfaceType.MACVTAP);
+            expect(conn.macvlan).toEqual({ parentDevice: 'eth0', mode: macvlanMode.BRIDGE });
+        });
+    });
+
+    describe('when it is a team device', () => {
+        const wickedConfig = {
+            name: 'team0',
+            team: {
+                runner: { active: true, fast_rate: true, _attrs: { name: 'lacp' } },
+                link_watch: { watch: [{ delay_up: 100, _attrs: { name: 'ethtool' } }] },
+                ports: [{ device: 'eth1', prio: 10 }, { device: 'eth2' }]
+            }
+        };
+
+        it('sets the team specific properties', () => {
+            const conn = createConnection(wickedConfig);
+            expect(conn.type).toEqual(interfaceType.TEAM);
+            expect(conn.team).toEqual({
+                runner: 'lacp',
+                lacp: { active: true, fastRate: true },
+                ports: [{ device: 'eth1', prio: 10 }, { device: 'eth2' }],
+                linkWatches: [{ name: 'ethtool', delayUp: 100 }]
+            });
+        });
+    });
+
+    describe('when it is a TAP device', () => {
+        it('sets the owner and the group', () => {
+            const conn = createConnection({ name: 'tap0', tap: { owner: '107', group: '36' } });
+            expect(conn.type).toEqual(interfaceType.TAP);
+            expect(conn.tuntap).toEqual({ owner: '107', group: '36' });
+        });
+    });
+
+    describe('when it is a tunnel', () => {
+        const wickedConfig = {
+            name: 'gre1',
+            gre: { device: 'eth0', local_address: '192.168.1.1', remote_address: '10.0.0.1', ttl: 64 }
+        };
+
+        it('sets the tunnel specific properties', () => {
+            const conn = createConnection(wickedConfig);
+            expect(conn.type).toEqual(interfaceType.GRE);
+            expect(conn.tunnel).toEqual({
+                parentDevice: 'eth0', localAddress: '192.168.1.1', remoteAddress: '10.0.0.1', ttl: 64
+            });
+        });
+    });
 });
@@ -0,0 +1,287 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+/**
+ * Errors reported by Wicked
+ *
+ * @module wicked/errors
+ */
+
+import cockpit from 'cockpit';
+
+const _ = cockpit.gettext;
+const NC_ = cockpit.noop;
+
+/**
+ * Error severities
+ *
+ * - INFO: the command succeeded, but there is something the user may want to know.
+ * - WARNING: the interface works, but not exactly as expected.
+ * - ERROR: the command failed.
+ */
+const INFO = 'info';
+const WARNING = 'warning';
+const ERROR = 'error';
+
+/**
+ * Wicked exit codes
+ *
+ * @see https://github.com/openSUSE/wicked/blob/master/include/wicked/constants.h
+ * @ignore
+ */
+const EXIT_CODES = {
+    1: {
+        reason: 'error',
+        severity: ERROR,
+        message: NC_("Wicked reported an unexpected error"),
+        remediation: NC_("Check the error details and the wickedd logs (journalctl -u wickedd)")
+    },
+    2: {
+        reason: 'setup-failed',
+        severity: ERROR,
+        message: NC_("The interface could not be set up"),
+        remediation: NC_("Check the interface configuration and the wickedd logs (journalctl -u wickedd)")
+    },
+    3: {
+        reason: 'unused',
+        severity: ERROR,
+        message: NC_("The interface is not in use or the operation is not supported"),
+        remediation: NC_("Check that the interface is configured and its start mode")
+    },
+    4: {
+        reason: 'usage',
+        severity: ERROR,
+        message: NC_("Wicked was called with invalid arguments"),
+        remediation: NC_("Please, report a bug including the error details")
+    },
+    5: {
+        reason: 'not-installed',
+        severity: ERROR,
+        message: NC_("A program needed by wicked is not installed"),
+        remediation: NC_("Install the missing packages mentioned in the error details")
+    },
+    6: {
+        reason: 'not-configured',
+        severity: ERROR,
+        message: NC_("Wicked is not configured"),
+        remediation: NC_("Check the files under /etc/sysconfig/network and /etc/wicked")
+    },
+    7: {
+        reason: 'not-running',
+        severity: ERROR,
+        message: NC_("The wicked service is not running"),
+        remediation: NC_("Start the wicked service (systemctl start wicked)")
+    },
+    155: {
+        reason: 'no-device',
+        severity: ERROR,
+        message: NC_("The device does not exist"),
+        remediation: NC_("Check that the device is present or that its parent devices are configured")
+    },
+    156: {
+        reason: 'device-down',
+        severity: ERROR,
+        message: NC_("The device is not up"),
+        remediation: NC_("Set the interface up")
+    },
+    157: {
+        reason: 'unconfigured',
+        severity: ERROR,
+        message: NC_("The device is not configured"),
+        remediation: NC_("Configure the interface or reload its configuration")
+    },
+    158: {
+        reason: 'no-carrier',
+        severity: WARNING,
+        message: NC_("The device has no carrier"),
+        remediation: NC_("Check that the cable is plugged in or the link is available")
+    },
+    159: {
+        reason: 'no-config',
+        severity: INFO,
+        message: NC_("No configuration was found for the interface"),
+        remediation: NC_("Configure the interface if it should be managed by wicked")
+    },
+    160: {
+        reason: 'no-lease',
+        severity: WARNING,
+        message: NC_("No address could be obtained"),
+        remediation: NC_("Check that the DHCP server is reachable or use a static configuration")
+    },
+    161: {
+        reason: 'not-in-state',
+        severity: WARNING,
+        message: NC_("The interface did not reach the expected state"),
+        remediation: NC_("Check the interface status and try to reload it")
+    },
+    162: {
+        reason: 'setup-in-progress',
+        severity: WARNING,
+        message: NC_("The interface setup is still in progress"),
+        remediation: NC_("Wait a bit and check the interface status again")
+    },
+    163: {
+        reason: 'config-changed',
+        severity: INFO,
+        message: NC_("The interface is up, but its configuration changed and a reload is advised"),
+        remediation: NC_("Reload the interface to apply the new configuration")
+    },
+    164: {
+        reason: 'enslaved',
+        severity: INFO,
+        message: NC_("The device is up and it is part of another device"),
+        remediation: NC_("Manage the interface through its master device")
+    },
+    165: {
+        reason: 'state-lower',
+        severity: INFO,
+        message: NC_("The interface state is lower than expected"),
+        remediation: NC_("Check the interface status and try to reload it")
+    },
+    166: {
+        reason: 'persistent',
+        severity: INFO,
+        message: NC_("The interface is in persistent mode"),
+        remediation: NC_("Change the interface start mode if it should be managed")
+    },
+    167: {
+        reason: 'user-controlled',
+        severity: INFO,
+        message: NC_("Users are allowed to configure the interface"),
+        remediation: NC_("Disable the user control if the interface should not be changed by users")
+    }
+};
+
+/**
+ * Problems which prevent a command from finishing, indexed by the cockpit.spawn problem code
+ *
+ * @ignore
+ */
+const PROBLEMS = {
+    cancelled: {
+        reason: 'cancelled',
+        severity: INFO,
+        message: NC_("The command was cancelled"),
+        remediation: NC_("Check the interface status, as it may be partially configured")
+    },
+    timeout: {
+        reason: 'timeout',
+        severity: ERROR,
+        message: NC_("The command did not finish in time"),
+        remediation: NC_("Check the interface status and the wickedd logs (journalctl -u wickedd)")
+    }
+};
+
+/**
+ * @ignore
+ */
+const UNKNOWN_ERROR = {
+    reason: 'unknown',
+    severity: ERROR,
+    message: NC_("Wicked failed with an unknown error"),
+    remediation: NC_("Check the error details and the wickedd logs (journalctl -u wickedd)")
+};
+
+/**
+ * @typedef {Object} WickedErrorDetails
+ * @property {number} exitStatus - Command exit status
+ * @property {string} reason - Error reason (e.g., 'no-device')
+ * @property {string} severity - Error severity ('info', 'warning' or 'error')
+ * @property {string} remediation - Suggested remediation
+ * @property {string} stderr - Error output of the command
+ * @property {string} command - Command line
+ */
+
+/**
+ * Error reported when a wicked command fails
+ *
+ * It decodes the wicked exit code into a reason, a severity, a human readable message and a
+ * suggested remediation.
+ */
+class WickedError extends Error {
+    /**
+     * @param {object} args - Error attributes
+     * @param {number} [args.exitStatus] - Command exit status
+     * @param {string} [args.problem] - Problem which prevented the command from finishing
+     *   ('cancelled' or 'timeout')
+     * @param {Array<string>} [args.command=[]] - Command line
+     * @param {string} [args.stderr=""] - Error output of the command
+     */
+    constructor({ exitStatus, problem, command = [], stderr = "" } = {}) {
+        const info = EXIT_CODES[exitStatus] || PROBLEMS[problem] || UNKNOWN_ERROR;
+
+        super(_(info.message));
+        this.name = 'WickedError';
+        this.exitStatus = exitStatus;
+        this.reason = info.reason;
+        this.severity = info.severity;
+        this.remediation = _(info.remediation);
+        this.stderr = stderr.trim();
+        this.command = command.join(' ');
+    }
+
+    /**
+     * Builds an error from a cockpit.spawn failure
+     *
+     * @param {object} error - Error raised by cockpit.spawn (a ProcessError)
+     * @param {Array<string>} command - Command line
+     * @param {string} [output] - Command output, when it was collected by the caller
+     * @return {WickedError}
+     */
+    static fromSpawnError(error, command, output) {
+        return new WickedError({
+            exitStatus: error.exit_status,
+            problem: error.problem,
+            command,
+            stderr: output || error.message || error.problem || ""
+        });
+    }
+
+    /**
+     * Whether the command actually failed
+     *
+     * Only informative exit codes are ignored, as they do not prevent the interface from
+     * working. Warnings are reported like any other failure.
+     *
+     * @return {boolean}
+     */
+    isFatal() {
+        return this.severity !== INFO;
+    }
+
+    /**
+     * Returns a plain object with the error details
+     *
+     * @return {WickedErrorDetails}
+     */
+    get details() {
+        const { exitStatus, reason, severity, remediation, stderr, command } = this;
+        return { exitStatus, reason, severity, remediation, stderr, command };
+    }
+}
+
+export default WickedError;
+
+export {
+    INFO,
+    WARNING,
+    ERROR
+};
@@ -0,0 +1,98 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import WickedError, { ERROR, INFO } from './errors';
+
+describe('WickedError', () => {
+    it('decodes the exit status', () => {
+        const error = new WickedError({ exitStatus: 7 });
+
+        expect(error).toBeInstanceOf(Error);
+        expect(error.message).toEqual('The wicked service is not running');
+        expect(error.reason).toEqual('not-running');
+        expect(error.severity).toEqual(ERROR);
+        expect(error.remediation).toMatch(/systemctl start wicked/);
+    });
+
+    it('handles unknown exit codes', () => {
+        const error = new WickedError({ exitStatus: 99 });
+        expect(error.reason).toEqual('unknown');
+        expect(error.isFatal()).toEqual(true);
+    });
+
+    describe('.fromSpawnError', () => {
+        it('captures the error output and the command line', () => {
+            const error = WickedError.fromSpawnError(
+                { exit_status: 163, message: "eth0 config changed\n" }, ['/usr/sbin/wicked', 'ifup', 'eth0']
+            );
+
+            expect(error.details).toEqual({
+                exitStatus: 163,
+                reason: 'config-changed',
+                severity: INFO,
+                remediation: 'Reload the interface to apply the new configuration',
+                stderr: 'eth0 config changed',
+                command: '/usr/sbin/wicked ifup eth0'
+            });
+        });
+
+        it('uses the problem when the command could not be run', () => {
+            const error = WickedError.fromSpawnError({ problem: 'not-found' }, ['/usr/sbin/wicked']);
+            expect(error.stderr).toEqual('not-found');
+            expect(error.reason).toEqual('unknown');
+        });
+
+        it('decodes cancelled and timed out commands', () => {
+            const cancelled = WickedError.fromSpawnError({ problem: 'cancelled' }, ['/usr/sbin/wicked']);
+            expect(cancelled.reason).toEqual('cancelled');
+            expect(cancelled.isFatal()).toEqual(false);
+
+            const timedOut = WickedError.fromSpawnError({ problem: 'timeout' }, ['/usr/sbin/wicked']);
+            expect(timedOut.reason).toEqual('timeout');
+            expect(timedOut.isFatal()).toEqual(true);
+        });
+
+        it('uses the given output instead of the error message', () => {
+            const error = WickedError.fromSpawnError(
+                { exit_status: 157, message: 'exited with code 157' }, ['/usr/sbin/wicked'], 'no config\n'
+            );
+            expect(error.stderr).toEqual('no config');
+        });
+    });
+
+    describe('#isFatal', () => {
+        it('returns false for codes which do not prevent the interface from working', () => {
+            [159, 163, 164, 165, 166, 167].forEach(exitStatus => {
+                expect(new WickedError({ exitStatus }).isFatal()).toEqual(false);
+            });
+        });
+
+        it('returns true for warnings', () => {
+            [158, 160, 161, 162].forEach(exitStatus => {
+                expect(new WickedError({ exitStatus }).isFatal()).toEqual(true);
+            });
+        });
+
+        it('returns true for errors', () => {
+            expect(new WickedError({ exitStatus: 157 }).isFatal()).toEqual(true);
+        });
+    });
+});
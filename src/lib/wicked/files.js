@@ -20,14 +20,26 @@
  */
 
 /**
- * Classes to deal with sysconfig network configuration files
+ * Classes to deal with network configuration files
+ *
+ * Besides the sysconfig files (`ifcfg-*`, `ifroute-*`, etc.), it supports the native Wicked
+ * XML configuration files placed under `/etc/wicked/ifconfig`.
  *
  * @module wicked/files
  */
 
 import cockpit from 'cockpit';
 import bootProtocol from '../model/bootProtocol';
+import interfaceType from '../model/interfaceType';
+import startMode from '../model/startMode';
+import teamLinkWatch from '../model/teamLinkWatch';
+import teamRunner from '../model/teamRunner';
 import wirelessAuthMode from '../model/wirelessAuthMode';
+import wirelessMode from '../model/wirelessMode';
+import { parse, stringify } from './sysconfig';
+import * as ifroute from './ifroute';
+import * as xml from './xml';
+import { ConflictError } from '../errors';
 
 /**
  * @ignore
@@ -39,8 +51,14 @@ const connectionToSysconfig = (connection) => {
         STARTMODE: connection.startMode,
         ...addressesToSysconfig(connection),
         ...bridgeToSysconfig(connection.bridge),
+        ...ovsBridgeToSysconfig(connection.ovsBridge),
         ...bondToSysconfig(connection.bond),
+        ...teamToSysconfig(connection.team),
         ...vlanToSysconfig(connection.vlan),
+        ...macvlanToSysconfig(connection.type, connection.macvlan),
+        ...tunnelToSysconfig(connection.type, connection.tunnel),
+        ...dummyToSysconfig(connection.type),
+        ...tuntapToSysconfig(connection.type, connection.tuntap),
         ...wirelessToSysconfig(connection.wireless)
     };
 };
@@ -51,7 +69,11 @@ const bootProtoFor = (connection) => {
         ipv6: { bootProto: ipv6Proto, addresses: ipv6Addresses }
     } = connection;
 
-    if (ipv4Proto === bootProtocol.DHCP && ipv6Proto === bootProtocol.DHCP) {
+    if (ipv4Proto === bootProtocol.DHCP_AUTOIP && ipv6Proto === bootProtocol.DHCP) {
+        return bootProtocol.DHCP_AUTOIP;
+    } else if (ipv4Proto === bootProtocol.AUTOIP) {
+        return bootProtocol.AUTOIP;
+    } else if (ipv4Proto === bootProtocol.DHCP && ipv6Proto === bootProtocol.DHCP) {
         return bootProtocol.DHCP;
     } else if (ipv4Proto === bootProtocol.DHCP) {
         return bootProtocol.DHCP4;
@@ -80,6 +102,18 @@ const bridgeToSysconfig = (bridge) => {
     };
 };
 
+const ovsBridgeToSysconfig = (ovsBridge) => {
+    if (ovsBridge === undefined) return {};
+    const ports = ovsBridge.ports
+            .reduce((all, port, n) => { return { ...all, [`OVS_BRIDGE_PORT_DEVICE_${n}`]: port } }, {});
+    return {
+        OVS_BRIDGE: 'yes',
+        OVS_BRIDGE_VLAN_PARENT: ovsBridge.vlanParent,
+        OVS_BRIDGE_VLAN_TAG: ovsBridge.vlanParent ? ovsBridge.vlanTag : undefined,
+        ...ports
+    };
+};
+
 const bondToSysconfig = (bond) => {
     if (bond === undefined) return {};
     const interfaces = bond.interfaces
@@ -91,6 +125,54 @@ const bondToSysconfig = (bond) => {
     };
 };
 
+/**
+ * Variables holding the settings of each team link watcher type, indexed by setting name
+ */
+const TEAM_LINK_WATCH_KEYS = {
+    [teamLinkWatch.ETHTOOL]: {
+        delayUp: 'TEAM_LW_ETHTOOL_DELAY_UP',
+        delayDown: 'TEAM_LW_ETHTOOL_DELAY_DOWN'
+    },
+    [teamLinkWatch.ARP_PING]: {
+        sourceHost: 'TEAM_LW_ARP_PING_SOURCE_HOST',
+        targetHost: 'TEAM_LW_ARP_PING_TARGET_HOST',
+        interval: 'TEAM_LW_ARP_PING_INTERVAL'
+    },
+    [teamLinkWatch.NSNA_PING]: {
+        targetHost: 'TEAM_LW_NSNA_PING_TARGET_HOST',
+        interval: 'TEAM_LW_NSNA_PING_INTERVAL'
+    }
+};
+
+const teamToSysconfig = (team) => {
+    if (team === undefined) return {};
+
+    const ports = team.ports.reduce((all, { device, prio, sticky }, n) => ({
+        ...all,
+        [`TEAM_PORT_DEVICE_${n}`]: device,
+        [`TEAM_PORT_PRIO_${n}`]: prio,
+        [`TEAM_PORT_STICKY_${n}`]: sticky
+    }), {});
+
+    const linkWatches = team.linkWatches.reduce((all, watch, n) => {
+        const keys = TEAM_LINK_WATCH_KEYS[watch.name] || {};
+        const settings = Object.entries(keys).reduce((values, [prop, key]) => (
+            { ...values, [`${key}_${n}`]: watch[prop] }
+        ), {});
+
+        return { ...all, [`TEAM_LW_NAME_${n}`]: watch.name, ...settings };
+    }, {});
+
+    const isLacp = team.runner === teamRunner.LACP;
+    return {
+        TEAM_RUNNER: team.runner,
+        TEAM_LACP_ACTIVE: isLacp ? team.lacp.active : undefined,
+        TEAM_LACP_FAST_RATE: isLacp ? team.lacp.fastRate : undefined,
+        ...ports,
+        ...linkWatches
+    };
+};
+
 const wirelessAuthToSysconfig = (wireless) => {
     const attrsAuthMode = {
         [wirelessAuthMode.WPA_PSK]: {
@@ -143,77 +225,502 @@ const vlanToSysconfig = (vlan) => {
     };
 };
 
+const macvlanToSysconfig = (type, macvlan) => {
+    if (macvlan === undefined) return {};
+    return {
+        INTERFACETYPE: type,
+        MACVLAN_DEVICE: macvlan.parentDevice,
+        MACVLAN_MODE: macvlan.mode
+    };
+};
+
+const tunnelToSysconfig = (type, tunnel) => {
+    if (tunnel === undefined) return {};
+    return {
+        TUNNEL: type,
+        TUNNEL_LOCAL_IPADDR: tunnel.localAddress,
+        TUNNEL_REMOTE_IPADDR: tunnel.remoteAddress,
+        TUNNEL_TTL: tunnel.ttl,
+        TUNNEL_DEVICE: tunnel.parentDevice
+    };
+};
+
+const dummyToSysconfig = (type) => {
+    return (type === interfaceType.DUMMY) ? { INTERFACETYPE: type } : {};
+};
+
+const tuntapToSysconfig = (type, tuntap) => {
+    if (tuntap === undefined) return {};
+    return {
+        TUNNEL: type,
+        TUNNEL_SET_OWNER: tuntap.owner,
+        TUNNEL_SET_GROUP: tuntap.group
+    };
+};
+
 /**
- * @typedef {Object} SysconfigFileLine
- * @property {string} comment - Comment content. The whole line is considered a comment.
- * @property {string} key - Variable name
- * @property {object} value - Variable value
- * @property {boolean} commented - Whether the line is commented (used only when key/value are present)
+ * Builds an XML element
+ *
+ * @ignore
+ * @param {string} name - Element name
+ * @param {Array<XmlNode>|string|number} [content=[]] - Child elements or text
+ * @return {XmlNode}
  */
+const element = (name, content = []) => {
+    if (Array.isArray(content)) return { name, attrs: {}, children: content, text: '' };
+
+    return { name, attrs: {}, children: [], text: String(content) };
+};
 
 /**
- * Parser to read/write the configuration data
+ * Sets the content of the child element with the given name
+ *
+ * The element is added if it does not exist and its attributes are kept otherwise. When the
+ * content is undefined, the element is removed.
  *
- * @todo Add support for reading the content.
+ * @ignore
+ * @param {XmlNode} parent - Parent element
+ * @param {string} name - Child element name
+ * @param {Array<XmlNode>|string|number|undefined} content - Child elements or text
+ * @return {XmlNode|undefined} Child element
+ */
+const setChild = (parent, name, content) => {
+    const index = parent.children.findIndex(c => c.name === name);
+
+    if (content === undefined) {
+        if (index !== -1) parent.children.splice(index, 1);
+        return;
+    }
+
+    const child = { ...element(name, content), attrs: index === -1 ? {} : parent.children[index].attrs };
+    if (index === -1) {
+        parent.children.push(child);
+    } else {
+        parent.children[index] = child;
+    }
+
+    return child;
+};
+
+/**
+ * Returns the child element with the given name, adding it if it does not exist
+ *
+ * @ignore
+ * @param {XmlNode} parent - Parent element
+ * @param {string} name - Child element name
+ * @return {XmlNode}
+ */
+const ensureChild = (parent, name) => {
+    return parent.children.find(c => c.name === name) || setChild(parent, name, []);
+};
+
+const XML_START_MODES = {
+    [startMode.AUTO]: 'boot',
+    [startMode.HOTPLUG]: 'hotplug',
+    [startMode.IFPLUGD]: 'ifplugd',
+    [startMode.MANUAL]: 'manual',
+    [startMode.NFSROOT]: 'boot'
+};
+
+const controlToXml = (iface, mode) => {
+    if (mode === startMode.OFF) return setChild(iface, 'control', undefined);
+
+    const control = ensureChild(iface, 'control');
+    setChild(control, 'mode', XML_START_MODES[mode]);
+    if (mode === startMode.NFSROOT) {
+        setChild(control, 'boot-stage', 'localfs');
+        setChild(control, 'persistent', 'true');
+    } else {
+        setChild(control, 'boot-stage', undefined);
+    }
+};
+
+const DHCP_PROTOCOLS = [bootProtocol.DHCP, bootProtocol.DHCP_AUTOIP];
+const AUTOIP_PROTOCOLS = [bootProtocol.AUTOIP, bootProtocol.DHCP_AUTOIP];
+
+/**
+ * Enables or disables an address configuration method (e.g., `ipv4:dhcp`)
+ *
+ * Disabled methods which were not configured are not added at all.
+ *
+ * @ignore
+ */
+const methodToXml = (iface, name, enabled) => {
+    const method = iface.children.find(c => c.name === name);
+    if (!method && !enabled) return;
+
+    setChild(method || ensureChild(iface, name), 'enabled', enabled ? 'true' : 'false');
+};
+
+const ipToXml = (iface, family, ip) => {
+    const staticName = `${family}:static`;
+    const addresses = ip.addresses.map(({ local, label }) => (
+        element('address', [element('local', local), ...(label ? [element('label', label)] : [])])
+    ));
+
+    // other elements (like routes) are kept
+    const current = iface.children.find(c => c.name === staticName);
+    const others = current ? current.children.filter(c => c.name !== 'address') : [];
+    if (addresses.length > 0 || others.length > 0) {
+        ensureChild(iface, staticName).children = [...addresses, ...others];
+    } else {
+        setChild(iface, staticName, undefined);
+    }
+
+    methodToXml(iface, `${family}:dhcp`, DHCP_PROTOCOLS.includes(ip.bootProto));
+    if (family === 'ipv4') methodToXml(iface, 'ipv4:auto', AUTOIP_PROTOCOLS.includes(ip.bootProto));
+};
+
+const bondToXml = (iface, bond) => {
+    if (bond === undefined) return;
+
+    const node = ensureChild(iface, 'bond');
+    setChild(node, 'mode', bond.mode);
+    setChild(node, 'slaves', bond.interfaces.map(name => element('slave', [element('device', name)])));
+
+    const [, frequency] = bond.options.match(/miimon=(\d+)/) || [];
+    if (frequency) setChild(ensureChild(node, 'miimon'), 'frequency', frequency);
+};
+
+const XML_TEAM_LINK_WATCH_ELEMENTS = {
+    delayUp: 'delay_up',
+    delayDown: 'delay_down',
+    sourceHost: 'source_host',
+    targetHost: 'target_host',
+    interval: 'interval'
+};
+
+const teamToXml = (iface, team) => {
+    if (team === undefined) return;
+
+    const node = ensureChild(iface, 'team');
+
+    // the settings of other runners are dropped when the runner changes
+    const runner = ensureChild(node, 'runner');
+    if (runner.attrs.name !== team.runner) runner.children = [];
+    runner.attrs = { ...runner.attrs, name: team.runner };
+    const isLacp = team.runner === teamRunner.LACP;
+    setChild(runner, 'active', isLacp ? String(team.lacp.active) : undefined);
+    setChild(runner, 'fast_rate', isLacp ? String(team.lacp.fastRate) : undefined);
+
+    const watches = team.linkWatches.map(watch => {
+        const settings = Object.keys(TEAM_LINK_WATCH_KEYS[watch.name] || {})
+                .filter(prop => watch[prop] !== undefined)
+                .map(prop => element(XML_TEAM_LINK_WATCH_ELEMENTS[prop], watch[prop]));
+        return { ...element('watch', settings), attrs: { name: watch.name } };
+    });
+    setChild(node, 'link_watch', watches.length > 0 ? watches : undefined);
+
+    setChild(node, 'ports', team.ports.map(({ device, prio, sticky }) => element('port', [
+        element('device', device),
+        ...(prio !== undefined ? [element('prio', prio)] : []),
+        ...(sticky !== undefined ? [element('sticky', String(sticky))] : [])
+    ])));
+};
+
+const bridgeToXml = (iface, bridge) => {
+    if (bridge === undefined) return;
+
+    const node = ensureChild(iface, 'bridge');
+    setChild(node, 'ports', bridge.ports.map(name => element('port', [element('device', name)])));
+};
+
+const ovsBridgeToXml = (iface, ovsBridge) => {
+    if (ovsBridge === undefined) return;
+
+    const node = ensureChild(iface, 'ovs-bridge');
+    if (ovsBridge.vlanParent) {
+        const vlan = ensureChild(node, 'vlan');
+        setChild(vlan, 'parent', ovsBridge.vlanParent);
+        setChild(vlan, 'tag', ovsBridge.vlanTag);
+    } else {
+        setChild(node, 'vlan', undefined);
+    }
+    setChild(node, 'ports', ovsBridge.ports.map(name => element('port', [element('device', name)])));
+};
+
+const vlanToXml = (iface, vlan) => {
+    if (vlan === undefined) return;
+
+    const node = ensureChild(iface, 'vlan');
+    setChild(node, 'device', vlan.parentDevice);
+    setChild(node, 'tag', vlan.vlanId);
+};
+
+const macvlanToXml = (iface, type, macvlan) => {
+    if (macvlan === undefined) return;
+
+    // MACVTAP interfaces use the same settings under a different element
+    const node = ensureChild(iface, type);
+    setChild(node, 'device', macvlan.parentDevice);
+    setChild(node, 'mode', macvlan.mode);
+};
+
+const tunnelToXml = (iface, type, tunnel) => {
+    if (tunnel === undefined) return;
+
+    const node = ensureChild(iface, type);
+    setChild(node, 'device', tunnel.parentDevice);
+    setChild(node, 'local-address', tunnel.localAddress);
+    setChild(node, 'remote-address', tunnel.remoteAddress);
+    setChild(node, 'ttl', tunnel.ttl);
+};
+
+const dummyToXml = (iface, type) => {
+    if (type === interfaceType.DUMMY) ensureChild(iface, 'dummy');
+};
+
+const tuntapToXml = (iface, type, tuntap) => {
+    if (tuntap === undefined) return;
+
+    // TAP devices use the same settings under a different element
+    const node = ensureChild(iface, type);
+    setChild(node, 'owner', tuntap.owner);
+    setChild(node, 'group', tuntap.group);
+};
+
+const XML_WIRELESS_MODES = {
+    [wirelessMode.AD_HOC]: 'ad-hoc',
+    [wirelessMode.MANAGED]: 'managed',
+    [wirelessMode.MASTER]: 'ap'
+};
+
+const wirelessToXml = (iface, wireless) => {
+    if (wireless === undefined) return;
+
+    const network = ensureChild(ensureChild(iface, 'wireless'), 'network');
+    setChild(network, 'essid', wireless.essid);
+    setChild(network, 'mode', XML_WIRELESS_MODES[wireless.mode]);
+    if (wireless.authMode === wirelessAuthMode.WPA_PSK) {
+        setChild(ensureChild(network, 'wpa-psk'), 'passphrase', wireless.password);
+    } else {
+        setChild(network, 'wpa-psk', undefined);
+    }
+};
+
+/**
+ * Updates an `<interface>` element using the data from the given connection
+ *
+ * @ignore
+ * @param {XmlNode} iface - Interface element
+ * @param {Connection} connection - Connection containing the data to write
+ */
+const connectionToXml = (iface, connection) => {
+    setChild(iface, 'name', connection.name);
+    controlToXml(iface, connection.startMode);
+    ipToXml(iface, 'ipv4', connection.ipv4);
+    ipToXml(iface, 'ipv6', connection.ipv6);
+    bondToXml(iface, connection.bond);
+    teamToXml(iface, connection.team);
+    bridgeToXml(iface, connection.bridge);
+    ovsBridgeToXml(iface, connection.ovsBridge);
+    vlanToXml(iface, connection.vlan);
+    macvlanToXml(iface, connection.type, connection.macvlan);
+    tunnelToXml(iface, connection.type, connection.tunnel);
+    dummyToXml(iface, connection.type);
+    tuntapToXml(iface, connection.type, connection.tuntap);
+    wirelessToXml(iface, connection.wireless);
+};
+
+/**
+ * Parser to read/write sysconfig files
+ *
+ * @see module:wicked/sysconfig
  */
 class SysconfigParser {
     /**
      * Returns the text representation of the file content
      *
      * @param {Array<SysconfigFileLine>} lines - List of objects representing each line
-     * @see parse
+     * @return {string}
      */
     stringify(lines) {
-        const textLines = lines.reduce((all, line) => {
-            if (line.comment !== undefined) {
-                return [...all, line.comment];
-            } else {
-                const { key, value, commented } = line;
-                const newLine = `${key}="${value}"`;
-                return [...all, commented ? `# ${newLine}` : newLine];
-            }
-        }, []);
-        return textLines.join("\n").concat("\n");
+        return stringify(lines);
     }
 
     /**
      * Returns the content of the file as an array of objects
      *
-     * The object is different depending on the content. If it is a comment,
-     * it only has a 'comment' key with the content as value:
+     * @param {string} text - File content
+     * @return {Array<SysconfigFileLine>} An array of objects describing each line
+     */
+    parse(text) {
+        return parse(text);
+    }
+}
+
+const TRUE_VALUES = ['yes', 'true', 'on', '1'];
+const FALSE_VALUES = ['no', 'false', 'off', '0'];
+
+/**
+ * Returns the name of a variable which is part of an array
+ *
+ * @param {string} name - Array name (e.g., 'IPADDR')
+ * @param {string} suffix - Element suffix (e.g., '1' or '' for the plain variable)
+ * @return {string} Variable name (e.g., 'IPADDR_1')
+ */
+const arrayKey = (name, suffix) => (suffix === '' ? name : `${name}_${suffix}`);
+
+/**
+ * Tags (as returned by cockpit.file) of the files as they were when the user loaded them
+ *
+ * The tags are used to find out whether a file changed before writing it, so the changes
+ * made by someone else are not silently overwritten.
+ *
+ * @ignore
+ * @type {Map<string,string>}
+ */
+const knownTags = new Map();
+
+/**
+ * Returns the text representation of a file content
+ *
+ * @ignore
+ * @param {*} content - File content (null if the file does not exist)
+ * @param {object} [syntax] - Parser used to read/write the file
+ * @return {string|null}
+ */
+const toText = (content, syntax) => {
+    if (content === null) return null;
+
+    return syntax ? syntax.stringify(content) : content;
+};
+
+/**
+ * Reads a file and keeps track of its tag
+ *
+ * The tag is only recorded if the file was not read before or if a refresh is requested.
+ * Otherwise, the known tag is kept, so a later write detects any change which happened since
+ * the user loaded the data.
+ *
+ * When a recorder is given, the files it already recorded are read from memory and no tag is
+ * kept.
+ *
+ * @ignore
+ * @param {object} file - File handle (see cockpit.file)
+ * @param {string} path - File path
+ * @param {boolean} refresh - Whether to record the current tag
+ * @param {object} [syntax] - Parser used to read/write the file
+ * @param {FileRecorder} [recorder] - Recorder of the files changed so far
+ * @return {Promise<*>} File content
+ */
+const readFile = (file, path, refresh, syntax, recorder) => {
+    if (recorder?.has(path)) return Promise.resolve(recorder.read(path, syntax));
+
+    return new Promise((resolve, reject) => {
+        file.read()
+                .then((content, tag) => {
+                    if (!recorder && (refresh || !knownTags.has(path))) knownTags.set(path, tag);
+                    resolve(content);
+                })
+                .catch(reject);
+    });
+};
+
+/**
+ * Replaces the content of a file only if it did not change since it was read
+ *
+ * When a recorder is given, the file is not written: the change is recorded instead.
+ *
+ * @ignore
+ * @param {object} file - File handle (see cockpit.file)
+ * @param {string} path - File path
+ * @param {*} content - New content (null to remove the file)
+ * @param {boolean} force - Whether to write the file even if it changed
+ * @param {object} [syntax] - Parser used to read/write the file
+ * @param {FileRecorder} [recorder] - Recorder to keep the change in
+ * @return {Promise}
+ * @throws {ConflictError} when the file changed since it was read
+ */
+const replaceFile = async (file, path, content, force, syntax, recorder) => {
+    if (recorder) return recorder.record(path, content, syntax);
+
+    const tag = force ? undefined : knownTags.get(path);
+
+    try {
+        const newTag = await file.replace(content, tag);
+        knownTags.set(path, newTag);
+    } catch (error) {
+        if (error && error.problem === 'change-conflict') throw new ConflictError(path);
+        throw error;
+    }
+};
+
+/**
+ * @typedef {Object} FileChange
+ * @property {string} path - File path
+ * @property {string|null} before - Current content (null if the file does not exist)
+ * @property {string|null} after - New content (null if the file is removed)
+ */
+
+/**
+ * Records the changes in the files instead of writing them
+ *
+ * Pass it as the `recorder` option when reading and writing the files. Recorded files are kept
+ * in memory, so reading them again returns the new content. It allows to find out how a series
+ * of changes would affect the files without touching them.
+ */
+class FileRecorder {
+    constructor() {
+        this.files = new Map();
+    }
+
+    /**
+     * Whether the file was recorded
      *
-     *   { comment: "## Type: integer" }
+     * @param {string} path - File path
+     * @return {boolean}
+     */
+    has(path) {
+        return this.files.has(path);
+    }
+
+    /**
+     * Returns the recorded content of a file
      *
-     * If it is a key/value pair, the object contains a pair of 'key'
-     * and 'value' keys.
+     * @param {string} path - File path
+     * @param {object} [syntax] - Parser used to read/write the file
+     * @return {*} File content (null if the file was removed)
+     */
+    read(path, syntax) {
+        const { after } = this.files.get(path);
+        return (after === null || !syntax) ? after : syntax.parse(after);
+    }
+
+    /**
+     * Records the new content of a file
      *
-     *   { key: "AUTO6_WAIT_AT_BOOT", value: "" }
+     * The current content is read from disk the first time the file is recorded.
      *
-     * @param {string} text - File content
-     * @return {Array<SysconfigFileLine>} An array of objects describing each line
+     * @param {string} path - File path
+     * @param {*} content - New content (null to remove the file)
+     * @param {object} [syntax] - Parser used to read/write the file
+     * @return {Promise}
      */
-    parse(text) {
-        const keyValueLine = new RegExp(/^ *(#)? *([A-Za-z_0-9]+) *= *"?([^"]*)"?/);
+    async record(path, content, syntax) {
+        const recorded = this.files.get(path);
+        const before = recorded
+            ? recorded.before
+            : await cockpit.file(path, { superuser: "require" }).read();
+        this.files.set(path, { path, before, after: toText(content, syntax) });
+    }
 
-        const lines = text.split(/\r?\n/);
-        return lines.reduce((content, line) => {
-            const matches = line.match(keyValueLine);
-            if (matches === null) {
-                return [...content, { comment: line }];
-            } else {
-                return [...content, {
-                    key: matches[2], value: matches[3], commented: (matches[1] === '#')
-                }];
-            }
-        }, []);
+    /**
+     * Returns the changes in the files which would be modified
+     *
+     * @return {Array<FileChange>}
+     */
+    changes() {
+        return Array.from(this.files.values()).filter(f => f.before !== f.after);
     }
 }
 
 /**
  * Class that represents a sysconfig configuration file
  *
- * This is a quite limited class that does not do any conversion type and does not know
- * about arrays (like IPADDR_1, IPADDR_2, etc.).
+ * Values are kept as strings, but there are helpers to read them as booleans, integers or
+ * lists. Arrays (like IPADDR, IPADDR_1, IPADDR_foo, etc.) can be read using
+ * {@link SysconfigFile#getArray} and {@link SysconfigFile#getGroups}.
  */
 class SysconfigFile {
     /**
@@ -224,16 +731,22 @@ class SysconfigFile {
         this.data = [];
     }
 
-    read() {
-        const file = cockpit.file(this.path, { syntax: new SysconfigParser(), superuser: "require" });
-        return new Promise((resolve, reject) => {
-            file.read()
-                    .then(content => {
-                        this.data = content;
-                        resolve(this);
-                    })
-                    .catch(reject);
-        });
+    /**
+     * Reads the file content
+     *
+     * @param {object} [options] - Reading options
+     * @param {boolean} [options.refresh=false] - Whether the content is shown to the user, so
+     *   later writes should be checked against it
+     * @param {FileRecorder} [options.recorder] - Recorder of the files changed so far
+     * @return {Promise<SysconfigFile>}
+     */
+    async read({ refresh = false, recorder } = {}) {
+        const syntax = new SysconfigParser();
+        const file = cockpit.file(this.path, { syntax, superuser: "require" });
+        const content = await readFile(file, this.path, refresh, syntax, recorder);
+        // cockpit returns null when the file does not exist
+        this.data = content || [];
+        return this;
     }
 
     /**
@@ -244,20 +757,119 @@ class SysconfigFile {
      * @return {string|*} - Variable value or defaultValue if not found
      */
     get(key, defaultValue) {
-        const line = this.data.find(l => l.key === key);
+        const line = this.lineFor(key);
         return (line && !line.commented) ? line.value : defaultValue;
     }
 
+    /**
+     * Returns the line which defines the given variable
+     *
+     * As the file is sourced by a shell, the last assignment wins. If the variable is only
+     * present in commented lines, the first one is returned.
+     *
+     * @ignore
+     * @param {string} key - Variable name
+     * @return {SysconfigFileLine|undefined}
+     */
+    lineFor(key) {
+        const lines = this.data.filter(l => l.key === key);
+        const active = lines.filter(l => !l.commented);
+        return (active.length > 0) ? active[active.length - 1] : lines[0];
+    }
+
+    /**
+     * Get the value for a given variable as a boolean
+     *
+     * @param {string} key - Variable name
+     * @param {*} [defaultValue] - Default value in case of not found or not a boolean value
+     * @return {boolean|*} - Variable value or defaultValue
+     */
+    getBoolean(key, defaultValue) {
+        const value = (this.get(key) || '').toLowerCase();
+
+        if (TRUE_VALUES.includes(value)) return true;
+        if (FALSE_VALUES.includes(value)) return false;
+        return defaultValue;
+    }
+
+    /**
+     * Get the value for a given variable as an integer
+     *
+     * @param {string} key - Variable name
+     * @param {*} [defaultValue] - Default value in case of not found or not an integer value
+     * @return {number|*} - Variable value or defaultValue
+     */
+    getInteger(key, defaultValue) {
+        const value = (this.get(key) || '').trim();
+        return /^-?\d+$/.test(value) ? parseInt(value, 10) : defaultValue;
+    }
+
+    /**
+     * Get the value for a given variable as a list of whitespace separated words
+     *
+     * @param {string} key - Variable name
+     * @return {Array<string>} - List of words (empty if the variable is not found)
+     */
+    getList(key) {
+        return (this.get(key) || '').split(/\s+/).filter(Boolean);
+    }
+
+    /**
+     * Get the elements of an array
+     *
+     * The elements of an array are the variables named after it, with or without a suffix
+     * (e.g., IPADDR, IPADDR_1 or IPADDR_foo for the IPADDR array).
+     *
+     * @param {string} name - Array name
+     * @return {Array<{suffix: string, value: string}>} - Elements in the order they appear in
+     *   the file. The suffix of the variable without suffix is ''.
+     */
+    getArray(name) {
+        const prefix = `${name}_`;
+
+        return this.data
+                .filter(l => !l.commented && (l.key === name || l.key?.startsWith(prefix)))
+                .map(l => ({ suffix: l.key === name ? '' : l.key.slice(prefix.length), value: l.value }));
+    }
+
+    /**
+     * Get the elements of several arrays which share the same suffixes
+     *
+     * The first array drives the list of suffixes: for instance, getting the groups for
+     * ['IPADDR', 'PREFIXLEN', 'LABEL'] returns one object for each IPADDR element, including
+     * the PREFIXLEN and LABEL values with the same suffix.
+     *
+     * @param {Array<string>} names - Arrays names
+     * @return {Array<Object<string,string>>} - Groups including the suffix and the value of each
+     *   array (indexed by array name)
+     */
+    getGroups(names) {
+        const [main, ...others] = names;
+
+        return this.getArray(main).map(({ suffix, value }) => (
+            others.reduce((group, name) => ({ ...group, [name]: this.get(arrayKey(name, suffix)) }),
+                          { suffix, [main]: value })
+        ));
+    }
+
     /**
      * Set the value for a given variable
      *
+     * Booleans are written as 'yes' or 'no' and numbers are converted to strings.
+     *
      * @param {string} key - Variable name
-     * @param {string} value - Value to assign to the variable
+     * @param {string|boolean|number} value - Value to assign to the variable
      */
     set(key, value) {
-        const line = this.data.find(l => l.key === key);
+        const line = this.lineFor(key);
         const someValue = (value !== undefined && value !== null);
 
+        if (typeof value === 'boolean') {
+            value = value ? 'yes' : 'no';
+        } else if (someValue) {
+            value = String(value);
+        }
+
         if (!line && someValue) {
             this.data.push({ key, value, commented: false });
         } else if (line) {
@@ -270,6 +882,17 @@ class SysconfigFile {
         }
     }
 
+    /**
+     * Remove the assignments of a given variable
+     *
+     * Commented assignments are kept.
+     *
+     * @param {string} key - Variable name
+     */
+    unset(key) {
+        this.data = this.data.filter(l => l.key !== key || l.commented);
+    }
+
     /**
      * Set values for multiple variables
      *
@@ -283,14 +906,128 @@ class SysconfigFile {
     /**
      * Writes current values to the file
      *
+     * @param {object} [options] - Writing options
+     * @param {boolean} [options.force=false] - Whether to write the file even if it changed
+     *   since it was read
+     * @param {FileRecorder} [options.recorder] - Recorder to keep the change in, instead of
+     *   writing the file
      * @return {Promise}
+     * @throws {ConflictError} when the file changed since it was read
      */
-    write() {
-        const file = cockpit.file(this.path, { syntax: new SysconfigParser(), superuser: "require" });
-        return file.replace(this.data);
+    write({ force = false, recorder } = {}) {
+        const syntax = new SysconfigParser();
+        const file = cockpit.file(this.path, { syntax, superuser: "require" });
+        return replaceFile(file, this.path, this.data, force, syntax, recorder);
     }
 }
 
+/**
+ * @typedef {Object} KeyFamily
+ * @property {string} [type] - Connection type the family belongs to. If it is not set, the
+ *   family applies to all connections.
+ * @property {Array<string>} keys - Variables written by the UI
+ * @property {Array<string>} [arrays=[]] - Arrays written by the UI (see {@link SysconfigFile#getArray})
+ * @property {Array<string>} [prefixes=[]] - Prefixes of the variables which only make sense for
+ *   this connection type
+ */
+
+/**
+ * Families of ifcfg variables managed by the UI
+ *
+ * When a connection is written, the variables and arrays of the families that apply to it
+ * are replaced, so obsolete array elements (e.g., IPADDR_2) are removed. The variables
+ * belonging to other connection types (e.g., BONDING_* for a plain ethernet) are removed too.
+ * Everything else (ETHTOOL_OPTIONS, ZONE, DHCLIENT_*, etc.) is kept untouched.
+ *
+ * @ignore
+ * @type {Array<KeyFamily>}
+ */
+const KEY_FAMILIES = [
+    { keys: ['NAME', 'BOOTPROTO', 'STARTMODE'], arrays: ['IPADDR', 'LABEL', 'PREFIXLEN', 'NETMASK'] },
+    {
+        type: interfaceType.BONDING,
+        keys: ['BONDING_MASTER', 'BONDING_MODULE_OPTS'],
+        arrays: ['BONDING_SLAVE'],
+        prefixes: ['BONDING']
+    },
+    {
+        type: interfaceType.TEAM,
+        keys: ['TEAM_RUNNER', 'TEAM_LACP_ACTIVE', 'TEAM_LACP_FAST_RATE'],
+        arrays: [
+            'TEAM_PORT_DEVICE', 'TEAM_PORT_PRIO', 'TEAM_PORT_STICKY', 'TEAM_LW_NAME',
+            ...Object.values(TEAM_LINK_WATCH_KEYS).flatMap(keys => Object.values(keys))
+        ],
+        prefixes: ['TEAM']
+    },
+    { type: interfaceType.BRIDGE, keys: ['BRIDGE', 'BRIDGE_PORTS'], prefixes: ['BRIDGE'] },
+    {
+        type: interfaceType.OVS_BRIDGE,
+        keys: ['OVS_BRIDGE', 'OVS_BRIDGE_VLAN_PARENT', 'OVS_BRIDGE_VLAN_TAG'],
+        arrays: ['OVS_BRIDGE_PORT_DEVICE'],
+        prefixes: ['OVS_BRIDGE']
+    },
+    { type: interfaceType.VLAN, keys: ['VLAN_ID', 'ETHERDEVICE'], prefixes: ['VLAN', 'ETHERDEVICE'] },
+    ...interfaceType.macvlanTypes.map(type => ({
+        type,
+        keys: ['INTERFACETYPE', 'MACVLAN_DEVICE', 'MACVLAN_MODE'],
+        prefixes: ['INTERFACETYPE', 'MACVLAN']
+    })),
+    ...interfaceType.tunnelTypes.map(type => ({
+        type,
+        keys: ['TUNNEL', 'TUNNEL_LOCAL_IPADDR', 'TUNNEL_REMOTE_IPADDR', 'TUNNEL_TTL', 'TUNNEL_DEVICE'],
+        prefixes: ['TUNNEL']
+    })),
+    { type: interfaceType.DUMMY, keys: ['INTERFACETYPE'], prefixes: ['INTERFACETYPE'] },
+    ...interfaceType.tuntapTypes.map(type => ({
+        type,
+        keys: ['TUNNEL', 'TUNNEL_SET_OWNER', 'TUNNEL_SET_GROUP'],
+        prefixes: ['TUNNEL']
+    })),
+    {
+        type: interfaceType.WIRELESS,
+        keys: [
+            'WIRELESS_AP_SCANMODE', 'WIRELESS_AUTH_MODE', 'WIRELESS_ESSID', 'WIRELESS_MODE',
+            'WIRELESS_WPA_PSK', 'WIRELESS_EAP_MODE', 'WIRELESS_EAP_AUTH', 'WIRELESS_WPA_PASSWORD'
+        ],
+        prefixes: ['WIRELESS']
+    }
+];
+
+/**
+ * Whether a name is equal to a prefix or starts with the prefix followed by an underscore
+ *
+ * @ignore
+ * @param {string} name - Variable name
+ * @param {string} prefix - Prefix or array name
+ * @return {boolean}
+ */
+const belongsTo = (name, prefix) => name === prefix || name.startsWith(`${prefix}_`);
+
+/**
+ * Whether the UI manages the given variable for connections of the given type
+ *
+ * Several types can share a prefix (e.g., TUNNEL_* is used by GRE and TUN devices). In that
+ * case, only the variables the other types write are considered; the unknown ones under the
+ * shared prefix are kept, as they may apply to the given type too.
+ *
+ * @ignore
+ * @param {string} key - Variable name
+ * @param {string} type - Connection type
+ * @return {boolean}
+ */
+const isManagedKey = (key, type) => {
+    const ownPrefixes = KEY_FAMILIES
+            .filter(f => f.type === type)
+            .flatMap(f => f.prefixes || []);
+
+    return KEY_FAMILIES.some(({ type: familyType, keys, arrays = [], prefixes = [] }) => {
+        const written = keys.includes(key) || arrays.some(a => belongsTo(key, a));
+        if (!familyType || familyType === type) return written;
+
+        return written || prefixes.some(p => belongsTo(key, p) && !ownPrefixes.includes(p));
+    });
+};
+
 /**
  * Class to handle an `ifcfg-[name]` configuration file
  */
@@ -298,16 +1035,38 @@ class IfcfgFile extends SysconfigFile {
     /**
      * Update file content using the data from the given connection
      *
+     * The variables managed by the UI which are not needed anymore are removed, while the rest
+     * of variables are kept.
+     *
      * @param {Connection} connection - Connection containing the data to write to the file
-     * @return {Promise<string,object>} Promise from the cockpit.file `replace()` function
      */
     update(connection) {
-        super.update(connectionToSysconfig(connection));
+        const values = Object.entries(connectionToSysconfig(connection)).reduce((all, [key, value]) => (
+            (value === undefined || value === null) ? all : { ...all, [key]: value }
+        ), {});
+
+        const stale = this.data.filter(l => (
+            l.key && !l.commented && !(l.key in values) && isManagedKey(l.key, connection.type)
+        ));
+        new Set(stale.map(l => l.key)).forEach(key => this.unset(key));
+
+        super.update(values);
     }
 
-    remove() {
+    /**
+     * Removes the file
+     *
+     * @param {object} [options] - Removing options
+     * @param {boolean} [options.force=false] - Whether to remove the file even if it changed
+     *   since it was read
+     * @param {FileRecorder} [options.recorder] - Recorder to keep the change in, instead of
+     *   removing the file
+     * @return {Promise}
+     * @throws {ConflictError} when the file changed since it was read
+     */
+    remove({ force = false, recorder } = {}) {
         const file = cockpit.file(this.path, { superuser: "require" });
-        return file.replace(null);
+        return replaceFile(file, this.path, null, force, undefined, recorder);
     }
 }
 
@@ -315,44 +1074,27 @@ class IfcfgFile extends SysconfigFile {
  * Parser to read/write ifroute files
  *
  * @see {@link IfrouteFile}
- * @see ifroute(5) man page
- *
- * @todo Add support for writing the content.
+ * @see module:wicked/ifroute
  */
 class IfrouteParser {
+    /**
+     * Returns the content of the file as an array of objects
+     *
+     * @param {string} content - File content
+     * @return {Array<IfrouteEntry|IfrouteComment>} An array of objects describing each line
+     */
     parse(content) {
-        // Replace multiple spaces and tabs with a single space before split the content
-        const lines = content.replace(/[ |\t]+/g, ' ').split(/\n/);
-
-        return lines.reduce((routes, line) => {
-            line = line.trim();
-
-            // Skip comments and empty lines
-            if (line.startsWith("#") || line === "") return routes;
-
-            // Remove dashes by undefined
-            const columns = line.split(/\s/).map(column => column !== "-" ? column : undefined);
-
-            routes.push({
-                destination: columns[0],
-                gateway:     columns[1],
-                netmask:     columns[2],
-                device:      columns[3],
-                options:     columns[4],
-            });
-
-            return routes;
-        }, []);
+        return ifroute.parse(content);
     }
 
-    stringify(data) {
-        return data.map(({ destination, gateway, netmask, options }) => {
-            // The interface/device (4th column) is actually not needed because at this point routes are
-            // being writing in its ifroute-<interface> file.
-            return [destination, gateway, netmask, undefined, options]
-                    .map(v => v || "-")
-                    .join("\t");
-        }).join("\n");
+    /**
+     * Returns the text representation of the file content
+     *
+     * @param {Array<IfrouteEntry|IfrouteComment>} lines - List of objects representing each line
+     * @return {string}
+     */
+    stringify(lines) {
+        return ifroute.stringify(lines);
     }
 }
 
@@ -364,6 +1106,9 @@ class IfrouteParser {
  *    /etc/sysconfig/network/ifroute-<interface>, and
  *    /etc/sysconfig/network/routes
  *
+ * Comments, invalid lines and the routes which did not change are kept when the file is
+ * written.
+ *
  * @see ifroute(5) man page
  */
 class IfrouteFile {
@@ -375,30 +1120,183 @@ class IfrouteFile {
 
         this.path = [BASE_PATH, device ? `ifroute-${device}` : "routes"].join("/");
         this.device = device;
+        this.lines = [];
         this.parser = new IfrouteParser();
         this.file = cockpit.file(this.path, { syntax: this.parser, superuser: "required" });
     }
 
-    async read() {
-        const content = await this.file.read();
-        const result = content || [];
+    /**
+     * Returns the routes defined in the file
+     *
+     * Lines which cannot be parsed are skipped (see {@link IfrouteFile#errors}).
+     *
+     * @param {object} [options] - Reading options
+     * @param {boolean} [options.refresh=false] - Whether the routes are shown to the user, so
+     *   later writes should be checked against them
+     * @param {FileRecorder} [options.recorder] - Recorder of the files changed so far
+     * @return {Promise<Array<Object>>} Route data (see {@link module:model/routes~createRoute})
+     */
+    async read({ refresh = false, recorder } = {}) {
+        const content = await readFile(this.file, this.path, refresh, this.parser, recorder);
+        this.lines = content || [];
 
-        if (!this.device) return result;
+        return this.lines.filter(l => l.comment === undefined).map(entry => {
+            const route = ifroute.entryToRoute(entry);
+            return { ...route, device: route.device || this.device };
+        });
+    }
 
-        return result.map((route) => {
-            route.device ||= this.device;
-            return route;
+    /**
+     * Errors found in the lines which could not be parsed
+     *
+     * @return {Array<IfrouteSyntaxError>}
+     */
+    get errors() {
+        return ifroute.errors(this.lines);
+    }
+
+    /**
+     * Replaces the routes defined in the file
+     *
+     * @param {Array<Object>} routes - Routes to write
+     * @param {object} [options] - Writing options
+     * @param {boolean} [options.force=false] - Whether to write the file even if it changed
+     *   since it was read
+     * @param {FileRecorder} [options.recorder] - Recorder to keep the change in, instead of
+     *   writing the file
+     * @return {Promise}
+     * @throws {IfrouteSyntaxError} when a route is not valid
+     * @throws {ConflictError} when the file changed since it was read
+     */
+    async update(routes, { force = false, recorder } = {}) {
+        const entries = routes.map(route => {
+            // the interface is implicit in the ifroute-<interface> files
+            const device = (route.device === this.device) ? undefined : route.device;
+            return ifroute.routeToEntry({ ...route, device });
         });
+
+        await this.read({ recorder });
+        this.lines = ifroute.updateEntries(this.lines, entries, this.device);
+        return replaceFile(this.file, this.path, this.lines, force, this.parser, recorder);
+    }
+}
+
+/**
+ * Parser to read/write the Wicked XML configuration files
+ *
+ * Comments and declarations are preserved, so they are not lost when the file is written.
+ *
+ * @see {@link IfconfigFile}
+ */
+class IfconfigParser {
+    parse(content) {
+        return xml.parse(content, { preserve: true });
+    }
+
+    stringify(nodes) {
+        return xml.stringify(nodes);
+    }
+}
+
+/**
+ * Class to handle a native Wicked XML configuration file (usually under `/etc/wicked/ifconfig`)
+ *
+ * A file may contain several `<interface>` elements. Only the one matching the connection is
+ * changed and the elements which are not managed by the UI are kept.
+ */
+class IfconfigFile {
+    /**
+     * @param {string} path - File path
+     */
+    constructor(path) {
+        this.path = path;
+        this.nodes = [];
+        this.parser = new IfconfigParser();
+        this.file = cockpit.file(this.path, { syntax: this.parser, superuser: "require" });
+    }
+
+    /**
+     * Reads the file content
+     *
+     * @param {object} [options] - Reading options
+     * @param {boolean} [options.refresh=false] - Whether the content is shown to the user, so
+     *   later writes should be checked against it
+     * @param {FileRecorder} [options.recorder] - Recorder of the files changed so far
+     * @return {Promise<IfconfigFile>}
+     */
+    async read({ refresh = false, recorder } = {}) {
+        const content = await readFile(this.file, this.path, refresh, this.parser, recorder);
+        this.nodes = content || [];
+        return this;
+    }
+
+    /**
+     * Returns the `<interface>` element for the given name
+     *
+     * @param {string} name - Interface name
+     * @return {XmlNode|undefined}
+     */
+    interface(name) {
+        return this.nodes.find(n => (
+            n.name === 'interface' && n.children.some(c => c.name === 'name' && c.text.trim() === name)
+        ));
     }
 
-    async update(routes) {
-        return this.file.replace(routes);
+    /**
+     * Updates the interface configuration using the data from the given connection
+     *
+     * The interface element is added if it does not exist.
+     *
+     * @param {Connection} connection - Connection containing the data to write to the file
+     */
+    update(connection) {
+        let iface = this.interface(connection.name);
+        if (!iface) {
+            iface = element('interface', [element('name', connection.name)]);
+            this.nodes.push(iface);
+        }
+
+        connectionToXml(iface, connection);
+    }
+
+    /**
+     * Removes the configuration of the given interface
+     *
+     * @param {string} name - Interface name
+     */
+    removeInterface(name) {
+        const iface = this.interface(name);
+        this.nodes = this.nodes.filter(n => n !== iface);
+    }
+
+    /**
+     * Writes the changes to the file
+     *
+     * The file is removed when it does not contain any interface.
+     *
+     * @param {object} [options] - Writing options
+     * @param {boolean} [options.force=false] - Whether to write the file even if it changed
+     *   since it was read
+     * @param {FileRecorder} [options.recorder] - Recorder to keep the change in, instead of
+     *   writing the file
+     * @return {Promise}
+     * @throws {ConflictError} when the file changed since it was read
+     */
+    write({ force = false, recorder } = {}) {
+        const empty = !this.nodes.some(n => n.name === 'interface');
+        return replaceFile(this.file, this.path, empty ? null : this.nodes, force, this.parser, recorder);
     }
 }
 
 export {
+    TEAM_LINK_WATCH_KEYS,
+    arrayKey,
+    FileRecorder,
     IfcfgFile,
+    IfconfigFile,
+    IfconfigParser,
     IfrouteFile,
+    IfrouteParser,
     SysconfigParser,
     SysconfigFile
 };
@@ -19,10 +19,14 @@
  * find current contact information at www.suse.com.
  */
 
-import { IfcfgFile, SysconfigParser, SysconfigFile } from './files';
+import {
+    FileRecorder, IfcfgFile, IfconfigFile, IfconfigParser, IfrouteFile, IfrouteParser, SysconfigParser, SysconfigFile
+} from './files';
+import { ConflictError } from '../errors';
 import model from '../model';
 import interfaceType from '../model/interfaceType';
 import bootProtocol from '../model/bootProtocol';
+import startMode from '../model/startMode';
 import cockpit from 'cockpit';
 
 const conn = model.createConnection({
@@ -100,6 +104,282 @@ describe('IfcfgFile', () => {
                 expect(ifcfg.get('BONDING_MODULE_OPTS')).toEqual('mode=active-backup some-option');
             });
         });
+
+        describe('when it is an Open vSwitch fake bridge', () => {
+            const conn = model.createConnection({
+                name: 'ovsbr0.10', type: interfaceType.OVS_BRIDGE,
+                ovsBridge: { ports: ['eth1'], vlanParent: 'ovsbr0', vlanTag: 10 }
+            });
+
+            it('includes the Open vSwitch bridge settings', () => {
+                ifcfg.update(conn);
+                expect(ifcfg.get('OVS_BRIDGE')).toEqual('yes');
+                expect(ifcfg.get('OVS_BRIDGE_PORT_DEVICE_0')).toEqual('eth1');
+                expect(ifcfg.get('OVS_BRIDGE_VLAN_PARENT')).toEqual('ovsbr0');
+                expect(ifcfg.get('OVS_BRIDGE_VLAN_TAG')).toEqual('10');
+            });
+        });
+
+        describe('when it is a dummy device', () => {
+            const conn = model.createConnection({ name: 'dummy0', type: interfaceType.DUMMY });
+
+            it('includes the interface type', () => {
+                ifcfg.update(conn);
+                expect(ifcfg.get('INTERFACETYPE')).toEqual('dummy');
+            });
+        });
+
+        describe('when it is a TUN device', () => {
+            const conn = model.createConnection({
+                name: 'tun0', type: interfaceType.TUN, tuntap: { owner: 'openvpn' }
+            });
+
+            it('includes the owner and the group', () => {
+                ifcfg.update(conn);
+                expect(ifcfg.get('TUNNEL')).toEqual('tun');
+                expect(ifcfg.get('TUNNEL_SET_OWNER')).toEqual('openvpn');
+                expect(ifcfg.get('TUNNEL_SET_GROUP')).toBeUndefined();
+            });
+        });
+
+        describe('when it is a team device', () => {
+            const conn = model.createConnection({
+                name: 'team0', type: interfaceType.TEAM,
+                team: {
+                    runner: 'lacp',
+                    lacp: { fastRate: true },
+                    ports: [{ device: 'eth1', prio: 10, sticky: true }, { device: 'eth2' }],
+                    linkWatches: [{ name: 'arp_ping', targetHost: '192.168.1.1', interval: 100 }]
+                }
+            });
+
+            it('includes the team settings', () => {
+                ifcfg.update(conn);
+                expect(ifcfg.get('TEAM_RUNNER')).toEqual('lacp');
+                expect(ifcfg.get('TEAM_LACP_ACTIVE')).toEqual('yes');
+                expect(ifcfg.get('TEAM_LACP_FAST_RATE')).toEqual('yes');
+                expect(ifcfg.get('TEAM_PORT_DEVICE_0')).toEqual('eth1');
+                expect(ifcfg.get('TEAM_PORT_PRIO_0')).toEqual('10');
+                expect(ifcfg.get('TEAM_PORT_STICKY_0')).toEqual('yes');
+                expect(ifcfg.get('TEAM_PORT_DEVICE_1')).toEqual('eth2');
+                expect(ifcfg.get('TEAM_PORT_PRIO_1')).toBeUndefined();
+                expect(ifcfg.get('TEAM_LW_NAME_0')).toEqual('arp_ping');
+                expect(ifcfg.get('TEAM_LW_ARP_PING_TARGET_HOST_0')).toEqual('192.168.1.1');
+                expect(ifcfg.get('TEAM_LW_ARP_PING_INTERVAL_0')).toEqual('100');
+            });
+        });
+
+        describe('when it is a macvtap device', () => {
+            const conn = model.createConnection({
+                name: 'macvtap0', type: interfaceType.MACVTAP,
+                macvlan: { parentDevice: 'eth0', mode: 'passthru' }
+            });
+
+            it('includes the interface type and the macvlan settings', () => {
+                ifcfg.update(conn);
+                expect(ifcfg.get('INTERFACETYPE')).toEqual('macvtap');
+                expect(ifcfg.get('MACVLAN_DEVICE')).toEqual('eth0');
+                expect(ifcfg.get('MACVLAN_MODE')).toEqual('passthru');
+            });
+        });
+
+        describe('when it is a tunnel', () => {
+            const conn = model.createConnection({
+                name: 'gre1', type: interfaceType.GRE,
+                tunnel: { localAddress: '192.168.1.1', remoteAddress: '10.0.0.1', ttl: 64 }
+            });
+
+            it('includes the tunnel settings', () => {
+                ifcfg.update(conn);
+                expect(ifcfg.get('TUNNEL')).toEqual('gre');
+                expect(ifcfg.get('TUNNEL_LOCAL_IPADDR')).toEqual('192.168.1.1');
+                expect(ifcfg.get('TUNNEL_REMOTE_IPADDR')).toEqual('10.0.0.1');
+                expect(ifcfg.get('TUNNEL_TTL')).toEqual('64');
+                expect(ifcfg.get('TUNNEL_DEVICE')).toBeUndefined();
+            });
+        });
+    });
+});
+
+describe('IfcfgFile (rewriting an existing file)', () => {
+    const parser = new SysconfigParser();
+    let content;
+
+    const rewrite = async (conn) => {
+        cockpit.file = jest.fn(() => ({ read: () => Promise.resolve(parser.parse(content)) }));
+        const file = await new IfcfgFile('/etc/sysconfig/network/ifcfg-test').read();
+        file.update(conn);
+        return parser.stringify(file.data);
+    };
+
+    it('removes the addresses which are not used anymore', async () => {
+        content = [
+            "BOOTPROTO='static'",
+            "IPADDR='192.168.1.1/24'",
+            "IPADDR_1='10.0.0.1'",
+            "PREFIXLEN_1='8'",
+            "LABEL_1='private'",
+            "IPADDR_2='10.0.0.2/8'",
+            "ZONE='public'",
+            "ETHTOOL_OPTIONS='-K eth0 tso off'",
+            "DHCLIENT_SET_HOSTNAME='yes'"
+        ].join('\n') + '\n';
+
+        const text = await rewrite(model.createConnection({
+            name: 'eth0',
+            ipv4: { bootProto: bootProtocol.STATIC, addresses: [{ local: '192.168.1.2/24' }] },
+            ipv6: { bootProto: bootProtocol.NONE, addresses: [] }
+        }));
+
+        expect(text).toEqual([
+            "BOOTPROTO='static'",
+            "IPADDR='192.168.1.2/24'",
+            "ZONE='public'",
+            "ETHTOOL_OPTIONS='-K eth0 tso off'",
+            "DHCLIENT_SET_HOSTNAME='yes'",
+            'NAME="eth0"',
+            'STARTMODE="auto"'
+        ].join('\n') + '\n');
+    });
+
+    it('removes the bonding settings when the connection is not a bond anymore', async () => {
+        content = "BONDING_MASTER='yes'\nBONDING_SLAVE_0='eth1'\nBONDING_MIIMON='100'\nMTU='9000'\n";
+
+        const text = await rewrite(model.createConnection({ name: 'bond0', type: interfaceType.ETHERNET }));
+
+        expect(text).not.toMatch(/BONDING/);
+        expect(text).toMatch(/^MTU='9000'$/m);
+    });
+
+    it('removes the stale bonding slaves of a bond', async () => {
+        content = "BONDING_MASTER='yes'\nBONDING_SLAVE_0='eth1'\nBONDING_SLAVE_1='eth2'\nBONDING_SLAVE_x='eth3'\n";
+
+        const text = await rewrite(model.createConnection({
+            name: 'bond0', type: interfaceType.BONDING, bond: { interfaces: ['eth2'], options: 'miimon=100' }
+        }));
+
+        expect(text).toMatch(/^BONDING_SLAVE_0='eth2'$/m);
+        expect(text).not.toMatch(/BONDING_SLAVE_(1|x)/);
+    });
+
+    it('removes the stale ports and link watchers of a team', async () => {
+        content = [
+            "TEAM_RUNNER='lacp'",
+            "TEAM_LACP_FAST_RATE='yes'",
+            "TEAM_PORT_DEVICE_0='eth1'",
+            "TEAM_PORT_PRIO_0='10'",
+            "TEAM_PORT_DEVICE_1='eth2'",
+            "TEAM_LW_NAME_0='arp_ping'",
+            "TEAM_LW_ARP_PING_TARGET_HOST_0='192.168.1.1'",
+            "TEAM_DEBUG_LEVEL='1'"
+        ].join('\n') + '\n';
+
+        const text = await rewrite(model.createConnection({
+            name: 'team0', type: interfaceType.TEAM,
+            team: { runner: 'activebackup', ports: [{ device: 'eth2' }], linkWatches: [{ name: 'ethtool' }] }
+        }));
+
+        expect(text).toMatch(/^TEAM_RUNNER='activebackup'$/m);
+        expect(text).toMatch(/^TEAM_PORT_DEVICE_0='eth2'$/m);
+        expect(text).toMatch(/^TEAM_LW_NAME_0='ethtool'$/m);
+        expect(text).not.toMatch(/TEAM_LACP|TEAM_PORT_PRIO|TEAM_PORT_DEVICE_1|ARP_PING/);
+        expect(text).toMatch(/^TEAM_DEBUG_LEVEL='1'$/m);
+    });
+
+    it('removes the VLAN settings of an Open vSwitch bridge which is not a fake bridge anymore', async () => {
+        content = "OVS_BRIDGE='yes'\nOVS_BRIDGE_VLAN_PARENT='ovsbr0'\nOVS_BRIDGE_VLAN_TAG='10'\n";
+
+        const text = await rewrite(model.createConnection({
+            name: 'ovsbr1', type: interfaceType.OVS_BRIDGE, ovsBridge: { ports: ['eth1'] }
+        }));
+
+        expect(text).toMatch(/^OVS_BRIDGE='yes'$/m);
+        expect(text).toMatch(/^OVS_BRIDGE_PORT_DEVICE_0="eth1"$/m);
+        expect(text).not.toMatch(/OVS_BRIDGE_VLAN/);
+    });
+
+    it('keeps the unknown tunnel settings of a TAP device', async () => {
+        content = "TUNNEL='gre'\nTUNNEL_TTL='64'\nTUNNEL_SET_PERSISTENT='yes'\n";
+
+        const text = await rewrite(model.createConnection({
+            name: 'tap0', type: interfaceType.TAP, tuntap: { group: 'kvm' }
+        }));
+
+        expect(text).toMatch(/^TUNNEL='tap'$/m);
+        expect(text).toMatch(/^TUNNEL_SET_PERSISTENT='yes'$/m);
+        expect(text).toMatch(/^TUNNEL_SET_GROUP="kvm"$/m);
+        expect(text).not.toMatch(/TUNNEL_TTL/);
+    });
+
+    it('removes the bridge settings when the connection is not a bridge anymore', async () => {
+        content = "BRIDGE='yes'\nBRIDGE_PORTS='eth0'\nBRIDGE_STP='off'\n";
+
+        const text = await rewrite(model.createConnection({ name: 'br0', type: interfaceType.ETHERNET }));
+
+        expect(text).not.toMatch(/BRIDGE/);
+    });
+
+    it('keeps the unknown bridge settings of a bridge', async () => {
+        content = "BRIDGE='yes'\nBRIDGE_PORTS='eth0'\nBRIDGE_STP='off'\n";
+
+        const text = await rewrite(model.createConnection({
+            name: 'br0', type: interfaceType.BRIDGE, bridge: { ports: ['eth1'] }
+        }));
+
+        expect(text).toMatch(/^BRIDGE_PORTS='eth1'$/m);
+        expect(text).toMatch(/^BRIDGE_STP='off'$/m);
+    });
+
+    it('removes the VLAN settings when the connection is not a VLAN anymore', async () => {
+        content = "ETHERDEVICE='eth0'\nVLAN_ID='10'\nVLAN_PROTOCOL='ieee802-1Q'\n";
+
+        const text = await rewrite(model.createConnection({ name: 'eth0.10', type: interfaceType.ETHERNET }));
+
+        expect(text).not.toMatch(/ETHERDEVICE|VLAN/);
+    });
+
+    it('removes the MACVLAN settings when the connection is not a MACVLAN anymore', async () => {
+        content = "INTERFACETYPE='macvlan'\nMACVLAN_DEVICE='eth0'\nMACVLAN_MODE='vepa'\n";
+
+        const text = await rewrite(model.createConnection({ name: 'macvlan0', type: interfaceType.ETHERNET }));
+
+        expect(text).not.toMatch(/INTERFACETYPE|MACVLAN/);
+    });
+
+    it('removes the wireless settings which do not apply to the authentication mode', async () => {
+        content = [
+            "WIRELESS_AUTH_MODE='eap'",
+            "WIRELESS_EAP_MODE='PEAP'",
+            "WIRELESS_WPA_PASSWORD='secret'",
+            "WIRELESS_CHANNEL='6'"
+        ].join('\n') + '\n';
+
+        const text = await rewrite(model.createConnection({
+            name: 'wlan0',
+            type: interfaceType.WIRELESS,
+            wireless: { essid: 'home', mode: 'managed', authMode: 'psk', password: 'psk-secret' }
+        }));
+
+        expect(text).not.toMatch(/WIRELESS_EAP_MODE|WIRELESS_WPA_PASSWORD/);
+        expect(text).toMatch(/^WIRELESS_AUTH_MODE='psk'$/m);
+        expect(text).toMatch(/^WIRELESS_WPA_PSK="psk-secret"$/m);
+        expect(text).toMatch(/^WIRELESS_CHANNEL='6'$/m);
+    });
+
+    it('removes the wireless settings when the connection is not wireless anymore', async () => {
+        content = "WIRELESS_ESSID='home'\nWIRELESS_CHANNEL='6'\n";
+
+        const text = await rewrite(model.createConnection({ name: 'wlan0', type: interfaceType.ETHERNET }));
+
+        expect(text).not.toMatch(/WIRELESS/);
+    });
+
+    it('keeps the commented variables', async () => {
+        content = "# IPADDR_1='10.0.0.1'\n";
+
+        const text = await rewrite(model.createConnection({ name: 'eth0' }));
+
+        expect(text).toMatch(/^# IPADDR_1='10.0.0.1'$/m);
     });
 });
 
@@ -231,7 +511,447 @@ describe('SysconfigFile', () => {
                 { key: 'BOOTPROTO', value: 'dhcp', commented: true },
                 { key: 'STARTMODE', value: 'ifplugd', commented: false },
                 { key: 'IPADDR', value: '', commented: false }
+            ], undefined);
+        });
+    });
+
+    describe('when reading typed values and arrays', () => {
+        const parser = new SysconfigParser();
+        const content = [
+            'USERCONTROL="yes"',
+            "BONDING_MASTER='no'",
+            'MTU="1500"',
+            'BRIDGE_PORTS="eth0  eth1"',
+            'IPADDR="192.168.1.1/24"',
+            'IPADDR_1="10.0.0.1"',
+            'PREFIXLEN_1="8"',
+            'LABEL_1="private"',
+            '#IPADDR_2="10.0.0.2"',
+            "IPADDR_x='10.0.0.3/8'",
+            'MTU="9000"'
+        ].join('\n');
+
+        beforeAll(() => {
+            cockpit.file = jest.fn(() => {
+                return { read: () => Promise.resolve(parser.parse(content)), replace: replaceFn };
+            });
+        });
+
+        it('converts booleans, integers and lists', async () => {
+            await file.read();
+            expect(file.getBoolean('USERCONTROL')).toEqual(true);
+            expect(file.getBoolean('BONDING_MASTER')).toEqual(false);
+            expect(file.getBoolean('IPADDR', 'invalid')).toEqual('invalid');
+            expect(file.getInteger('PREFIXLEN_1')).toEqual(8);
+            expect(file.getInteger('LABEL_1', 0)).toEqual(0);
+            expect(file.getList('BRIDGE_PORTS')).toEqual(['eth0', 'eth1']);
+            expect(file.getList('UNKNOWN')).toEqual([]);
+        });
+
+        it('uses the last assignment of a variable', async () => {
+            await file.read();
+            expect(file.get('MTU')).toEqual('9000');
+        });
+
+        it('returns the uncommented elements of an array', async () => {
+            await file.read();
+            expect(file.getArray('IPADDR')).toEqual([
+                { suffix: '', value: '192.168.1.1/24' },
+                { suffix: '1', value: '10.0.0.1' },
+                { suffix: 'x', value: '10.0.0.3/8' }
             ]);
         });
+
+        it('groups the elements of several arrays by suffix', async () => {
+            await file.read();
+            expect(file.getGroups(['IPADDR', 'PREFIXLEN', 'LABEL'])).toEqual([
+                { suffix: '', IPADDR: '192.168.1.1/24', PREFIXLEN: undefined, LABEL: undefined },
+                { suffix: '1', IPADDR: '10.0.0.1', PREFIXLEN: '8', LABEL: 'private' },
+                { suffix: 'x', IPADDR: '10.0.0.3/8', PREFIXLEN: undefined, LABEL: undefined }
+            ]);
+        });
+
+        it('converts booleans and numbers when setting values', async () => {
+            await file.read();
+            file.set('USERCONTROL', false);
+            file.set('MTU', 1400);
+
+            expect(file.get('USERCONTROL')).toEqual('no');
+            expect(file.get('MTU')).toEqual('1400');
+        });
+    });
+});
+
+/**
+ * Builds a fake cockpit file which behaves like the real one regarding tags
+ *
+ * @param {*} content - File content
+ */
+const taggedFile = (content) => {
+    const file = {
+        tag: '1:first',
+        read: () => ({ then: (fn) => Promise.resolve(fn(content, file.tag)) }),
+        replace: jest.fn((newContent, expectedTag) => {
+            if (expectedTag !== undefined && expectedTag !== file.tag) {
+                const error = { problem: 'change-conflict', message: 'changed' };
+                return Promise.reject(error);
+            }
+
+            file.tag = `${file.tag}+`;
+            return Promise.resolve(file.tag);
+        })
+    };
+
+    return file;
+};
+
+describe('writing files which changed after being read', () => {
+    let fakeFile;
+
+    beforeEach(() => {
+        fakeFile = taggedFile([{ key: 'NAME', value: 'eth0', commented: false }]);
+        cockpit.file = jest.fn(() => fakeFile);
+    });
+
+    it('writes the file if it did not change', async () => {
+        const file = await new SysconfigFile('/tmp/tags/unchanged').read({ refresh: true });
+        await file.write();
+
+        expect(fakeFile.replace).toHaveBeenCalledWith(file.data, '1:first');
+    });
+
+    it('throws a ConflictError if the file changed', async () => {
+        const file = await new SysconfigFile('/tmp/tags/changed').read({ refresh: true });
+        fakeFile.tag = '2:second';
+
+        await expect(file.write()).rejects.toEqual(expect.any(ConflictError));
+        await expect(file.write()).rejects.toHaveProperty('path', '/tmp/tags/changed');
+    });
+
+    it('keeps the tag read when the content was loaded unless a refresh is requested', async () => {
+        await new SysconfigFile('/tmp/tags/reread').read({ refresh: true });
+        fakeFile.tag = '2:second';
+        const file = await new SysconfigFile('/tmp/tags/reread').read();
+
+        await expect(file.write()).rejects.toEqual(expect.any(ConflictError));
+
+        await file.read({ refresh: true });
+        await expect(file.write()).resolves.toBeUndefined();
+    });
+
+    it('uses the new tag after writing the file', async () => {
+        const file = await new SysconfigFile('/tmp/tags/twice').read({ refresh: true });
+        await file.write();
+        await file.write();
+
+        expect(fakeFile.replace).toHaveBeenLastCalledWith(file.data, '1:first+');
+    });
+
+    it('writes the file anyway when it is forced', async () => {
+        const file = await new SysconfigFile('/tmp/tags/forced').read({ refresh: true });
+        fakeFile.tag = '2:second';
+        await file.write({ force: true });
+
+        expect(fakeFile.replace).toHaveBeenCalledWith(file.data, undefined);
+    });
+
+    it('does not remove a configuration file which changed', async () => {
+        const file = await new IfcfgFile('/tmp/tags/ifcfg-eth0').read({ refresh: true });
+        fakeFile.tag = '2:second';
+
+        await expect(file.remove()).rejects.toEqual(expect.any(ConflictError));
+        await file.remove({ force: true });
+        expect(fakeFile.replace).toHaveBeenLastCalledWith(null, undefined);
+    });
+
+    it('does not update a routes file which changed', async () => {
+        const file = new IfrouteFile('eth0');
+        await file.read({ refresh: true });
+        fakeFile.tag = '2:second';
+
+        await expect(file.update([])).rejects.toEqual(expect.any(ConflictError));
+    });
+});
+
+describe('IfconfigFile', () => {
+    const parser = new IfconfigParser();
+    const content = `<!-- provisioned -->
+<interface origin="provisioning">
+  <name>eth0</name>
+  <control>
+    <mode>boot</mode>
+  </control>
+  <firewall>
+    <zone>public</zone>
+  </firewall>
+  <ipv4:static>
+    <address>
+      <local>192.168.1.2/24</local>
+    </address>
+    <route>
+      <destination>10.0.0.0/8</destination>
+    </route>
+  </ipv4:static>
+  <ipv4:dhcp>
+    <enabled>false</enabled>
+    <hostname>host</hostname>
+  </ipv4:dhcp>
+</interface>
+<interface>
+  <name>eth1</name>
+</interface>
+`;
+    let fakeFile;
+
+    beforeEach(() => {
+        fakeFile = taggedFile(parser.parse(content));
+        cockpit.file = jest.fn(() => fakeFile);
+    });
+
+    const written = () => parser.stringify(fakeFile.replace.mock.calls[0][0]);
+
+    it('updates the interface keeping the unmanaged elements and comments', async () => {
+        const file = await new IfconfigFile('/etc/wicked/ifconfig/updated.xml').read();
+        file.update(model.createConnection({
+            name: 'eth0',
+            startMode: startMode.HOTPLUG,
+            ipv4: { bootProto: bootProtocol.DHCP, addresses: [] },
+            ipv6: { bootProto: bootProtocol.NONE, addresses: [] }
+        }));
+        await file.write();
+
+        expect(written()).toEqual(`<!-- provisioned -->
+<interface origin="provisioning">
+  <name>eth0</name>
+  <control>
+    <mode>hotplug</mode>
+  </control>
+  <firewall>
+    <zone>public</zone>
+  </firewall>
+  <ipv4:static>
+    <route>
+      <destination>10.0.0.0/8</destination>
+    </route>
+  </ipv4:static>
+  <ipv4:dhcp>
+    <enabled>true</enabled>
+    <hostname>host</hostname>
+  </ipv4:dhcp>
+</interface>
+<interface>
+  <name>eth1</name>
+</interface>
+`);
+    });
+
+    it('adds the interface if it is not in the file', async () => {
+        const file = await new IfconfigFile('/etc/wicked/ifconfig/added.xml').read();
+        file.update(model.createConnection({
+            name: 'br0',
+            type: interfaceType.BRIDGE,
+            bridge: { ports: ['eth1'] },
+            ipv4: { bootProto: bootProtocol.STATIC, addresses: [{ local: '10.0.0.1/8', label: 'lan' }] },
+            ipv6: { bootProto: bootProtocol.NONE, addresses: [] }
+        }));
+
+        expect(parser.stringify([file.interface('br0')])).toEqual(`<interface>
+  <name>br0</name>
+  <control>
+    <mode>boot</mode>
+  </control>
+  <ipv4:static>
+    <address>
+      <local>10.0.0.1/8</local>
+      <label>lan</label>
+    </address>
+  </ipv4:static>
+  <bridge>
+    <ports>
+      <port>
+        <device>eth1</device>
+      </port>
+    </ports>
+  </bridge>
+</interface>
+`);
+    });
+
+    it('writes the MACVTAP settings under the macvtap element', async () => {
+        const file = await new IfconfigFile('/etc/wicked/ifconfig/macvtap.xml').read();
+        file.update(model.createConnection({
+            name: 'macvtap0',
+            type: interfaceType.MACVTAP,
+            macvlan: { parentDevice: 'eth0', mode: 'bridge' },
+            ipv4: { bootProto: bootProtocol.NONE, addresses: [] },
+            ipv6: { bootProto: bootProtocol.NONE, addresses: [] }
+        }));
+
+        expect(parser.stringify([file.interface('macvtap0')])).toMatch(
+            '  <macvtap>\n    <device>eth0</device>\n    <mode>bridge</mode>\n  </macvtap>\n'
+        );
+    });
+
+    it('writes the Open vSwitch bridge settings under the ovs-bridge element', async () => {
+        const file = await new IfconfigFile('/etc/wicked/ifconfig/ovs.xml').read();
+        file.update(model.createConnection({
+            name: 'ovsbr0.10',
+            type: interfaceType.OVS_BRIDGE,
+            ovsBridge: { ports: [], vlanParent: 'ovsbr0', vlanTag: 10 },
+            ipv4: { bootProto: bootProtocol.NONE, addresses: [] },
+            ipv6: { bootProto: bootProtocol.NONE, addresses: [] }
+        }));
+
+        expect(parser.stringify([file.interface('ovsbr0.10')])).toMatch(
+            '  <ovs-bridge>\n    <vlan>\n      <parent>ovsbr0</parent>\n      <tag>10</tag>\n    </vlan>\n' +
+            '    <ports/>\n  </ovs-bridge>\n'
+        );
+    });
+
+    it('writes the team runner, link watchers and ports', async () => {
+        const file = await new IfconfigFile('/etc/wicked/ifconfig/team.xml').read();
+        file.update(model.createConnection({
+            name: 'team0',
+            type: interfaceType.TEAM,
+            team: {
+                runner: 'lacp',
+                ports: [{ device: 'eth1', prio: 10 }],
+                linkWatches: [{ name: 'ethtool', delayUp: 100 }]
+            },
+            ipv4: { bootProto: bootProtocol.NONE, addresses: [] },
+            ipv6: { bootProto: bootProtocol.NONE, addresses: [] }
+        }));
+
+        expect(parser.stringify([file.interface('team0')])).toMatch(`  <team>
+    <runner name="lacp">
+      <active>true</active>
+      <fast_rate>false</fast_rate>
+    </runner>
+    <link_watch>
+      <watch name="ethtool">
+        <delay_up>100</delay_up>
+      </watch>
+    </link_watch>
+    <ports>
+      <port>
+        <device>eth1</device>
+        <prio>10</prio>
+      </port>
+    </ports>
+  </team>
+`);
+    });
+
+    it('removes only the given interface', async () => {
+        const file = await new IfconfigFile('/etc/wicked/ifconfig/eth0-removed.xml').read();
+        file.removeInterface('eth0');
+        await file.write();
+
+        expect(written()).toEqual('<!-- provisioned -->\n<interface>\n  <name>eth1</name>\n</interface>\n');
+    });
+
+    it('removes the file when no interface is left', async () => {
+        const file = await new IfconfigFile('/etc/wicked/ifconfig/all-removed.xml').read();
+        file.removeInterface('eth0');
+        file.removeInterface('eth1');
+        await file.write();
+
+        expect(fakeFile.replace).toHaveBeenCalledWith(null, expect.anything());
+    });
+
+    it('does not write a file which changed', async () => {
+        const file = await new IfconfigFile('/etc/wicked/ifconfig/changed.xml').read({ refresh: true });
+        fakeFile.tag = '2:second';
+
+        await expect(file.write()).rejects.toEqual(expect.any(ConflictError));
+    });
+});
+
+describe('IfrouteFile', () => {
+    const parser = new IfrouteParser();
+    const content = '# routes\n10.0.0.0 192.168.1.254 255.0.0.0 - metric 100\n10.1.0.0 - 300 -\n';
+    let fakeFile;
+
+    beforeEach(() => {
+        fakeFile = taggedFile(parser.parse(content));
+        cockpit.file = jest.fn(() => fakeFile);
+    });
+
+    it('returns the valid routes using the interface of the file', async () => {
+        const file = new IfrouteFile('eth7');
+        const routes = await file.read();
+
+        expect(routes).toEqual([
+            { destination: '10.0.0.0/8', gateway: '192.168.1.254', device: 'eth7', options: 'metric 100' }
+        ]);
+        expect(file.errors.map(e => e.lineNumber)).toEqual([3]);
+    });
+
+    it('keeps the comments and the invalid lines when writing the routes', async () => {
+        const file = new IfrouteFile('eth8');
+        const [route] = await file.read();
+        await file.update([route, { destination: '10.2.0.0/16', device: 'eth8' }]);
+
+        const [lines] = fakeFile.replace.mock.calls[0];
+        expect(parser.stringify(lines)).toEqual(`${content}10.2.0.0/16\t-\t-\t-\n`);
+    });
+});
+
+describe('FileRecorder', () => {
+    const content = 'NAME=eth0\nSTARTMODE=auto\n';
+    let replace;
+
+    beforeEach(() => {
+        replace = jest.fn();
+        cockpit.file = jest.fn((path, { syntax } = {}) => ({
+            read: () => Promise.resolve(syntax ? syntax.parse(content) : content),
+            replace
+        }));
+    });
+
+    it('records the changes instead of writing the files', async () => {
+        const recorder = new FileRecorder();
+        const file = await new SysconfigFile('/tmp/dry/ifcfg-eth0').read({ recorder });
+        file.set('STARTMODE', 'hotplug');
+        await file.write({ recorder });
+        await new IfcfgFile('/tmp/dry/ifcfg-eth1').remove({ recorder });
+
+        expect(replace).not.toHaveBeenCalled();
+        expect(recorder.changes()).toEqual([
+            { path: '/tmp/dry/ifcfg-eth0', before: content, after: 'NAME=eth0\nSTARTMODE="hotplug"\n' },
+            { path: '/tmp/dry/ifcfg-eth1', before: content, after: null }
+        ]);
+    });
+
+    it('reads the recorded files from memory', async () => {
+        const recorder = new FileRecorder();
+        const first = await new SysconfigFile('/tmp/dry/ifcfg-eth2').read({ recorder });
+        first.set('STARTMODE', 'off');
+        await first.write({ recorder });
+
+        const second = await new SysconfigFile('/tmp/dry/ifcfg-eth2').read({ recorder });
+        expect(second.get('STARTMODE')).toEqual('off');
+        second.set('NAME', 'eth2');
+        await second.write({ recorder });
+
+        expect(recorder.changes()).toEqual([
+            { path: '/tmp/dry/ifcfg-eth2', before: content, after: 'NAME="eth2"\nSTARTMODE="off"\n' }
+        ]);
+    });
+
+    it('does not affect the writes done without the recorder', async () => {
+        const recorder = new FileRecorder();
+        const recorded = await new SysconfigFile('/tmp/dry/ifcfg-eth3').read({ recorder });
+        recorded.set('STARTMODE', 'off');
+        await recorded.write({ recorder });
+
+        const written = await new SysconfigFile('/tmp/dry/ifcfg-eth3').read();
+        written.set('STARTMODE', 'manual');
+        await written.write();
+
+        expect(replace).toHaveBeenCalledTimes(1);
+        expect(recorder.changes()).toEqual([
+            { path: '/tmp/dry/ifcfg-eth3', before: content, after: 'NAME=eth0\nSTARTMODE="off"\n' }
+        ]);
     });
 });
@@ -0,0 +1,166 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+/**
+ * Functions to read the fill-up metadata of sysconfig files
+ *
+ * Variables in sysconfig files are usually preceded by some metadata comments (starting with
+ * `##`) and a free-form description:
+ *
+ *   ## Path:        System/Network/General
+ *   ## Type:        integer(0:)
+ *   ## Default:     30
+ *   #
+ *   # Time (in seconds) to wait for the mandatory interfaces
+ *   #
+ *   WAIT_FOR_INTERFACES="30"
+ *
+ * The `Path` applies to all the variables which follow it, while the rest of the metadata only
+ * applies to the next variable.
+ *
+ * @module wicked/fillup
+ * @see fillup(8) man page
+ */
+
+import model from '../model';
+import settingType from '../model/settingType';
+import { unquote } from './sysconfig';
+
+const metadataRegExp = /^##\s*([A-Za-z]+)\s*:\s*(.*?)\s*$/;
+
+/**
+ * Splits the values of a type (e.g., 'a,b,c' or 'a b c')
+ *
+ * @ignore
+ */
+const typeValues = (text) => text.split(/[,\s]+/).filter(v => v !== '');
+
+/**
+ * Converts a fill-up type into a setting type
+ *
+ * Unknown types are considered to be strings.
+ *
+ * @param {string} [text] - Type as it appears in the metadata (e.g., 'integer(0:10)')
+ * @return {SettingType}
+ */
+const parseType = (text = '') => {
+    const [, name = '', args] = text.trim().match(/^([a-z0-9]+)(?:\((.*)\))?$/i) || [];
+
+    switch (name.toLowerCase()) {
+    case 'yesno':
+    case 'boolean':
+        return { name: settingType.YESNO };
+    case 'integer': {
+        const [min, max] = (args || '').split(':').map(v => (/^-?\d+$/.test(v.trim()) ? parseInt(v, 10) : undefined));
+        return { name: settingType.INTEGER, min, max };
+    }
+    case 'list':
+        return { name: settingType.LIST, values: typeValues(args || '') };
+    case 'ip':
+        return { name: settingType.IP };
+    case 'ip4':
+        return { name: settingType.IP4 };
+    case 'ip6':
+        return { name: settingType.IP6 };
+    case 'regexp':
+        return { name: settingType.REGEXP, pattern: args || '.*' };
+    default:
+        return (args === undefined)
+            ? { name: settingType.STRING }
+            : { name: settingType.STRING, values: typeValues(args) };
+    }
+};
+
+/**
+ * Returns the default value of a variable
+ *
+ * @ignore
+ * @param {string} [text] - Default value as it appears in the metadata (it may be quoted)
+ * @return {string|undefined}
+ */
+const defaultValueFor = (text) => {
+    if (text === undefined) return;
+
+    try {
+        return unquote(text);
+    } catch {
+        return text;
+    }
+};
+
+/**
+ * Returns the settings of a sysconfig file, including their metadata
+ *
+ * Commented variables are not considered settings.
+ *
+ * @param {string} file - File path
+ * @param {Array<SysconfigFileLine>} lines - File content
+ * @return {Array<GlobalSetting>}
+ */
+const readSettings = (file, lines) => {
+    const settings = [];
+    let group = '';
+    let metadata = {};
+    let description = [];
+
+    lines.forEach(line => {
+        if (line.comment !== undefined) {
+            const text = line.comment.trim();
+            const [, name, value] = text.match(metadataRegExp) || [];
+
+            if (name) {
+                if (name.toLowerCase() === 'path') group = value;
+                metadata = { ...metadata, [name.toLowerCase()]: value };
+                description = [];
+            } else if (text.startsWith('#')) {
+                description.push(text.replace(/^#+\s?/, ''));
+            } else if (text === '') {
+                metadata = {};
+                description = [];
+            }
+
+            return;
+        }
+
+        if (!line.commented) {
+            const text = description.join('\n').trim();
+            settings.push(model.createGlobalSetting({
+                file,
+                key: line.key,
+                value: line.value,
+                type: parseType(metadata.type),
+                defaultValue: defaultValueFor(metadata.default),
+                description: text || (metadata.path ? '' : metadata.description) || '',
+                group
+            }));
+        }
+
+        metadata = {};
+        description = [];
+    });
+
+    return settings;
+};
+
+export {
+    parseType,
+    readSettings
+};
@@ -0,0 +1,98 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import { parseType, readSettings } from './fillup';
+import { parse } from './sysconfig';
+
+describe('#parseType', () => {
+    it('reads yes/no and boolean types', () => {
+        expect(parseType('yesno')).toEqual({ name: 'yesno' });
+        expect(parseType('boolean')).toEqual({ name: 'yesno' });
+    });
+
+    it('reads the limits of integers', () => {
+        expect(parseType('integer(0:10)')).toEqual({ name: 'integer', min: 0, max: 10 });
+        expect(parseType('integer(:-1)')).toEqual({ name: 'integer', min: undefined, max: -1 });
+        expect(parseType('integer')).toEqual({ name: 'integer', min: undefined, max: undefined });
+    });
+
+    it('reads the values of lists and strings', () => {
+        expect(parseType('list(auto,static, none)')).toEqual({ name: 'list', values: ['auto', 'static', 'none'] });
+        expect(parseType('string(ignore,strict)')).toEqual({ name: 'string', values: ['ignore', 'strict'] });
+    });
+
+    it('reads the pattern of regular expressions', () => {
+        expect(parseType('regexp(^[0-9]+$)')).toEqual({ name: 'regexp', pattern: '^[0-9]+$' });
+    });
+
+    it('considers unknown or missing types as strings', () => {
+        expect(parseType('whatever')).toEqual({ name: 'string' });
+        expect(parseType()).toEqual({ name: 'string' });
+    });
+});
+
+describe('#readSettings', () => {
+    const text = [
+        '## Path:        System/Network/General',
+        '## Description: Global network configuration',
+        '',
+        '## Type:        yesno',
+        '## Default:     "no"',
+        '#',
+        '# Whether to wait for',
+        '# all interfaces',
+        '#',
+        'WAIT_FOR_ALL="yes"',
+        '',
+        '# DEBUG="yes"',
+        'UNDOCUMENTED=""',
+        '',
+        '## Path:        System/Network/DHCP',
+        '## Type:        list(a,b)',
+        'DHCLIENT_MODE="a"',
+        ''
+    ].join('\n');
+
+    it('returns the settings with the metadata which precedes them', () => {
+        const [waitForAll, undocumented, mode] = readSettings('/etc/sysconfig/network/config', parse(text));
+
+        expect(waitForAll).toEqual({
+            file: '/etc/sysconfig/network/config',
+            key: 'WAIT_FOR_ALL',
+            value: 'yes',
+            type: { name: 'yesno' },
+            defaultValue: 'no',
+            description: 'Whether to wait for\nall interfaces',
+            group: 'System/Network/General'
+        });
+        expect(undocumented).toEqual(expect.objectContaining({
+            type: { name: 'string' }, defaultValue: undefined, group: 'System/Network/General'
+        }));
+        expect(mode).toEqual(expect.objectContaining({
+            type: { name: 'list', values: ['a', 'b'] }, group: 'System/Network/DHCP'
+        }));
+    });
+
+    it('skips commented variables', () => {
+        const settings = readSettings('/etc/sysconfig/network/config', parse(text));
+        expect(settings.map(s => s.key)).not.toContain('DEBUG');
+    });
+});
@@ -0,0 +1,343 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+/**
+ * Functions to build connection model objects from the ifcfg files
+ *
+ * Unlike `wicked show-config`, reading the files does not require wicked to be running and
+ * keeps the sysconfig details which do not survive the conversion to XML (e.g., the exact
+ * BOOTPROTO value or the address labels).
+ *
+ * @module wicked/ifcfg
+ * @see module:model
+ */
+
+import cockpit from 'cockpit';
+import model from '../model';
+import addressType from '../model/addressType';
+import bondingMode from '../model/bondingMode';
+import bootProtocol from '../model/bootProtocol';
+import interfaceType from '../model/interfaceType';
+import macvlanMode from '../model/macvlanMode';
+import startMode from '../model/startMode';
+import teamRunner from '../model/teamRunner';
+import { IfcfgFile, TEAM_LINK_WATCH_KEYS, arrayKey } from './files';
+import { SYSCONFIG_ORIGIN, parseOrigin } from './utils';
+
+const BASE_PATH = '/etc/sysconfig/network';
+
+/**
+ * Files which are ignored by wicked (backups, leftovers from package updates, etc.)
+ *
+ * @ignore
+ */
+const IGNORED_FILES = /(~|\.(bak|old|orig|rpmnew|rpmorig|rpmsave|scpmbackup))$/;
+
+const START_MODE = {
+    auto: startMode.AUTO,
+    onboot: startMode.AUTO,
+    boot: startMode.AUTO,
+    hotplug: startMode.HOTPLUG,
+    ifplugd: startMode.IFPLUGD,
+    manual: startMode.MANUAL,
+    nfsroot: startMode.NFSROOT,
+    off: startMode.OFF
+};
+
+/**
+ * Boot protocols for IPv4 and IPv6 indexed by the BOOTPROTO value
+ *
+ * Addresses-based protocols (static or none) are not included, as they depend on the
+ * addresses of each family.
+ *
+ * @ignore
+ */
+const BOOT_PROTOCOLS = {
+    [bootProtocol.DHCP]: { ipv4: bootProtocol.DHCP, ipv6: bootProtocol.DHCP },
+    [bootProtocol.DHCP4]: { ipv4: bootProtocol.DHCP },
+    [bootProtocol.DHCP6]: { ipv6: bootProtocol.DHCP },
+    [bootProtocol.AUTOIP]: { ipv4: bootProtocol.AUTOIP },
+    [bootProtocol.DHCP_AUTOIP]: { ipv4: bootProtocol.DHCP_AUTOIP, ipv6: bootProtocol.DHCP }
+};
+
+/**
+ * Bonding modes in the order of their numeric values (e.g., `mode=1` is active-backup)
+ *
+ * @ignore
+ */
+const NUMERIC_BONDING_MODES = [
+    bondingMode.BALANCE_RR,
+    bondingMode.ACTIVE_BACKUP,
+    bondingMode.BALANCE_XOR,
+    bondingMode.BROADCAST,
+    bondingMode.DLA_802_3AD,
+    bondingMode.BALANCE_TLB,
+    bondingMode.BALANCE_ALB
+];
+
+/**
+ * Returns the connection name for a given ifcfg file path
+ *
+ * @ignore
+ * @param {string} path - File path (e.g., '/etc/sysconfig/network/ifcfg-eth0')
+ * @return {string} Connection name (e.g., 'eth0')
+ */
+const nameFromPath = (path) => path.split('/').pop()
+        .replace(/^ifcfg-/, '');
+
+/**
+ * Converts a netmask (e.g., 255.255.255.0) into a prefix length (e.g., 24)
+ *
+ * @ignore
+ * @param {string} netmask - IPv4 netmask
+ * @return {number}
+ */
+const prefixFromNetmask = (netmask) => {
+    return netmask.split('.').reduce((bits, octet) => (
+        bits + (parseInt(octet, 10) >>> 0).toString(2)
+                .replace(/0/g, '').length
+    ), 0);
+};
+
+const typeFor = (file) => {
+    const type = file.get('INTERFACETYPE', '').toLowerCase();
+    if (interfaceType.isMacvlan(type) || type === interfaceType.DUMMY) return type;
+    const tunnel = file.get('TUNNEL', '').toLowerCase();
+    if (interfaceType.isTunnel(tunnel) || interfaceType.isTuntap(tunnel)) return tunnel;
+    if (file.get('MACVLAN_DEVICE') !== undefined) return interfaceType.MACVLAN;
+    if (file.getBoolean('BONDING_MASTER', false)) return interfaceType.BONDING;
+    if (file.get('TEAM_RUNNER') !== undefined) return interfaceType.TEAM;
+    if (file.getBoolean('BRIDGE', false)) return interfaceType.BRIDGE;
+    if (file.getBoolean('OVS_BRIDGE', false)) return interfaceType.OVS_BRIDGE;
+    if (file.get('ETHERDEVICE') !== undefined || file.get('VLAN_ID') !== undefined) {
+        return interfaceType.VLAN;
+    }
+    if (file.data.some(l => l.key?.startsWith('WIRELESS_') && !l.commented)) {
+        return interfaceType.WIRELESS;
+    }
+
+    return interfaceType.ETHERNET;
+};
+
+const addressesFor = (file) => {
+    return file.getGroups(['IPADDR', 'PREFIXLEN', 'NETMASK', 'LABEL'])
+            .filter(({ IPADDR }) => IPADDR)
+            .map(({ IPADDR, PREFIXLEN, NETMASK, LABEL }) => {
+                let local = IPADDR;
+                if (!local.includes('/') && PREFIXLEN) {
+                    local = `${local}/${PREFIXLEN}`;
+                } else if (!local.includes('/') && NETMASK) {
+                    local = `${local}/${prefixFromNetmask(NETMASK)}`;
+                }
+
+                return model.createAddressConfig({ local, label: LABEL });
+            });
+};
+
+const ipConfigs = (file) => {
+    const bootProto = file.get('BOOTPROTO', bootProtocol.STATIC).toLowerCase();
+    const dynamic = BOOT_PROTOCOLS[bootProto] || {};
+    const addresses = addressesFor(file);
+
+    return [addressType.IPV4, addressType.IPV6].reduce((all, family) => {
+        const familyAddresses = addresses.filter(a => a.type === family);
+        const staticProto = (familyAddresses.length > 0) ? bootProtocol.STATIC : bootProtocol.NONE;
+
+        return {
+            ...all,
+            [family]: { bootProto: dynamic[family] || staticProto, addresses: familyAddresses }
+        };
+    }, {});
+};
+
+const bondFor = (file) => {
+    const options = file.getList('BONDING_MODULE_OPTS');
+    const modeOption = options.find(o => o.startsWith('mode='));
+    const mode = modeOption?.split('=')[1];
+
+    return {
+        interfaces: file.getArray('BONDING_SLAVE').map(s => s.value),
+        mode: NUMERIC_BONDING_MODES[mode] || mode || bondingMode.ACTIVE_BACKUP,
+        options: options.filter(o => o !== modeOption).join(' ')
+    };
+};
+
+const INTEGER_LINK_WATCH_SETTINGS = ['delayUp', 'delayDown', 'interval'];
+
+const teamFor = (file) => {
+    const ports = file.getArray('TEAM_PORT_DEVICE').map(({ suffix, value }) => ({
+        device: value,
+        prio: file.getInteger(arrayKey('TEAM_PORT_PRIO', suffix)),
+        sticky: file.getBoolean(arrayKey('TEAM_PORT_STICKY', suffix))
+    }));
+
+    const linkWatches = file.getArray('TEAM_LW_NAME').map(({ suffix, value }) => {
+        const name = value.toLowerCase();
+        const keys = TEAM_LINK_WATCH_KEYS[name] || {};
+
+        return Object.entries(keys).reduce((watch, [prop, key]) => {
+            const fullKey = arrayKey(key, suffix);
+            const setting = INTEGER_LINK_WATCH_SETTINGS.includes(prop)
+                ? file.getInteger(fullKey)
+                : file.get(fullKey);
+            return { ...watch, [prop]: setting };
+        }, { name });
+    });
+
+    return {
+        runner: file.get('TEAM_RUNNER', teamRunner.ACTIVE_BACKUP).toLowerCase(),
+        lacp: {
+            active: file.getBoolean('TEAM_LACP_ACTIVE', true),
+            fastRate: file.getBoolean('TEAM_LACP_FAST_RATE', false)
+        },
+        ports,
+        linkWatches
+    };
+};
+
+const ovsBridgeFor = (file) => {
+    return {
+        ports: file.getArray('OVS_BRIDGE_PORT_DEVICE').map(p => p.value),
+        vlanParent: file.get('OVS_BRIDGE_VLAN_PARENT'),
+        vlanTag: file.getInteger('OVS_BRIDGE_VLAN_TAG')
+    };
+};
+
+const vlanFor = (file, name) => {
+    const [, suffix] = name.match(/(\d+)$/) || [];
+    const vlanId = file.getInteger('VLAN_ID', suffix === undefined ? 0 : parseInt(suffix, 10));
+
+    return { vlanId, parentDevice: file.get('ETHERDEVICE') };
+};
+
+const macvlanFor = (file) => {
+    return {
+        parentDevice: file.get('MACVLAN_DEVICE'),
+        mode: file.get('MACVLAN_MODE', macvlanMode.VEPA).toLowerCase()
+    };
+};
+
+const tunnelFor = (file) => {
+    return {
+        localAddress: file.get('TUNNEL_LOCAL_IPADDR'),
+        remoteAddress: file.get('TUNNEL_REMOTE_IPADDR'),
+        ttl: file.getInteger('TUNNEL_TTL'),
+        parentDevice: file.get('TUNNEL_DEVICE')
+    };
+};
+
+const tuntapFor = (file) => {
+    return {
+        owner: file.get('TUNNEL_SET_OWNER'),
+        group: file.get('TUNNEL_SET_GROUP')
+    };
+};
+
+const wirelessFor = (file) => {
+    return {
+        essid: file.get('WIRELESS_ESSID', ''),
+        mode: file.get('WIRELESS_MODE', 'managed').toLowerCase(),
+        authMode: file.get('WIRELESS_AUTH_MODE'),
+        password: file.get('WIRELESS_WPA_PSK', file.get('WIRELESS_WPA_PASSWORD')),
+        eapMode: file.get('WIRELESS_EAP_MODE'),
+        eapAuth: file.get('WIRELESS_EAP_AUTH')
+    };
+};
+
+/**
+ * Creates a connection from an ifcfg file
+ *
+ * @param {IfcfgFile} file - File to convert (it should be already read)
+ * @return {Connection} Connection configuration model object
+ */
+const createConnection = (file) => {
+    const name = nameFromPath(file.path);
+    const type = typeFor(file);
+
+    return model.createConnection({
+        name,
+        type,
+        startMode: START_MODE[file.get('STARTMODE', '').toLowerCase()] || startMode.MANUAL,
+        ...ipConfigs(file),
+        bond: (type === interfaceType.BONDING) ? bondFor(file) : undefined,
+        team: (type === interfaceType.TEAM) ? teamFor(file) : undefined,
+        bridge: (type === interfaceType.BRIDGE) ? { ports: file.getList('BRIDGE_PORTS') } : undefined,
+        ovsBridge: (type === interfaceType.OVS_BRIDGE) ? ovsBridgeFor(file) : undefined,
+        vlan: (type === interfaceType.VLAN) ? vlanFor(file, name) : undefined,
+        macvlan: interfaceType.isMacvlan(type) ? macvlanFor(file) : undefined,
+        tunnel: interfaceType.isTunnel(type) ? tunnelFor(file) : undefined,
+        tuntap: interfaceType.isTuntap(type) ? tuntapFor(file) : undefined,
+        wireless: (type === interfaceType.WIRELESS) ? wirelessFor(file) : undefined,
+        origin: `${SYSCONFIG_ORIGIN}:${file.path}`
+    });
+};
+
+/**
+ * Reads all the ifcfg files
+ *
+ * The content of the files is considered to be shown to the user, so later writes are checked
+ * against it (see {@link SysconfigFile#read}).
+ *
+ * @return {Promise<Array<IfcfgFile>>}
+ */
+const readIfcfgFiles = async () => {
+    const output = await cockpit.spawn(
+        ['/usr/bin/find', BASE_PATH, '-maxdepth', '1', '-type', 'f', '-name', 'ifcfg-*'],
+        { superuser: 'try', err: 'ignore' }
+    );
+    const paths = (output || '').split('\n')
+            .filter(p => p && !IGNORED_FILES.test(p))
+            .sort();
+
+    return Promise.all(paths.map(p => new IfcfgFile(p).read({ refresh: true })));
+};
+
+/**
+ * Merges the connections read from `wicked show-config` with the ones read from the files
+ *
+ * The files take precedence regarding the start mode and the IP settings, as they keep
+ * details which are lost in the XML representation. Connections which only exist in one of
+ * the sources are included too.
+ *
+ * @param {Array<Connection>} configured - Connections from `wicked show-config`
+ * @param {Array<Connection>} fromFiles - Connections from the ifcfg files
+ * @return {Array<Connection>}
+ */
+const mergeConnections = (configured, fromFiles) => {
+    const merged = configured.map(conn => {
+        const fromFile = fromFiles.find(c => c.name === conn.name);
+        // the ifcfg file is ignored when wicked uses a different one (e.g., an XML file)
+        const { source } = parseOrigin(conn.origin);
+        if (!fromFile || (source !== undefined && source !== SYSCONFIG_ORIGIN)) return conn;
+
+        const { startMode, ipv4, ipv6 } = fromFile;
+        return { ...conn, startMode, ipv4, ipv6 };
+    });
+
+    const names = configured.map(c => c.name);
+    return [...merged, ...fromFiles.filter(c => !names.includes(c.name))];
+};
+
+export {
+    createConnection,
+    mergeConnections,
+    readIfcfgFiles
+};
@@ -0,0 +1,253 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import cockpit from 'cockpit';
+import { createConnection, mergeConnections, readIfcfgFiles } from './ifcfg';
+import { IfcfgFile, SysconfigParser } from './files';
+import model from '../model';
+import bootProtocol from '../model/bootProtocol';
+import interfaceType from '../model/interfaceType';
+import startMode from '../model/startMode';
+
+const parser = new SysconfigParser();
+
+/**
+ * Builds an IfcfgFile with the given content
+ *
+ * @param {string} name - Connection name
+ * @param {string} content - File content
+ */
+const ifcfg = (name, content) => {
+    const file = new IfcfgFile(`/etc/sysconfig/network/ifcfg-${name}`);
+    file.data = parser.parse(content);
+    return file;
+};
+
+describe('#createConnection', () => {
+    it('uses the file name as connection name', () => {
+        const conn = createConnection(ifcfg('eth0', "BOOTPROTO='dhcp'\nSTARTMODE='auto'\n"));
+
+        expect(conn).toEqual(expect.objectContaining({
+            name: 'eth0', type: interfaceType.ETHERNET, startMode: startMode.AUTO
+        }));
+    });
+
+    it('considers the start mode to be manual when it is not set', () => {
+        expect(createConnection(ifcfg('eth0', "")).startMode).toEqual(startMode.MANUAL);
+        expect(createConnection(ifcfg('eth0', "STARTMODE=onboot")).startMode).toEqual(startMode.AUTO);
+    });
+
+    it('keeps the exact boot protocol of each family', () => {
+        const dhcp4 = createConnection(ifcfg('eth0', "BOOTPROTO=dhcp4\nIPADDR_1=fd00::1/64\n"));
+        expect(dhcp4.ipv4.bootProto).toEqual(bootProtocol.DHCP);
+        expect(dhcp4.ipv6.bootProto).toEqual(bootProtocol.STATIC);
+
+        const autoip = createConnection(ifcfg('eth0', "BOOTPROTO='dhcp+autoip'\n"));
+        expect(autoip.ipv4.bootProto).toEqual(bootProtocol.DHCP_AUTOIP);
+        expect(autoip.ipv6.bootProto).toEqual(bootProtocol.DHCP);
+    });
+
+    it('reads the addresses including their prefixes and labels', () => {
+        const content = [
+            "BOOTPROTO='static'",
+            "IPADDR='192.168.1.2/24'",
+            "IPADDR_x='10.0.0.1'",
+            "NETMASK_x='255.0.0.0'",
+            "LABEL_x='private'",
+            "IPADDR_1='fd00::1'",
+            "PREFIXLEN_1='64'",
+            ""
+        ].join("\n");
+        const { ipv4, ipv6 } = createConnection(ifcfg('eth0', content));
+
+        expect(ipv4.bootProto).toEqual(bootProtocol.STATIC);
+        expect(ipv4.addresses).toEqual([
+            expect.objectContaining({ local: '192.168.1.2/24', label: '' }),
+            expect.objectContaining({ local: '10.0.0.1/8', label: 'private' })
+        ]);
+        expect(ipv6.addresses).toEqual([expect.objectContaining({ local: 'fd00::1/64' })]);
+    });
+
+    it('reads bonding devices', () => {
+        const content = [
+            "BONDING_MASTER='yes'",
+            "BONDING_MODULE_OPTS='mode=1 miimon=100'",
+            "BONDING_SLAVE_0='eth0'",
+            "BONDING_SLAVE_1='eth1'",
+            ""
+        ].join("\n");
+
+        expect(createConnection(ifcfg('bond0', content))).toEqual(expect.objectContaining({
+            type: interfaceType.BONDING,
+            bond: { mode: 'active-backup', options: 'miimon=100', interfaces: ['eth0', 'eth1'] }
+        }));
+    });
+
+    it('reads bridges', () => {
+        const conn = createConnection(ifcfg('br0', "BRIDGE='yes'\nBRIDGE_PORTS='eth0 eth1'\n"));
+
+        expect(conn).toEqual(expect.objectContaining({
+            type: interfaceType.BRIDGE, bridge: { ports: ['eth0', 'eth1'] }
+        }));
+    });
+
+    it('reads VLANs taking the ID from the name if it is not set', () => {
+        const conn = createConnection(ifcfg('vlan10', "ETHERDEVICE='eth0'\n"));
+
+        expect(conn).toEqual(expect.objectContaining({
+            type: interfaceType.VLAN, vlan: { vlanId: 10, parentDevice: 'eth0' }
+        }));
+    });
+
+    it('reads MACVLAN and MACVTAP devices', () => {
+        const macvlan = createConnection(ifcfg('macvlan0', "MACVLAN_DEVICE='eth0'\nMACVLAN_MODE='Bridge'\n"));
+        expect(macvlan).toEqual(expect.objectContaining({
+            type: interfaceType.MACVLAN, macvlan: { parentDevice: 'eth0', mode: 'bridge' }
+        }));
+
+        const macvtap = createConnection(ifcfg('macvtap0', "INTERFACETYPE='macvtap'\nMACVLAN_DEVICE='eth0'\n"));
+        expect(macvtap).toEqual(expect.objectContaining({
+            type: interfaceType.MACVTAP, macvlan: { parentDevice: 'eth0', mode: 'vepa' }
+        }));
+    });
+
+    it('reads teams', () => {
+        const content = [
+            "TEAM_RUNNER='activebackup'",
+            "TEAM_PORT_DEVICE_0='eth1'",
+            "TEAM_PORT_PRIO_0='100'",
+            "TEAM_PORT_STICKY_0='yes'",
+            "TEAM_PORT_DEVICE_1='eth2'",
+            "TEAM_LW_NAME='nsna_ping'",
+            "TEAM_LW_NSNA_PING_TARGET_HOST='fe80::1'",
+            "TEAM_LW_NSNA_PING_INTERVAL='500'"
+        ].join('\n') + '\n';
+
+        expect(createConnection(ifcfg('team0', content))).toEqual(expect.objectContaining({
+            type: interfaceType.TEAM,
+            team: {
+                runner: 'activebackup',
+                lacp: { active: true, fastRate: false },
+                ports: [
+                    { device: 'eth1', prio: 100, sticky: true },
+                    { device: 'eth2', prio: undefined, sticky: undefined }
+                ],
+                linkWatches: [{ name: 'nsna_ping', targetHost: 'fe80::1', interval: 500 }]
+            }
+        }));
+    });
+
+    it('reads Open vSwitch bridges', () => {
+        const content = "OVS_BRIDGE='yes'\nOVS_BRIDGE_PORT_DEVICE_0='eth1'\nOVS_BRIDGE_PORT_DEVICE_1='eth2'\n";
+
+        expect(createConnection(ifcfg('ovsbr0', content))).toEqual(expect.objectContaining({
+            type: interfaceType.OVS_BRIDGE,
+            ovsBridge: { ports: ['eth1', 'eth2'], vlanParent: undefined, vlanTag: undefined }
+        }));
+    });
+
+    it('reads tunnels', () => {
+        const content = "TUNNEL='sit'\nTUNNEL_REMOTE_IPADDR='10.0.0.1'\nTUNNEL_TTL='64'\nTUNNEL_DEVICE='eth0'\n";
+
+        expect(createConnection(ifcfg('sit1', content))).toEqual(expect.objectContaining({
+            type: interfaceType.SIT,
+            tunnel: { localAddress: undefined, remoteAddress: '10.0.0.1', ttl: 64, parentDevice: 'eth0' }
+        }));
+    });
+
+    it('reads dummy devices', () => {
+        const conn = createConnection(ifcfg('dummy0', "INTERFACETYPE='dummy'\nIPADDR='10.1.1.1/32'\n"));
+
+        expect(conn).toEqual(expect.objectContaining({ type: interfaceType.DUMMY, virtual: true }));
+    });
+
+    it('reads TUN and TAP devices', () => {
+        const content = "TUNNEL='tap'\nTUNNEL_SET_OWNER='qemu'\nTUNNEL_SET_GROUP='kvm'\n";
+
+        expect(createConnection(ifcfg('tap0', content))).toEqual(expect.objectContaining({
+            type: interfaceType.TAP,
+            tuntap: { owner: 'qemu', group: 'kvm' }
+        }));
+    });
+
+    it('reads wireless devices', () => {
+        const content = "WIRELESS_MODE='Managed'\nWIRELESS_ESSID='home'\nWIRELESS_AUTH_MODE='psk'\nWIRELESS_WPA_PSK='secret'\n";
+        const conn = createConnection(ifcfg('wlan0', content));
+
+        expect(conn.type).toEqual(interfaceType.WIRELESS);
+        expect(conn.wireless).toEqual(expect.objectContaining({
+            essid: 'home', mode: 'managed', authMode: 'psk', password: 'secret'
+        }));
+    });
+});
+
+describe('#mergeConnections', () => {
+    const ipv4 = { bootProto: bootProtocol.AUTOIP, addresses: [] };
+    const configured = [
+        model.createConnection({ name: 'eth0', startMode: startMode.AUTO }),
+        model.createConnection({ name: 'br0', type: interfaceType.BRIDGE, bridge: { ports: ['eth0'] } })
+    ];
+    const fromFiles = [
+        model.createConnection({ name: 'eth0', startMode: startMode.IFPLUGD, ipv4 }),
+        model.createConnection({ name: 'eth1' })
+    ];
+
+    it('takes the start mode and the IP settings from the files', () => {
+        const [eth0] = mergeConnections(configured, fromFiles);
+
+        expect(eth0).toEqual({ ...configured[0], startMode: startMode.IFPLUGD, ipv4 });
+    });
+
+    it('includes the connections which only exist in one of the sources', () => {
+        const names = mergeConnections(configured, fromFiles).map(c => c.name);
+
+        expect(names).toEqual(['eth0', 'br0', 'eth1']);
+    });
+
+    it('ignores the files of the connections configured through XML files', () => {
+        const eth0 = { ...configured[0], origin: 'wicked:xml:/etc/wicked/ifconfig/eth0.xml' };
+        const [merged] = mergeConnections([eth0], fromFiles);
+
+        expect(merged).toEqual(eth0);
+    });
+});
+
+describe('#readIfcfgFiles', () => {
+    const files = {
+        '/etc/sysconfig/network/ifcfg-eth0': "BOOTPROTO='dhcp'\n",
+        '/etc/sysconfig/network/ifcfg-lo': "STARTMODE='nfsroot'\n"
+    };
+
+    beforeEach(() => {
+        const paths = [...Object.keys(files), '/etc/sysconfig/network/ifcfg-eth0.rpmsave'];
+        jest.spyOn(cockpit, 'spawn').mockResolvedValue(paths.join("\n") + "\n");
+        cockpit.file = jest.fn(path => ({ read: () => Promise.resolve(parser.parse(files[path])) }));
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('reads the ifcfg files skipping the ignored ones', async () => {
+        const result = await readIfcfgFiles();
+
+        expect(result.map(f => f.path)).toEqual(Object.keys(files));
+        expect(result[0].get('BOOTPROTO')).toEqual('dhcp');
+    });
+});
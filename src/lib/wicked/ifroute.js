@@ -0,0 +1,497 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+/**
+ * Reader and writer for ifroute files (see the ifroute(5) man page)
+ *
+ * Each route is described in a line with the following columns:
+ *
+ *   DESTINATION GATEWAY NETMASK|PREFIXLEN INTERFACE [TYPE] [OPTIONS]
+ *
+ * A dash (`-`) means that the column is not set. The destination can use the CIDR notation
+ * (`192.168.1.0/24` or `2001:db8::/64`) or its prefix length can be given in the third column,
+ * either as a netmask (IPv4 only) or as a number. The options are the ones supported by
+ * `ip route` (e.g., `metric 100 table 10 src 192.168.1.2 proto static`).
+ *
+ * Comments, blank lines and lines which cannot be parsed are kept, so they are written back as
+ * they were read. The same applies to the routes which did not change, while the changed ones
+ * keep their trailing comment.
+ *
+ * @module wicked/ifroute
+ */
+
+import { IPv4, IPv6 } from 'ipaddr.js';
+
+/**
+ * @typedef {Object} RouteOptions
+ * @property {number} [metric] - Route metric (`metric`, `preference` or `priority`)
+ * @property {string} [table] - Routing table
+ * @property {string} [source] - Preferred source address (`src`)
+ * @property {string} [protocol] - Routing protocol (`proto`)
+ * @property {string} [scope] - Route scope
+ * @property {number} [mtu] - MTU along the path
+ * @property {boolean} [onlink] - Whether the gateway is directly reachable
+ * @property {Array<string>} [lock] - Options which are locked (e.g., `mtu lock 1400`)
+ *
+ * Other `ip route` options (`advmss`, `window`, `initcwnd`, etc.) use their own name.
+ */
+
+/**
+ * @typedef {Object} IfrouteEntry
+ * @property {string} destination - Destination address or 'default'
+ * @property {number} [prefixLength] - Destination prefix length
+ * @property {string} [gateway] - Gateway address
+ * @property {string} [device] - Interface name
+ * @property {string} [type] - Route type (e.g., 'unreachable')
+ * @property {RouteOptions} options - Route options
+ */
+
+/**
+ * @typedef {Object} IfrouteComment
+ * @property {string} comment - Line content (a comment, a blank line or an invalid line)
+ * @property {IfrouteSyntaxError} [error] - Error found when the line could not be parsed
+ */
+
+/**
+ * Error found when parsing a route
+ */
+class IfrouteSyntaxError extends Error {
+    /**
+     * @param {string} message - Error description
+     * @param {number} [lineNumber] - Line number (starting at 1)
+     * @param {string} [line] - Line content
+     */
+    constructor(message, lineNumber, line) {
+        super(lineNumber ? `Line ${lineNumber}: ${message}` : message);
+        this.name = 'IfrouteSyntaxError';
+        this.lineNumber = lineNumber;
+        this.line = line;
+    }
+}
+
+const ROUTE_TYPES = [
+    'unicast', 'local', 'broadcast', 'multicast', 'throw', 'unreachable', 'prohibit',
+    'blackhole', 'nat'
+];
+
+/**
+ * Options with a value indexed by their keywords
+ *
+ * `integer` options must have a numeric value and `lockable` ones accept the `lock` modifier.
+ *
+ * @ignore
+ */
+const OPTIONS = {
+    metric: { key: 'metric', integer: true },
+    preference: { key: 'metric', integer: true },
+    priority: { key: 'metric', integer: true },
+    table: { key: 'table' },
+    src: { key: 'source', address: true },
+    proto: { key: 'protocol' },
+    protocol: { key: 'protocol' },
+    scope: { key: 'scope' },
+    realm: { key: 'realm' },
+    realms: { key: 'realm' },
+    tos: { key: 'tos' },
+    dsfield: { key: 'tos' },
+    pref: { key: 'pref' },
+    expires: { key: 'expires', integer: true },
+    mtu: { key: 'mtu', integer: true, lockable: true },
+    advmss: { key: 'advmss', integer: true, lockable: true },
+    window: { key: 'window', integer: true, lockable: true },
+    rtt: { key: 'rtt', lockable: true },
+    rttvar: { key: 'rttvar', lockable: true },
+    reordering: { key: 'reordering', integer: true, lockable: true },
+    hoplimit: { key: 'hoplimit', integer: true, lockable: true },
+    initcwnd: { key: 'initcwnd', integer: true, lockable: true },
+    initrwnd: { key: 'initrwnd', integer: true, lockable: true },
+    cwnd: { key: 'cwnd', integer: true, lockable: true },
+    ssthresh: { key: 'ssthresh', integer: true, lockable: true },
+    features: { key: 'features' },
+    quickack: { key: 'quickack', integer: true },
+    congctl: { key: 'congctl', lockable: true },
+    fastopen_no_cookie: { key: 'fastopen_no_cookie', integer: true }
+};
+
+const FLAGS = ['onlink', 'pervasive'];
+
+/**
+ * Keywords used when writing each option
+ *
+ * @ignore
+ */
+const KEYWORDS = Object.entries(OPTIONS).reduce((all, [keyword, { key }]) => (
+    (key in all) ? all : { ...all, [key]: keyword }
+), { source: 'src', protocol: 'proto' });
+
+/**
+ * Original text, values and trailing comment of each route, used to write unmodified routes
+ * untouched and to keep the comment of the changed ones
+ *
+ * @ignore
+ * @type {WeakMap<IfrouteEntry,Object>}
+ */
+const originals = new WeakMap();
+
+/**
+ * Determines whether the given value is an IPv4 (dotted notation) or an IPv6 address
+ *
+ * @ignore
+ * @param {string} value - Value to check
+ * @return {boolean}
+ */
+const isAddress = (value) => IPv4.isValidFourPartDecimal(value) || IPv6.isValid(value);
+
+/**
+ * Splits a text into words
+ *
+ * @ignore
+ * @param {string} text - Text to split
+ * @return {Array<string>}
+ */
+const splitWords = (text) => text.split(/\s+/).filter(w => w !== '');
+
+/**
+ * Returns the value of a column (undefined for dashes)
+ *
+ * @ignore
+ */
+const column = (value) => (value === undefined || value === '-') ? undefined : value;
+
+/**
+ * Parses the type and the options of a route
+ *
+ * @param {Array<string>|string} words - Words after the interface column (or a string containing
+ *   them)
+ * @return {{type: string|undefined, options: RouteOptions}}
+ * @throws {IfrouteSyntaxError} when an option is unknown or its value is not valid
+ */
+const parseOptions = (words) => {
+    const list = Array.isArray(words) ? [...words] : splitWords(words);
+    const type = ROUTE_TYPES.includes(list[0]) ? list.shift() : undefined;
+    const options = {};
+
+    while (list.length > 0) {
+        const keyword = list.shift();
+
+        if (FLAGS.includes(keyword)) {
+            options[keyword] = true;
+            continue;
+        }
+
+        const option = OPTIONS[keyword];
+        if (!option) throw new IfrouteSyntaxError(`Unknown route option '${keyword}'`);
+
+        if (list[0] === 'lock' && option.lockable) {
+            list.shift();
+            options.lock = [...(options.lock || []), option.key];
+        }
+
+        const value = list.shift();
+        if (value === undefined) throw new IfrouteSyntaxError(`Missing value for '${keyword}'`);
+
+        if (option.integer) {
+            if (!/^\d+$/.test(value)) throw new IfrouteSyntaxError(`Invalid value for '${keyword}': ${value}`);
+            options[option.key] = parseInt(value, 10);
+        } else if (option.address && !isAddress(value)) {
+            throw new IfrouteSyntaxError(`Invalid address for '${keyword}': ${value}`);
+        } else {
+            options[option.key] = value;
+        }
+    }
+
+    return { type, options };
+};
+
+/**
+ * Returns the text representation of the type and the options of a route
+ *
+ * @param {{type: string|undefined, options: RouteOptions}} entry - Route type and options
+ * @return {string}
+ */
+const formatOptions = ({ type, options = {} }) => {
+    const { lock = [], ...values } = options;
+    const words = Object.entries(values).reduce((all, [key, value]) => {
+        if (value === undefined || value === false) return all;
+        if (value === true) return [...all, key];
+
+        return [...all, KEYWORDS[key] || key, ...(lock.includes(key) ? ['lock'] : []), String(value)];
+    }, []);
+
+    return [type, ...words].filter(w => w !== undefined).join(' ');
+};
+
+/**
+ * Parses the destination and the netmask columns
+ *
+ * @ignore
+ * @param {string} value - Destination column
+ * @param {string} [netmask] - Netmask column
+ * @return {{destination: string, prefixLength: number|undefined, notation: string}}
+ * @throws {IfrouteSyntaxError} when the destination or the netmask are not valid
+ */
+const parseDestination = (value, netmask) => {
+    if (value === 'default') return { destination: value, notation: 'cidr' };
+
+    const [destination, cidrPrefix, ...extra] = value.split('/');
+    const maxLength = destination.includes(':') ? 128 : 32;
+    let prefixLength = (cidrPrefix === undefined) ? undefined : parseInt(cidrPrefix, 10);
+    let notation = 'cidr';
+
+    const validPrefix = cidrPrefix === undefined || (/^\d+$/.test(cidrPrefix) && prefixLength <= maxLength);
+    if (!isAddress(destination) || !validPrefix || extra.length > 0) {
+        throw new IfrouteSyntaxError(`Invalid destination: ${value}`);
+    }
+
+    if (netmask !== undefined && prefixLength === undefined) {
+        if (/^\/?\d+$/.test(netmask)) {
+            prefixLength = parseInt(netmask.replace('/', ''), 10);
+            notation = 'prefix';
+        } else if (maxLength === 32 && IPv4.isValidFourPartDecimal(netmask)) {
+            prefixLength = IPv4.parse(netmask).prefixLengthFromSubnetMask();
+            notation = 'netmask';
+        }
+
+        if (prefixLength === undefined || prefixLength === null || prefixLength > maxLength) {
+            throw new IfrouteSyntaxError(`Invalid netmask or prefix length: ${netmask}`);
+        }
+    }
+
+    return { destination, prefixLength, notation };
+};
+
+/**
+ * Parses the columns of a route
+ *
+ * @ignore
+ * @param {Array<string>} words - Columns
+ * @return {{entry: IfrouteEntry, notation: string}}
+ * @throws {IfrouteSyntaxError} when a column is not valid
+ */
+const parseColumns = (words) => {
+    const [destinationColumn, gatewayColumn, netmaskColumn, deviceColumn, ...rest] = words;
+    const { destination, prefixLength, notation } = parseDestination(destinationColumn, column(netmaskColumn));
+
+    const gateway = column(gatewayColumn);
+    if (gateway !== undefined && !isAddress(gateway)) {
+        throw new IfrouteSyntaxError(`Invalid gateway: ${gateway}`);
+    }
+
+    const entry = { destination, prefixLength, gateway, device: column(deviceColumn), ...parseOptions(rest) };
+    return { entry, notation };
+};
+
+/**
+ * Returns a copy of the values of a route, used to find out whether it changed
+ *
+ * @ignore
+ */
+const snapshot = (entry) => JSON.stringify(entry);
+
+/**
+ * Returns the content of an ifroute file as an array of objects
+ *
+ * Routes are converted into {@link IfrouteEntry} objects while the rest of the lines (comments,
+ * blank lines and invalid routes) are converted into {@link IfrouteComment} objects. Invalid
+ * lines include the error found when parsing them.
+ *
+ * @param {string} text - File content
+ * @return {Array<IfrouteEntry|IfrouteComment>} An array of objects describing each line
+ */
+const parse = (text) => {
+    const physical = text.split('\n');
+    if (physical[physical.length - 1] === '') physical.pop();
+
+    return physical.map((raw, index) => {
+        const content = raw.replace(/#.*$/, '').trim();
+        if (content === '') return { comment: raw };
+
+        try {
+            const { entry, notation } = parseColumns(splitWords(content));
+            const [comment] = raw.match(/\s*#.*$/) || [];
+            originals.set(entry, { raw, notation, comment, snapshot: snapshot(entry) });
+            return entry;
+        } catch (error) {
+            if (!(error instanceof IfrouteSyntaxError)) throw error;
+
+            return { comment: raw, error: new IfrouteSyntaxError(error.message, index + 1, raw) };
+        }
+    });
+};
+
+/**
+ * Returns the text representation of a route
+ *
+ * @ignore
+ * @param {IfrouteEntry} entry - Route to convert
+ * @return {string}
+ */
+const stringifyEntry = (entry) => {
+    const original = originals.get(entry);
+    if (original && original.snapshot === snapshot(entry)) return original.raw;
+
+    const { destination, prefixLength, gateway, device } = entry;
+    const notation = original?.notation || 'cidr';
+    let netmask;
+    let target = destination;
+
+    if (prefixLength !== undefined && destination !== 'default') {
+        if (notation === 'netmask' && !destination.includes(':')) {
+            netmask = IPv4.subnetMaskFromPrefixLength(prefixLength).toString();
+        } else if (notation === 'prefix') {
+            netmask = String(prefixLength);
+        } else {
+            target = `${destination}/${prefixLength}`;
+        }
+    }
+
+    const options = formatOptions(entry);
+    const columns = [target, gateway, netmask, device]
+            .map(v => v || '-')
+            .concat(options === '' ? [] : [options])
+            .join('\t');
+    return columns + (original?.comment || '');
+};
+
+/**
+ * Returns the text representation of the file content
+ *
+ * @param {Array<IfrouteEntry|IfrouteComment>} lines - List of objects representing each line
+ * @return {string}
+ * @see parse
+ */
+const stringify = (lines) => {
+    if (lines.length === 0) return '';
+
+    return lines.map(line => (line.comment !== undefined) ? line.comment : stringifyEntry(line))
+            .join('\n') + '\n';
+};
+
+/**
+ * Returns the errors found when parsing the file
+ *
+ * @param {Array<IfrouteEntry|IfrouteComment>} lines - Lines as returned by {@link parse}
+ * @return {Array<IfrouteSyntaxError>}
+ */
+const errors = (lines) => lines.filter(l => l.error).map(l => l.error);
+
+/**
+ * Returns a key which identifies the values of a route
+ *
+ * @ignore
+ * @param {IfrouteEntry} entry - Route
+ * @param {string} [device] - Device to consider when the route does not have one
+ * @return {string}
+ */
+const entryKey = (entry, device) => {
+    const { destination, prefixLength, gateway } = entry;
+    return [destination, prefixLength, gateway, entry.device || device, formatOptions(entry)].join('|');
+};
+
+/**
+ * Replaces the routes of a file keeping the comments and the order of the lines
+ *
+ * The routes which did not change are kept untouched. The rest of the routes take the place of
+ * the ones which are not needed anymore (so a changed route keeps its position) and, when
+ * there are no more places left, they are added at the end.
+ *
+ * @param {Array<IfrouteEntry|IfrouteComment>} lines - Current lines
+ * @param {Array<IfrouteEntry>} entries - Routes to write
+ * @param {string} [device] - Interface of the file, used for routes without an interface
+ * @return {Array<IfrouteEntry|IfrouteComment>} New lines
+ */
+const updateEntries = (lines, entries, device) => {
+    const pending = [...entries];
+    const replaced = new Set();
+    const kept = lines.map(line => {
+        if (line.comment !== undefined) return line;
+
+        const index = pending.findIndex(e => entryKey(e, device) === entryKey(line, device));
+        if (index === -1) {
+            replaced.add(line);
+        } else {
+            pending.splice(index, 1);
+        }
+
+        return line;
+    });
+
+    const result = kept.reduce((all, line) => {
+        if (!replaced.has(line)) return [...all, line];
+        if (pending.length === 0) return all;
+
+        // the new route is written using the same notation and trailing comment than the old one
+        const entry = pending.shift();
+        if (!originals.has(entry)) {
+            const { notation, comment } = originals.get(line) || {};
+            originals.set(entry, { notation, comment });
+        }
+        return [...all, entry];
+    }, []);
+
+    return [...result, ...pending];
+};
+
+/**
+ * Converts a route into the representation used by the model
+ *
+ * @param {IfrouteEntry} entry - Route
+ * @return {Object} Route data (see {@link module:model/routes~createRoute})
+ */
+const entryToRoute = (entry) => {
+    const { destination, prefixLength, gateway, device } = entry;
+    const withPrefix = (prefixLength === undefined || destination === 'default')
+        ? destination
+        : `${destination}/${prefixLength}`;
+    const options = formatOptions(entry);
+
+    return { destination: withPrefix, gateway, device, options: options === '' ? undefined : options };
+};
+
+/**
+ * Converts a route from the model into an ifroute entry
+ *
+ * @param {Route} route - Route from the model
+ * @return {IfrouteEntry}
+ * @throws {IfrouteSyntaxError} when the route is not valid
+ */
+const routeToEntry = (route) => {
+    const words = [
+        route.isDefault ? 'default' : route.destination,
+        route.gateway || '-',
+        '-',
+        route.device || '-'
+    ];
+    return parseColumns([...words, ...splitWords(route.options || '')]).entry;
+};
+
+export {
+    IfrouteSyntaxError,
+    ROUTE_TYPES,
+    errors,
+    entryToRoute,
+    formatOptions,
+    parse,
+    parseOptions,
+    routeToEntry,
+    stringify,
+    updateEntries
+};
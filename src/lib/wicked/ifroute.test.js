@@ -0,0 +1,210 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import {
+    IfrouteSyntaxError, entryToRoute, errors, formatOptions, parse, parseOptions, routeToEntry,
+    stringify, updateEntries
+} from './ifroute';
+
+const content = `# static routes
+default 192.168.1.1 - eth0
+10.0.0.0 192.168.1.254 255.0.0.0 eth0 metric 100 table 10 src 192.168.1.2 proto static
+
+172.16.0.0 - 16 - unreachable
+2001:db8::/64 fe80::1 - eth0 mtu lock 1400 onlink
+`;
+
+describe('#parse', () => {
+    it('returns the routes and keeps the rest of lines as comments', () => {
+        const lines = parse(content);
+
+        expect(lines.map(l => l.comment)).toEqual(
+            ['# static routes', undefined, undefined, '', undefined, undefined]
+        );
+    });
+
+    it('reads the columns and the options', () => {
+        const [, defaultRoute, withOptions] = parse(content);
+
+        expect(defaultRoute).toEqual({
+            destination: 'default', prefixLength: undefined, gateway: '192.168.1.1', device: 'eth0',
+            type: undefined, options: {}
+        });
+        expect(withOptions).toEqual({
+            destination: '10.0.0.0',
+            prefixLength: 8,
+            gateway: '192.168.1.254',
+            device: 'eth0',
+            type: undefined,
+            options: { metric: 100, table: '10', source: '192.168.1.2', protocol: 'static' }
+        });
+    });
+
+    it('supports prefix lengths, IPv6 and route types', () => {
+        const [, , , , unreachable, ipv6] = parse(content);
+
+        expect(unreachable).toEqual(expect.objectContaining({
+            destination: '172.16.0.0', prefixLength: 16, type: 'unreachable'
+        }));
+        expect(ipv6).toEqual(expect.objectContaining({
+            destination: '2001:db8::',
+            prefixLength: 64,
+            gateway: 'fe80::1',
+            options: { mtu: 1400, lock: ['mtu'], onlink: true }
+        }));
+    });
+
+    it('reports the lines which cannot be parsed', () => {
+        const lines = parse('10.0.0.0 - 255.0.255.0 eth0\n# comment\n10.1.0.0/16 - - eth0 metric fast\n');
+        const [first, second] = errors(lines);
+
+        expect(lines).toHaveLength(3);
+        expect(first).toBeInstanceOf(IfrouteSyntaxError);
+        expect(first).toEqual(expect.objectContaining({ lineNumber: 1, line: '10.0.0.0 - 255.0.255.0 eth0' }));
+        expect(first.message).toMatch(/netmask/);
+        expect(second.lineNumber).toEqual(3);
+        expect(second.message).toMatch(/metric/);
+    });
+
+    it('rejects invalid addresses', () => {
+        expect(errors(parse('10.0.0.300/8 - - eth0\n'))).toHaveLength(1);
+        expect(errors(parse('10.0.0.0/33 - - eth0\n'))).toHaveLength(1);
+        expect(errors(parse('default gateway - eth0\n'))).toHaveLength(1);
+    });
+});
+
+describe('#stringify', () => {
+    it('writes back the same content when nothing changed', () => {
+        expect(stringify(parse(content))).toEqual(content);
+    });
+
+    it('keeps the netmask notation of the changed routes', () => {
+        const lines = parse(content);
+        lines[2].options.metric = 200;
+        lines[4].prefixLength = 12;
+
+        const written = stringify(lines).split('\n');
+        expect(written[2]).toEqual(
+            '10.0.0.0\t192.168.1.254\t255.0.0.0\teth0\tmetric 200 table 10 src 192.168.1.2 proto static'
+        );
+        expect(written[4]).toEqual('172.16.0.0\t-\t12\t-\tunreachable');
+    });
+
+    it('keeps the trailing comment of the changed routes', () => {
+        const lines = parse('10.0.0.0/8 192.168.1.254 - eth0 metric 100  # office network\n');
+        lines[0].options.metric = 200;
+
+        expect(stringify(lines)).toEqual('10.0.0.0/8\t192.168.1.254\t-\teth0\tmetric 200  # office network\n');
+    });
+
+    it('uses the CIDR notation for new routes', () => {
+        const entry = routeToEntry({ destination: '10.2.0.0/16', gateway: '10.0.0.1', options: 'metric 5' });
+
+        expect(stringify([entry])).toEqual('10.2.0.0/16\t10.0.0.1\t-\t-\tmetric 5\n');
+    });
+});
+
+describe('#parseOptions', () => {
+    it('normalizes the option names', () => {
+        expect(parseOptions('blackhole priority 10 protocol kernel')).toEqual({
+            type: 'blackhole', options: { metric: 10, protocol: 'kernel' }
+        });
+    });
+
+    it('throws an error if an option is unknown or it has no value', () => {
+        expect(() => parseOptions('color blue')).toThrow(IfrouteSyntaxError);
+        expect(() => parseOptions('metric')).toThrow(/Missing value/);
+        expect(() => parseOptions('src eth0')).toThrow(/Invalid address/);
+    });
+
+    it('is the opposite of #formatOptions', () => {
+        const text = 'unreachable metric 10 mtu lock 1400 onlink';
+        expect(formatOptions(parseOptions(text))).toEqual(text);
+    });
+});
+
+describe('#updateEntries', () => {
+    const routes = [
+        { destination: 'default', gateway: '192.168.1.1', device: 'eth0' },
+        { destination: '10.0.0.0/8', gateway: '192.168.1.254', device: 'eth0', options: 'metric 100 table 10 src 192.168.1.2 proto static' },
+        { destination: '172.16.0.0/16', options: 'unreachable' },
+        { destination: '2001:db8::/64', gateway: 'fe80::1', device: 'eth0', options: 'mtu lock 1400 onlink' }
+    ];
+
+    it('keeps the comments and the routes which did not change', () => {
+        const lines = parse(content);
+        const updated = updateEntries(lines, routes.map(routeToEntry));
+
+        expect(stringify(updated)).toEqual(content);
+    });
+
+    it('puts the changed routes in place of the old ones and adds the rest at the end', () => {
+        const lines = parse(content);
+        const changed = [
+            routes[0],
+            { ...routes[1], gateway: '192.168.1.253' },
+            routes[3],
+            { destination: '10.3.0.0/16', gateway: '192.168.1.1' },
+            { destination: '10.4.0.0/16', gateway: '192.168.1.1' }
+        ];
+
+        const updated = stringify(updateEntries(lines, changed.map(routeToEntry))).split('\n');
+
+        expect(updated[2]).toMatch(/^10.0.0.0\t192.168.1.253\t255.0.0.0/);
+        expect(updated[4]).toEqual('10.3.0.0\t192.168.1.1\t16\t-');
+        expect(updated[5]).toMatch(/^2001:db8::/);
+        expect(updated[6]).toMatch(/^10.4.0.0\/16/);
+        expect(updated).toHaveLength(8);
+    });
+
+    it('keeps the trailing comment of a route which is replaced by a changed one', () => {
+        const lines = parse('default 192.168.1.1 - eth0 # uplink\n10.0.0.0/8 192.168.1.254 - eth0\n');
+        const changed = [
+            { destination: 'default', gateway: '192.168.1.2', device: 'eth0' },
+            { destination: '10.0.0.0/8', gateway: '192.168.1.254', device: 'eth0' }
+        ];
+
+        const written = stringify(updateEntries(lines, changed.map(routeToEntry)));
+
+        expect(written).toEqual('default\t192.168.1.2\t-\teth0 # uplink\n10.0.0.0/8 192.168.1.254 - eth0\n');
+        expect(parse(written)[0]).toEqual(expect.objectContaining({ destination: 'default', gateway: '192.168.1.2' }));
+    });
+
+    it('considers the routes without interface to belong to the given one', () => {
+        const lines = parse('10.0.0.0/8 192.168.1.254 - -\n');
+        const [entry] = updateEntries(lines, [routeToEntry({ ...routes[1], options: undefined })], 'eth0');
+
+        expect(entry).toBe(lines[0]);
+    });
+});
+
+describe('#entryToRoute', () => {
+    it('includes the prefix length in the destination and the options as text', () => {
+        const [, , withOptions] = parse(content);
+
+        expect(entryToRoute(withOptions)).toEqual({
+            destination: '10.0.0.0/8',
+            gateway: '192.168.1.254',
+            device: 'eth0',
+            options: 'metric 100 table 10 src 192.168.1.2 proto static'
+        });
+    });
+});
@@ -29,6 +29,19 @@ import { typeFromWicked } from './utils';
  * @see module:model
  */
 
+/**
+ * Returns the team ports and their link state
+ *
+ * @ignore
+ * @param {object} team - Team section of the interface
+ * @return {Array<InterfacePort>}
+ */
+const teamPortsFor = (team) => {
+    return (team?.ports || []).map(({ device, info }) => (
+        { name: device, link: info?.link_watches?.up === true }
+    ));
+};
+
 /**
  * Creates an interface from a Wicked interface
  *
@@ -43,16 +56,17 @@ const createInterface = (iface) => {
 
     const ethtool = iface.ethtool || {};
     const { driver_info, link_detected } = ethtool;
-    const link = link_detected === "true";
+    const link = link_detected === true;
     const driver = driver_info?.driver;
 
     const mac = iface?.ethernet?.address;
     const type = typeFromWicked(iface);
 
     const addresses = (assignedAddresses || []).map(model.createAddressConfig);
+    const ports = teamPortsFor(iface.team);
 
     return model.createInterface({
-        name, description, type, driver, mac, virtual: false, link, addresses
+        name, description, type, driver, mac, virtual: false, link, addresses, ports
     });
 };
 
@@ -32,7 +32,7 @@ describe('#createInterface', () => {
         },
         ethtool: {
             driver_info: { driver: 'virtio_net' },
-            link_detected: "false"
+            link_detected: false
         },
         ethernet: {
             address: '52:54:00:11:22:33'
@@ -59,4 +59,23 @@ describe('#createInterface', () => {
             expect.objectContaining({ type: "ipv6", local: 'fe80::3091:4019:f740:9b97/64' })
         ]));
     });
+
+    it('recognizes Open vSwitch bridges', () => {
+        const iface = createInterface({ interface: { name: 'ovsbr0' }, ovs_bridge: { ports: [] } });
+        expect(iface).toEqual(expect.objectContaining({ type: 'ovs-bridge', virtual: true }));
+    });
+
+    it('includes the team ports and their link state', () => {
+        const iface = createInterface({
+            interface: { name: 'team0' },
+            team: {
+                ports: [
+                    { device: 'eth1', info: { link_watches: { up: true } } },
+                    { device: 'eth2', info: { link_watches: { up: false } } }
+                ]
+            }
+        });
+        expect(iface.type).toEqual('team');
+        expect(iface.ports).toEqual([{ name: 'eth1', link: true }, { name: 'eth2', link: false }]);
+    });
 });
@@ -0,0 +1,150 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+/**
+ * Functions to convert wicked leases into model objects
+ *
+ * wicked reports a summary of each lease (mainly its state) in the `<family>:<type>` sections
+ * of the `wicked show-xml` output, while the whole lease is stored in the
+ * `/var/lib/wicked/lease-<interface>-<type>-<family>.xml` files.
+ *
+ * @module wicked/leases
+ * @see module:model
+ */
+
+import model from '../model';
+
+/**
+ * Returns the given value as an array
+ *
+ * @ignore
+ * @param {*} value - Value to convert
+ * @return {Array}
+ */
+const toArray = (value) => {
+    if (value === undefined || value === '') return [];
+
+    return Array.isArray(value) ? value : [value];
+};
+
+/**
+ * Converts a DHCPv6 identity association
+ *
+ * @ignore
+ * @param {string} type - Association type ('na' or 'pd')
+ * @param {object} ia - Identity association as reported by wicked
+ * @return {module:model/leases~IdentityAssociation}
+ */
+const identityAssociationFrom = (type, ia) => {
+    const addresses = toArray(type === 'pd' ? ia.prefix : ia.address);
+
+    return {
+        type,
+        iaid: ia.interface_id,
+        renewalTime: ia.renewal_time,
+        rebindTime: ia.rebind_time,
+        addresses: addresses.map(a => ({
+            local: a.local,
+            preferredLifetime: a.preferred_lifetime,
+            validLifetime: a.valid_lifetime
+        }))
+    };
+};
+
+/**
+ * Returns the lease details from the address configuration data
+ *
+ * @ignore
+ * @param {object} data - Address configuration data (e.g., the `ipv4:dhcp` section)
+ * @return {object} Lease properties
+ */
+const detailsFrom = (data = {}) => {
+    const dns = data.dns || {};
+    const identityAssociations = [
+        ...toArray(data.ia_na).map(ia => identityAssociationFrom('na', ia)),
+        ...toArray(data.ia_pd).map(ia => identityAssociationFrom('pd', ia))
+    ];
+
+    return {
+        serverAddress: data.server_address || data.server_id,
+        addresses: toArray(data.address),
+        leaseTime: data.lease_time,
+        renewalTime: data.renewal_time,
+        rebindTime: data.rebind_time,
+        gateways: toArray(data.routers),
+        dnsServers: toArray(dns.server),
+        ntpServers: toArray((data.ntp || {}).server),
+        domain: dns.domain || undefined,
+        identityAssociations
+    };
+};
+
+/**
+ * Creates a lease from the content of a wicked lease file
+ *
+ * @function
+ *
+ * @param {object} wickedLease - Lease as read from the lease file
+ * @return {module:model/leases~Lease}
+ */
+const createLease = (wickedLease) => {
+    const { family, type, state, acquired } = wickedLease;
+    const data = wickedLease[`${family}:${type}`];
+
+    return model.createLease({ family, type, state, acquired, ...detailsFrom(data) });
+};
+
+const LEASE_SECTION_REGEXP = /^(ipv4|ipv6):(\w+)$/;
+
+/**
+ * Creates the list of leases of an interface
+ *
+ * The leases reported by `wicked show-xml` are completed with the information from the
+ * lease files, when available.
+ *
+ * @function
+ *
+ * @param {object} iface - Interface data as reported by `wicked show-xml`
+ * @param {Array<object>} [wickedLeases=[]] - Leases read from the lease files
+ * @return {Array<module:model/leases~Lease>}
+ */
+const createLeases = (iface = {}, wickedLeases = []) => {
+    const fileLeases = wickedLeases.map(createLease);
+
+    const leases = Object.keys(iface).reduce((all, section) => {
+        const match = section.match(LEASE_SECTION_REGEXP);
+        if (!match || !iface[section].lease) return all;
+
+        const [, family, type] = match;
+        const fileLease = fileLeases.find(l => l.family === family && l.type === type);
+        const { state } = iface[section].lease;
+
+        return [...all, fileLease ? { ...fileLease, state } : model.createLease({ family, type, state })];
+    }, []);
+
+    const missing = fileLeases.filter(l => !leases.find(o => o.family === l.family && o.type === l.type));
+    return [...leases, ...missing];
+};
+
+export {
+    createLease,
+    createLeases
+};
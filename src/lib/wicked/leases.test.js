@@ -0,0 +1,110 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { xmlToJson } from './xml';
+import { createLease, createLeases } from './leases';
+
+const fixture = (name) => {
+    const content = fs.readFileSync(path.join(__dirname, '../../../__mocks__', name)).toString();
+    return xmlToJson(content)[0];
+};
+
+const dhcp4Lease = fixture('lease-eth0-dhcp-ipv4.xml');
+const dhcp6Lease = fixture('lease-eth0-dhcp-ipv6.xml');
+
+describe('#createLease', () => {
+    it('returns a DHCPv4 lease', () => {
+        expect(createLease(dhcp4Lease)).toEqual({
+            family: 'ipv4',
+            type: 'dhcp',
+            state: 'granted',
+            serverAddress: '192.168.1.1',
+            addresses: ['192.168.1.101'],
+            acquired: 1601279431,
+            leaseTime: 86400,
+            renewalTime: 43200,
+            rebindTime: 75600,
+            gateways: ['192.168.1.1'],
+            dnsServers: ['192.168.1.1', '8.8.8.8'],
+            ntpServers: ['192.168.1.5'],
+            domain: 'example.net',
+            identityAssociations: []
+        });
+    });
+
+    it('returns a DHCPv6 lease including the identity associations', () => {
+        const lease = createLease(dhcp6Lease);
+
+        expect(lease).toEqual(expect.objectContaining({
+            family: 'ipv6',
+            serverAddress: 'fe80::5054:ff:fe12:3456',
+            dnsServers: ['2001:db8:1::1'],
+            ntpServers: ['2001:db8:1::5']
+        }));
+        expect(lease.identityAssociations).toEqual([
+            {
+                type: 'na',
+                iaid: 1,
+                renewalTime: 1800,
+                rebindTime: 2880,
+                addresses: [{ local: '2001:db8:1::1a2b', preferredLifetime: 3600, validLifetime: 7200 }]
+            },
+            {
+                type: 'pd',
+                iaid: 2,
+                renewalTime: 1800,
+                rebindTime: 2880,
+                addresses: [{ local: '2001:db8:2::/56', preferredLifetime: 3600, validLifetime: 7200 }]
+            }
+        ]);
+    });
+});
+
+describe('#createLeases', () => {
+    const iface = {
+        interface: { name: 'eth0' },
+        'ipv4:dhcp': { lease: { state: 'granted' } },
+        'ipv6:dhcp': { lease: { state: 'requesting' } },
+        'ipv4:static': { lease: { state: 'granted' } }
+    };
+
+    it('returns the leases reported for the interface', () => {
+        const leases = createLeases(iface);
+        expect(leases.map(l => [l.family, l.type, l.state])).toEqual([
+            ['ipv4', 'dhcp', 'granted'],
+            ['ipv6', 'dhcp', 'requesting'],
+            ['ipv4', 'static', 'granted']
+        ]);
+    });
+
+    it('completes the leases with the information from the lease files', () => {
+        const [dhcp4, dhcp6] = createLeases(iface, [dhcp4Lease, dhcp6Lease]);
+        expect(dhcp4.serverAddress).toEqual('192.168.1.1');
+        expect(dhcp6).toEqual(expect.objectContaining({ state: 'requesting', serverAddress: 'fe80::5054:ff:fe12:3456' }));
+    });
+
+    it('includes leases which are only in the lease files', () => {
+        const leases = createLeases({ interface: { name: 'eth0' } }, [dhcp4Lease]);
+        expect(leases.map(l => l.family)).toEqual(['ipv4']);
+    });
+});
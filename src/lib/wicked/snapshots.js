@@ -0,0 +1,388 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+/**
+ * Functions to take, compare and restore snapshots of the network configuration
+ *
+ * A snapshot is a compressed tar archive containing the ifcfg, ifroute, routes, config and dhcp
+ * files from /etc/sysconfig/network and the XML files from /etc/wicked. Archives are kept in
+ * {@link SNAPSHOTS_PATH}, named after the time they were taken, with millisecond resolution
+ * (e.g., `20201019T153012345Z.tar.gz`). Snapshots taken by older versions only include the
+ * seconds (e.g., `20201019T153012Z.tar.gz`). The comment, if any, is kept in a file with the same name and the
+ * `.comment` extension.
+ *
+ * Rollback points are archives of the same kind which are restored by the host itself after a
+ * while (see {@link scheduleRestore}), so the previous configuration comes back if a change
+ * leaves the host unreachable. They are kept apart, in {@link ROLLBACK_POINTS_PATH}, so they
+ * are not listed as snapshots.
+ *
+ * @module wicked/snapshots
+ */
+
+import cockpit from 'cockpit';
+import model from '../model';
+
+/**
+ * Directory containing the snapshots
+ */
+const SNAPSHOTS_PATH = '/var/lib/cockpit-wicked/snapshots';
+
+/**
+ * Directory containing the rollback points
+ */
+const ROLLBACK_POINTS_PATH = '/var/lib/cockpit-wicked/rollback-points';
+
+const idRegExp = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(\d{3})?Z$/;
+
+/**
+ * Exit status of the create script when the archive already exists
+ *
+ * @ignore
+ */
+const ALREADY_EXISTS = 3;
+
+/**
+ * How many times to look for a free identifier when taking a snapshot
+ *
+ * @ignore
+ */
+const MAX_CREATE_ATTEMPTS = 10;
+
+/**
+ * Shell function which prints the files to include in a snapshot, relative to the root
+ *
+ * @ignore
+ */
+const FILES_FUNCTION = `
+files() (
+    cd / || exit 1
+    for f in etc/sysconfig/network/ifcfg-* etc/sysconfig/network/ifroute-* \\
+        etc/sysconfig/network/routes etc/sysconfig/network/config etc/sysconfig/network/dhcp; do
+        if [ -f "$f" ]; then echo "$f"; fi
+    done
+    if [ -d etc/wicked ]; then find etc/wicked -type f -name '*.xml'; fi
+)
+`;
+
+/**
+ * Scripts to run on the host. They receive the archive path as first argument.
+ *
+ * @ignore
+ */
+const SCRIPTS = {
+    create: `${FILES_FUNCTION}
+mkdir -p -m 0700 "$(dirname "$1")" || exit 1
+if [ -e "$1" ]; then echo "$1 already exists" >&2; exit ${ALREADY_EXISTS}; fi
+files | tar -czf "$1" -C / -T -
+`,
+    diff: `${FILES_FUNCTION}
+tmp=$(mktemp -d) || exit 2
+trap 'rm -rf "$tmp"' EXIT
+tar -xzf "$1" -C "$tmp" || exit 2
+{ files; (cd "$tmp" && find . -type f | sed 's|^\\./||'); } | sort -u | while read -r f; do
+    diff -uN --label "snapshot/$f" --label "current/$f" "$tmp/$f" "/$f"
+done
+exit 0
+`,
+    restore: `${FILES_FUNCTION}
+tar -tzf "$1" > /dev/null || exit 1
+files | while read -r f; do rm -f "/$f"; done
+tar -xzf "$1" -C /
+`
+};
+
+SCRIPTS.rollback = `${SCRIPTS.restore}rm -f "$1"
+/usr/sbin/wicked ifreload all
+`;
+
+/**
+ * Prefix of the systemd units which restore a snapshot when the changes are not confirmed
+ *
+ * @ignore
+ */
+const ROLLBACK_UNIT_PREFIX = 'cockpit-wicked-rollback-';
+
+/**
+ * Runs one of the snapshot scripts as superuser
+ *
+ * @ignore
+ * @param {string} name - Script name
+ * @param {string} archive - Path of the archive
+ * @return {Promise<string>} Script output
+ */
+const runScript = (name, archive) => {
+    return cockpit.spawn(
+        ['/bin/sh', '-c', SCRIPTS[name], 'snapshot', archive], { superuser: 'require', err: 'message' }
+    );
+};
+
+/**
+ * Makes sure that a snapshot identifier is valid, so it can be safely used in paths and unit
+ * names
+ *
+ * @ignore
+ * @param {string} id - Snapshot identifier
+ * @return {string} The same identifier
+ * @throws {Error} when the identifier is not valid
+ */
+const checkId = (id) => {
+    if (!idRegExp.test(id)) throw new Error(`Invalid snapshot identifier: ${id}`);
+
+    return id;
+};
+
+/**
+ * Returns the path of the archive of a snapshot or a rollback point
+ *
+ * @ignore
+ * @param {string} id - Snapshot identifier
+ * @param {string} [directory=SNAPSHOTS_PATH] - Directory containing the archive
+ * @return {string}
+ * @throws {Error} when the identifier is not valid
+ */
+const archivePath = (id, directory = SNAPSHOTS_PATH) => `${directory}/${checkId(id)}.tar.gz`;
+
+/**
+ * Returns the name of the systemd unit which restores a rollback point
+ *
+ * @ignore
+ * @param {string} id - Rollback point identifier
+ * @return {string}
+ */
+const rollbackUnit = (id) => `${ROLLBACK_UNIT_PREFIX}${checkId(id)}`;
+
+/**
+ * Returns the path of the file containing the comment of a snapshot
+ *
+ * @ignore
+ * @param {string} id - Snapshot identifier
+ * @return {string}
+ */
+const commentPath = (id) => `${SNAPSHOTS_PATH}/${id}.comment`;
+
+/**
+ * Returns the date encoded in a snapshot identifier
+ *
+ * @ignore
+ * @param {string} id - Snapshot identifier
+ * @return {Date}
+ */
+const dateFromId = (id) => {
+    const [, year, month, day, hours, minutes, seconds, millis = '000'] = id.match(idRegExp);
+    return new Date(`${year}-${month}-${day}T${hours}:${minutes}:${seconds}.${millis}Z`);
+};
+
+/**
+ * Returns the identifier for a snapshot taken at the given date
+ *
+ * @ignore
+ * @param {Date} date - Snapshot date
+ * @return {string}
+ */
+const idFromDate = (date) => date.toISOString().replace(/[-:.]/g, '');
+
+/**
+ * Archives the current configuration, returning the identifier of the new snapshot
+ *
+ * If there is already a snapshot with the identifier for the given date, the next millisecond
+ * is tried.
+ *
+ * @ignore
+ * @param {Date} date - Snapshot date
+ * @param {string} directory - Directory to keep the archive in
+ * @return {Promise<string>} Snapshot identifier
+ */
+const createArchive = async (date, directory) => {
+    for (let attempt = 0; ; attempt++) {
+        const id = idFromDate(new Date(date.getTime() + attempt));
+
+        try {
+            await runScript('create', archivePath(id, directory));
+            return id;
+        } catch (error) {
+            if (error.exit_status !== ALREADY_EXISTS || attempt + 1 >= MAX_CREATE_ATTEMPTS) throw error;
+        }
+    }
+};
+
+/**
+ * Returns the available snapshots, from the newest to the oldest
+ *
+ * @return {Promise<Array<Snapshot>>}
+ */
+const readSnapshots = async () => {
+    let output;
+    try {
+        output = await cockpit.spawn(
+            ['/usr/bin/find', SNAPSHOTS_PATH, '-maxdepth', '1', '-type', 'f', '-name', '*.tar.gz',
+                '-printf', '%f %s\n'],
+            { superuser: 'try', err: 'ignore' }
+        );
+    } catch {
+        // the directory does not exist until the first snapshot is taken
+        return [];
+    }
+
+    const archives = (output || '').split('\n')
+            .map(line => line.split(' '))
+            .map(([name, size]) => ({ id: (name || '').replace(/\.tar\.gz$/, ''), size: parseInt(size, 10) }))
+            .filter(({ id }) => idRegExp.test(id));
+
+    const snapshots = await Promise.all(archives.map(async ({ id, size }) => {
+        const comment = await cockpit.file(commentPath(id), { superuser: 'try' }).read();
+        return model.createSnapshot({ id, size, date: dateFromId(id), comment: (comment || '').trim() });
+    }));
+
+    return snapshots.sort((a, b) => b.date - a.date);
+};
+
+/**
+ * Takes a snapshot of the current configuration
+ *
+ * @param {string} [comment=""] - Comment describing the snapshot
+ * @param {Date} [date] - Snapshot date (now by default)
+ * @return {Promise<Snapshot>} The new snapshot
+ */
+const writeSnapshot = async (comment = "", date = new Date()) => {
+    const id = await createArchive(date, SNAPSHOTS_PATH);
+    if (comment !== "") {
+        await cockpit.file(commentPath(id), { superuser: 'require' }).replace(comment);
+    }
+
+    const snapshots = await readSnapshots();
+    return snapshots.find(s => s.id === id) || model.createSnapshot({ id, date: dateFromId(id), comment });
+};
+
+/**
+ * Returns the differences between a snapshot and the current configuration
+ *
+ * @param {string} id - Snapshot identifier
+ * @return {Promise<string>} Differences in unified format, with the snapshot as the original
+ *   version. It is empty if there are no differences.
+ */
+const diffSnapshot = async (id) => {
+    return runScript('diff', archivePath(id));
+};
+
+/**
+ * Replaces the current configuration with the one from a snapshot
+ *
+ * Files which are not included in the snapshot (e.g., the ifcfg file of an interface
+ * configured later) are removed.
+ *
+ * @param {string} id - Snapshot identifier
+ * @return {Promise}
+ */
+const restoreSnapshot = async (id) => {
+    return runScript('restore', archivePath(id));
+};
+
+/**
+ * Removes a snapshot
+ *
+ * @param {string} id - Snapshot identifier
+ * @return {Promise}
+ */
+const removeSnapshot = async (id) => {
+    return cockpit.spawn(
+        ['/usr/bin/rm', '-f', archivePath(id), commentPath(id)], { superuser: 'require', err: 'message' }
+    );
+};
+
+/**
+ * Takes a rollback point of the current configuration
+ *
+ * @param {Date} [date] - Rollback point date (now by default)
+ * @return {Promise<string>} Rollback point identifier
+ */
+const writeRollbackPoint = (date = new Date()) => createArchive(date, ROLLBACK_POINTS_PATH);
+
+/**
+ * Replaces the current configuration with the one from a rollback point and removes it
+ *
+ * @param {string} id - Rollback point identifier
+ * @return {Promise}
+ */
+const restoreRollbackPoint = async (id) => {
+    await runScript('restore', archivePath(id, ROLLBACK_POINTS_PATH));
+    return removeRollbackPoint(id);
+};
+
+/**
+ * Removes a rollback point
+ *
+ * @param {string} id - Rollback point identifier
+ * @return {Promise}
+ */
+const removeRollbackPoint = async (id) => {
+    return cockpit.spawn(
+        ['/usr/bin/rm', '-f', archivePath(id, ROLLBACK_POINTS_PATH)], { superuser: 'require', err: 'message' }
+    );
+};
+
+/**
+ * Schedules the restoration of a rollback point, followed by a reload of all the interfaces
+ *
+ * It relies on a transient systemd timer, so the configuration is restored even if the host
+ * cannot be reached anymore. The rollback point is removed once it is restored.
+ *
+ * @param {string} id - Rollback point identifier
+ * @param {number} timeout - Seconds to wait before restoring the rollback point
+ * @return {Promise}
+ */
+const scheduleRestore = async (id, timeout) => {
+    // systemd expands the variables in the command line, so the dollar signs must be doubled
+    const script = SCRIPTS.rollback.replace(/\$/g, '$$$$');
+
+    return cockpit.spawn(
+        ['/usr/bin/systemd-run', `--unit=${rollbackUnit(id)}`, `--on-active=${timeout}`,
+            '--timer-property=AccuracySec=1s', '--collect', '/bin/sh', '-c', script, 'snapshot',
+            archivePath(id, ROLLBACK_POINTS_PATH)],
+        { superuser: 'require', err: 'message' }
+    );
+};
+
+/**
+ * Cancels a scheduled restoration
+ *
+ * @param {string} id - Rollback point identifier
+ * @return {Promise}
+ */
+const cancelRestore = async (id) => {
+    return cockpit.spawn(
+        ['/usr/bin/systemctl', 'stop', `${rollbackUnit(id)}.timer`], { superuser: 'require', err: 'message' }
+    );
+};
+
+export {
+    SNAPSHOTS_PATH,
+    ROLLBACK_POINTS_PATH,
+    readSnapshots,
+    writeSnapshot,
+    diffSnapshot,
+    restoreSnapshot,
+    removeSnapshot,
+    writeRollbackPoint,
+    restoreRollbackPoint,
+    removeRollbackPoint,
+    scheduleRestore,
+    cancelRestore
+};
@@ -0,0 +1,204 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import cockpit from 'cockpit';
+import {
+    SNAPSHOTS_PATH, ROLLBACK_POINTS_PATH, readSnapshots, writeSnapshot, diffSnapshot, restoreSnapshot,
+    removeSnapshot, writeRollbackPoint, restoreRollbackPoint, scheduleRestore, cancelRestore
+} from './snapshots';
+
+describe('#readSnapshots', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('returns the snapshots from the newest to the oldest, including their comments', async () => {
+        jest.spyOn(cockpit, 'spawn')
+                .mockResolvedValue(
+                    '20201019T100000Z.tar.gz 1024\n20201019T110000Z.tar.gz 2048\n' +
+                    '20201019T110000500Z.tar.gz 512\nnotes.txt 10\n'
+                );
+        cockpit.file = jest.fn(path => ({
+            read: () => Promise.resolve(path.includes('T110000Z') ? 'before bonding\n' : null)
+        }));
+
+        const snapshots = await readSnapshots();
+
+        expect(snapshots).toEqual([
+            { id: '20201019T110000500Z', date: new Date('2020-10-19T11:00:00.500Z'), size: 512, comment: '' },
+            { id: '20201019T110000Z', date: new Date('2020-10-19T11:00:00Z'), size: 2048, comment: 'before bonding' },
+            { id: '20201019T100000Z', date: new Date('2020-10-19T10:00:00Z'), size: 1024, comment: '' }
+        ]);
+    });
+
+    it('returns an empty list when the snapshots directory does not exist', async () => {
+        jest.spyOn(cockpit, 'spawn').mockRejectedValue(new Error('No such file or directory'));
+
+        expect(await readSnapshots()).toEqual([]);
+    });
+});
+
+describe('#writeSnapshot', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('archives the configuration and writes the comment', async () => {
+        const replace = jest.fn(() => Promise.resolve());
+        const spawn = jest.spyOn(cockpit, 'spawn').mockResolvedValue('');
+        cockpit.file = jest.fn(() => ({ replace, read: () => Promise.resolve(null) }));
+
+        const snapshot = await writeSnapshot('before bonding', new Date('2020-10-19T11:00:00.123Z'));
+
+        const [command] = spawn.mock.calls[0];
+        expect(command.slice(0, 2)).toEqual(['/bin/sh', '-c']);
+        expect(command[2]).toMatch('tar -czf');
+        expect(command[4]).toEqual(`${SNAPSHOTS_PATH}/20201019T110000123Z.tar.gz`);
+        expect(cockpit.file).toHaveBeenCalledWith(`${SNAPSHOTS_PATH}/20201019T110000123Z.comment`, expect.anything());
+        expect(replace).toHaveBeenCalledWith('before bonding');
+        expect(snapshot).toEqual(expect.objectContaining({
+            id: '20201019T110000123Z', date: new Date('2020-10-19T11:00:00.123Z'), comment: 'before bonding'
+        }));
+    });
+
+    it('uses the next millisecond when there is already a snapshot with the same identifier', async () => {
+        const spawn = jest.spyOn(cockpit, 'spawn')
+                .mockRejectedValueOnce({ exit_status: 3, message: 'already exists' })
+                .mockResolvedValue('');
+        cockpit.file = jest.fn(() => ({ read: () => Promise.resolve(null) }));
+
+        const snapshot = await writeSnapshot('', new Date('2020-10-19T11:00:00.123Z'));
+
+        expect(spawn.mock.calls[0][0][4]).toEqual(`${SNAPSHOTS_PATH}/20201019T110000123Z.tar.gz`);
+        expect(spawn.mock.calls[1][0][4]).toEqual(`${SNAPSHOTS_PATH}/20201019T110000124Z.tar.gz`);
+        expect(snapshot.id).toEqual('20201019T110000124Z');
+    });
+
+    it('does not retry on other errors', async () => {
+        const spawn = jest.spyOn(cockpit, 'spawn').mockRejectedValue({ exit_status: 2, message: 'tar failed' });
+
+        await expect(writeSnapshot('', new Date())).rejects.toEqual(expect.objectContaining({ exit_status: 2 }));
+        expect(spawn).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('#diffSnapshot', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('returns the output of the diff script', async () => {
+        const diff = '--- snapshot/etc/sysconfig/network/ifcfg-eth0\n+++ current/etc/sysconfig/network/ifcfg-eth0\n';
+        const spawn = jest.spyOn(cockpit, 'spawn').mockResolvedValue(diff);
+
+        expect(await diffSnapshot('20201019T110000Z')).toEqual(diff);
+        expect(spawn.mock.calls[0][0][2]).toMatch('diff -uN');
+    });
+
+    it('refuses invalid identifiers', async () => {
+        await expect(diffSnapshot('../../etc/shadow')).rejects.toThrow(/Invalid snapshot/);
+    });
+});
+
+describe('#restoreSnapshot', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('removes the current files before extracting the archive', async () => {
+        const spawn = jest.spyOn(cockpit, 'spawn').mockResolvedValue('');
+
+        await restoreSnapshot('20201019T110000Z');
+
+        const script = spawn.mock.calls[0][0][2];
+        expect(script.indexOf('rm -f')).toBeLessThan(script.indexOf('tar -xzf'));
+        expect(spawn.mock.calls[0][1]).toEqual(expect.objectContaining({ superuser: 'require' }));
+    });
+});
+
+describe('#removeSnapshot', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('removes the archive and the comment', async () => {
+        const spawn = jest.spyOn(cockpit, 'spawn').mockResolvedValue('');
+
+        await removeSnapshot('20201019T110000Z');
+
+        expect(spawn.mock.calls[0][0]).toEqual([
+            '/usr/bin/rm', '-f', `${SNAPSHOTS_PATH}/20201019T110000Z.tar.gz`, `${SNAPSHOTS_PATH}/20201019T110000Z.comment`
+        ]);
+    });
+});
+
+describe('#writeRollbackPoint', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('archives the configuration apart from the snapshots', async () => {
+        const spawn = jest.spyOn(cockpit, 'spawn').mockResolvedValue('');
+
+        const id = await writeRollbackPoint(new Date('2020-10-19T11:00:00.123Z'));
+
+        expect(id).toEqual('20201019T110000123Z');
+        expect(spawn.mock.calls[0][0][4]).toEqual(`${ROLLBACK_POINTS_PATH}/20201019T110000123Z.tar.gz`);
+    });
+});
+
+describe('#restoreRollbackPoint', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('extracts the archive and removes it', async () => {
+        const spawn = jest.spyOn(cockpit, 'spawn').mockResolvedValue('');
+
+        await restoreRollbackPoint('20201019T110000Z');
+
+        const archive = `${ROLLBACK_POINTS_PATH}/20201019T110000Z.tar.gz`;
+        expect(spawn.mock.calls[0][0][2]).toMatch('tar -xzf');
+        expect(spawn.mock.calls[0][0][4]).toEqual(archive);
+        expect(spawn.mock.calls[1][0]).toEqual(['/usr/bin/rm', '-f', archive]);
+    });
+});
+
+describe('#scheduleRestore', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('schedules a transient unit which restores the rollback point and reloads the interfaces', async () => {
+        const spawn = jest.spyOn(cockpit, 'spawn').mockResolvedValue('');
+
+        await scheduleRestore('20201019T110000Z', 60);
+
+        const [command] = spawn.mock.calls[0];
+        expect(command.slice(0, 3)).toEqual([
+            '/usr/bin/systemd-run', '--unit=cockpit-wicked-rollback-20201019T110000Z', '--on-active=60'
+        ]);
+        expect(command).toContain(`${ROLLBACK_POINTS_PATH}/20201019T110000Z.tar.gz`);
+
+        const script = command[command.indexOf('-c') + 1];
+        expect(script).toMatch('tar -xzf "$$1" -C /');
+        expect(script).toMatch('rm -f "$$1"');
+        expect(script).toMatch('/usr/sbin/wicked ifreload all');
+    });
+});
+
+describe('#cancelRestore', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('stops the timer of the transient unit', async () => {
+        const spawn = jest.spyOn(cockpit, 'spawn').mockResolvedValue('');
+
+        await cancelRestore('20201019T110000Z');
+
+        expect(spawn.mock.calls[0][0]).toEqual([
+            '/usr/bin/systemctl', 'stop', 'cockpit-wicked-rollback-20201019T110000Z.timer'
+        ]);
+    });
+});
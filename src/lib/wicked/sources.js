@@ -0,0 +1,334 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+/**
+ * Data sources to read the interfaces information from Wicked
+ *
+ * All the sources offer the same API and return the interfaces using the same structure (the one
+ * produced by {@link module:wicked/xml~xmlToJson} for the `wicked show-xml` output), so the
+ * rest of the code does not need to know where the data comes from.
+ *
+ * @module wicked/sources
+ */
+
+import cockpit from 'cockpit';
+import { xmlToJson } from './xml';
+
+const CLI = 'cli';
+const DBUS = 'dbus';
+const AUTO = 'auto';
+
+/**
+ * Callback for interface changes
+ *
+ * @callback sourceChangeCallback
+ * @param {string} path - D-Bus path of the interface that changed
+ */
+
+/**
+ * Reads the interfaces information using the `wicked` command line tool
+ */
+class CliSource {
+    /**
+     * Returns a promise that resolves to an array of objects representing interfaces
+     *
+     * @return {Promise.<Array.<Object>>}
+     */
+    async getInterfaces() {
+        const stdout = await cockpit.spawn(['/usr/sbin/wicked', 'show-xml']);
+        return xmlToJson(stdout);
+    }
+
+    /**
+     * Returns a promise that resolves to an object representing the given interface
+     *
+     * @param {string} name - Interface name
+     * @return {Promise.<Object|undefined>} Promise that resolves to the interface or to undefined
+     *   if it does not exist
+     */
+    async getInterfaceByName(name) {
+        const stdout = await cockpit.spawn(['/usr/sbin/wicked', 'show-xml', name]);
+        const [data] = xmlToJson(stdout || '');
+        return data;
+    }
+
+    /**
+     * Registers a callback to be called when an interface changes
+     *
+     * The command line tool does not notify about changes, so the callback is never called.
+     *
+     * @param {sourceChangeCallback} fn - Callback to be called when an interface changes
+     */
+    onChange(fn) {}
+}
+
+const INTERFACES_PATH = '/org/opensuse/Network/Interface';
+
+/**
+ * D-Bus interfaces to read and the section of the interface object where their properties
+ * are placed.
+ *
+ * @ignore
+ */
+const DBUS_INTERFACES = {
+    'org.opensuse.Network.Interface': 'interface',
+    'org.opensuse.Network.Ethernet': 'ethernet',
+    'org.opensuse.Network.Ethtool': 'ethtool',
+    'org.opensuse.Network.Team': 'team',
+    'org.opensuse.Network.Addrconf.ipv4.dhcp': 'ipv4:dhcp',
+    'org.opensuse.Network.Addrconf.ipv6.dhcp': 'ipv6:dhcp',
+    'org.opensuse.Network.Addrconf.ipv4.static': 'ipv4:static',
+    'org.opensuse.Network.Addrconf.ipv6.static': 'ipv6:static'
+};
+
+/**
+ * Converts a D-Bus value into a plain value
+ *
+ * Variants are unwrapped and dashes in the keys are replaced with underscores, as it
+ * happens when converting the XML output.
+ *
+ * @ignore
+ * @param {*} value - Value coming from D-Bus
+ * @return {*}
+ */
+const fromDBus = (value) => {
+    if (Array.isArray(value)) return value.map(fromDBus);
+    if (value === null || typeof value !== 'object') return value;
+
+    const keys = Object.keys(value);
+    if (keys.length === 2 && keys.includes('t') && keys.includes('v')) return fromDBus(value.v);
+
+    return keys.reduce((all, key) => ({ ...all, [key.replace(/-/g, '_')]: fromDBus(value[key]) }), {});
+};
+
+/**
+ * Reads the interfaces information directly from the org.opensuse.Network D-Bus objects
+ *
+ * The proxies are created only once and they are kept up to date by cockpit, so reading an
+ * interface does not require any round trip to the host.
+ */
+class DBusSource {
+    /**
+     * @param {object} client - D-Bus client (@see cockpit.dbus)
+     */
+    constructor(client) {
+        this.client = client;
+        this._proxies = undefined;
+        this._loading = undefined;
+        this._onChange = [];
+    }
+
+    /**
+     * Returns a promise that resolves to an array of objects representing interfaces
+     *
+     * @return {Promise.<Array.<Object>>}
+     */
+    async getInterfaces() {
+        const proxies = await this._loadProxies();
+        const mainProxies = proxies['org.opensuse.Network.Interface'];
+
+        return Object.keys(mainProxies)
+                .map(path => this._interfaceAt(path))
+                .sort((a, b) => a.interface.index - b.interface.index);
+    }
+
+    /**
+     * Returns a promise that resolves to an object representing the given interface
+     *
+     * @param {string} name - Interface name
+     * @return {Promise.<Object|undefined>} Promise that resolves to the interface or to undefined
+     *   if it does not exist
+     */
+    async getInterfaceByName(name) {
+        const ifaces = await this.getInterfaces();
+        return ifaces.find(i => i.interface.name === name);
+    }
+
+    /**
+     * Registers a callback to be called when the properties of an interface change
+     *
+     * @param {sourceChangeCallback} fn - Callback to be called when an interface changes
+     */
+    onChange(fn) {
+        this._onChange.push(fn);
+    }
+
+    /**
+     * Returns the proxies for all the known D-Bus interfaces once they are ready
+     *
+     * They are created by the first call, so concurrent callers share them.
+     *
+     * @ignore
+     * @return {Promise.<Object>} Proxies indexed by D-Bus interface name
+     */
+    _loadProxies() {
+        if (!this._loading) this._loading = this._createProxies();
+
+        return this._loading;
+    }
+
+    /**
+     * Creates the proxies for all the known D-Bus interfaces and waits until they are ready
+     *
+     * @ignore
+     * @return {Promise.<Object>} Proxies indexed by D-Bus interface name
+     */
+    async _createProxies() {
+        const proxies = Object.keys(DBUS_INTERFACES).reduce((all, name) => (
+            { ...all, [name]: this.client.proxies(name, INTERFACES_PATH) }
+        ), {});
+
+        await Promise.all(Object.values(proxies).map(p => p.wait()));
+
+        Object.values(proxies).forEach(p => {
+            p.addEventListener('changed', (event, proxy) => {
+                this._onChange.forEach(fn => fn(proxy.path));
+            });
+        });
+
+        this._proxies = proxies;
+        return proxies;
+    }
+
+    /**
+     * Builds the object representing the interface under the given path
+     *
+     * @ignore
+     * @param {string} path - D-Bus path
+     * @return {Object}
+     */
+    _interfaceAt(path) {
+        return Object.entries(DBUS_INTERFACES).reduce((iface, [name, section]) => {
+            const proxy = this._proxies[name][path];
+            if (!proxy || !proxy.valid) return iface;
+
+            return { ...iface, [section]: fromDBus(proxy.data) };
+        }, { _attrs: { path } });
+    }
+}
+
+/**
+ * Reads the interfaces information from the D-Bus objects when wicked is on the bus and using
+ * the command line tool otherwise
+ *
+ * Once wicked is found on the bus, the D-Bus source is used from then on.
+ */
+class AutoSource {
+    /**
+     * @param {object} client - D-Bus client (@see cockpit.dbus)
+     */
+    constructor(client) {
+        this.client = client;
+        this._dbusSource = undefined;
+        this._cliSource = new CliSource();
+        this._onChange = [];
+    }
+
+    /**
+     * Returns a promise that resolves to an array of objects representing interfaces
+     *
+     * @return {Promise.<Array.<Object>>}
+     */
+    async getInterfaces() {
+        const source = await this._selectSource();
+        return source.getInterfaces();
+    }
+
+    /**
+     * Returns a promise that resolves to an object representing the given interface
+     *
+     * @param {string} name - Interface name
+     * @return {Promise.<Object|undefined>} Promise that resolves to the interface or to undefined
+     *   if it does not exist
+     */
+    async getInterfaceByName(name) {
+        const source = await this._selectSource();
+        return source.getInterfaceByName(name);
+    }
+
+    /**
+     * Registers a callback to be called when an interface changes
+     *
+     * The callback is only called while the D-Bus source is used.
+     *
+     * @param {sourceChangeCallback} fn - Callback to be called when an interface changes
+     */
+    onChange(fn) {
+        this._onChange.push(fn);
+    }
+
+    /**
+     * Returns the source to read the interfaces from
+     *
+     * @ignore
+     * @return {Promise.<CliSource|DBusSource>}
+     */
+    async _selectSource() {
+        if (this._dbusSource) return this._dbusSource;
+        if (!(await this._isOnBus())) return this._cliSource;
+
+        if (!this._dbusSource) {
+            this._dbusSource = new DBusSource(this.client);
+            this._dbusSource.onChange(path => this._onChange.forEach(fn => fn(path)));
+        }
+
+        return this._dbusSource;
+    }
+
+    /**
+     * Whether org.opensuse.Network is on the bus
+     *
+     * @ignore
+     * @return {Promise.<boolean>}
+     */
+    async _isOnBus() {
+        try {
+            await this.client.call(INTERFACES_PATH, 'org.freedesktop.DBus.Peer', 'Ping', []);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+/**
+ * Returns the data source for the given type
+ *
+ * @param {string} type - Source type ('cli', 'dbus' or 'auto')
+ * @param {object} dbusClient - D-Bus client to be used by the D-Bus source
+ * @return {CliSource|DBusSource|AutoSource}
+ */
+const createSource = (type, dbusClient) => {
+    if (type === DBUS) return new DBusSource(dbusClient);
+    if (type === AUTO) return new AutoSource(dbusClient);
+
+    return new CliSource();
+};
+
+export {
+    CLI,
+    DBUS,
+    AUTO,
+    CliSource,
+    DBusSource,
+    AutoSource,
+    createSource
+};
@@ -0,0 +1,239 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import { CliSource, DBusSource, AutoSource, createSource, DBUS, AUTO } from './sources';
+import { createInterface } from './interfaces';
+
+/**
+ * Builds a fake cockpit D-Bus client holding the given objects
+ *
+ * @param {Object<string,Object<string,object>>} objects - Properties indexed by D-Bus interface
+ *   and path
+ * @param {boolean} [onBus=true] - Whether org.opensuse.Network is on the bus
+ */
+const fakeBus = (objects, onBus = true) => {
+    const allProxies = {};
+
+    const proxiesFor = (iface) => {
+        const listeners = [];
+        const proxies = {};
+
+        Object.entries(objects[iface] || {}).forEach(([path, data]) => {
+            proxies[path] = { path, valid: true, data };
+        });
+
+        Object.defineProperty(proxies, 'wait', { value: () => Promise.resolve() });
+        Object.defineProperty(proxies, 'addEventListener', {
+            value: (event, fn) => listeners.push(fn)
+        });
+        Object.defineProperty(proxies, 'change', {
+            value: (path, data) => {
+                proxies[path].data = { ...proxies[path].data, ...data };
+                listeners.forEach(fn => fn({ type: 'changed' }, proxies[path]));
+            }
+        });
+
+        allProxies[iface] = proxies;
+        return proxies;
+    };
+
+    const call = jest.fn(() => (
+        onBus ? Promise.resolve([]) : Promise.reject(new Error('org.opensuse.Network was not provided'))
+    ));
+
+    return { proxies: jest.fn(proxiesFor), call, allProxies };
+};
+
+const eth0Path = '/org/opensuse/Network/Interface/2';
+const loPath = '/org/opensuse/Network/Interface/1';
+
+const busObjects = {
+    'org.opensuse.Network.Interface': {
+        [eth0Path]: {
+            name: 'eth0',
+            index: 2,
+            mtu: 1500,
+            addresses: [
+                { local: { t: 's', v: '192.168.1.101/24' }, 'cache-info': { t: 'a{sv}', v: { 'valid-lifetime': { t: 'u', v: 100 } } } }
+            ]
+        },
+        [loPath]: { name: 'lo', index: 1 }
+    },
+    'org.opensuse.Network.Ethernet': {
+        [eth0Path]: { address: '52:54:00:ab:66:d3' }
+    },
+    'org.opensuse.Network.Ethtool': {
+        [eth0Path]: { 'link-detected': true, 'driver-info': { driver: 'virtio_net' } }
+    },
+    'org.opensuse.Network.Addrconf.ipv4.dhcp': {
+        [eth0Path]: { lease: { state: 'granted', uuid: 'f35a995f' } }
+    }
+};
+
+describe('DBusSource', () => {
+    describe('#getInterfaces', () => {
+        it('returns the interfaces sorted by index', async () => {
+            const source = new DBusSource(fakeBus(busObjects));
+            const ifaces = await source.getInterfaces();
+
+            expect(ifaces.map(i => i.interface.name)).toEqual(['lo', 'eth0']);
+            expect(ifaces.map(i => i._attrs.path)).toEqual([loPath, eth0Path]);
+        });
+
+        it('returns the interfaces using the same structure than the CLI', async () => {
+            const source = new DBusSource(fakeBus(busObjects));
+            const [, eth0] = await source.getInterfaces();
+
+            expect(eth0).toEqual({
+                _attrs: { path: eth0Path },
+                interface: {
+                    name: 'eth0',
+                    index: 2,
+                    mtu: 1500,
+                    addresses: [{ local: '192.168.1.101/24', cache_info: { valid_lifetime: 100 } }]
+                },
+                ethernet: { address: '52:54:00:ab:66:d3' },
+                ethtool: { link_detected: true, driver_info: { driver: 'virtio_net' } },
+                'ipv4:dhcp': { lease: { state: 'granted', uuid: 'f35a995f' } }
+            });
+
+            expect(createInterface(eth0)).toEqual(expect.objectContaining({
+                name: 'eth0', link: true, driver: 'virtio_net', mac: '52:54:00:ab:66:d3'
+            }));
+        });
+
+        it('creates the proxies only once', async () => {
+            const bus = fakeBus(busObjects);
+            const source = new DBusSource(bus);
+            await source.getInterfaces();
+            await source.getInterfaces();
+
+            expect(bus.proxies).toHaveBeenCalledWith(
+                'org.opensuse.Network.Interface', '/org/opensuse/Network/Interface'
+            );
+            expect(bus.proxies.mock.calls.filter(([iface]) => iface === 'org.opensuse.Network.Interface'))
+                    .toHaveLength(1);
+        });
+
+        it('creates the proxies only once for concurrent callers', async () => {
+            const bus = fakeBus(busObjects);
+            const source = new DBusSource(bus);
+            const callback = jest.fn();
+            source.onChange(callback);
+
+            await Promise.all([source.getInterfaces(), source.getInterfaceByName('eth0')]);
+
+            expect(bus.proxies.mock.calls.filter(([iface]) => iface === 'org.opensuse.Network.Interface'))
+                    .toHaveLength(1);
+            bus.allProxies['org.opensuse.Network.Ethtool'].change(eth0Path, { 'link-detected': false });
+            expect(callback).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('#getInterfaceByName', () => {
+        it('returns the interface with the given name', async () => {
+            const source = new DBusSource(fakeBus(busObjects));
+            const iface = await source.getInterfaceByName('eth0');
+
+            expect(iface._attrs.path).toEqual(eth0Path);
+        });
+
+        it('returns undefined if the interface does not exist', async () => {
+            const source = new DBusSource(fakeBus(busObjects));
+            expect(await source.getInterfaceByName('eth9')).toBeUndefined();
+        });
+    });
+
+    describe('#onChange', () => {
+        it('calls the callback when the properties of an interface change', async () => {
+            const bus = fakeBus(busObjects);
+            const source = new DBusSource(bus);
+            const callback = jest.fn();
+            source.onChange(callback);
+            await source.getInterfaces();
+
+            bus.allProxies['org.opensuse.Network.Ethtool'].change(eth0Path, { 'link-detected': false });
+
+            expect(callback).toHaveBeenCalledWith(eth0Path);
+            const eth0 = await source.getInterfaceByName('eth0');
+            expect(eth0.ethtool.link_detected).toEqual(false);
+        });
+    });
+});
+
+describe('CliSource', () => {
+    describe('#getInterfaces', () => {
+        it('returns the interfaces from "wicked show-xml"', async () => {
+            const ifaces = await new CliSource().getInterfaces();
+            expect(ifaces.map(i => i.interface.name)).toEqual(['lo', 'eth0', 'eth1', 'eth2', 'eth3', 'bond0']);
+        });
+    });
+});
+
+describe('AutoSource', () => {
+    describe('#getInterfaces', () => {
+        it('reads the D-Bus objects when wicked is on the bus', async () => {
+            const bus = fakeBus(busObjects);
+            const ifaces = await new AutoSource(bus).getInterfaces();
+
+            expect(ifaces.map(i => i._attrs.path)).toEqual([loPath, eth0Path]);
+            expect(bus.call).toHaveBeenCalledWith(
+                '/org/opensuse/Network/Interface', 'org.freedesktop.DBus.Peer', 'Ping', []
+            );
+        });
+
+        it('falls back to "wicked show-xml" when wicked is not on the bus', async () => {
+            const bus = fakeBus(busObjects, false);
+            const ifaces = await new AutoSource(bus).getInterfaces();
+
+            expect(ifaces.map(i => i.interface.name)).toEqual(['lo', 'eth0', 'eth1', 'eth2', 'eth3', 'bond0']);
+            expect(bus.proxies).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('#onChange', () => {
+        it('calls the callback when the properties of an interface change', async () => {
+            const bus = fakeBus(busObjects);
+            const source = new AutoSource(bus);
+            const callback = jest.fn();
+            source.onChange(callback);
+            await source.getInterfaces();
+
+            bus.allProxies['org.opensuse.Network.Ethtool'].change(eth0Path, { 'link-detected': false });
+
+            expect(callback).toHaveBeenCalledWith(eth0Path);
+        });
+    });
+});
+
+describe('#createSource', () => {
+    it('returns a D-Bus source when asked for', () => {
+        expect(createSource(DBUS, fakeBus({}))).toBeInstanceOf(DBusSource);
+    });
+
+    it('returns a source which selects the D-Bus objects or the CLI when asked for', () => {
+        expect(createSource(AUTO, fakeBus({}))).toBeInstanceOf(AutoSource);
+    });
+
+    it('returns a CLI source by default', () => {
+        expect(createSource(undefined)).toBeInstanceOf(CliSource);
+    });
+});
@@ -0,0 +1,201 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+/**
+ * Functions to convert the output of `wicked ifstatus` and `wicked ifcheck` into model objects
+ *
+ * @module wicked/status
+ * @see module:model
+ */
+
+import model from '../model';
+
+/**
+ * @typedef {Object} Ifstatus
+ * @property {string} name - Interface name
+ * @property {string} status - Status as reported in the first line (e.g., 'up')
+ * @property {Object<string,Array<string>>} fields - Values indexed by field name (e.g., 'link')
+ */
+
+/**
+ * Parses the output of `wicked ifstatus --verbose`
+ *
+ * The output looks like:
+ *
+ *   eth0            up
+ *         link:     #2, state up, mtu 1500
+ *         config:   compat:suse:/etc/sysconfig/network/ifcfg-eth0,
+ *                   uuid: 827d8478-02d6-53d8-b9d8-d69f63fd2cf6
+ *         leases:   ipv4 dhcp granted
+ *         leases:   ipv6 dhcp requesting
+ *
+ * Fields can appear more than once and their values can span several lines (a value ending
+ * with a comma continues in the next line).
+ *
+ * @param {string} output - Command output
+ * @return {Ifstatus}
+ */
+const parseIfstatus = (output) => {
+    const result = { name: undefined, status: undefined, fields: {} };
+    let lastValues;
+
+    output.split(/\r?\n/).forEach(line => {
+        if (line.trim() === '') return;
+
+        if (!result.name) {
+            const [name, status] = line.trim().split(/\s+/);
+            Object.assign(result, { name, status });
+            return;
+        }
+
+        const previous = lastValues && lastValues[lastValues.length - 1];
+        if (previous && previous.endsWith(',')) {
+            lastValues[lastValues.length - 1] = `${previous} ${line.trim()}`;
+            return;
+        }
+
+        const field = line.match(/^\s+([\w-]+):\s*(.*)$/);
+        if (field) {
+            const [, key, value] = field;
+            if (!result.fields[key]) result.fields[key] = [];
+            result.fields[key].push(value.trim());
+            lastValues = result.fields[key];
+        } else if (previous) {
+            lastValues[lastValues.length - 1] = `${previous} ${line.trim()}`;
+        }
+    });
+
+    return result;
+};
+
+/**
+ * Extracts the link information from the `link` field
+ *
+ * @ignore
+ * @param {string} [value] - Field value (e.g., '#2, state up, mtu 1500')
+ * @return {Object}
+ */
+const linkFrom = (value) => {
+    if (!value) return {};
+
+    const index = value.match(/#(\d+)/);
+    const state = value.match(/state ([\w-]+)/);
+    const mtu = value.match(/mtu (\d+)/);
+
+    return {
+        index: index ? parseInt(index[1]) : undefined,
+        state: state ? state[1] : undefined,
+        mtu: mtu ? parseInt(mtu[1]) : undefined
+    };
+};
+
+/**
+ * Extracts the leases from the `leases` fields
+ *
+ * @ignore
+ * @param {Array<string>} [values] - Fields values (e.g., ['ipv4 dhcp granted'])
+ * @return {Array<module:model/interfaceState~LeaseState>}
+ */
+const leasesFrom = (values = []) => {
+    return values.map(value => {
+        const [family, type, state] = value.split(/\s+/);
+        return { family, type, state };
+    });
+};
+
+/**
+ * Creates an interface state from the output of `wicked ifstatus` and `wicked ifcheck`
+ *
+ * @function createInterfaceState(ifstatus, checks)
+ *
+ * @param {string} output - Output of `wicked ifstatus --verbose`
+ * @param {object} [checks={}] - Results of `wicked ifcheck`
+ * @param {boolean} checks.changed - Whether the configuration changed
+ * @param {boolean} checks.missing - Whether the device is missing
+ * @param {boolean} checks.stateReached - Whether the device reached the expected state
+ * @return {module:model/interfaceState~InterfaceState}
+ */
+const createInterfaceState = (output, checks = {}) => {
+    const { name, status, fields } = parseIfstatus(output);
+    const [config] = fields.config || [];
+    const [link] = fields.link || [];
+
+    return model.createInterfaceState({
+        name,
+        deviceState: status,
+        link: linkFrom(link),
+        configOrigin: config?.split(',')[0].trim(),
+        leases: leasesFrom(fields.leases),
+        configChanged: !!checks.changed || status === 'config-changed',
+        deviceMissing: !!checks.missing || status === 'no-device',
+        stateReached: checks.stateReached !== false
+    });
+};
+
+/**
+ * State each command is expected to leave the interfaces in
+ *
+ * @ignore
+ */
+const EXPECTED_STATES = {
+    ifup: 'up',
+    ifreload: 'up'
+};
+
+/**
+ * @typedef {Object} BatchResult
+ * @property {string} name - Interface name
+ * @property {string} [state] - Last state reported by wicked for the interface
+ * @property {WickedError} [error] - Error, if the interface did not reach the expected state
+ */
+
+/**
+ * Returns the outcome of a command which affected several interfaces
+ *
+ * wicked reports the state of each interface (e.g., `eth0  up`) while the command runs, so
+ * the last reported state is used to decide whether each interface reached the expected state.
+ * When the command failed, the error is assigned to all the interfaces which did not.
+ *
+ * @param {string} command - wicked command (e.g., 'ifreload')
+ * @param {Array<string>} names - Names of the affected interfaces
+ * @param {string} output - Command output
+ * @param {WickedError} [error] - Error, if the command failed
+ * @return {Array<BatchResult>}
+ */
+const batchResults = (command, names, output = "", error) => {
+    const states = output.split(/\r?\n/).reduce((all, line) => {
+        const match = line.trim().match(/^(\S+)\s+([\w-]+)$/);
+        return match ? { ...all, [match[1]]: match[2] } : all;
+    }, {});
+
+    return names.map(name => {
+        const state = states[name];
+        const failed = error && (!EXPECTED_STATES[command] || state !== EXPECTED_STATES[command]);
+
+        return failed ? { name, state, error } : { name, state };
+    });
+};
+
+export {
+    parseIfstatus,
+    createInterfaceState,
+    batchResults
+};
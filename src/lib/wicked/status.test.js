@@ -0,0 +1,103 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import { parseIfstatus, createInterfaceState, batchResults } from './status';
+
+const output = `eth0            up
+      link:     #2, state up, mtu 1500
+      type:     ethernet, hwaddr 52:54:00:ab:66:d3
+      config:   compat:suse:/etc/sysconfig/network/ifcfg-eth0,
+                uuid: 827d8478-02d6-53d8-b9d8-d69f63fd2cf6
+      leases:   ipv4 dhcp granted
+      leases:   ipv6 dhcp requesting
+      addr:     ipv4 192.168.1.101/24 [dhcp]
+`;
+
+describe('#parseIfstatus', () => {
+    it('returns the interface name and status', () => {
+        expect(parseIfstatus(output)).toEqual(expect.objectContaining({ name: 'eth0', status: 'up' }));
+    });
+
+    it('returns the list of values for each field', () => {
+        const { fields } = parseIfstatus(output);
+        expect(fields.leases).toEqual(['ipv4 dhcp granted', 'ipv6 dhcp requesting']);
+        expect(fields.link).toEqual(['#2, state up, mtu 1500']);
+    });
+
+    it('joins values spanning several lines', () => {
+        const { fields } = parseIfstatus(output);
+        expect(fields.config).toEqual([
+            'compat:suse:/etc/sysconfig/network/ifcfg-eth0, uuid: 827d8478-02d6-53d8-b9d8-d69f63fd2cf6'
+        ]);
+    });
+});
+
+describe('#createInterfaceState', () => {
+    it('returns an interface state', () => {
+        const state = createInterfaceState(output, { changed: false, missing: false, stateReached: true });
+
+        expect(state).toEqual({
+            name: 'eth0',
+            deviceState: 'up',
+            link: { index: 2, state: 'up', mtu: 1500 },
+            configOrigin: 'compat:suse:/etc/sysconfig/network/ifcfg-eth0',
+            leases: [
+                { family: 'ipv4', type: 'dhcp', state: 'granted' },
+                { family: 'ipv6', type: 'dhcp', state: 'requesting' }
+            ],
+            configChanged: false,
+            deviceMissing: false,
+            stateReached: true
+        });
+    });
+
+    it('sets configChanged when the check fails or the device reports so', () => {
+        expect(createInterfaceState(output, { changed: true }).configChanged).toEqual(true);
+        expect(createInterfaceState('eth0  config-changed\n').configChanged).toEqual(true);
+    });
+
+    it('sets deviceMissing when the check fails', () => {
+        const state = createInterfaceState('eth9  no-device\n', { missing: true, stateReached: false });
+        expect(state).toEqual(expect.objectContaining({
+            name: 'eth9', deviceMissing: true, stateReached: false, leases: [], link: {}
+        }));
+    });
+});
+
+describe('#batchResults', () => {
+    const output = 'eth0  device-ready\nbond0  setup-in-progress\neth0  up\nbond0  no-device\n';
+    const error = { message: 'The device does not exist' };
+
+    it('returns the last state of each interface', () => {
+        expect(batchResults('ifreload', ['bond0', 'eth0'], output)).toEqual([
+            { name: 'bond0', state: 'no-device' },
+            { name: 'eth0', state: 'up' }
+        ]);
+    });
+
+    it('assigns the error to the interfaces which did not reach the expected state', () => {
+        expect(batchResults('ifreload', ['bond0', 'eth0', 'eth1'], output, error)).toEqual([
+            { name: 'bond0', state: 'no-device', error },
+            { name: 'eth0', state: 'up' },
+            { name: 'eth1', state: undefined, error }
+        ]);
+    });
+});
@@ -0,0 +1,281 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+/**
+ * Reader and writer for sysconfig files
+ *
+ * Sysconfig files are sourced by shell scripts, so values follow the shell quoting rules:
+ * they can be unquoted, single quoted (no escaping at all) or double quoted (where `\`, `"`,
+ * `$` and `` ` `` can be escaped with a backslash), and several segments can be concatenated
+ * (`"a"'b'c`). Expansions like `$VAR` are not performed: they are kept as part of the value.
+ *
+ * Lines that were not modified are written back exactly as they were read, including their
+ * quoting style, their trailing comments and their line endings.
+ *
+ * @module wicked/sysconfig
+ */
+
+/**
+ * @typedef {Object} SysconfigFileLine
+ * @property {string} comment - Comment content. The whole line is considered a comment.
+ * @property {string} key - Variable name
+ * @property {string} value - Variable value
+ * @property {boolean} commented - Whether the line is commented (used only when key/value are present)
+ */
+
+/**
+ * Original text and parsed values of each line, used to write unmodified lines untouched
+ *
+ * @ignore
+ * @type {WeakMap<SysconfigFileLine,Object>}
+ */
+const originals = new WeakMap();
+
+/**
+ * Last line of the lists which were read from a file without a final newline
+ *
+ * @ignore
+ * @type {WeakMap<Array<SysconfigFileLine>,SysconfigFileLine>}
+ */
+const withoutFinalNewline = new WeakMap();
+
+const assignmentRegExp = /^(\s*)(#\s*)?(export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*/;
+const trailingRegExp = /^(\s+#.*|\s*)$/;
+
+/**
+ * Characters which can be escaped inside double quotes
+ *
+ * @ignore
+ */
+const DOUBLE_QUOTED_ESCAPES = '"\\$`\n';
+
+/**
+ * Reads a shell value starting at the given position
+ *
+ * @ignore
+ * @param {string} text - Text to read from
+ * @param {number} start - Position where the value starts
+ * @return {{value: string, end: number, quote: string|undefined}|undefined} The value, the
+ *   position after it and the first quote character used. It returns undefined if a quoted
+ *   segment is not terminated.
+ */
+const readValue = (text, start) => {
+    let value = '';
+    let quote;
+    let pos = start;
+
+    while (pos < text.length) {
+        const char = text[pos];
+
+        if (char === "'") {
+            const close = text.indexOf("'", pos + 1);
+            if (close === -1) return undefined;
+
+            value += text.slice(pos + 1, close);
+            pos = close + 1;
+            quote = quote || "'";
+        } else if (char === '"') {
+            pos++;
+            while (pos < text.length && text[pos] !== '"') {
+                if (text[pos] === '\\' && DOUBLE_QUOTED_ESCAPES.includes(text[pos + 1])) {
+                    if (text[pos + 1] !== '\n') value += text[pos + 1];
+                    pos += 2;
+                } else {
+                    value += text[pos++];
+                }
+            }
+            if (pos >= text.length) return undefined;
+
+            pos++;
+            quote = quote || '"';
+        } else if (char === '\\' && pos + 1 < text.length) {
+            if (text[pos + 1] !== '\n') value += text[pos + 1];
+            pos += 2;
+        } else if (/\s/.test(char)) {
+            break;
+        } else {
+            value += char;
+            pos++;
+        }
+    }
+
+    return { value, end: pos, quote };
+};
+
+/**
+ * Parses a variable assignment
+ *
+ * @ignore
+ * @param {string} text - Assignment text (it may span several lines)
+ * @return {{line: SysconfigFileLine, format: Object}|undefined|null} The parsed line and the
+ *   details needed to write it again. It returns undefined if the text is not an assignment
+ *   and null if a quoted value is not terminated.
+ */
+const parseAssignment = (text) => {
+    const matches = text.match(assignmentRegExp);
+    if (!matches) return undefined;
+
+    const [prefix, indent, hash, exportKeyword = '', key] = matches;
+    const result = readValue(text, prefix.length);
+    if (!result) return null;
+
+    const trailing = text.slice(result.end);
+    if (!trailingRegExp.test(trailing)) return undefined;
+
+    return {
+        line: { key, value: result.value, commented: hash !== undefined },
+        format: { indent, exportKeyword, quote: result.quote, trailing }
+    };
+};
+
+/**
+ * Quotes a value so it can be safely written to a sysconfig file
+ *
+ * Double quotes are used unless single quotes are requested and the value does not contain
+ * any single quote.
+ *
+ * @param {string} value - Value to quote
+ * @param {string} [quote='"'] - Preferred quote character
+ * @return {string}
+ */
+const quote = (value, quote = '"') => {
+    const text = String(value);
+    if (quote === "'" && !text.includes("'")) return `'${text}'`;
+
+    return `"${text.replace(/[\\"$`]/g, '\\$&')}"`;
+};
+
+/**
+ * Returns the value represented by a quoted (or unquoted) shell word
+ *
+ * @param {string} text - Shell word
+ * @return {string} Value
+ * @throws {Error} when a quoted segment is not terminated
+ */
+const unquote = (text) => {
+    const result = readValue(text, 0);
+    if (!result) throw new Error(`Unterminated quoted value: ${text}`);
+
+    return result.value;
+};
+
+/**
+ * Returns the content of a sysconfig file as an array of objects
+ *
+ * The object is different depending on the content. If it is a comment (or anything which
+ * is not an assignment), it only has a 'comment' key with the content as value:
+ *
+ *   { comment: "## Type: integer" }
+ *
+ * If it is an assignment, the object contains the 'key', the unquoted 'value' and whether
+ * it is 'commented':
+ *
+ *   { key: "AUTO6_WAIT_AT_BOOT", value: "", commented: false }
+ *
+ * @param {string} text - File content
+ * @return {Array<SysconfigFileLine>} An array of objects describing each line
+ */
+const parse = (text) => {
+    const physical = text.split('\n');
+    const lines = [];
+    const finalNewline = physical[physical.length - 1] === '';
+    if (finalNewline) physical.pop();
+
+    for (let i = 0; i < physical.length; i++) {
+        const raw = physical[i];
+        const content = raw.replace(/\r$/, '');
+        let parsed = parseAssignment(content);
+        let last = i;
+
+        // quoted values may span several lines (but commented ones are just comments)
+        while (parsed === null && !content.trimStart().startsWith('#') && last + 1 < physical.length) {
+            last++;
+            parsed = parseAssignment(physical.slice(i, last + 1).join('\n'));
+        }
+
+        if (parsed) {
+            const line = parsed.line;
+            originals.set(line, { ...line, ...parsed.format, raw: physical.slice(i, last + 1).join('\n') });
+            lines.push(line);
+            i = last;
+        } else {
+            const line = { comment: content };
+            originals.set(line, { comment: content, raw });
+            lines.push(line);
+        }
+    }
+
+    if (!finalNewline && lines.length > 0) withoutFinalNewline.set(lines, lines[lines.length - 1]);
+
+    return lines;
+};
+
+/**
+ * Determines whether a line changed since it was read
+ *
+ * @ignore
+ * @param {SysconfigFileLine} line - Line to check
+ * @param {Object} original - Line as it was read
+ * @return {boolean}
+ */
+const isPristine = (line, original) => {
+    return ['comment', 'key', 'value', 'commented'].every(k => line[k] === original[k]);
+};
+
+/**
+ * Returns the text representation of a line
+ *
+ * @ignore
+ * @param {SysconfigFileLine} line - Line to convert
+ * @return {string}
+ */
+const stringifyLine = (line) => {
+    const original = originals.get(line);
+    if (original && isPristine(line, original)) return original.raw;
+
+    if (line.comment !== undefined) return line.comment;
+
+    const { indent = '', exportKeyword = '', quote: quoteChar, trailing = '' } = original || {};
+    const assignment = `${exportKeyword}${line.key}=${quote(line.value ?? '', quoteChar)}${trailing}`;
+    return `${indent}${line.commented ? '# ' : ''}${assignment}`;
+};
+
+/**
+ * Returns the text representation of the file content
+ *
+ * @param {Array<SysconfigFileLine>} lines - List of objects representing each line
+ * @return {string}
+ * @see parse
+ */
+const stringify = (lines) => {
+    if (lines.length === 0) return '';
+
+    const text = lines.map(stringifyLine).join('\n');
+    const lastLine = withoutFinalNewline.get(lines);
+    return (lastLine && lastLine === lines[lines.length - 1]) ? text : `${text}\n`;
+};
+
+export {
+    parse,
+    stringify,
+    quote,
+    unquote
+};
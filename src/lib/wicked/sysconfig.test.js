@@ -0,0 +1,192 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import { parse, stringify, quote, unquote } from './sysconfig';
+
+describe('#parse', () => {
+    it('reads unquoted, single quoted and double quoted values', () => {
+        const text = "A=plain\nB='single \"quoted\"'\nC=\"double 'quoted'\"\nD=\n";
+        expect(parse(text)).toEqual([
+            { key: 'A', value: 'plain', commented: false },
+            { key: 'B', value: 'single "quoted"', commented: false },
+            { key: 'C', value: "double 'quoted'", commented: false },
+            { key: 'D', value: '', commented: false }
+        ]);
+    });
+
+    it('handles escaped characters and concatenated segments', () => {
+        const [a, b, c] = parse('A="say \\"hi\\" \\\\o/"\nB=a\\ b\nC="x"\'y\'z\n');
+        expect(a.value).toEqual('say "hi" \\o/');
+        expect(b.value).toEqual('a b');
+        expect(c.value).toEqual('xyz');
+    });
+
+    it('keeps expansions and backslashes which are not escapes', () => {
+        const [a, b] = parse('A="$HOME/$(id -u)"\nB=\'\\n\'\n');
+        expect(a.value).toEqual('$HOME/$(id -u)');
+        expect(b.value).toEqual('\\n');
+    });
+
+    it('ignores trailing comments but not hashes inside values', () => {
+        const [a, b, c] = parse('A="value" # comment\nB=a#b\nC="#1"\n');
+        expect(a.value).toEqual('value');
+        expect(b.value).toEqual('a#b');
+        expect(c.value).toEqual('#1');
+    });
+
+    it('reads commented and exported variables', () => {
+        expect(parse('  # DEBUG="yes"\nexport MTU=1500\n')).toEqual([
+            { key: 'DEBUG', value: 'yes', commented: true },
+            { key: 'MTU', value: '1500', commented: false }
+        ]);
+    });
+
+    it('reads quoted values spanning several lines', () => {
+        expect(parse('A="first\nsecond"\nB=1\n')).toEqual([
+            { key: 'A', value: 'first\nsecond', commented: false },
+            { key: 'B', value: '1', commented: false }
+        ]);
+    });
+
+    it('considers as comments the lines which are not assignments', () => {
+        expect(parse('## Default: "no"\nA=b c\n# A="unterminated\nB=1\n')).toEqual([
+            { comment: '## Default: "no"' },
+            { comment: 'A=b c' },
+            { comment: '# A="unterminated' },
+            { key: 'B', value: '1', commented: false }
+        ]);
+    });
+});
+
+describe('#stringify', () => {
+    it('writes the unmodified content byte-for-byte', () => {
+        const text = "# comment\r\nA='x' # why\r\n  export B=\"$y\"\n\nC=a\\ b\nD=\"multi\nline\"";
+        expect(stringify(parse(text))).toEqual(text);
+    });
+
+    it('keeps the format of the modified lines', () => {
+        const lines = parse("  A='x' # why\nB=1\n");
+        lines[0].value = 'y';
+        lines[1].commented = true;
+
+        expect(stringify(lines)).toEqual("  A='y' # why\n# B=\"1\"\n");
+    });
+
+    it('adds a final newline when a line is added after the last one', () => {
+        const lines = parse('A=1');
+        lines.push({ key: 'B', value: '2', commented: false });
+
+        expect(stringify(lines)).toEqual('A=1\nB="2"\n');
+    });
+});
+
+describe('#quote', () => {
+    it('uses double quotes and escapes special characters', () => {
+        expect(quote('a "b" $c `d` \\e')).toEqual('"a \\"b\\" \\$c \\`d\\` \\\\e"');
+    });
+
+    it('uses single quotes when asked to and possible', () => {
+        expect(quote('$x', "'")).toEqual("'$x'");
+        expect(quote("it's", "'")).toEqual('"it\'s"');
+    });
+});
+
+describe('#unquote', () => {
+    it('throws an error if the value is not terminated', () => {
+        expect(() => unquote('"abc')).toThrow(/Unterminated/);
+    });
+});
+
+/**
+ * Pseudo-random number generator (mulberry32), so failures can be reproduced
+ */
+const random = (seed) => () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const CHARS = ['a', 'Z', '0', '_', '-', '/', ' ', '\t', '"', "'", '\\', '$', '`', '#', '=', '{', '}', ';', '\n', 'ñ', '€'];
+
+const pick = (rand, list) => list[Math.floor(rand() * list.length)];
+const randomString = (rand, chars, max) => {
+    const length = Math.floor(rand() * max);
+    return Array.from({ length }, () => pick(rand, chars)).join('');
+};
+
+describe('property based tests', () => {
+    const runs = 300;
+
+    it('reads back any written value', () => {
+        const rand = random(42);
+
+        for (let run = 0; run < runs; run++) {
+            const value = randomString(rand, CHARS, 20);
+            const style = pick(rand, ['"', "'"]);
+            const [line] = parse(`KEY=${quote(value, style)}\n`);
+
+            expect({ run, value: line.value }).toEqual({ run, value });
+        }
+    });
+
+    it('round-trips any sequence of lines', () => {
+        const rand = random(7);
+        const lineKinds = [
+            () => `# ${randomString(rand, CHARS.filter(c => c !== '\n'), 30)}`,
+            () => '',
+            () => `VAR_${Math.floor(rand() * 5)}=${quote(randomString(rand, CHARS, 10), pick(rand, ['"', "'"]))}`,
+            () => `#VAR=${randomString(rand, ['a', '"', ' ', '$'], 10)}`,
+            () => `  X=${randomString(rand, ['a', 'b', '1'], 5)} # ${randomString(rand, ['a', '"', "'"], 5)}`,
+            () => randomString(rand, ['a', '=', '"', "'", ' ', '\\'], 15)
+        ];
+
+        for (let run = 0; run < runs; run++) {
+            const count = Math.floor(rand() * 8);
+            const text = Array.from({ length: count }, () => pick(rand, lineKinds)())
+                    .join(pick(rand, ['\n', '\r\n'])) + pick(rand, ['', '\n']);
+
+            const lines = parse(text);
+            expect({ run, text: stringify(lines) }).toEqual({ run, text });
+
+            // writing the parsed lines as new ones gives the same values
+            const copies = lines.map(l => ({ ...l }));
+            expect({ run, lines: parse(stringify(copies)) }).toEqual({ run, lines });
+        }
+    });
+
+    it('only changes the modified line', () => {
+        const rand = random(1234);
+
+        for (let run = 0; run < runs; run++) {
+            const text = ['# header', "A='1' # one", 'B="two words"', 'C=3'].join('\n') + '\n';
+            const lines = parse(text);
+            const index = 1 + Math.floor(rand() * 3);
+            lines[index].value = randomString(rand, CHARS.filter(c => c !== '\n'), 10);
+
+            const written = stringify(lines).split('\n');
+            const original = text.split('\n');
+            const unchanged = (list) => list.filter((l, i) => i !== index);
+            expect({ run, lines: unchanged(written) }).toEqual({ run, lines: unchanged(original) });
+            expect(parse(stringify(lines))[index].value).toEqual(lines[index].value);
+        }
+    });
+});
@@ -24,8 +24,19 @@ import interfaceType from '../model/interfaceType';
 const PROPERTY_TO_TYPE = {
     bond: interfaceType.BONDING,
     bonding: interfaceType.BONDING,
+    team: interfaceType.TEAM,
     bridge: interfaceType.BRIDGE,
+    ovs_bridge: interfaceType.OVS_BRIDGE,
     vlan: interfaceType.VLAN,
+    macvlan: interfaceType.MACVLAN,
+    macvtap: interfaceType.MACVTAP,
+    gre: interfaceType.GRE,
+    gretap: interfaceType.GRETAP,
+    ipip: interfaceType.IPIP,
+    sit: interfaceType.SIT,
+    dummy: interfaceType.DUMMY,
+    tun: interfaceType.TUN,
+    tap: interfaceType.TAP,
     wireless: interfaceType.WIRELESS
 };
 
@@ -42,6 +53,36 @@ const typeFromWicked = (wickedJson) => {
     return property ? PROPERTY_TO_TYPE[property] : interfaceType.ETHERNET;
 };
 
+/**
+ * Configuration origins, as reported by `wicked show-config`
+ *
+ * - SYSCONFIG: the configuration comes from an `ifcfg-*` file.
+ * - XML: the configuration comes from a native Wicked XML file.
+ */
+const SYSCONFIG_ORIGIN = 'compat:suse';
+const XML_ORIGIN = 'wicked:xml';
+
+/**
+ * Splits a configuration origin into its source and the path of the file
+ *
+ * Origins are like 'compat:suse:/etc/sysconfig/network/ifcfg-eth0'. Those which do not refer
+ * to a file (e.g., 'firmware:ibft') have no path.
+ *
+ * @param {string} [origin] - Configuration origin
+ * @returns {{source: string|undefined, path: string|undefined}}
+ */
+const parseOrigin = (origin) => {
+    if (!origin) return { source: undefined, path: undefined };
+
+    const index = origin.indexOf(':/');
+    if (index === -1) return { source: origin, path: undefined };
+
+    return { source: origin.slice(0, index), path: origin.slice(index + 1) };
+};
+
 export {
+    SYSCONFIG_ORIGIN,
+    XML_ORIGIN,
+    parseOrigin,
     typeFromWicked
 };
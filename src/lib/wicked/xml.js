@@ -0,0 +1,396 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+/**
+ * Functions to convert the XML documents produced by Wicked into plain objects and to write
+ * XML documents back
+ *
+ * Wicked output is not a well-formed XML document: it contains several root elements and
+ * namespace prefixes (like `ipv4:static`) which are never declared. For that reason, it
+ * cannot be processed using the browser's DOMParser and this module implements a small,
+ * lenient parser instead.
+ *
+ * @module wicked/xml
+ */
+
+/**
+ * @typedef {Object} XmlNode
+ * @property {string} name - Element name, including the namespace prefix (if any)
+ * @property {Object<string,string>} attrs - Element attributes
+ * @property {Array<XmlNode>} children - Child elements
+ * @property {string} text - Text content (only for elements without children)
+ */
+
+/**
+ * Name of the nodes holding comments, processing instructions and declarations
+ *
+ * These nodes are only produced when they are requested to be preserved (see {@link parse}) and
+ * their text is the original markup.
+ */
+const RAW = '#raw';
+
+/**
+ * Value types known by the schema
+ *
+ * - LIST: the element is a container whose children must be converted to an array.
+ * - REPEATED: the element can appear several times, so it is always converted to an array.
+ * - BOOLEAN: the text content is converted to a boolean.
+ * - INTEGER: the text content is converted to an integer.
+ */
+const LIST = 'list';
+const REPEATED = 'repeated';
+const BOOLEAN = 'boolean';
+const INTEGER = 'integer';
+
+/**
+ * Description of Wicked elements
+ *
+ * Keys are element names. When an element has a different meaning depending on where it
+ * is located, the `parent/element` form can be used, which takes precedence.
+ *
+ * @type {Object<string,string>}
+ */
+const WICKED_SCHEMA = {
+    // lists
+    addresses: LIST,
+    routes: LIST,
+    slaves: LIST,
+    ports: LIST,
+    features: LIST,
+    'port-types': LIST,
+    'speed-modes': LIST,
+    routers: LIST,
+
+    // repeated elements
+    nexthop: REPEATED,
+    'ipv4:static/address': REPEATED,
+    'ipv4:static/route': REPEATED,
+    'ipv6:static/address': REPEATED,
+    'ipv6:static/route': REPEATED,
+    'dns/server': REPEATED,
+    'dns/search': REPEATED,
+    'ntp/server': REPEATED,
+    'link_watch/watch': REPEATED,
+    ia_na: REPEATED,
+    ia_pd: REPEATED,
+    'ia_na/address': REPEATED,
+    'ia_pd/prefix': REPEATED,
+
+    // booleans
+    enabled: BOOLEAN,
+    forwarding: BOOLEAN,
+    persistent: BOOLEAN,
+    usercontrol: BOOLEAN,
+    'arp-verify': BOOLEAN,
+    'arp-notify': BOOLEAN,
+    'accept-redirects': BOOLEAN,
+    autoconf: BOOLEAN,
+    autoneg: BOOLEAN,
+    'link-detected': BOOLEAN,
+    'recover-lease': BOOLEAN,
+    'release-lease': BOOLEAN,
+    'rapid-commit': BOOLEAN,
+    stp: BOOLEAN,
+    active: BOOLEAN,
+    'all-slaves-active': BOOLEAN,
+    'tlb-dynamic-lb': BOOLEAN,
+    'adaptive-rx': BOOLEAN,
+    'adaptive-tx': BOOLEAN,
+    sticky: BOOLEAN,
+    fast_rate: BOOLEAN,
+    'link_watches/up': BOOLEAN,
+
+    // integers
+    index: INTEGER,
+    mtu: INTEGER,
+    txqlen: INTEGER,
+    priority: INTEGER,
+    tag: INTEGER,
+    frequency: INTEGER,
+    updelay: INTEGER,
+    downdelay: INTEGER,
+    'defer-timeout': INTEGER,
+    'preferred-lifetime': INTEGER,
+    'valid-lifetime': INTEGER,
+    'owner-uid': INTEGER,
+    'queue-id': INTEGER,
+    'min-links': INTEGER,
+    speed: INTEGER,
+    'phy-address': INTEGER,
+    'assigned-address/flags': INTEGER,
+    acquired: INTEGER,
+    'lease-time': INTEGER,
+    'renewal-time': INTEGER,
+    'rebind-time': INTEGER,
+    'interface-id': INTEGER,
+    prio: INTEGER,
+    delay_up: INTEGER,
+    delay_down: INTEGER,
+    interval: INTEGER
+};
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+const ENTITY_NAMES = Object.fromEntries(Object.entries(ENTITIES).map(([name, char]) => [char, name]));
+
+/**
+ * Replaces XML entities and character references in the given string
+ *
+ * @ignore
+ * @param {string} text - Text to decode
+ * @return {string}
+ */
+const decodeEntities = (text) => {
+    return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-z]+);/g, (match, entity) => {
+        if (entity.startsWith('#x')) return String.fromCodePoint(parseInt(entity.slice(2), 16));
+        if (entity.startsWith('#')) return String.fromCodePoint(parseInt(entity.slice(1), 10));
+
+        return ENTITIES[entity] || match;
+    });
+};
+
+const attributesRegExp = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+
+/**
+ * Parses the attributes of a start tag
+ *
+ * @ignore
+ * @param {string} source - Attributes as they appear in the tag
+ * @return {Object<string,string>}
+ */
+const parseAttributes = (source) => {
+    const attrs = {};
+
+    for (const match of source.matchAll(attributesRegExp)) {
+        const [, name, , doubleQuoted, singleQuoted] = match;
+        attrs[name] = decodeEntities(doubleQuoted ?? singleQuoted);
+    }
+
+    return attrs;
+};
+
+const tokenRegExp = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<(\/?)([^\s/>]+)([^>]*?)(\/?)>|([^<]+)/g;
+
+/**
+ * Parses the given XML string into a list of nodes
+ *
+ * It accepts more than one root element and undeclared namespace prefixes.
+ *
+ * @param {string} xmlString - XML string to parse
+ * @param {object} [options] - Parsing options
+ * @param {boolean} [options.preserve=false] - Whether to keep comments, processing instructions
+ *   and declarations as {@link RAW} nodes, so they are not lost when writing the document back
+ * @return {Array<XmlNode>} Root elements
+ * @throws {Error} when the XML is malformed (e.g., mismatched or unclosed tags)
+ */
+const parse = (xmlString, { preserve = false } = {}) => {
+    const root = { name: undefined, attrs: {}, children: [], text: '' };
+    const stack = [root];
+
+    for (const match of xmlString.matchAll(tokenRegExp)) {
+        const [token, cdata, closing, name, attrs, selfClosing, text] = match;
+        const current = stack[stack.length - 1];
+
+        if (text !== undefined) {
+            current.text += decodeEntities(text);
+        } else if (cdata !== undefined) {
+            current.text += cdata;
+        } else if (name === undefined) {
+            // comments, processing instructions and doctype declarations are ignored unless
+            // they must be preserved
+            if (preserve) current.children.push({ name: RAW, attrs: {}, children: [], text: token });
+        } else if (closing) {
+            if (current.name !== name) {
+                throw new Error(`Unexpected closing tag '${token}' at position ${match.index}`);
+            }
+            stack.pop();
+        } else {
+            const node = { name, attrs: parseAttributes(attrs), children: [], text: '' };
+            current.children.push(node);
+            if (!selfClosing) stack.push(node);
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new Error(`Unclosed tag '<${stack[stack.length - 1].name}>'`);
+    }
+
+    return root.children;
+};
+
+/**
+ * Returns the schema type for a given element
+ *
+ * @ignore
+ * @param {object} schema - Schema to use
+ * @param {string} name - Element name
+ * @param {string} [parent] - Parent element name
+ * @return {string|undefined}
+ */
+const typeFor = (schema, name, parent) => {
+    const qualified = `${parent}/${name}`;
+    if (Object.prototype.hasOwnProperty.call(schema, qualified)) return schema[qualified];
+
+    return schema[name];
+};
+
+/**
+ * Converts a text value according to the given type
+ *
+ * Values which cannot be converted are returned untouched.
+ *
+ * @ignore
+ * @param {string} text - Value to convert
+ * @param {string} type - Value type
+ * @return {string|boolean|number}
+ */
+const convertText = (text, type) => {
+    const value = text.trim();
+
+    if (type === BOOLEAN && ['true', 'false'].includes(value)) return value === 'true';
+    if (type === INTEGER && /^-?\d+$/.test(value)) return parseInt(value, 10);
+
+    return value;
+};
+
+/**
+ * Transforms an element name into a property name
+ *
+ * @ignore
+ * @param {string} name - Element name
+ * @return {string}
+ */
+const keyFor = (name) => name.replace(/-/g, '_');
+
+/**
+ * Converts a node to a plain value according to the schema
+ *
+ * @ignore
+ * @param {XmlNode} node - Node to convert
+ * @param {object} schema - Schema to use
+ * @param {string} [parent] - Parent element name
+ * @return {*}
+ */
+const nodeToValue = (node, schema, parent) => {
+    const type = typeFor(schema, node.name, parent);
+    let value;
+
+    if (type === LIST) {
+        return node.children.map(child => nodeToValue(child, schema, node.name));
+    } else if (node.children.length > 0) {
+        value = node.children.reduce((all, child) => {
+            const key = keyFor(child.name);
+            const childValue = nodeToValue(child, schema, node.name);
+            const repeated = typeFor(schema, child.name, node.name) === REPEATED;
+
+            if (repeated || Object.prototype.hasOwnProperty.call(all, key)) {
+                const previous = all[key];
+                const list = (previous === undefined) ? [] : (repeated ? previous : [previous]);
+                return { ...all, [key]: [...list, childValue] };
+            }
+
+            return { ...all, [key]: childValue };
+        }, {});
+    } else if (Object.keys(node.attrs).length > 0) {
+        value = (node.text.trim() === '') ? {} : { _text: convertText(node.text, type) };
+    } else {
+        return convertText(node.text, type);
+    }
+
+    if (Object.keys(node.attrs).length > 0) value = { ...value, _attrs: node.attrs };
+
+    return value;
+};
+
+/**
+ * Replaces the characters which cannot appear literally in XML text or attributes
+ *
+ * @ignore
+ * @param {string} text - Text to encode
+ * @return {string}
+ */
+const encodeEntities = (text) => text.replace(/[<>&"']/g, (char) => `&${ENTITY_NAMES[char]};`);
+
+/**
+ * Converts a node into an XML string
+ *
+ * @ignore
+ * @param {XmlNode} node - Node to convert
+ * @param {number} depth - Nesting level, used to indent the element
+ * @return {string}
+ */
+const stringifyNode = (node, depth) => {
+    const indent = '  '.repeat(depth);
+    if (node.name === RAW) return `${indent}${node.text}`;
+
+    const attrs = Object.entries(node.attrs)
+            .map(([name, value]) => ` ${name}="${encodeEntities(value)}"`)
+            .join('');
+
+    if (node.children.length > 0) {
+        const children = node.children.map(child => stringifyNode(child, depth + 1));
+        return [`${indent}<${node.name}${attrs}>`, ...children, `${indent}</${node.name}>`].join('\n');
+    }
+
+    const text = node.text.trim();
+    if (text === '') return `${indent}<${node.name}${attrs}/>`;
+
+    return `${indent}<${node.name}${attrs}>${encodeEntities(text)}</${node.name}>`;
+};
+
+/**
+ * Converts a list of nodes (as returned by {@link parse}) into an indented XML string
+ *
+ * Text is only written for elements without children, as mixed content is not used by Wicked.
+ *
+ * @param {Array<XmlNode>} nodes - Root nodes
+ * @return {string}
+ */
+const stringify = (nodes) => {
+    return nodes.map(node => stringifyNode(node, 0)).join('\n') + '\n';
+};
+
+/**
+ * Returns a list of plain objects representing the root elements of the given XML
+ *
+ * Element names are used as keys (replacing dashes with underscores). Attributes are
+ * stored under the `_attrs` key and, for elements holding both attributes and text, the
+ * text is stored under the `_text` key. Empty elements are converted to empty strings.
+ * Lists, repeated elements and value types are handled according to the schema.
+ *
+ * @param {string} xmlString - XML string to convert
+ * @param {object} [schema=WICKED_SCHEMA] - Schema describing the elements
+ * @return {Array<Object>} Plain objects representing each root element
+ */
+const xmlToJson = (xmlString, schema = WICKED_SCHEMA) => {
+    return parse(xmlString).map(node => nodeToValue(node, schema));
+};
+
+export {
+    LIST,
+    REPEATED,
+    BOOLEAN,
+    INTEGER,
+    RAW,
+    WICKED_SCHEMA,
+    parse,
+    stringify,
+    xmlToJson
+};
@@ -0,0 +1,180 @@
+/*
+ * Copyright (c) [2020] SUSE LLC
+ *
+ * All Rights Reserved.
+ *
+ * This program is free software; you can redistribute it and/or modify it
+ * under the terms of version 2 of the GNU General Public License as published
+ * by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful, but WITHOUT
+ * ANY WARRANTY; without even the implied warranty of MERCHANTABILITY or
+ * FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General Public License for
+ * more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, contact SUSE LLC.
+ *
+ * To contact SUSE LLC about this file by physical or electronic mail, you may
+ * find current contact information at www.suse.com.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parse, stringify, xmlToJson, LIST, REPEATED, BOOLEAN, INTEGER, RAW } from './xml';
+
+const fixture = (name) => {
+    return fs.readFileSync(path.join(__dirname, '../../../__mocks__', name)).toString();
+};
+
+describe('#parse', () => {
+    it('returns one node for each root element', () => {
+        const nodes = parse('<a x="1"/><b>text</b>');
+        expect(nodes).toEqual([
+            { name: 'a', attrs: { x: '1' }, children: [], text: '' },
+            { name: 'b', attrs: {}, children: [], text: 'text' }
+        ]);
+    });
+
+    it('keeps namespace prefixes in the element names', () => {
+        const [node] = parse('<ipv4:static><address/></ipv4:static>');
+        expect(node.name).toEqual('ipv4:static');
+        expect(node.children.map(c => c.name)).toEqual(['address']);
+    });
+
+    it('decodes entities and skips comments and declarations', () => {
+        const xml = '<?xml version="1.0"?><!-- comment --><a t=\'&quot;x&quot;\'>&lt;&#65;&#x42;&amp;</a>';
+        expect(parse(xml)).toEqual([
+            { name: 'a', attrs: { t: '"x"' }, children: [], text: '<AB&' }
+        ]);
+    });
+
+    it('throws an error if a closing tag does not match', () => {
+        expect(() => parse('<a><b></a></b>')).toThrow(/Unexpected closing tag/);
+    });
+
+    it('throws an error if a tag is not closed', () => {
+        expect(() => parse('<a><b></b>')).toThrow(/Unclosed tag/);
+    });
+
+    it('keeps comments and declarations when asked to preserve them', () => {
+        const nodes = parse('<?xml version="1.0"?><a><!-- comment --><b/></a>', { preserve: true });
+        expect(nodes[0]).toEqual({ name: RAW, attrs: {}, children: [], text: '<?xml version="1.0"?>' });
+        expect(nodes[1].children.map(c => c.name)).toEqual([RAW, 'b']);
+    });
+});
+
+describe('#stringify', () => {
+    it('writes indented elements encoding the special characters', () => {
+        const children = [
+            { name: 'b', attrs: {}, children: [], text: ' <A&B> ' },
+            { name: 'c', attrs: {}, children: [], text: '' }
+        ];
+        const nodes = [{ name: 'a', attrs: { t: '"x"' }, children, text: '\n  ' }];
+        expect(stringify(nodes)).toEqual(
+            '<a t="&quot;x&quot;">\n  <b>&lt;A&amp;B&gt;</b>\n  <c/>\n</a>\n'
+        );
+    });
+
+    it('writes back what was parsed, including the preserved nodes', () => {
+        const xml = '<!-- generated -->\n<interface>\n  <name>eth0</name>\n  <ipv4:static/>\n</interface>\n';
+        expect(stringify(parse(xml, { preserve: true }))).toEqual(xml);
+    });
+});
+
+describe('#xmlToJson', () => {
+    describe('using a custom schema', () => {
+        const schema = { items: LIST, entry: REPEATED, on: BOOLEAN, count: INTEGER };
+
+        it('converts values according to their types', () => {
+            const [result] = xmlToJson('<a><on>true</on><count>42</count><name>x</name></a>', schema);
+            expect(result).toEqual({ on: true, count: 42, name: 'x' });
+        });
+
+        it('keeps values which cannot be converted', () => {
+            const [result] = xmlToJson('<a><on>maybe</on><count>many</count></a>', schema);
+            expect(result).toEqual({ on: 'maybe', count: 'many' });
+        });
+
+        it('converts lists and repeated elements to arrays', () => {
+            const xml = '<a><items><i>1</i></items><entry><x>1</x></entry></a>';
+            const [result] = xmlToJson(xml, schema);
+            expect(result).toEqual({ items: ['1'], entry: [{ x: '1' }] });
+        });
+
+        it('converts unknown elements appearing several times to arrays', () => {
+            const [result] = xmlToJson('<a><b>1</b><b>2</b></a>', schema);
+            expect(result).toEqual({ b: ['1', '2'] });
+        });
+
+        it('stores attributes and converts empty elements to empty strings', () => {
+            const [result] = xmlToJson('<a id="1"><b/><c flag="yes">text</c></a>', schema);
+            expect(result).toEqual({
+                b: '', c: { _text: 'text', _attrs: { flag: 'yes' } }, _attrs: { id: '1' }
+            });
+        });
+    });
+
+    describe('when converting the output of "wicked show-config"', () => {
+        const configs = xmlToJson(fixture('show-config.xml'));
+        const config = (name) => configs.find(c => c.name === name);
+
+        it('returns one object for each configuration', () => {
+            expect(configs.map(c => c.name)).toEqual(['lo', 'eth0', 'eth1', 'bond0', 'eth2', 'eth3', 'br0']);
+            expect(config('eth0')._attrs).toEqual({ origin: 'compat:suse:/etc/sysconfig/network/ifcfg-eth0' });
+        });
+
+        it('converts static addresses to a list even when there is only one', () => {
+            expect(config('bond0')['ipv4:static'].address).toEqual([{ local: '192.168.2.1/24' }]);
+            expect(config('br0')['ipv4:static'].address).toEqual([{ local: '192.168.1.2/24', label: 'test' }]);
+        });
+
+        it('converts booleans and integers', () => {
+            expect(config('lo').control).toEqual({ mode: 'boot', boot_stage: 'localfs', persistent: true });
+            expect(config('eth0')['ipv4:dhcp']).toEqual(expect.objectContaining({
+                enabled: true, defer_timeout: 15, flags: 'group'
+            }));
+            expect(config('bond0').bond.miimon).toEqual({ frequency: 100, carrier_detect: 'netif' });
+        });
+
+        it('converts bonding slaves and bridge ports to lists', () => {
+            expect(config('bond0').bond.slaves).toEqual([{ device: 'eth1' }, { device: 'eth2' }]);
+            expect(config('br0').bridge).toEqual({ stp: false, ports: [{ device: 'eth3' }] });
+        });
+    });
+
+    describe('when converting the output of "wicked show-xml"', () => {
+        const ifaces = xmlToJson(fixture('show-xml.xml'));
+        const iface = (name) => ifaces.find(i => i.interface.name === name);
+
+        it('returns one object for each interface', () => {
+            expect(ifaces.map(i => i._attrs.path)).toEqual([1, 2, 3, 4, 5, 6].map(n => (
+                `/org/opensuse/Network/Interface/${n}`
+            )));
+        });
+
+        it('converts assigned addresses and routes to lists', () => {
+            const { addresses, routes } = iface('eth0').interface;
+            expect(addresses.map(a => a.local)).toEqual(['fe80::3091:4019:f740:9b97/64', '192.168.1.101/24']);
+            expect(addresses[1]).toEqual(expect.objectContaining({
+                flags: 512, cache_info: { preferred_lifetime: 43012, valid_lifetime: 43012 }
+            }));
+            expect(routes[0].nexthop).toEqual([{ gateway: '192.168.1.1', device: 'eth0' }]);
+            expect(routes[0].metrics).toEqual('');
+        });
+
+        it('converts interface properties', () => {
+            const eth0 = iface('eth0');
+            expect(eth0.interface).toEqual(expect.objectContaining({ index: 2, mtu: 1500 }));
+            expect(eth0.ethtool.link_detected).toEqual(true);
+            expect(eth0.ethernet.address).toEqual('52:54:00:ab:66:d3');
+            expect(eth0['ipv4:dhcp'].lease).toEqual(expect.objectContaining({ state: 'granted' }));
+        });
+
+        it('converts bonding slaves to a list', () => {
+            const { slaves } = iface('bond0').bonding;
+            expect(slaves.map(s => s.device)).toEqual(['eth1', 'eth2']);
+            expect(slaves[0]).toEqual(expect.objectContaining({ active: true, queue_id: 0 }));
+        });
+    });
+});